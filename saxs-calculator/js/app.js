@@ -10,9 +10,29 @@ const AppState = {
     proteinData: null,
     saxsData: null,
     charts: {},
-    dndcUnlocked: false
+    dndcUnlocked: false,
+    modificationLibrary: [],
+    modifications: [],      // [{ modId, chainIndex, count }]
+    bufferComponents: [],   // [{ id, concentration }]
+    bufferData: null,
+    construct: null,        // { uncleaved, cleaved }: { name, result }
+    importedEntry: null,    // EntryImport.parseEntryFile 結果 (提供二硫鍵註解)
+    saxsProfile: null,      // { fileName, text, options, calibration, profile, guinier, ift, porod, vc, qp, flexibility }
+    modelScattering: null,  // { fileName, model, scatterers, result, fit, intensity, distribution, vacuum }
+    shapeModel: null,       // { result, comparison }
+    concentrationSeries: { entries: [], result: null },  // entries: [{ fileName, text, options, profile, calibration, concentration }]
+    reduction: { sample: null, buffer: null, result: null },  // sample / buffer: { files, fileNames, profiles, calibration, comparison, selected }
+    calibration: { measured: null, reference: null, stored: {} },  // stored: 依「距離 / 能量」儲存的絕對強度校正
+    prerunFit: null,        // { fileName, headers, data, result }
+    hplcMethods: null,      // { selected, selectedVersion, profiles: [{ id, name, versions: [{ version, date, values }] }] }
+    hplcSettings: null,     // SAXSCalculations.calculateHPLCSAXSSettings 結果
+    secFrames: null,        // { files, fileNames, profiles, calibration, integrals, suggestion, analysis, bufferKey, result }
+    secDeconvolution: null  // { matrix, svd, efa, rotation, species }
 };
 
+// 蛋白質分析頁的圖表 (重新分析或清除時一併銷毀)
+const PROTEIN_CHART_KEYS = ['bar', 'doughnut', 'charge'];
+
 // ========================
 // dn/dc Password Lock
 // ========================
@@ -182,23 +202,41 @@ function initProteinSection() {
     const loadSampleBtn = document.getElementById('loadSampleSequence');
     const lengthDisplay = document.getElementById('sequenceLength');
 
-    // Update length on input
-    sequenceInput.addEventListener('input', () => {
-        const cleaned = sequenceInput.value.toUpperCase().replace(/[^A-Z]/g, '');
-        lengthDisplay.textContent = `長度: ${cleaned.length} 殘基`;
-    });
+    // Update length and chain table on input
+    function updateSequenceMeta() {
+        const chains = parseChainsFromInput(sequenceInput.value);
+        const totalLength = chains.reduce((sum, chain) => sum + chain.sequence.length, 0);
+        lengthDisplay.textContent = chains.length > 1
+            ? `長度: ${totalLength} 殘基 (${chains.length} 條鏈)`
+            : `長度: ${totalLength} 殘基`;
+        renderChainStoichiometry(chains);
+        renderModificationRows();
+        renderConstructChainOptions();
+    }
+    initModificationControls();
+    initConstructDesigner();
+    initEntryImport();
+    document.getElementById('chainStoichiometryBody').addEventListener('change', renderConstructChainOptions);
+    sequenceInput.addEventListener('input', updateSequenceMeta);
+    document.getElementById('sequenceType').addEventListener('change', updateSequenceMeta);
+    updateSequenceMeta();
 
     // Clear button
     clearBtn.addEventListener('click', () => {
         sequenceInput.value = '';
+        AppState.importedEntry = null;
+        document.getElementById('entryImportStatus').textContent = '尚未匯入條目';
+        document.getElementById('entryImportDetails').innerHTML = '';
         lengthDisplay.textContent = '長度: 0 殘基';
+        renderChainStoichiometry([]);
+        renderConstructChainOptions();
         document.getElementById('proteinResults').innerHTML = `
             <div class="alert alert-info">
                 請輸入蛋白質序列後點擊「分析序列」
             </div>
         `;
         document.getElementById('proteinStats').innerHTML = '';
-        destroyCharts();
+        destroyCharts(PROTEIN_CHART_KEYS);
     });
 
     // Load sample sequence — BSA (PDB: 3V03, Chain A)
@@ -206,58 +244,31 @@ function initProteinSection() {
         const sampleSequence = `DTHKSEIAHRFKDLGEEHFKGLVLIAFSQYLQQCPFDEHVKLVNELTEFAKTCVADESHAGCEKSLHTLFGDELCKVASLRETYGDMADCCEKQEPERNECFLSHKDDSPDLPKLKPDPNTLCDEFKADEKKFWGKYLYEIARRHPYFYAPELLYYANKYNGVFQECCQAEDKGACLLPKIETMREKVLTSSARQRLRCASIQKFGERALKAWSVARLSQKFPKAEFVEVTKLVTDLTKVHKECCHGDLLECADDRADLAKYICDNQDTISSKLKECCDKPLLEKSHCIAEVEKDAIPENLPPLTADFAEDKDVCKNYQEAKDAFLGSFLYEYSRRHPEYAVSVLLRLAKEYEATLEECCAKDDPHACYSTVFDKLKHLVDEPQNLIKQNCDQFEKLGEYGFQNALIVRYTRKVPQVSTPTLVEVSRSLGKVGTRCCTKPESERMPCTEDYLSLILNRLCVLHEKTPVSEKVTKCCTESLVNRRPCFSALTPDETYVPKAFDEKLFTFHADICTLPDTEKQIKKQTALVELLKHKPKATEEQLKTVMENFVAFVDKCCAADDKEACFAVEGPKLVVSTQTALA`;
         sequenceInput.value = sampleSequence;
         document.getElementById('proteinName').value = 'BSA (Bovine Serum Albumin, PDB: 3V03)';
+        document.getElementById('sequenceType').value = 'protein';
         lengthDisplay.textContent = `長度: ${sampleSequence.length} 殘基`;
+        renderChainStoichiometry([]);
+        renderConstructChainOptions();
     });
 
     // Analyze button
     analyzeBtn.addEventListener('click', () => {
         const sequence = sequenceInput.value;
         const proteinName = document.getElementById('proteinName').value || 'Unknown';
-        const reducedCysteine = document.getElementById('reducedCysteine').checked;
 
         if (!sequence.trim()) {
-            showAlert('proteinResults', 'error', '請輸入蛋白質序列');
+            showAlert('proteinResults', 'error', '請輸入蛋白質或核酸序列');
             return;
         }
 
-        const result = ProteinAnalysis.analyzeProtein(sequence);
+        const chains = getChainsForAnalysis(sequence);
+        const result = ProteinAnalysis.analyzeComplex(chains, getProteinAnalysisOptions());
 
         if (result.error) {
             showAlert('proteinResults', 'error', result.message);
             return;
         }
 
-        // Update extinction coefficient if reduced cysteine
-        if (reducedCysteine) {
-            result.extinction = ProteinAnalysis.calculateExtinctionCoeff(
-                ProteinAnalysis.parseSequence(sequence).composition,
-                true
-            );
-            result.epsilonCm2g = ProteinAnalysis.calculateEpsilonCm2g(
-                result.extinction,
-                result.molecularWeight
-            );
-        }
-
-        // Store in global state
-        AppState.proteinData = {
-            name: proteinName,
-            ...result
-        };
-
-        // Display results
-        displayProteinResults(result, proteinName);
-        displayProteinStats(result);
-        createProteinCharts(result.composition);
-
-        // Update other forms with protein data
-        updateFormsWithProteinData(result);
-
-        // Update theoretical I(0) display
-        updateTheoreticalI0FromProtein();
-
-        // Update IUCr table
-        updateIUCrTable();
+        applyProteinAnalysis(result, proteinName);
     });
 
     // Chart type tabs
@@ -267,218 +278,1348 @@ function initProteinSection() {
             tab.classList.add('active');
 
             const chartType = tab.dataset.chart;
-            document.getElementById('chartContainer-bar').classList.toggle('hidden', chartType !== 'bar');
-            document.getElementById('chartContainer-doughnut').classList.toggle('hidden', chartType !== 'doughnut');
+            PROTEIN_CHART_KEYS.forEach(type => {
+                document.getElementById(`chartContainer-${type}`).classList.toggle('hidden', chartType !== type);
+            });
         });
     });
 }
 
-function displayProteinResults(result, name) {
-    const resultsDiv = document.getElementById('proteinResults');
+/**
+ * 蛋白質分析選項 (還原態 Cys、dn/dc 條件、pH)
+ * @returns {object} analyzeComplex 的 options
+ */
+function getProteinAnalysisOptions() {
+    const dndcTemp = parseFloat(document.getElementById('proteinDndcTemp').value);
+    const pH = parseFloat(document.getElementById('proteinPH').value);
+    const sampleTemp = parseFloat(document.getElementById('sampleTemperature').value);
+
+    return {
+        reducedCysteine: document.getElementById('reducedCysteine').checked,
+        wavelength: parseFloat(document.getElementById('proteinDndcWavelength').value) || 589,
+        temperature: isNaN(dndcTemp) ? 25 : dndcTemp,
+        pH: isNaN(pH) ? 7.0 : Math.min(Math.max(pH, 0), 14),
+        sampleTemperature: isNaN(sampleTemp) ? 25 : Math.min(Math.max(sampleTemp, 0), 60)
+    };
+}
 
-    resultsDiv.innerHTML = `
-        <div class="result-grid">
-            <div class="result-item">
-                <div class="result-label">蛋白質名稱</div>
-                <div class="result-value">${escapeHtml(name)}</div>
-            </div>
-            <div class="result-item">
-                <div class="result-label">序列長度</div>
-                <div class="result-value">${result.length} <span style="font-size: 0.75rem;">殘基</span></div>
-            </div>
-            <div class="result-item">
-                <div class="result-label">分子量</div>
-                <div class="result-value">${result.molecularWeight.toFixed(2)} <span style="font-size: 0.75rem;">Da</span></div>
-            </div>
-            <div class="result-item">
-                <div class="result-label">分子量 (kDa)</div>
-                <div class="result-value">${result.molecularWeightKDa.toFixed(3)} <span style="font-size: 0.75rem;">kDa</span></div>
-            </div>
-        </div>
-        
-        <div class="section-divider"><span>物理參數</span></div>
-        
-        <div class="result-grid">
-            <div class="result-item">
-                <div class="result-label">乾燥體積</div>
-                <div class="result-value">${result.dryVolume.toFixed(1)} <span style="font-size: 0.75rem;">Å³</span></div>
-            </div>
-            <div class="result-item">
-                <div class="result-label">電子數</div>
-                <div class="result-value">${result.electronCount}</div>
-            </div>
-            <div class="result-item">
-                <div class="result-label">部分比容 <i>v̄</i></div>
-                <div class="result-value">${result.partialSpecificVolume.toFixed(4)} <span style="font-size: 0.75rem;">cm³/g</span></div>
-            </div>
-            <div class="result-item">
-                <div class="result-label">dn/dc</div>
-                <div class="result-value">${result.dndc.toFixed(4)} <span style="font-size: 0.75rem;">mL/g</span></div>
-            </div>
+/**
+ * 設定目前的分析結果並更新所有相依頁面
+ * @param {object} result - analyzeComplex 結果
+ * @param {string} name - 樣品名稱
+ */
+function applyProteinAnalysis(result, name) {
+    // Store in global state
+    AppState.proteinData = {
+        name: name,
+        ...result
+    };
+
+    // Display results
+    displayProteinResults(result, name);
+    displayProteinStats(result);
+    createProteinCharts(result);
+
+    // Update other forms with protein data
+    updateFormsWithProteinData(result);
+
+    // Update theoretical I(0) display
+    updateTheoreticalI0FromProtein();
+
+    // Update IUCr table
+    updateIUCrTable();
+}
+
+// ========================
+// Construct Designer
+// ========================
+const CONSTRUCT_PROTEASES = [
+    { id: 'tev', inputId: 'constructTEV' },
+    { id: '3c', inputId: 'construct3C' },
+    { id: 'thrombin', inputId: 'constructThrombin' }
+];
+
+function initConstructDesigner() {
+    const analyzeBtn = document.getElementById('analyzeConstruct');
+    if (!analyzeBtn) return;
+
+    analyzeBtn.addEventListener('click', () => {
+        const chains = getChainsForAnalysis(document.getElementById('proteinSequence').value);
+        const chainIndex = parseInt(document.getElementById('constructChain').value, 10);
+        const target = chains[chainIndex];
+
+        if (!target || target.type !== 'protein') {
+            showAlert('constructMap', 'error', '請先輸入至少一條蛋白質序列');
+            return;
+        }
+
+        const sequence = ProteinAnalysis.parseSequence(target.sequence).sequence;
+        const proteases = CONSTRUCT_PROTEASES
+            .filter(protease => document.getElementById(protease.inputId)?.checked)
+            .map(protease => protease.id);
+        const manualTags = parseTagRanges(document.getElementById('constructTagRanges').value);
+
+        const features = ProteinAnalysis.findConstructFeatures(sequence, proteases, manualTags);
+        const cleavage = ProteinAnalysis.cleaveConstruct(sequence, features);
+
+        // 切割後: 僅替換目標鏈序列，其餘鏈、拷貝數與修飾不變
+        const options = getProteinAnalysisOptions();
+        const uncleaved = ProteinAnalysis.analyzeComplex(chains, options);
+        const cleaved = ProteinAnalysis.analyzeComplex(
+            chains.map((chain, i) => i === chainIndex ? { ...chain, sequence: cleavage.product.sequence } : chain),
+            options
+        );
+
+        if (uncleaved.error || cleaved.error) {
+            showAlert('constructMap', 'error', (uncleaved.error ? uncleaved : cleaved).message);
+            return;
+        }
+
+        const name = document.getElementById('proteinName').value || 'Unknown';
+        const siteNames = [...new Set(features.sites.map(site => site.name))].join(' + ');
+        AppState.construct = {
+            uncleaved: { name: name, result: uncleaved },
+            cleaved: { name: `${name} (${siteNames || '未切割'} 切割後)`, result: cleaved }
+        };
+
+        renderConstructMap(sequence, features, cleavage);
+        renderConstructComparison(AppState.construct, features);
+    });
+
+    document.getElementById('constructResults').addEventListener('click', (e) => {
+        const form = AppState.construct?.[e.target.dataset.constructForm];
+        if (!form) return;
+        applyProteinAnalysis(form.result, form.name);
+        showAlert('constructStatus', 'success', `已套用「${form.name}」至 SAXS、分子量與樣品計算`);
+    });
+}
+
+// 目標鏈選單: 僅列出蛋白質鏈
+function renderConstructChainOptions() {
+    const select = document.getElementById('constructChain');
+    if (!select) return;
+
+    const chains = getChainsForAnalysis(document.getElementById('proteinSequence').value);
+    const previous = select.value;
+    const options = chains
+        .map((chain, i) => ({ chain, i }))
+        .filter(({ chain }) => chain.type === 'protein');
+
+    select.innerHTML = options.length > 0 ?
+        options.map(({ chain, i }) => `<option value="${i}">${escapeHtml(chain.name)}</option>`).join('') :
+        '<option value="">—</option>';
+    if (options.some(({ i }) => String(i) === previous)) select.value = previous;
+    select.disabled = options.length <= 1;
+}
+
+/**
+ * 解析標籤範圍字串，例如 "1-20, 250-262"
+ * @param {string} text - 範圍字串 (1-based，含端點)
+ * @returns {Array<{start: number, end: number}>}
+ */
+function parseTagRanges(text) {
+    return (text || '').split(/[,;\s]+/)
+        .map(part => part.match(/^(\d+)\s*[-–]\s*(\d+)$/))
+        .filter(Boolean)
+        .map(match => {
+            const a = parseInt(match[1], 10);
+            const b = parseInt(match[2], 10);
+            return { start: Math.min(a, b), end: Math.max(a, b) };
+        });
+}
+
+function renderConstructMap(sequence, features, cleavage) {
+    const container = document.getElementById('constructMap');
+    const { product } = cleavage;
+    const cuts = new Set(features.sites.map(site => site.cut));
+    const inRange = (list, i) => list.some(range => i >= range.start && i < range.end);
+
+    let html = '';
+    for (let i = 0; i < sequence.length; i++) {
+        if (cuts.has(i)) html += '<span class="seq-cut">│</span>';
+        const classes = [];
+        if (inRange(features.tags, i)) classes.push('seq-tag');
+        if (inRange(features.sites, i)) classes.push('seq-site');
+        if (i < product.start || i >= product.end) classes.push('seq-removed');
+        html += classes.length > 0 ? `<span class="${classes.join(' ')}">${sequence[i]}</span>` : sequence[i];
+        if ((i + 1) % 10 === 0) html += ' ';
+    }
+
+    const tagList = features.tags.map(tag => `${escapeHtml(tag.name)} ${tag.start + 1}–${tag.end}`).join('、') || '無';
+    const siteList = features.sites.map(site => `${site.name} ↓${site.cut}/${site.cut + 1}`).join('、') || '無';
+
+    container.innerHTML = `
+        <div class="sequence-display">${html}</div>
+        <div class="sequence-legend">
+            <span><span class="seq-tag">標籤</span>: ${tagList}</span>
+            <span>切位: ${siteList}</span>
         </div>
-        
-        <div class="section-divider"><span>消光係數 (280 nm)</span></div>
-        
-        <div class="result-grid">
-            <div class="result-item">
-                <div class="result-label"><i>ε</i> (M⁻¹ cm⁻¹)</div>
-                <div class="result-value">${result.extinction.epsilon.toLocaleString()}</div>
-            </div>
-            <div class="result-item">
-                <div class="result-label"><i>ε</i> (cm² g⁻¹)</div>
-                <div class="result-value">${result.epsilonCm2g.toFixed(2)}</div>
-            </div>
-            <div class="result-item">
-                <div class="result-label">Trp (W)</div>
-                <div class="result-value">${result.extinction.nTrp}</div>
-            </div>
-            <div class="result-item">
-                <div class="result-label">Tyr (Y)</div>
-                <div class="result-value">${result.extinction.nTyr}</div>
-            </div>
-            <div class="result-item">
-                <div class="result-label">Cys (C)</div>
-                <div class="result-value">${result.extinction.nCys}</div>
-            </div>
-            <div class="result-item">
-                <div class="result-label">二硫鍵數</div>
-                <div class="result-value">${result.extinction.nDisulfide}</div>
-            </div>
+        <div class="sequence-legend">
+            <span>切割後產物: ${product.start + 1}–${product.end} (${product.end - product.start} 殘基，淡色為移除部分)</span>
         </div>
     `;
 }
 
-function displayProteinStats(result) {
-    const statsDiv = document.getElementById('proteinStats');
-    statsDiv.classList.remove('hidden');
+function renderConstructComparison(construct, features) {
+    const container = document.getElementById('constructResults');
+    const concentration = 1.0;
+    const columns = [construct.uncleaved, construct.cleaved].map(form => {
+        const result = form.result;
+        const theoretical = SAXSCalculations.calculateAllTheoreticalParams(
+            result.molecularWeight, concentration, 'globular', getTheoreticalI0Options(result)
+        );
+        return { result, theoretical };
+    });
 
-    statsDiv.innerHTML = `
-        <div class="stat-card">
-            <div class="stat-icon primary"></div>
-            <div class="stat-content">
-                <div class="stat-label">分子量</div>
-                <div class="stat-value">${result.molecularWeightKDa.toFixed(2)}<span class="stat-unit">kDa</span></div>
-                <div class="stat-sub">${result.molecularWeight.toFixed(0)} Da</div>
-            </div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-icon success"></div>
-            <div class="stat-content">
-                <div class="stat-label">序列長度</div>
-                <div class="stat-value">${result.length}<span class="stat-unit">殘基</span></div>
-            </div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-icon warning"></div>
-            <div class="stat-content">
-                <div class="stat-label">乾燥體積</div>
-                <div class="stat-value">${(result.dryVolume / 1000).toFixed(1)}<span class="stat-unit">×10³ Å³</span></div>
-            </div>
+    const rows = [
+        ['序列長度', ({ result }) => `${result.length}`],
+        ['分子量 (Da)', ({ result }) => result.molecularWeight.toFixed(2)],
+        ['<i>ε</i>₂₈₀ (M⁻¹ cm⁻¹)', ({ result }) => result.extinction.epsilon.toLocaleString()],
+        ['<i>ε</i> (cm² g⁻¹)', ({ result }) => result.epsilonCm2g.toFixed(2)],
+        ['<i>v̄</i> (cm³/g)', ({ result }) => result.partialSpecificVolume.toFixed(4)],
+        ['pI', ({ result }) => result.charge.isoelectricPoint !== null ? result.charge.isoelectricPoint.toFixed(2) : '-'],
+        [`淨電荷 (pH ${columns[0].result.charge.pH})`, ({ result }) => formatCharge(result.charge.netCharge)],
+        ['理論 <i>R</i><sub>g</sub> (Å)', ({ theoretical }) => theoretical.theoreticalRg.toFixed(1)],
+        ['理論 <i>D</i><sub>max</sub> (Å)', ({ theoretical }) => theoretical.theoreticalDmax.toFixed(0)]
+    ];
+
+    const noSite = features.sites.length === 0 ?
+        '<div class="alert alert-warning">未找到所選蛋白酶的切位，切割後與未切割相同</div>' : '';
+
+    container.innerHTML = `
+        ${noSite}
+        <div class="table-wrapper">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>性質</th>
+                        <th class="text-right">未切割</th>
+                        <th class="text-right">切割後</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([label, format]) => `
+                        <tr>
+                            <td>${label}</td>
+                            <td class="text-right">${format(columns[0])}</td>
+                            <td class="text-right">${format(columns[1])}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         </div>
-        <div class="stat-card">
-            <div class="stat-icon danger"></div>
-            <div class="stat-content">
-                <div class="stat-label">消光係數 <i>ε</i></div>
-                <div class="stat-value">${(result.extinction.epsilon / 1000).toFixed(1)}<span class="stat-unit">×10³</span></div>
-                <div class="stat-sub">M⁻¹ cm⁻¹ @ 280nm</div>
-            </div>
+        <div class="sequence-meta">
+            <button class="btn btn-sm btn-secondary" data-construct-form="uncleaved">套用未切割</button>
+            <button class="btn btn-sm btn-secondary" data-construct-form="cleaved">套用切割後</button>
         </div>
+        <div class="mt-md" id="constructStatus"></div>
     `;
 }
 
-function createProteinCharts(composition) {
-    // Destroy existing charts
-    destroyCharts();
-
-    const compositionCard = document.getElementById('compositionCard');
-    compositionCard.classList.remove('hidden');
+// 鏈標題中的拷貝數標記，例如 ">Chain A x2"、">Heavy ×2"、">B copies=3"
+const CHAIN_COPIES_PATTERN = /\s(?:copies\s*[=:]\s*|[x×]\s*)(\d+)\s*$/i;
 
-    // Create bar chart
-    AppState.charts.bar = SAXSCharts.createCompositionBarChart('compositionBarChart', composition);
+// 鏈組成表的序列類型選項
+const CHAIN_TYPE_OPTIONS = [
+    { value: 'protein', label: '蛋白質' },
+    { value: 'dsDNA', label: 'dsDNA' },
+    { value: 'ssDNA', label: 'ssDNA' },
+    { value: 'RNA', label: 'RNA' }
+];
 
-    // Create doughnut chart
-    AppState.charts.doughnut = SAXSCharts.createCompositionChart('compositionDoughnutChart', composition);
+/**
+ * 將序列輸入解析為各鏈 (支援多鏈 FASTA)
+ * @param {string} text - 序列輸入內容
+ * @returns {Array<{name: string, sequence: string, copies: number, type: string}>} 各鏈資料
+ */
+function parseChainsFromInput(text) {
+    const defaultType = document.getElementById('sequenceType')?.value || 'protein';
+
+    return DndcFileParser.parseMultiFASTA(text).map((record, i) => {
+        const header = record.header.trim();
+        const match = header.match(CHAIN_COPIES_PATTERN);
+        const name = (match ? header.slice(0, match.index) : header).trim();
+
+        return {
+            name: name || `Chain ${i + 1}`,
+            sequence: record.sequence.toUpperCase().replace(/[^A-Z]/g, ''),
+            copies: match ? Math.max(1, parseInt(match[1], 10)) : 1,
+            type: defaultType
+        };
+    }).filter(chain => chain.sequence.length > 0);
 }
 
-function destroyCharts() {
-    Object.values(AppState.charts).forEach(chart => {
-        if (chart) chart.destroy();
+/**
+ * 更新鏈組成表格；保留使用者已修改的拷貝數與類型
+ * @param {Array} chains - parseChainsFromInput 的結果
+ */
+function renderChainStoichiometry(chains) {
+    const container = document.getElementById('chainStoichiometry');
+    const tbody = document.getElementById('chainStoichiometryBody');
+    if (!container || !tbody) return;
+
+    const edited = {};
+    tbody.querySelectorAll('[data-chain-key]').forEach(field => {
+        if (field.dataset.edited === 'true') {
+            edited[field.dataset.chainKey] = field.value;
+        }
+    });
+
+    if (chains.length <= 1 && !(chains[0]?.copies > 1)) {
+        container.classList.add('hidden');
+        tbody.innerHTML = '';
+        return;
+    }
+
+    container.classList.remove('hidden');
+    tbody.innerHTML = chains.map((chain, i) => {
+        const copiesKey = `copies:${i}`;
+        const typeKey = `type:${i}`;
+        const copies = edited[copiesKey] ?? chain.copies;
+        const type = edited[typeKey] ?? chain.type;
+        return `
+            <tr>
+                <td>${escapeHtml(chain.name)}</td>
+                <td>
+                    <select class="form-select" id="chainType-${i}"
+                        data-chain-key="${typeKey}" ${typeKey in edited ? 'data-edited="true"' : ''}>
+                        ${CHAIN_TYPE_OPTIONS.map(option => `
+                            <option value="${option.value}" ${option.value === type ? 'selected' : ''}>${option.label}</option>
+                        `).join('')}
+                    </select>
+                </td>
+                <td class="text-right">${chain.sequence.length}</td>
+                <td class="text-right">
+                    <input type="number" class="form-input" id="chainCopies-${i}"
+                        data-chain-key="${copiesKey}" ${copiesKey in edited ? 'data-edited="true"' : ''}
+                        value="${copies}" min="1" step="1" style="width: 5rem;">
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    tbody.querySelectorAll('[data-chain-key]').forEach(field => {
+        const markEdited = () => {
+            field.dataset.edited = 'true';
+        };
+        field.addEventListener('input', markEdited);
+        field.addEventListener('change', markEdited);
     });
-    AppState.charts = {};
 }
 
-function updateFormsWithProteinData(result) {
-    // Update Sample calculation form
-    const epsilonInput = document.getElementById('inputEpsilon');
-    const mwInput = document.getElementById('inputMw');
-    if (epsilonInput) epsilonInput.value = result.extinction.epsilon;
-    if (mwInput) mwInput.value = result.molecularWeight.toFixed(2);
+/**
+ * 取得分析用的鏈資料 (拷貝數與類型以表格輸入為準)
+ * @param {string} text - 序列輸入內容
+ * @returns {Array<{name: string, sequence: string, copies: number, type: string}>} 各鏈資料
+ */
+function getChainsForAnalysis(text) {
+    const chains = parseChainsFromInput(text);
+
+    chains.forEach((chain, i) => {
+        const input = document.getElementById(`chainCopies-${i}`);
+        const copies = parseInt(input?.value, 10);
+        if (!isNaN(copies) && copies > 0) {
+            chain.copies = copies;
+        }
 
-    // Update Centrifuge form
-    const centrifugeMw = document.getElementById('centrifugeMw');
-    const vbar = document.getElementById('vbar');
-    if (centrifugeMw) centrifugeMw.value = result.molecularWeight.toFixed(0);
-    if (vbar) vbar.value = result.partialSpecificVolume.toFixed(4);
+        const typeSelect = document.getElementById(`chainType-${i}`);
+        if (typeSelect?.value) {
+            chain.type = typeSelect.value;
+        }
 
-    // Update MW Resolution form
-    const mwResolutionInput = document.getElementById('mwInput');
-    if (mwResolutionInput) mwResolutionInput.value = result.molecularWeight.toFixed(2);
+        chain.modifications = getModificationsForChain(i);
+
+        // 匯入條目的二硫鍵註解 (序列經手動修改後不再套用)
+        const imported = AppState.importedEntry?.chains[i];
+        if (imported && imported.sequence === chain.sequence && chain.type === 'protein') {
+            chain.disulfides = imported.disulfides;
+        }
+    });
+
+    return chains;
 }
 
 // ========================
-// SAXS Parameters Section
+// Entry Import (UniProt / PDB)
 // ========================
-function initSAXSSection() {
-    const calculateBtn = document.getElementById('calculateSAXS');
-    const concentrationInput = document.getElementById('sampleConcentration');
-    const theoreticalI0Display = document.getElementById('theoreticalI0Display');
-    const theoreticalRgDisplay = document.getElementById('theoreticalRgDisplay');
-    const predictedRgDisplay = document.getElementById('predictedRgDisplay');
-    const theoreticalDmaxDisplay = document.getElementById('theoreticalDmaxDisplay');
-    const theoreticalMWInput = document.getElementById('theoreticalMWInput');
+function initEntryImport() {
+    const fileInput = document.getElementById('entryFileInput');
+    if (!fileInput) return;
 
-    // Function to update all theoretical values display
-    function updateTheoreticalValues() {
-        const concentration = parseFloat(concentrationInput.value) || 1.0;
-        // Use manual MW input if available, otherwise use protein data MW
-        let proteinMw = parseFloat(theoreticalMWInput?.value);
-        if (isNaN(proteinMw) || proteinMw <= 0) {
-            proteinMw = AppState.proteinData?.molecularWeight;
-        }
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
 
-        if (proteinMw) {
-            // Calculate all theoretical parameters at once
-            const result = SAXSCalculations.calculateAllTheoreticalParams(proteinMw, concentration, 'globular');
+        const status = document.getElementById('entryImportStatus');
+        try {
+            const text = await DndcFileParser.readFile(file);
+            const entry = EntryImport.parseEntryFile(text, {
+                stripSignalPeptide: document.getElementById('stripSignalPeptide').checked
+            });
 
-            if (theoreticalI0Display) {
-                theoreticalI0Display.textContent = result.theoreticalI0.toExponential(2);
-            }
-            if (theoreticalRgDisplay) {
-                theoreticalRgDisplay.textContent = result.theoreticalRg.toFixed(1);
-            }
-            if (predictedRgDisplay) {
-                predictedRgDisplay.textContent = result.predictedRg.toFixed(2);
-            }
-            if (theoreticalDmaxDisplay) {
-                theoreticalDmaxDisplay.textContent = result.theoreticalDmax.toFixed(0);
-            }
-            // MW input already has the value, no need to update
-        } else {
-            if (theoreticalI0Display) theoreticalI0Display.textContent = '--';
-            if (theoreticalRgDisplay) theoreticalRgDisplay.textContent = '--';
-            if (predictedRgDisplay) predictedRgDisplay.textContent = '--';
-            if (theoreticalDmaxDisplay) theoreticalDmaxDisplay.textContent = '--';
-            // Clear input placeholder if no valid MW
-            if (theoreticalMWInput && !theoreticalMWInput.value) {
-                theoreticalMWInput.placeholder = '--';
+            if (entry.error) {
+                status.textContent = entry.message;
+                return;
             }
+
+            applyImportedEntry(entry);
+            status.textContent = `已匯入: ${file.name} (${entry.source}${entry.id ? ` ${entry.id}` : ''}, ${entry.chains.length} 種鏈)`;
+        } catch (err) {
+            status.textContent = `讀取失敗: ${err.message}`;
+        } finally {
+            fileInput.value = '';
         }
-    }
+    });
+}
 
-    // Update theoretical values when concentration changes
-    if (concentrationInput) {
-        concentrationInput.addEventListener('input', updateTheoreticalValues);
-    }
+/**
+ * 將匯入的條目填入序列輸入、鏈組成與修飾列表
+ * @param {object} entry - EntryImport.parseEntryFile 結果
+ */
+function applyImportedEntry(entry) {
+    const sequenceInput = document.getElementById('proteinSequence');
+    const types = [...new Set(entry.chains.map(chain => chain.type))];
+
+    AppState.importedEntry = entry;
+    document.getElementById('proteinName').value = entry.name && entry.id
+        ? `${entry.name} (${entry.id})`
+        : entry.name || entry.id;
+    document.getElementById('sequenceType').value = types.length === 1 ? types[0] : 'protein';
+    sequenceInput.value = entry.chains
+        .map(chain => `>${chain.name}${chain.copies > 1 ? ` x${chain.copies}` : ''}\n${chain.sequence}`)
+        .join('\n');
+
+    // 已對應至修飾資料庫的修飾，依鏈加總數量
+    const libraryIds = new Set(AppState.modificationLibrary.map(item => item.id));
+    AppState.modifications = [];
+    entry.chains.forEach((chain, chainIndex) => {
+        const counts = {};
+        chain.modifications
+            .filter(mod => mod.match && libraryIds.has(mod.match.modId))
+            .forEach(mod => {
+                counts[mod.match.modId] = (counts[mod.match.modId] || 0) + mod.match.count;
+            });
+        Object.entries(counts).forEach(([modId, count]) => {
+            AppState.modifications.push({ modId, chainIndex, count });
+        });
+    });
+
+    // 清除先前手動修改的拷貝數 / 類型，再依新序列重建表格
+    renderChainStoichiometry([]);
+    sequenceInput.dispatchEvent(new Event('input'));
+
+    // 蛋白質-核酸混合時逐鏈指定類型
+    if (types.length > 1) {
+        entry.chains.forEach((chain, i) => {
+            const select = document.getElementById(`chainType-${i}`);
+            if (!select) return;
+            select.value = chain.type;
+            select.dataset.edited = 'true';
+        });
+    }
+
+    saveFormState();
+    renderEntryImportDetails(entry, libraryIds);
+}
+
+/**
+ * 匯入條目明細: 訊號胜肽、二硫鍵與修飾 (未對應資料庫者需手動加入)
+ * @param {object} entry - EntryImport.parseEntryFile 結果
+ * @param {Set<string>} libraryIds - 修飾資料庫 id
+ */
+function renderEntryImportDetails(entry, libraryIds) {
+    const container = document.getElementById('entryImportDetails');
+    if (!container) return;
+
+    const unmatched = {};
+    entry.chains.forEach(chain => chain.modifications
+        .filter(mod => !mod.match || !libraryIds.has(mod.match.modId))
+        .forEach(mod => {
+            unmatched[mod.description] = (unmatched[mod.description] || 0) + 1;
+        }));
+
+    container.innerHTML = `
+        <div class="table-wrapper mt-sm">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>鏈</th>
+                        <th class="text-right">長度</th>
+                        <th class="text-right">拷貝數</th>
+                        <th>訊號胜肽</th>
+                        <th class="text-right">二硫鍵</th>
+                        <th class="text-right">修飾</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entry.chains.map(chain => `
+                        <tr>
+                            <td>${escapeHtml(chain.name)}</td>
+                            <td class="text-right">${chain.sequence.length}</td>
+                            <td class="text-right">${chain.copies}</td>
+                            <td>${chain.signalPeptide
+                                ? `${chain.signalPeptide.start}–${chain.signalPeptide.end}${chain.signalPeptide.removed ? ' (已移除)' : ''}`
+                                : '-'}</td>
+                            <td class="text-right">${chain.disulfides ?? '-'}</td>
+                            <td class="text-right">${chain.modifications.length}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        ${Object.keys(unmatched).length > 0 ? `
+            <div class="alert alert-warning mt-sm">
+                下列修飾未對應至修飾資料庫，請手動加入:
+                ${Object.entries(unmatched).map(([description, count]) => `${escapeHtml(description)} ×${count}`).join('、')}
+            </div>
+        ` : ''}
+    `;
+}
+
+// ========================
+// Modifications / Ligands
+// ========================
+const MODIFICATION_LIBRARY_KEY = 'tps13a-modification-library';
+
+const MODIFICATION_CATEGORIES = [
+    { value: 'ptm', label: 'PTM' },
+    { value: 'glycan', label: '醣基化' },
+    { value: 'ligand', label: '配體 / 輔因子' },
+    { value: 'metal', label: '金屬離子' }
+];
+
+function loadModificationLibrary() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(MODIFICATION_LIBRARY_KEY));
+        if (Array.isArray(stored) && stored.length > 0) {
+            // 舊版資料庫缺少的欄位 (如 charge) 由同 id 的預設項目補齊
+            const defaults = Object.fromEntries(ProteinAnalysis.DEFAULT_MODIFICATIONS.map(entry => [entry.id, entry]));
+            return stored.map(entry => ({ ...defaults[entry.id], ...entry }));
+        }
+    } catch (e) { /* fall through to defaults */ }
+    return ProteinAnalysis.DEFAULT_MODIFICATIONS.map(entry => ({ ...entry }));
+}
+
+function saveModificationLibrary() {
+    try {
+        localStorage.setItem(MODIFICATION_LIBRARY_KEY, JSON.stringify(AppState.modificationLibrary));
+    } catch (e) { /* quota exceeded — ignore */ }
+}
+
+function initModificationControls() {
+    AppState.modificationLibrary = loadModificationLibrary();
+
+    const rowsBody = document.getElementById('modificationRows');
+    const libraryBody = document.getElementById('modificationLibraryBody');
+
+    document.getElementById('addModification').addEventListener('click', () => {
+        const first = AppState.modificationLibrary[0];
+        if (!first) return;
+        AppState.modifications.push({ modId: first.id, chainIndex: 0, count: 1 });
+        renderModificationRows();
+    });
+
+    document.getElementById('toggleModificationLibrary').addEventListener('click', () => {
+        document.getElementById('modificationLibraryCard').classList.toggle('hidden');
+    });
+
+    // Attached rows: delegate edits to the row state
+    rowsBody.addEventListener('change', (e) => {
+        const row = AppState.modifications[e.target.dataset.row];
+        if (!row) return;
+        const field = e.target.dataset.field;
+        if (field === 'modId') row.modId = e.target.value;
+        if (field === 'chainIndex') row.chainIndex = parseInt(e.target.value, 10) || 0;
+        if (field === 'count') row.count = Math.max(0, parseFloat(e.target.value) || 0);
+    });
+    rowsBody.addEventListener('click', (e) => {
+        if (e.target.dataset.action !== 'remove') return;
+        AppState.modifications.splice(parseInt(e.target.dataset.row, 10), 1);
+        renderModificationRows();
+    });
+
+    // Library editor
+    libraryBody.addEventListener('change', (e) => {
+        const entry = AppState.modificationLibrary[e.target.dataset.index];
+        if (!entry) return;
+        const field = e.target.dataset.field;
+        if (field === 'name' || field === 'category') {
+            entry[field] = e.target.value;
+        } else if (field === 'dndc' || field === 'pka') {
+            entry[field] = e.target.value === '' ? null : parseFloat(e.target.value);
+        } else {
+            entry[field] = parseFloat(e.target.value) || 0;
+        }
+        saveModificationLibrary();
+        renderModificationRows();
+    });
+    libraryBody.addEventListener('click', (e) => {
+        if (e.target.dataset.action !== 'remove') return;
+        const [removed] = AppState.modificationLibrary.splice(parseInt(e.target.dataset.index, 10), 1);
+        AppState.modifications = AppState.modifications.filter(row => row.modId !== removed.id);
+        saveModificationLibrary();
+        renderModificationLibrary();
+        renderModificationRows();
+    });
+
+    document.getElementById('addLibraryEntry').addEventListener('click', () => {
+        AppState.modificationLibrary.push({
+            id: `custom-${Date.now()}`,
+            name: '自訂項目',
+            category: 'ligand',
+            mw: 0, volume: 0, electrons: 0, epsilon280: 0, epsilon260: 0, dndc: null, charge: 0, pka: null
+        });
+        saveModificationLibrary();
+        renderModificationLibrary();
+        renderModificationRows();
+    });
+
+    document.getElementById('resetModificationLibrary').addEventListener('click', () => {
+        if (!confirm('確定還原預設資料庫？自訂項目將被刪除。')) return;
+        AppState.modificationLibrary = ProteinAnalysis.DEFAULT_MODIFICATIONS.map(entry => ({ ...entry }));
+        const ids = new Set(AppState.modificationLibrary.map(entry => entry.id));
+        AppState.modifications = AppState.modifications.filter(row => ids.has(row.modId));
+        saveModificationLibrary();
+        renderModificationLibrary();
+        renderModificationRows();
+    });
+
+    renderModificationLibrary();
+}
+
+function renderModificationRows() {
+    const wrapper = document.getElementById('modificationTableWrapper');
+    const tbody = document.getElementById('modificationRows');
+    if (!wrapper || !tbody) return;
+
+    if (AppState.modifications.length === 0) {
+        wrapper.classList.add('hidden');
+        tbody.innerHTML = '';
+        return;
+    }
+
+    const chains = parseChainsFromInput(document.getElementById('proteinSequence').value);
+    const chainOptions = chains.length > 0 ? chains : [{ name: '—' }];
+
+    // 鏈數減少時，超出範圍的指派回到第一條鏈
+    AppState.modifications.forEach(row => {
+        if (row.chainIndex >= chainOptions.length) row.chainIndex = 0;
+    });
+
+    wrapper.classList.remove('hidden');
+    tbody.innerHTML = AppState.modifications.map((row, i) => `
+        <tr>
+            <td>
+                <select class="form-select" data-row="${i}" data-field="modId">
+                    ${AppState.modificationLibrary.map(entry => `
+                        <option value="${escapeHtml(entry.id)}" ${entry.id === row.modId ? 'selected' : ''}>${escapeHtml(entry.name)}</option>
+                    `).join('')}
+                </select>
+            </td>
+            <td>
+                <select class="form-select" data-row="${i}" data-field="chainIndex" ${chainOptions.length <= 1 ? 'disabled' : ''}>
+                    ${chainOptions.map((chain, index) => `
+                        <option value="${index}" ${index === row.chainIndex ? 'selected' : ''}>${escapeHtml(chain.name)}</option>
+                    `).join('')}
+                </select>
+            </td>
+            <td class="text-right">
+                <input type="number" class="form-input" data-row="${i}" data-field="count"
+                    value="${row.count}" min="0" step="1" style="width: 5rem;">
+            </td>
+            <td>
+                <button class="btn btn-sm btn-secondary" data-row="${i}" data-action="remove" title="移除">✕</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function renderModificationLibrary() {
+    const tbody = document.getElementById('modificationLibraryBody');
+    if (!tbody) return;
+
+    const numberCell = (entry, i, field, step) => `
+        <td class="text-right">
+            <input type="number" class="form-input" data-index="${i}" data-field="${field}"
+                value="${entry[field] ?? ''}" step="${step}" style="width: 6rem;">
+        </td>`;
+
+    tbody.innerHTML = AppState.modificationLibrary.map((entry, i) => `
+        <tr>
+            <td>
+                <input type="text" class="form-input" data-index="${i}" data-field="name" value="${escapeHtml(entry.name).replace(/"/g, '&quot;')}">
+            </td>
+            <td>
+                <select class="form-select" data-index="${i}" data-field="category">
+                    ${MODIFICATION_CATEGORIES.map(category => `
+                        <option value="${category.value}" ${category.value === entry.category ? 'selected' : ''}>${category.label}</option>
+                    `).join('')}
+                </select>
+            </td>
+            ${numberCell(entry, i, 'mw', 0.01)}
+            ${numberCell(entry, i, 'volume', 0.1)}
+            ${numberCell(entry, i, 'electrons', 1)}
+            ${numberCell(entry, i, 'epsilon280', 1)}
+            ${numberCell(entry, i, 'epsilon260', 1)}
+            ${numberCell(entry, i, 'dndc', 0.001)}
+            ${numberCell(entry, i, 'charge', 1)}
+            ${numberCell(entry, i, 'pka', 0.1)}
+            <td>
+                <button class="btn btn-sm btn-secondary" data-index="${i}" data-action="remove" title="刪除">✕</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * 取得附加於指定鏈的修飾 (含資料庫數值)
+ * @param {number} chainIndex - 鏈索引
+ * @returns {Array<object>} 修飾列表
+ */
+function getModificationsForChain(chainIndex) {
+    return AppState.modifications
+        .filter(row => row.chainIndex === chainIndex && row.count > 0)
+        .map(row => {
+            const entry = AppState.modificationLibrary.find(item => item.id === row.modId);
+            return entry ? { ...entry, count: row.count } : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * 理論 I(0) 的組分對比選項
+ * 僅在含核酸時逐組分計算；純蛋白質以 k_ref 經驗常數搭配 (溫度校正後的) v̄
+ * 已套用緩衝液時，以緩衝液電子密度取代水 (0.334 e/Å³)
+ * @param {object} data - analyzeComplex 結果或其中一條鏈
+ * @returns {object} calculateAllTheoreticalParams 的 i0Options
+ */
+function getTheoreticalI0Options(data) {
+    if (!data) return {};
+
+    const solvent = AppState.bufferData ?
+        { electronDensitySolvent: AppState.bufferData.electronDensity } : {};
+
+    if (data.scatteringComponents) {
+        return data.containsNucleicAcid ? {
+            partialSpecificVolume: data.partialSpecificVolume,
+            components: data.scatteringComponents,
+            ...solvent
+        } : { partialSpecificVolume: data.partialSpecificVolume, ...solvent };
+    }
+
+    // 單一鏈
+    if (!ProteinAnalysis.isNucleicAcidType(data.moleculeType)) {
+        return { partialSpecificVolume: data.partialSpecificVolume, ...solvent };
+    }
+    return {
+        partialSpecificVolume: data.partialSpecificVolume,
+        components: [{
+            type: data.moleculeType === 'RNA' ? 'rna' : 'dna',
+            massFraction: 1,
+            partialSpecificVolume: data.partialSpecificVolume,
+            electronDensity: data.electronCount / data.dryVolume
+        }],
+        ...solvent
+    };
+}
+
+/**
+ * 複合體各鏈明細表格
+ * @param {object} result - analyzeComplex 結果
+ * @returns {string} HTML
+ */
+function renderChainBreakdownTable(result) {
+    if (!result.isComplex) return '';
+
+    return `
+        <div class="section-divider"><span>鏈組成 (${escapeHtml(result.stoichiometry)})</span></div>
+
+        <div class="table-wrapper">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>鏈</th>
+                        <th>類型</th>
+                        <th class="text-right">拷貝數</th>
+                        <th class="text-right">長度</th>
+                        <th class="text-right">MW (Da)</th>
+                        <th class="text-right"><i>v̄</i> (cm³/g)</th>
+                        <th class="text-right">質量分率</th>
+                        <th class="text-right">淨電荷 (pH ${result.charge.pH})</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.chains.map(chain => `
+                        <tr>
+                            <td>${escapeHtml(chain.name)}</td>
+                            <td>${chain.moleculeType === 'protein' ? '蛋白質' : chain.moleculeType}</td>
+                            <td class="text-right">${chain.copies}</td>
+                            <td class="text-right">${chain.length}</td>
+                            <td class="text-right">${chain.molecularWeight.toFixed(2)}</td>
+                            <td class="text-right">${chain.partialSpecificVolume.toFixed(4)}</td>
+                            <td class="text-right">${(chain.massFraction * 100).toFixed(1)}%</td>
+                            <td class="text-right">${formatCharge(chain.charge.netCharge)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * 消光係數區塊：蛋白質顯示 280 nm 與 Trp/Tyr/Cys；含核酸時另列 ε260
+ * @param {object} result - analyzeComplex 結果
+ * @returns {string} HTML
+ */
+function renderExtinctionSection(result) {
+    const proteinItems = result.containsProtein ? `
+            <div class="result-item">
+                <div class="result-label">Trp (W)</div>
+                <div class="result-value">${result.extinction.nTrp}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">Tyr (Y)</div>
+                <div class="result-value">${result.extinction.nTyr}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">Cys (C)</div>
+                <div class="result-value">${result.extinction.nCys}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">二硫鍵數</div>
+                <div class="result-value">${result.extinction.nDisulfide}</div>
+            </div>` : '';
+
+    const nucleicSection = result.containsNucleicAcid ? `
+        <div class="section-divider"><span>核酸消光係數 (260 nm)</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label"><i>ε</i>₂₆₀ (M⁻¹ cm⁻¹)</div>
+                <div class="result-value">${result.extinction.epsilon260.toLocaleString()}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>ε</i>₂₆₀ (cm² g⁻¹)</div>
+                <div class="result-value">${(result.extinction.epsilon260 / result.molecularWeight * 1000).toFixed(2)}</div>
+            </div>
+        </div>
+        <div class="alert alert-info" style="margin-top: 0.5rem;">
+            核酸 ε₂₆₀ 為單核苷酸加總 (dsDNA 含減色校正)；280 nm 值以 A₂₈₀/A₂₆₀ 比值估算${result.containsProtein ? '；蛋白質於 260 nm 之吸收未計入' : ''}
+        </div>` : '';
+
+    return `
+        <div class="section-divider"><span>消光係數 (280 nm)</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label"><i>ε</i> (M⁻¹ cm⁻¹)</div>
+                <div class="result-value">${result.extinction.epsilon.toLocaleString()}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>ε</i> (cm² g⁻¹)</div>
+                <div class="result-value">${result.epsilonCm2g.toFixed(2)}</div>
+            </div>${proteinItems}
+        </div>
+        ${nucleicSection}
+    `;
+}
+
+/**
+ * 修飾 / 配體摘要
+ * @param {object} result - analyzeComplex 結果
+ * @returns {string} HTML
+ */
+function formatCharge(charge) {
+    return `${charge > 0 ? '+' : ''}${charge.toFixed(1)}`;
+}
+
+function renderChargeSection(result) {
+    const { pH, netCharge, isoelectricPoint } = result.charge;
+
+    return `
+        <div class="section-divider"><span>電荷 (含修飾)</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">等電點 pI</div>
+                <div class="result-value">${isoelectricPoint !== null ? isoelectricPoint.toFixed(2) : '-'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">淨電荷 (pH ${pH})</div>
+                <div class="result-value">${formatCharge(netCharge)} <span style="font-size: 0.75rem;">e</span></div>
+            </div>
+        </div>
+    `;
+}
+
+function renderModificationSummary(result) {
+    if (!result.modifications?.length) return '';
+
+    // 同一項目跨鏈合併計數
+    const merged = {};
+    result.modifications.forEach(mod => {
+        const key = mod.id || mod.name;
+        if (!merged[key]) merged[key] = { name: mod.name, count: 0 };
+        merged[key].count += mod.count;
+    });
+
+    return `
+        <div class="section-divider"><span>修飾 / 配體 (已計入 MW、<i>v̄</i>、<i>ε</i>、電荷)</span></div>
+
+        <div class="result-grid">
+            ${Object.values(merged).map(mod => `
+                <div class="result-item">
+                    <div class="result-label">${escapeHtml(mod.name)}</div>
+                    <div class="result-value">×${mod.count}</div>
+                </div>
+            `).join('')}
+            <div class="result-item">
+                <div class="result-label">發色團 <i>ε</i>₂₈₀ 貢獻</div>
+                <div class="result-value">${result.extinction.modificationEpsilon.toLocaleString()}</div>
+            </div>
+        </div>
+    `;
+}
+
+function displayProteinResults(result, name) {
+    const resultsDiv = document.getElementById('proteinResults');
+    const lengthUnit = result.containsProtein ? '殘基' : 'nt';
+
+    resultsDiv.innerHTML = `
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">蛋白質名稱</div>
+                <div class="result-value">${escapeHtml(name)}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">序列長度</div>
+                <div class="result-value">${result.length} <span style="font-size: 0.75rem;">${lengthUnit}</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">分子量</div>
+                <div class="result-value">${result.molecularWeight.toFixed(2)} <span style="font-size: 0.75rem;">Da</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">分子量 (kDa)</div>
+                <div class="result-value">${result.molecularWeightKDa.toFixed(3)} <span style="font-size: 0.75rem;">kDa</span></div>
+            </div>
+        </div>
+        
+        <div class="section-divider"><span>物理參數</span></div>
+        
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">乾燥體積</div>
+                <div class="result-value">${result.dryVolume.toFixed(1)} <span style="font-size: 0.75rem;">Å³</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">電子數</div>
+                <div class="result-value">${result.electronCount}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">部分比容 <i>v̄</i>${result.vbarTemperature !== undefined ? ` (${result.vbarTemperature} °C)` : ''}</div>
+                <div class="result-value">${result.partialSpecificVolume.toFixed(4)} <span style="font-size: 0.75rem;">cm³/g</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">dn/dc (${result.dndcWavelength} nm, ${result.dndcTemperature} °C)</div>
+                <div class="result-value">${result.dndc.toFixed(4)} <span style="font-size: 0.75rem;">mL/g</span></div>
+            </div>
+        </div>
+        
+        ${renderExtinctionSection(result)}
+        ${renderChargeSection(result)}
+        ${renderModificationSummary(result)}
+        ${renderChainBreakdownTable(result)}
+    `;
+}
+
+function displayProteinStats(result) {
+    const statsDiv = document.getElementById('proteinStats');
+    statsDiv.classList.remove('hidden');
+
+    statsDiv.innerHTML = `
+        <div class="stat-card">
+            <div class="stat-icon primary"></div>
+            <div class="stat-content">
+                <div class="stat-label">分子量</div>
+                <div class="stat-value">${result.molecularWeightKDa.toFixed(2)}<span class="stat-unit">kDa</span></div>
+                <div class="stat-sub">${result.molecularWeight.toFixed(0)} Da</div>
+            </div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-icon success"></div>
+            <div class="stat-content">
+                <div class="stat-label">序列長度</div>
+                <div class="stat-value">${result.length}<span class="stat-unit">${result.containsProtein ? '殘基' : 'nt'}</span></div>
+            </div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-icon warning"></div>
+            <div class="stat-content">
+                <div class="stat-label">乾燥體積</div>
+                <div class="stat-value">${(result.dryVolume / 1000).toFixed(1)}<span class="stat-unit">×10³ Å³</span></div>
+            </div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-icon danger"></div>
+            <div class="stat-content">
+                <div class="stat-label">消光係數 <i>ε</i></div>
+                <div class="stat-value">${(result.extinction.epsilon / 1000).toFixed(1)}<span class="stat-unit">×10³</span></div>
+                <div class="stat-sub">M⁻¹ cm⁻¹ @ 280nm</div>
+            </div>
+        </div>
+    `;
+}
+
+function createProteinCharts(result) {
+    const composition = result.composition;
+
+    // Destroy existing charts
+    destroyCharts(PROTEIN_CHART_KEYS);
+
+    const compositionCard = document.getElementById('compositionCard');
+    compositionCard.classList.remove('hidden');
+
+    // Create bar chart
+    AppState.charts.bar = SAXSCharts.createCompositionBarChart('compositionBarChart', composition);
+
+    // Create doughnut chart
+    AppState.charts.doughnut = SAXSCharts.createCompositionChart('compositionDoughnutChart', composition);
+
+    // Create charge-pH curve
+    const curve = ProteinAnalysis.calculateChargeCurve(result.chargeGroups);
+    AppState.charts.charge = SAXSCharts.createChargeCurveChart('chargeCurveChart', curve, result.charge);
+}
+
+/**
+ * 銷毀圖表
+ * @param {string[]} keys - AppState.charts 的鍵，預設全部
+ */
+function destroyCharts(keys = Object.keys(AppState.charts)) {
+    keys.forEach(key => {
+        if (AppState.charts[key]) AppState.charts[key].destroy();
+        delete AppState.charts[key];
+    });
+}
+
+function updateFormsWithProteinData(result) {
+    // Update Sample calculation form
+    const epsilonInput = document.getElementById('inputEpsilon');
+    const mwInput = document.getElementById('inputMw');
+    if (epsilonInput) epsilonInput.value = result.extinction.epsilon;
+    if (mwInput) mwInput.value = result.molecularWeight.toFixed(2);
+
+    // Update Centrifuge form
+    const centrifugeMw = document.getElementById('centrifugeMw');
+    const vbar = document.getElementById('vbar');
+    if (centrifugeMw) centrifugeMw.value = result.molecularWeight.toFixed(0);
+    if (vbar) vbar.value = result.partialSpecificVolume.toFixed(4);
+
+    // Update MW Resolution form
+    const mwResolutionInput = document.getElementById('mwInput');
+    if (mwResolutionInput) mwResolutionInput.value = result.molecularWeight.toFixed(2);
+
+    // Update HPLC dn/dc comparison value
+    const dndcTheoretical = document.getElementById('dndcTheoretical');
+    if (dndcTheoretical) dndcTheoretical.value = result.dndc.toFixed(4);
+
+    // Update SANS deuteration table
+    renderSANSChainRows(result);
+
+    // Keep buffer (centrifuge solvent density / viscosity) at the v̄ temperature
+    syncBufferTemperature(result.vbarTemperature);
+}
+
+// ========================
+// Buffer Composition Section
+// ========================
+const BUFFER_COMPONENTS_KEY = 'tps13a-buffer-components';
+
+function loadBufferComponents() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(BUFFER_COMPONENTS_KEY));
+        if (Array.isArray(stored)) return stored;
+    } catch (e) { /* fall through to defaults */ }
+    return [
+        { id: 'nacl', concentration: 150 },
+        { id: 'tris', concentration: 20 }
+    ];
+}
+
+function saveBufferComponents() {
+    try {
+        localStorage.setItem(BUFFER_COMPONENTS_KEY, JSON.stringify(AppState.bufferComponents));
+    } catch (e) { /* quota exceeded — ignore */ }
+}
+
+function initBufferSection() {
+    const calculateBtn = document.getElementById('calculateBuffer');
+    if (!calculateBtn) return;
+
+    AppState.bufferComponents = loadBufferComponents();
+
+    const select = document.getElementById('bufferComponentSelect');
+    const rowsBody = document.getElementById('bufferComponentRows');
+    const catalog = BufferCalculations.BUFFER_COMPONENTS;
+
+    select.innerHTML = Object.entries(catalog).map(([id, component]) => `
+        <option value="${id}">${escapeHtml(component.name)} (${component.unit})</option>
+    `).join('');
+
+    document.getElementById('addBufferComponent').addEventListener('click', () => {
+        const id = select.value;
+        if (!catalog[id]) return;
+        AppState.bufferComponents.push({ id, concentration: catalog[id].defaultConcentration });
+        saveBufferComponents();
+        renderBufferComponentRows();
+    });
+
+    rowsBody.addEventListener('change', (e) => {
+        const row = AppState.bufferComponents[e.target.dataset.row];
+        if (!row) return;
+        row.concentration = Math.max(0, parseFloat(e.target.value) || 0);
+        saveBufferComponents();
+    });
+    rowsBody.addEventListener('click', (e) => {
+        if (e.target.dataset.action !== 'remove') return;
+        AppState.bufferComponents.splice(parseInt(e.target.dataset.row, 10), 1);
+        saveBufferComponents();
+        renderBufferComponentRows();
+    });
+
+    calculateBtn.addEventListener('click', () => {
+        const temperature = parseFloat(document.getElementById('bufferTemperature').value);
+        const wavelength = parseFloat(document.getElementById('bufferWavelength').value);
+
+        if (isNaN(temperature) || temperature < 0 || temperature > 60) {
+            showAlert('bufferResults', 'error', '溫度必須介於 0–60 °C');
+            return;
+        }
+
+        const result = BufferCalculations.calculateBufferProperties(AppState.bufferComponents, {
+            temperature,
+            wavelength
+        });
+
+        AppState.bufferData = result;
+        displayBufferResults(result);
+        applyBufferToForms(result);
+    });
+
+    renderBufferComponentRows();
+}
+
+function renderBufferComponentRows() {
+    const tbody = document.getElementById('bufferComponentRows');
+    if (!tbody) return;
+
+    if (AppState.bufferComponents.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="4" style="color: var(--color-text-muted);">純水 (未加入成分)</td>
+            </tr>
+        `;
+        return;
+    }
+
+    const catalog = BufferCalculations.BUFFER_COMPONENTS;
+    tbody.innerHTML = AppState.bufferComponents.map((row, i) => {
+        const component = catalog[row.id];
+        if (!component) return '';
+        return `
+            <tr>
+                <td>${escapeHtml(component.name)}</td>
+                <td class="text-right">
+                    <input type="number" class="form-input" data-row="${i}" value="${row.concentration}"
+                        min="0" step="any" style="width: 6rem;">
+                </td>
+                <td>${component.unit}</td>
+                <td>
+                    <button class="btn btn-sm btn-secondary" data-row="${i}" data-action="remove" title="移除">✕</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function displayBufferResults(result) {
+    const resultsDiv = document.getElementById('bufferResults');
+    const composition = result.components.length > 0 ?
+        result.components.map(item => `${item.concentration} ${item.unit} ${item.name}`).join(', ') :
+        '純水';
+
+    resultsDiv.innerHTML = `
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">電子密度</div>
+                <div class="result-value">${result.electronDensity.toFixed(4)} <span style="font-size: 0.75rem;">e/Å³</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">密度</div>
+                <div class="result-value">${result.density.toFixed(4)} <span style="font-size: 0.75rem;">g/mL</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">黏度</div>
+                <div class="result-value">${(result.viscosity * 1000).toFixed(3)} <span style="font-size: 0.75rem;">mPa·s</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">折射率 (${result.wavelength} nm)</div>
+                <div class="result-value">${result.refractiveIndex.toFixed(4)}</div>
+            </div>
+        </div>
+
+        <div class="section-divider"><span>與純水比較 (${result.temperature} °C)</span></div>
+
+        <div class="table-wrapper">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>性質</th>
+                        <th class="text-right">純水</th>
+                        <th class="text-right">緩衝液</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td>電子密度 (e/Å³)</td>
+                        <td class="text-right">${result.water.electronDensity.toFixed(4)}</td>
+                        <td class="text-right">${result.electronDensity.toFixed(4)}</td>
+                    </tr>
+                    <tr>
+                        <td>密度 (g/mL)</td>
+                        <td class="text-right">${result.water.density.toFixed(4)}</td>
+                        <td class="text-right">${result.density.toFixed(4)}</td>
+                    </tr>
+                    <tr>
+                        <td>黏度 (mPa·s)</td>
+                        <td class="text-right">${(result.water.viscosity * 1000).toFixed(3)}</td>
+                        <td class="text-right">${(result.viscosity * 1000).toFixed(3)}</td>
+                    </tr>
+                    <tr>
+                        <td>折射率</td>
+                        <td class="text-right">${result.water.refractiveIndex.toFixed(4)}</td>
+                        <td class="text-right">${result.refractiveIndex.toFixed(4)}</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+
+        <div class="alert alert-success" style="margin-top: 1rem;">
+            已套用 ${escapeHtml(composition)}：SAXS 理論 <i>I</i>(0) 溶劑電子密度、離心黏度與溶劑密度、Lorentz-Lorenz 溶劑折射率與密度
+        </div>
+    `;
+}
+
+function applyBufferToForms(result) {
+    // Update Centrifuge form
+    const viscosity = document.getElementById('viscosity');
+    const solventDensity = document.getElementById('solventDensity');
+    if (viscosity) viscosity.value = result.viscosity.toPrecision(4);
+    if (solventDensity) solventDensity.value = result.density.toFixed(4);
+
+    // Update dn/dc Lorentz-Lorenz solvent
+    const llNSolvent = document.getElementById('llNSolvent');
+    const llDensitySolvent = document.getElementById('llDensitySolvent');
+    if (llNSolvent) llNSolvent.value = result.refractiveIndex.toFixed(4);
+    if (llDensitySolvent) llDensitySolvent.value = result.density.toFixed(4);
+
+    // Update theoretical I(0) contrast
+    updateTheoreticalValuesFromProtein();
+    saveFormState();
+}
+
+/**
+ * 將緩衝液溫度同步為量測溫度；已套用的緩衝液會在新溫度下重新計算
+ * @param {number} temperature - 量測溫度 (°C)
+ */
+function syncBufferTemperature(temperature) {
+    const input = document.getElementById('bufferTemperature');
+    if (!input || temperature === undefined) return;
+
+    input.value = temperature;
+    if (!AppState.bufferData || AppState.bufferData.temperature === temperature) {
+        saveFormState();
+        return;
+    }
+
+    const result = BufferCalculations.calculateBufferProperties(AppState.bufferComponents, {
+        temperature,
+        wavelength: AppState.bufferData.wavelength
+    });
+    AppState.bufferData = result;
+    displayBufferResults(result);
+    applyBufferToForms(result);
+}
+
+// ========================
+// SAXS Parameters Section
+// ========================
+function initSAXSSection() {
+    initAbsoluteCalibration();
+    initDataReduction();
+    initSAXSProfile();
+    initConcentrationSeries();
+    initModelScattering();
+    initShapeModels();
+
+    const calculateBtn = document.getElementById('calculateSAXS');
+    const concentrationInput = document.getElementById('sampleConcentration');
+    const theoreticalI0Display = document.getElementById('theoreticalI0Display');
+    const theoreticalRgDisplay = document.getElementById('theoreticalRgDisplay');
+    const predictedRgDisplay = document.getElementById('predictedRgDisplay');
+    const theoreticalDmaxDisplay = document.getElementById('theoreticalDmaxDisplay');
+    const theoreticalMWInput = document.getElementById('theoreticalMWInput');
+
+    // Function to update all theoretical values display
+    function updateTheoreticalValues() {
+        const concentration = parseFloat(concentrationInput.value) || 1.0;
+        // Use manual MW input if available, otherwise use protein data MW
+        let proteinMw = parseFloat(theoreticalMWInput?.value);
+        if (isNaN(proteinMw) || proteinMw <= 0) {
+            proteinMw = AppState.proteinData?.molecularWeight;
+        }
+
+        if (proteinMw) {
+            // Calculate all theoretical parameters at once
+            const result = SAXSCalculations.calculateAllTheoreticalParams(
+                proteinMw, concentration, getProteinType(), getTheoreticalI0Options(AppState.proteinData)
+            );
+
+            if (theoreticalI0Display) {
+                theoreticalI0Display.textContent = result.theoreticalI0.toExponential(2);
+            }
+            if (theoreticalRgDisplay) {
+                theoreticalRgDisplay.textContent = result.theoreticalRg.toFixed(1);
+            }
+            if (predictedRgDisplay) {
+                predictedRgDisplay.textContent = result.predictedRg.toFixed(2);
+            }
+            if (theoreticalDmaxDisplay) {
+                theoreticalDmaxDisplay.textContent = result.theoreticalDmax.toFixed(0);
+            }
+            // MW input already has the value, no need to update
+        } else {
+            if (theoreticalI0Display) theoreticalI0Display.textContent = '--';
+            if (theoreticalRgDisplay) theoreticalRgDisplay.textContent = '--';
+            if (predictedRgDisplay) predictedRgDisplay.textContent = '--';
+            if (theoreticalDmaxDisplay) theoreticalDmaxDisplay.textContent = '--';
+            // Clear input placeholder if no valid MW
+            if (theoreticalMWInput && !theoreticalMWInput.value) {
+                theoreticalMWInput.placeholder = '--';
+            }
+        }
+
+        updateTheoreticalChainBreakdown(concentration);
+    }
+
+    // Update theoretical values when concentration changes
+    if (concentrationInput) {
+        concentrationInput.addEventListener('input', updateTheoreticalValues);
+    }
+
+    // 蛋白質類型 (手動或由 Kratky 柔性分類套用) 影響理論 Rg / Dmax
+    document.getElementById('proteinType')?.addEventListener('change', updateTheoreticalValues);
 
     // Update theoretical values when MW input changes
     if (theoreticalMWInput) {
@@ -486,393 +1627,3763 @@ function initSAXSSection() {
         theoreticalMWInput.addEventListener('change', updateTheoreticalValues);
     }
 
-    // Initial update if protein data exists
-    updateTheoreticalValues();
+    // Initial update if protein data exists
+    updateTheoreticalValues();
+
+    calculateBtn.addEventListener('click', () => {
+        const concentration = parseFloat(document.getElementById('sampleConcentration').value);
+        const xrayEnergy = parseFloat(document.getElementById('xrayEnergy').value);
+        let i0Guinier = parseFloat(document.getElementById('i0Guinier').value);
+        const rgGuinier = parseFloat(document.getElementById('rgGuinier').value);
+        const guinierQmax = parseFloat(document.getElementById('guinierQmax').value);
+        let i0Pr = parseFloat(document.getElementById('i0Pr').value);
+        const rgPr = parseFloat(document.getElementById('rgPr').value);
+        const dmax = parseFloat(document.getElementById('dmax').value);
+        const porodVolume = parseFloat(document.getElementById('porodVolume').value);
+
+        // Validate required inputs
+        if (isNaN(concentration) || concentration <= 0) {
+            showAlert('saxsResults', 'error', '樣品濃度必須大於 0');
+            return;
+        }
+        if (isNaN(xrayEnergy) || xrayEnergy <= 0) {
+            showAlert('saxsResults', 'error', 'X 射線能量必須大於 0');
+            return;
+        }
+
+        // Calculate wavelength from energy
+        const wavelength = 12.398 / xrayEnergy; // Å
+
+        // Calculate MW from Porod volume
+        let mwFromPorod = null;
+        if (!isNaN(porodVolume) && porodVolume > 0) {
+            mwFromPorod = SAXSCalculations.estimateMwFromPorodVolume(porodVolume);
+        }
+
+        // Calculate all theoretical values if protein data exists
+        let theoreticalParams = null;
+        const proteinMw = AppState.proteinData?.molecularWeight;
+        if (proteinMw) {
+            theoreticalParams = SAXSCalculations.calculateAllTheoreticalParams(
+                proteinMw, concentration, getProteinType(), getTheoreticalI0Options(AppState.proteinData)
+            );
+        }
+
+        // 自動 Guinier / IFT 的誤差與範圍 (欄位未被手動修改時才帶入)
+        const guinierFit = getProfileFit('guinier', rgGuinier);
+        const iftFit = getProfileFit('ift', rgPr);
+
+        // 手動輸入的 I(0) 依目前條件換算為絕對強度 (自動分析的值已由曲線換算)
+        const calibration = getActiveCalibration();
+        i0Guinier *= getI0CalibrationScale(i0Guinier, guinierFit, calibration);
+        i0Pr *= getI0CalibrationScale(i0Pr, iftFit, calibration);
+
+        // Store SAXS data
+        AppState.saxsData = {
+            concentration,
+            wavelength,
+            xrayEnergy,
+            i0Guinier,
+            rgGuinier,
+            guinierQmax,
+            i0GuinierError: guinierFit?.i0Error,
+            rgGuinierError: guinierFit?.rgError,
+            guinierQmin: guinierFit?.qmin,
+            profileFile: AppState.saxsProfile?.fileName,
+            i0Pr,
+            rgPr,
+            dmax,
+            i0PrError: iftFit?.i0Error,
+            rgPrError: iftFit?.rgError,
+            mwFromVc: guinierFit ? AppState.saxsProfile.vc : null,
+            mwFromQp: guinierFit ? AppState.saxsProfile.qp : null,
+            porodVolume,
+            mwFromPorod,
+            calibration: guinierFit || iftFit ? AppState.saxsProfile.calibration : calibration,
+            theoreticalI0: theoreticalParams?.theoreticalI0,
+            theoreticalRg: theoreticalParams?.theoreticalRg,
+            theoreticalDmax: theoreticalParams?.theoreticalDmax
+        };
+
+        // Display results
+        displaySAXSResults(AppState.saxsData);
+
+        // Update IUCr table
+        updateIUCrTable();
+    });
+}
+
+// Update all theoretical values when protein analysis is done
+function updateTheoreticalValuesFromProtein() {
+    const concentrationInput = document.getElementById('sampleConcentration');
+    const theoreticalI0Display = document.getElementById('theoreticalI0Display');
+    const theoreticalRgDisplay = document.getElementById('theoreticalRgDisplay');
+    const predictedRgDisplay = document.getElementById('predictedRgDisplay');
+    const theoreticalDmaxDisplay = document.getElementById('theoreticalDmaxDisplay');
+    const theoreticalMWInput = document.getElementById('theoreticalMWInput');
+
+    // Detector distance elements
+    const detectorDistanceSource = document.getElementById('detectorDistanceSource');
+    const suggestedQminDisplay = document.getElementById('suggestedQminDisplay');
+    const suggestedSDDisplay = document.getElementById('suggestedSDDisplay');
+    const suggestedQrangeDisplay = document.getElementById('suggestedQrangeDisplay');
+
+    if (!concentrationInput) return;
+
+    const concentration = parseFloat(concentrationInput.value) || 1.0;
+    const proteinMw = AppState.proteinData?.molecularWeight;
+
+    if (proteinMw) {
+        const result = SAXSCalculations.calculateAllTheoreticalParams(
+            proteinMw, concentration, getProteinType(), getTheoreticalI0Options(AppState.proteinData)
+        );
+
+        if (theoreticalI0Display) {
+            theoreticalI0Display.textContent = result.theoreticalI0.toExponential(2);
+        }
+        if (theoreticalRgDisplay) {
+            theoreticalRgDisplay.textContent = result.theoreticalRg.toFixed(1);
+        }
+        if (predictedRgDisplay) {
+            predictedRgDisplay.textContent = result.predictedRg.toFixed(2);
+        }
+        if (theoreticalDmaxDisplay) {
+            theoreticalDmaxDisplay.textContent = result.theoreticalDmax.toFixed(0);
+        }
+        // Update MW input field with protein MW from sequence analysis
+        if (theoreticalMWInput) {
+            theoreticalMWInput.value = proteinMw.toFixed(0);
+        }
+
+        // Calculate and display detector distance recommendations using MW
+        const detectorResult = SAXSCalculations.calculateDetectorDistance(proteinMw, 'mw');
+
+        if (detectorDistanceSource) {
+            detectorDistanceSource.textContent = `Rg: ${detectorResult.rg.toFixed(1)} Å`;
+        }
+        if (suggestedQminDisplay) {
+            suggestedQminDisplay.textContent = detectorResult.qmin.toFixed(4);
+        }
+        if (suggestedSDDisplay) {
+            suggestedSDDisplay.textContent = detectorResult.suggestedSD.toLocaleString();
+        }
+        if (suggestedQrangeDisplay) {
+            suggestedQrangeDisplay.textContent = `${detectorResult.qmin.toFixed(3)}-0.4`;
+        }
+    }
+
+    updateTheoreticalChainBreakdown(concentration);
+}
+
+// 多鏈複合體：各鏈理論值 (解離時各鏈以其質量分率濃度單獨散射)
+function updateTheoreticalChainBreakdown(concentration) {
+    const container = document.getElementById('theoreticalChainBreakdown');
+    if (!container) return;
+
+    const proteinData = AppState.proteinData;
+    if (!proteinData?.isComplex) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    const rows = proteinData.chains.map(chain => {
+        const chainConcentration = concentration * chain.massFraction;
+        const params = SAXSCalculations.calculateAllTheoreticalParams(
+            chain.molecularWeight, chainConcentration, getProteinType(), getTheoreticalI0Options(chain)
+        );
+        return `
+            <tr>
+                <td>${escapeHtml(chain.name)} ×${chain.copies}</td>
+                <td class="text-right">${(chain.molecularWeight / 1000).toFixed(1)}</td>
+                <td class="text-right">${(chain.massFraction * 100).toFixed(1)}%</td>
+                <td class="text-right">${params.theoreticalI0.toExponential(2)}</td>
+                <td class="text-right">${params.theoreticalRg.toFixed(1)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.classList.remove('hidden');
+    container.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>鏈 (${escapeHtml(proteinData.stoichiometry)})</th>
+                    <th class="text-right">MW (kDa)</th>
+                    <th class="text-right">質量分率</th>
+                    <th class="text-right">解離 <i>I</i>(0)</th>
+                    <th class="text-right"><i>R</i><sub>g</sub> (Å)</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Keep backward compatibility
+function updateTheoreticalI0FromProtein() {
+    updateTheoreticalValuesFromProtein();
+}
+
+/**
+ * 手動 I(0) 的絕對強度換算倍率
+ * @param {number} i0 - 欄位中的 I(0)
+ * @param {object|null} fit - 對應的自動分析結果
+ * @param {object|null} calibration - 目前條件的校正
+ * @returns {number} 倍率 (值來自已載入曲線的自動分析時為 1)
+ */
+function getI0CalibrationScale(i0, fit, calibration) {
+    if (fit && Math.abs(fit.i0 - i0) <= 1e-5 * Math.abs(fit.i0)) return 1;
+    return calibration ? calibration.factor : 1;
+}
+
+function displaySAXSResults(data) {
+    const resultsDiv = document.getElementById('saxsResults');
+
+    const proteinMw = AppState.proteinData?.molecularWeight;
+    const dryVolume = AppState.proteinData?.dryVolume;
+
+    // Calculate MW from I(0) if concentration and I(0) are valid
+    let mwFromI0Guinier = null;
+    let mwFromI0Pr = null;
+    if (data.concentration > 0) {
+        if (!isNaN(data.i0Guinier) && data.i0Guinier > 0) {
+            mwFromI0Guinier = SAXSCalculations.calculateMwFromI0(data.i0Guinier, data.concentration);
+        }
+        if (!isNaN(data.i0Pr) && data.i0Pr > 0) {
+            mwFromI0Pr = SAXSCalculations.calculateMwFromI0(data.i0Pr, data.concentration);
+        }
+    }
+
+    // Build MW comparison alert
+    let mwAlertHtml = '';
+    if (proteinMw) {
+        const comparisons = [];
+        if (data.mwFromPorod) {
+            const ratio = data.mwFromPorod / proteinMw;
+            comparisons.push(`Porod / 序列 = ${ratio.toFixed(2)}`);
+        }
+        if (mwFromI0Guinier) {
+            const ratio = mwFromI0Guinier / proteinMw;
+            comparisons.push(`I(0) Guinier / 序列 = ${ratio.toFixed(2)}`);
+        }
+        if (mwFromI0Pr) {
+            const ratio = mwFromI0Pr / proteinMw;
+            comparisons.push(`I(0) P(r) / 序列 = ${ratio.toFixed(2)}`);
+        }
+        [['Vc', data.mwFromVc], ['Qp', data.mwFromQp]].forEach(([label, estimate]) => {
+            if (!estimate) return;
+            const { lower, upper } = estimate.interval;
+            comparisons.push(`${label} / 序列 = ${(estimate.mw / proteinMw).toFixed(2)} (${(lower / proteinMw).toFixed(2)}–${(upper / proteinMw).toFixed(2)})`);
+        });
+        if (comparisons.length > 0) {
+            // Use the first available MW ratio for color coding
+            const firstMw = data.mwFromPorod || mwFromI0Guinier || mwFromI0Pr;
+            const isClose = Math.abs(firstMw - proteinMw) / proteinMw < 0.2;
+            mwAlertHtml = `
+            <div class="alert ${isClose ? 'alert-success' : 'alert-warning'}" style="margin-top: 1rem;">
+                <strong>MW 比較：</strong>${comparisons.join(' | ')}
+                <br>${isClose ? '✓ 符合預期 (單體)' : '⚠️ 可能有聚集或複合物形成'}
+            </div>`;
+        }
+    }
+
+    resultsDiv.innerHTML = `
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">X 射線波長</div>
+                <div class="result-value">${data.wavelength.toFixed(5)} <span style="font-size: 0.75rem;">Å</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">樣品濃度</div>
+                <div class="result-value">${data.concentration} <span style="font-size: 0.75rem;">mg/mL</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">絕對強度校正</div>
+                <div class="result-value">${data.calibration
+                    ? `×${data.calibration.factor.toExponential(3)} <span style="font-size: 0.75rem;">${CALIBRATION_STANDARD_LABELS[data.calibration.standard]}, ${data.calibration.key}</span>`
+                    : '未校正'}</div>
+            </div>
+        </div>
+
+        <div class="section-divider"><span>Guinier 分析</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label"><i>I</i>(0) from Guinier</div>
+                <div class="result-value">${isNaN(data.i0Guinier) ? '-' : data.i0Guinier.toFixed(5)}${data.i0GuinierError ? ` ± ${data.i0GuinierError.toFixed(5)}` : ''} <span style="font-size: 0.75rem;">cm⁻¹</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>R</i><sub>g</sub> from Guinier</div>
+                <div class="result-value">${isNaN(data.rgGuinier) ? '-' : data.rgGuinier.toFixed(2)}${data.rgGuinierError ? ` ± ${data.rgGuinierError.toFixed(2)}` : ''} <span style="font-size: 0.75rem;">Å</span></div>
+            </div>
+        </div>
+        ${(() => {
+            if (!isNaN(data.guinierQmax) && !isNaN(data.rgGuinier) && data.guinierQmax > 0 && data.rgGuinier > 0) {
+                const qRg = data.guinierQmax * data.rgGuinier;
+                if (qRg > 1.3) {
+                    return `<div class="alert alert-warning" style="margin-top: 0.5rem;">
+                        ⚠️ <i>q</i><sub>max</sub> × <i>R</i><sub>g</sub> = ${qRg.toFixed(2)} > 1.3 — Guinier 擬合可能不可靠，建議降低 <i>q</i><sub>max</sub>
+                    </div>`;
+                }
+                return `<div class="alert alert-success" style="margin-top: 0.5rem;">
+                    ✓ <i>q</i><sub>max</sub> × <i>R</i><sub>g</sub> = ${qRg.toFixed(2)} ≤ 1.3 — Guinier 擬合範圍有效
+                </div>`;
+            }
+            return '';
+        })()}
+
+        <div class="section-divider"><span><i>P</i>(<i>r</i>) 分析</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label"><i>I</i>(0) from <i>P</i>(<i>r</i>)</div>
+                <div class="result-value">${isNaN(data.i0Pr) ? '-' : data.i0Pr.toFixed(5)}${data.i0PrError ? ` ± ${data.i0PrError.toFixed(5)}` : ''} <span style="font-size: 0.75rem;">cm⁻¹</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>R</i><sub>g</sub> from <i>P</i>(<i>r</i>)</div>
+                <div class="result-value">${isNaN(data.rgPr) ? '-' : data.rgPr.toFixed(2)}${data.rgPrError ? ` ± ${data.rgPrError.toFixed(2)}` : ''} <span style="font-size: 0.75rem;">Å</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>D</i><sub>max</sub></div>
+                <div class="result-value">${isNaN(data.dmax) ? '-' : data.dmax} <span style="font-size: 0.75rem;">Å</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">理論 <i>D</i><sub>max</sub> (序列)</div>
+                <div class="result-value">${data.theoreticalDmax ? data.theoreticalDmax.toFixed(0) : '-'} <span style="font-size: 0.75rem;">Å</span></div>
+            </div>
+        </div>
+
+        <div class="section-divider"><span>體積與分子量</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">Porod volume</div>
+                <div class="result-value">${isNaN(data.porodVolume) ? '-' : data.porodVolume.toLocaleString()} <span style="font-size: 0.75rem;">Å³</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">乾燥體積 (序列)</div>
+                <div class="result-value">${dryVolume ? dryVolume.toFixed(1) : '-'} <span style="font-size: 0.75rem;">Å³</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">MW from Porod</div>
+                <div class="result-value">${data.mwFromPorod ? data.mwFromPorod.toFixed(0) : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">MW from 序列</div>
+                <div class="result-value">${proteinMw ? proteinMw.toFixed(0) : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">MW from <i>I</i>(0) Guinier</div>
+                <div class="result-value">${mwFromI0Guinier ? mwFromI0Guinier.toFixed(0) : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">MW from <i>I</i>(0) <i>P</i>(<i>r</i>)</div>
+                <div class="result-value">${mwFromI0Pr ? mwFromI0Pr.toFixed(0) : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">MW from <i>V</i><sub>c</sub></div>
+                <div class="result-value">${data.mwFromVc ? `${data.mwFromVc.mw.toFixed(0)} ± ${(data.mwFromVc.mw * data.mwFromVc.interval.relativeError).toFixed(0)}` : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">MW from <i>Q</i><sub>p</sub></div>
+                <div class="result-value">${data.mwFromQp ? `${data.mwFromQp.mw.toFixed(0)} ± ${(data.mwFromQp.mw * data.mwFromQp.interval.relativeError).toFixed(0)}` : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+            </div>
+        </div>
+
+        ${mwAlertHtml}
+    `;
+}
+
+// ========================
+// Data Reduction (Frames / Buffer Subtraction)
+// ========================
+const FRAME_SET_LABELS = { sample: '樣品', buffer: '緩衝液' };
+
+function initDataReduction() {
+    const sampleInput = document.getElementById('sampleFramesInput');
+    if (!sampleInput) return;
+
+    [['sample', sampleInput], ['buffer', document.getElementById('bufferFramesInput')]].forEach(([set, input]) => {
+        input.addEventListener('change', async () => {
+            const files = [...input.files];
+            if (files.length === 0) return;
+
+            try {
+                const texts = await Promise.all(files.map(file => DndcFileParser.readFile(file)));
+                loadFrameSet(set, files.map((file, i) => ({ fileName: file.name, text: texts[i] })));
+            } catch (err) {
+                document.getElementById(`${set}FramesStatus`).textContent = `讀取失敗: ${err.message}`;
+            }
+        });
+    });
+
+    // α 變更時重新依 CorMap 選幀
+    document.getElementById('cormapAlpha').addEventListener('change', () => {
+        ['sample', 'buffer'].forEach(set => {
+            const frames = AppState.reduction[set];
+            if (frames) frames.selected = DataReduction.selectSimilarFrames(frames.comparison, getCormapAlpha());
+        });
+        renderFrameTables();
+        if (AppState.reduction.result) runReduction();
+    });
+
+    // 手動納入 / 排除單一幀
+    document.getElementById('reductionFrames').addEventListener('change', (e) => {
+        const frames = AppState.reduction[e.target.dataset.set];
+        if (!frames) return;
+        frames.selected[e.target.dataset.frame] = e.target.checked;
+        renderFrameTables();
+        if (AppState.reduction.result) runReduction();
+    });
+
+    document.getElementById('runReduction').addEventListener('click', runReduction);
+    document.getElementById('bufferScale').addEventListener('input', () => {
+        if (AppState.reduction.result) runReduction();
+    });
+
+    document.getElementById('exportReduction').addEventListener('click', () => {
+        const result = getReductionResult();
+        if (result) downloadTextFile(result.fileName, SAXSProfile.formatDatFile(result.profile, result.comments));
+    });
+    document.getElementById('useReduction').addEventListener('click', () => {
+        const result = getReductionResult();
+        if (result) loadSAXSProfile(result.fileName, formatReloadableDat(result.profile, result.comments), { calibration: result.calibration });
+    });
+    document.getElementById('addReductionToSeries').addEventListener('click', () => {
+        const result = getReductionResult();
+        if (result) addSeriesProfile(result.fileName, formatReloadableDat(result.profile, result.comments), { calibration: result.calibration });
+    });
+}
+
+function getCormapAlpha() {
+    const alpha = parseFloat(document.getElementById('cormapAlpha').value);
+    return alpha > 0 && alpha < 1 ? alpha : DataReduction.CORMAP_ALPHA;
+}
+
+/**
+ * 解析一組幀並執行兩兩 CorMap 檢定 (依檔名排序，第一幀為參考)
+ * @param {string} set - 'sample' | 'buffer'
+ * @param {Array<object>} files - [{ fileName, text }]
+ */
+function loadFrameSet(set, files) {
+    const status = document.getElementById(`${set}FramesStatus`);
+    const unit = document.getElementById('saxsQUnit').value;
+    const sorted = [...files].sort((a, b) => a.fileName.localeCompare(b.fileName, undefined, { numeric: true }));
+
+    const profiles = [];
+    let calibration = null;
+    for (const file of sorted) {
+        const parsed = SAXSProfile.parseDatFile(file.text, { qUnit: unit });
+        if (parsed.error) {
+            status.textContent = `${file.fileName}: ${parsed.message}`;
+            return;
+        }
+        const calibrated = calibrateUploadedProfile(parsed);
+        profiles.push(calibrated.profile);
+        calibration = calibrated.calibration;
+    }
+
+    const comparison = DataReduction.compareFrames(profiles);
+    if (comparison.error) {
+        status.textContent = comparison.message;
+        return;
+    }
+
+    AppState.reduction[set] = {
+        files: sorted,
+        fileNames: sorted.map(file => file.fileName),
+        profiles,
+        calibration,
+        comparison,
+        selected: DataReduction.selectSimilarFrames(comparison, getCormapAlpha())
+    };
+    AppState.reduction.result = null;
+    status.textContent = `已載入 ${profiles.length} 幀 (${comparison.points} 點` +
+        `${calibration ? `，絕對強度 k = ${calibration.factor.toExponential(3)}` : ''})`;
+    renderFrameTables();
+}
+
+function renderFrameTables() {
+    const container = document.getElementById('reductionFrames');
+    if (!container) return;
+
+    const alpha = getCormapAlpha();
+    container.innerHTML = ['sample', 'buffer'].filter(set => AppState.reduction[set]).map(set => {
+        const frames = AppState.reduction[set];
+        const matrix = frames.comparison.matrix;
+        let dissimilar = 0;
+        matrix.forEach((row, i) => row.forEach((cell, j) => {
+            if (j > i && cell.adjustedP < alpha) dissimilar++;
+        }));
+
+        return `
+            <div class="section-divider"><span>${FRAME_SET_LABELS[set]}幀 CorMap (參考: ${escapeHtml(frames.fileNames[0])})</span></div>
+            <div class="stat-sub">
+                納入 ${frames.selected.filter(Boolean).length}/${frames.profiles.length} 幀；
+                兩兩比較 ${dissimilar}/${matrix.length * (matrix.length - 1) / 2} 對校正後 <i>P</i> &lt; ${alpha}
+            </div>
+            <div class="table-wrapper mt-sm">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>檔案</th>
+                            <th class="text-right">最長同號段 <i>C</i></th>
+                            <th class="text-right">校正後 <i>P</i></th>
+                            <th class="text-right">相似</th>
+                            <th class="text-right">納入</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${frames.fileNames.map((fileName, i) => `
+                            <tr>
+                                <td>${i + 1}</td>
+                                <td>${escapeHtml(fileName)}</td>
+                                <td class="text-right">${i === 0 ? '-' : matrix[i][0].run}</td>
+                                <td class="text-right">${i === 0 ? '-' : matrix[i][0].adjustedP.toFixed(3)}</td>
+                                <td class="text-right">${i === 0 || matrix[i][0].adjustedP >= alpha ? '✓' : '✗'}</td>
+                                <td class="text-right">
+                                    <input type="checkbox" data-set="${set}" data-frame="${i}" ${frames.selected[i] ? 'checked' : ''}>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * 平均選定幀並扣除緩衝液 (未載入緩衝液時僅平均樣品幀)
+ */
+function runReduction() {
+    const { sample, buffer } = AppState.reduction;
+    destroyCharts(['reduction']);
+
+    if (!sample) {
+        showAlert('reductionResults', 'warning', '請先載入樣品幀');
+        return;
+    }
+    const sampleProfiles = sample.profiles.filter((_, i) => sample.selected[i]);
+    const bufferProfiles = buffer ? buffer.profiles.filter((_, i) => buffer.selected[i]) : [];
+    if (sampleProfiles.length === 0 || (buffer && bufferProfiles.length === 0)) {
+        showAlert('reductionResults', 'warning', '每組至少需納入一幀');
+        return;
+    }
+
+    const scaleValue = parseFloat(document.getElementById('bufferScale').value);
+    const scale = scaleValue >= 0 ? scaleValue : 1;
+    const sampleAverage = DataReduction.averageFrames(sampleProfiles);
+    const bufferAverage = buffer ? DataReduction.averageFrames(bufferProfiles) : null;
+
+    let profile = sampleAverage, subtracted = null;
+    if (bufferAverage) {
+        subtracted = DataReduction.subtractBuffer(sampleAverage, bufferAverage, scale);
+        if (subtracted.error) {
+            showAlert('reductionResults', 'error', subtracted.message);
+            return;
+        }
+        profile = subtracted.profile;
+    }
+
+    const baseName = sample.fileNames[sample.selected.indexOf(true)].replace(/\.[^.]+$/, '');
+    AppState.reduction.result = {
+        fileName: `${baseName}_${bufferAverage ? 'sub' : 'avg'}.dat`,
+        sample: sampleAverage,
+        buffer: bufferAverage,
+        scale,
+        profile,
+        subtracted,
+        calibration: sample.calibration,
+        comments: [
+            `Sample: ${sampleProfiles.length}/${sample.profiles.length} frames averaged (CorMap alpha = ${getCormapAlpha()})`,
+            ...(bufferAverage ? [
+                `Buffer: ${bufferProfiles.length}/${buffer.profiles.length} frames averaged, scale factor ${scale}`,
+                'I = I_sample - f * I_buffer; sigma = sqrt(sigma_s^2 + f^2 sigma_b^2)'
+            ] : ['No buffer subtracted'])
+        ]
+    };
+
+    displayReductionResults(AppState.reduction.result, sampleProfiles.length, bufferProfiles.length);
+    AppState.charts.reduction = SAXSCharts.createReductionChart('reductionChart', AppState.reduction.result);
+}
+
+/**
+ * 目前縮減結果；尚未執行時顯示提示
+ * @returns {object|null}
+ */
+function getReductionResult() {
+    const result = AppState.reduction.result;
+    if (!result) showAlert('reductionResults', 'warning', '請先執行平均並扣除');
+    return result;
+}
+
+function displayReductionResults(result, sampleCount, bufferCount) {
+    const container = document.getElementById('reductionResults');
+    if (!container) return;
+
+    const guinier = SAXSProfile.autoGuinier(result.profile);
+    const q = result.profile.q;
+
+    container.innerHTML = `
+        <div class="section-divider"><span>${escapeHtml(result.fileName)}</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">樣品 / 緩衝液幀數</div>
+                <div class="result-value">${sampleCount} / ${result.buffer ? bufferCount : '-'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">比例因子 <i>f</i></div>
+                <div class="result-value">${result.buffer ? result.scale : '-'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>q</i> 範圍 (${q.length} 點)</div>
+                <div class="result-value">${q[0].toFixed(4)}–${q[q.length - 1].toFixed(3)} <span style="font-size: 0.75rem;">Å⁻¹</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">Guinier <i>R</i><sub>g</sub> (快速檢查)</div>
+                <div class="result-value">${guinier ? `${guinier.rg.toFixed(2)} ± ${guinier.rgError.toFixed(2)} <span style="font-size: 0.75rem;">Å</span>` : '-'}</div>
+            </div>
+        </div>
+        ${result.subtracted?.oversubtracted ? `
+            <div class="alert alert-warning mt-sm">
+                高 <i>q</i> 尾端平均 ${result.subtracted.tailMean.toExponential(2)} ± ${result.subtracted.tailError.toExponential(1)} 顯著為負
+                (${result.subtracted.negativePoints} 點 &lt; 0) — 比例因子可能過大或緩衝液不匹配
+            </div>
+        ` : ''}
+    `;
+}
+
+// ========================
+// Absolute Calibration
+// ========================
+const CALIBRATIONS_KEY = 'tps13a-absolute-calibrations';
+const CALIBRATION_STANDARD_LABELS = { water: '水', glassyCarbon: '玻璃碳' };
+
+function loadCalibrations() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CALIBRATIONS_KEY));
+        if (stored && typeof stored === 'object') return stored;
+    } catch (e) { /* fall through to empty */ }
+    return {};
+}
+
+function saveCalibrations() {
+    try {
+        localStorage.setItem(CALIBRATIONS_KEY, JSON.stringify(AppState.calibration.stored));
+    } catch (e) { /* quota exceeded — ignore */ }
+}
+
+function initAbsoluteCalibration() {
+    const standardSelect = document.getElementById('calibrationStandard');
+    if (!standardSelect) return;
+
+    AppState.calibration.stored = loadCalibrations();
+
+    const toggleFields = () => {
+        document.getElementById('waterCalibrationFields').classList.toggle('hidden', standardSelect.value !== 'water');
+        document.getElementById('gcCalibrationFields').classList.toggle('hidden', standardSelect.value !== 'glassyCarbon');
+    };
+    standardSelect.addEventListener('change', toggleFields);
+    toggleFields();
+
+    [['measured', 'calibrationInput', 'calibrationFileStatus'], ['reference', 'gcReferenceInput', 'gcReferenceStatus']]
+        .forEach(([key, inputId, statusId]) => {
+            const input = document.getElementById(inputId);
+            const status = document.getElementById(statusId);
+            input.addEventListener('change', async () => {
+                const file = input.files[0];
+                if (!file) return;
+
+                try {
+                    const text = await DndcFileParser.readFile(file);
+                    const profile = SAXSProfile.parseDatFile(text, { qUnit: document.getElementById('saxsQUnit').value });
+                    if (profile.error) {
+                        status.textContent = profile.message;
+                        return;
+                    }
+                    AppState.calibration[key] = { fileName: file.name, profile };
+                    status.textContent = `已載入: ${file.name} (${profile.q.length} 點)`;
+                } catch (err) {
+                    status.textContent = `讀取失敗: ${err.message}`;
+                }
+            });
+        });
+
+    document.getElementById('runCalibration').addEventListener('click', runAbsoluteCalibration);
+
+    // 距離、能量或開關變更時改用對應的校正因子
+    ['calibrationDistance', 'xrayEnergy', 'applyCalibration'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            renderCalibrationStatus();
+            refreshCalibratedProfiles();
+        });
+    });
+
+    document.getElementById('calibrationTable').addEventListener('click', (e) => {
+        if (e.target.dataset.action !== 'remove') return;
+        delete AppState.calibration.stored[e.target.dataset.calibration];
+        saveCalibrations();
+        renderCalibrationTable();
+        renderCalibrationStatus();
+        refreshCalibratedProfiles();
+    });
+
+    renderCalibrationTable();
+    renderCalibrationStatus();
+}
+
+/**
+ * 目前量測條件 (偵測器距離與 X 射線能量)
+ * @returns {object|null} { distance (mm), energy (keV), key }；欄位無效時為 null
+ */
+function getCalibrationCondition() {
+    const distance = parseFloat(document.getElementById('calibrationDistance').value);
+    const energy = parseFloat(document.getElementById('xrayEnergy').value);
+    if (!(distance > 0) || !(energy > 0)) return null;
+    return { distance, energy, key: `${Math.round(distance)} mm / ${energy.toFixed(2)} keV` };
+}
+
+/**
+ * 目前條件下啟用中的校正 (未勾選自動套用或無紀錄時為 null)
+ * @returns {object|null} 儲存的校正紀錄
+ */
+function getActiveCalibration() {
+    if (!document.getElementById('applyCalibration')?.checked) return null;
+    const condition = getCalibrationCondition();
+    return condition ? AppState.calibration.stored[condition.key] || null : null;
+}
+
+/**
+ * 上傳曲線套用目前的絕對強度校正
+ * @param {object} profile - parseDatFile 結果
+ * @returns {object} { profile, calibration }
+ */
+function calibrateUploadedProfile(profile) {
+    const calibration = getActiveCalibration();
+    return calibration
+        ? { profile: DataReduction.scaleProfile(profile, calibration.factor), calibration }
+        : { profile, calibration: null };
+}
+
+function runAbsoluteCalibration() {
+    const condition = getCalibrationCondition();
+    const measured = AppState.calibration.measured;
+    if (!condition) {
+        showAlert('calibrationResults', 'warning', '請輸入偵測器距離與 X 射線能量');
+        return;
+    }
+    if (!measured) {
+        showAlert('calibrationResults', 'warning', '請先載入標準品量測曲線');
+        return;
+    }
+
+    const standard = document.getElementById('calibrationStandard').value;
+    let result;
+    if (standard === 'water') {
+        const temperature = parseFloat(document.getElementById('waterTemperature').value);
+        result = DataReduction.calibrateWithWater(measured.profile, isNaN(temperature) ? 20 : temperature);
+    } else {
+        const reference = AppState.calibration.reference;
+        if (!reference) {
+            showAlert('calibrationResults', 'warning', '請先載入玻璃碳認證曲線');
+            return;
+        }
+        result = DataReduction.calibrateWithGlassyCarbon(measured.profile, reference.profile, {
+            thickness: parseFloat(document.getElementById('gcThickness').value),
+            sampleThickness: parseFloat(document.getElementById('samplePathLength').value)
+        });
+    }
+
+    if (result.error) {
+        showAlert('calibrationResults', 'error', result.message);
+        return;
+    }
+
+    AppState.calibration.stored[condition.key] = {
+        key: condition.key,
+        distance: condition.distance,
+        energy: condition.energy,
+        standard: result.standard,
+        factor: result.factor,
+        factorError: result.factorError,
+        fileName: measured.fileName,
+        detail: standard === 'water'
+            ? `${result.temperature} °C, dΣ/dΩ = ${result.expected.toFixed(5)} cm⁻¹`
+            : `d = ${result.thickness} mm, 樣品 ${result.sampleThickness} mm`,
+        date: new Date().toISOString().slice(0, 10)
+    };
+    saveCalibrations();
+
+    displayCalibrationResult(result, condition);
+    renderCalibrationTable();
+    renderCalibrationStatus();
+    refreshCalibratedProfiles();
+}
+
+/**
+ * 校正條件變更後以原始內容重新載入上傳的曲線 (已由其他結果換算者除外)
+ */
+function refreshCalibratedProfiles() {
+    const state = AppState.saxsProfile;
+    if (state && !state.options.calibration) {
+        loadSAXSProfile(state.fileName, state.text, state.options);
+    } else if (AppState.saxsData) {
+        // 手動 I(0) 依新的校正因子重新計算
+        document.getElementById('calculateSAXS').click();
+    }
+
+    const hadReduction = Boolean(AppState.reduction.result);
+    ['sample', 'buffer'].forEach(set => {
+        const frames = AppState.reduction[set];
+        if (!frames) return;
+        const selected = frames.selected;
+        loadFrameSet(set, frames.files);
+        if (AppState.reduction[set]?.selected.length === selected.length) AppState.reduction[set].selected = selected;
+    });
+    if (AppState.reduction.sample) renderFrameTables();
+    if (hadReduction) runReduction();
+
+    const series = AppState.concentrationSeries;
+    series.entries.forEach(entry => {
+        if (entry.options.calibration) return;
+        const parsed = SAXSProfile.parseDatFile(entry.text, { qUnit: document.getElementById('saxsQUnit').value });
+        if (parsed.error) return;
+        Object.assign(entry, calibrateUploadedProfile(parsed));
+    });
+    if (series.result) runConcentrationSeries();
+
+    if (AppState.secFrames) loadSecFrames(AppState.secFrames.files, { keepRegions: true });
+}
+
+function renderCalibrationStatus() {
+    const status = document.getElementById('calibrationStatus');
+    if (!status) return;
+
+    const condition = getCalibrationCondition();
+    const calibration = condition ? AppState.calibration.stored[condition.key] : null;
+    if (!condition) {
+        status.textContent = '未設定偵測器距離: 強度視為已是 cm⁻¹';
+    } else if (!calibration) {
+        status.textContent = `${condition.key}: 尚無校正紀錄，強度視為已是 cm⁻¹`;
+    } else {
+        status.textContent = `${condition.key}: k = ${calibration.factor.toExponential(4)} ` +
+            `(${CALIBRATION_STANDARD_LABELS[calibration.standard]}, ${calibration.date})` +
+            `${document.getElementById('applyCalibration').checked ? '' : '，未套用'}`;
+    }
+}
+
+function renderCalibrationTable() {
+    const container = document.getElementById('calibrationTable');
+    if (!container) return;
+
+    const entries = Object.values(AppState.calibration.stored)
+        .sort((a, b) => a.distance - b.distance || a.energy - b.energy);
+    if (entries.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="section-divider"><span>已儲存的校正</span></div>
+        <div class="table-wrapper">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>條件</th>
+                        <th>標準品</th>
+                        <th class="text-right"><i>k</i> (cm⁻¹ / 計數)</th>
+                        <th>來源</th>
+                        <th>日期</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => `
+                        <tr>
+                            <td>${entry.key}</td>
+                            <td>${CALIBRATION_STANDARD_LABELS[entry.standard]}</td>
+                            <td class="text-right">${entry.factor.toExponential(4)} ± ${entry.factorError.toExponential(1)}</td>
+                            <td>${escapeHtml(entry.fileName)} (${entry.detail})</td>
+                            <td>${entry.date}</td>
+                            <td>
+                                <button class="btn btn-sm btn-secondary" data-calibration="${entry.key}" data-action="remove" title="刪除">✕</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function displayCalibrationResult(result, condition) {
+    const container = document.getElementById('calibrationResults');
+    if (!container) return;
+
+    const isWater = result.standard === 'water';
+    container.innerHTML = `
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">校正因子 <i>k</i> (${condition.key})</div>
+                <div class="result-value">${result.factor.toExponential(4)} ± ${result.factorError.toExponential(1)}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">${isWater ? `水 dΣ/dΩ (${result.temperature} °C)` : '認證 / 量測比值'}</div>
+                <div class="result-value">${isWater
+                    ? `${result.expected.toFixed(5)} <span style="font-size: 0.75rem;">cm⁻¹</span>`
+                    : `${result.ratio.toExponential(4)} ± ${result.ratioError.toExponential(1)}`}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">${isWater ? '量測平台強度' : '厚度比 d<sub>GC</sub>/d<sub>樣品</sub>'}</div>
+                <div class="result-value">${isWater
+                    ? `${result.measured.toExponential(4)} ± ${result.measuredError.toExponential(1)}`
+                    : (result.thickness / result.sampleThickness).toFixed(4)}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>q</i> 範圍 (${result.points} 點)</div>
+                <div class="result-value">${result.qmin.toFixed(3)}–${result.qmax.toFixed(3)} <span style="font-size: 0.75rem;">Å⁻¹</span></div>
+            </div>
+        </div>
+        <div class="alert ${result.flat ? 'alert-success' : 'alert-warning'} mt-sm">
+            ${isWater
+                ? `平台前後段相對差 ${(result.variation * 100).toFixed(1)}%${result.flat ? '' : ' — 水的曲線不平坦，請檢查空管扣除或寄生散射'}`
+                : `比值相對離散 ${(result.variation * 100).toFixed(1)}%${result.flat ? '' : ' — 量測與認證曲線形狀不符，請檢查 q 校正或背景'}`}
+        </div>
+    `;
+}
+
+// ========================
+// SAXS Profile (.dat) Analysis
+// ========================
+function initSAXSProfile() {
+    const fileInput = document.getElementById('saxsDatInput');
+    if (!fileInput) return;
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const text = await DndcFileParser.readFile(file);
+            loadSAXSProfile(file.name, text);
+        } catch (err) {
+            document.getElementById('saxsDatStatus').textContent = `讀取失敗: ${err.message}`;
+        }
+    });
+
+    // q 單位變更時以原始內容重新解析
+    document.getElementById('saxsQUnit').addEventListener('change', () => {
+        const state = AppState.saxsProfile;
+        if (state) loadSAXSProfile(state.fileName, state.text, state.options);
+    });
+    // Guinier 為 P(r) 與 Porod 的起點，重新執行時一併更新
+    document.getElementById('runAutoGuinier').addEventListener('click', analyzeSAXSProfile);
+    document.getElementById('runIFT').addEventListener('click', () => {
+        runProfileIFT();
+        document.getElementById('calculateSAXS').click();
+    });
+    document.getElementById('runPorod').addEventListener('click', () => {
+        runPorodAnalysis();
+        document.getElementById('calculateSAXS').click();
+    });
+    document.getElementById('runMwEstimates').addEventListener('click', () => {
+        runMwEstimates();
+        document.getElementById('calculateSAXS').click();
+    });
+
+    // 柔性分類套用至理論 Rg 的 proteinType
+    document.getElementById('flexibilityResults').addEventListener('click', (e) => {
+        const type = e.target.closest('[data-protein-type]')?.dataset.proteinType;
+        if (!type) return;
+        const select = document.getElementById('proteinType');
+        select.value = type;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        displayFlexibilityResults(AppState.saxsProfile.flexibility);
+    });
+}
+
+/**
+ * 解析 .dat 內容 (套用絕對強度校正) 並執行全部分析
+ * @param {string} fileName - 檔名
+ * @param {string} text - 檔案內容
+ * @param {object} options - 選項
+ * @param {object} options.calibration - 內容已依此校正換算 (由縮減或外推產生)；未提供時套用目前條件的校正
+ */
+function loadSAXSProfile(fileName, text, options = {}) {
+    const status = document.getElementById('saxsDatStatus');
+    const parsed = SAXSProfile.parseDatFile(text, { qUnit: document.getElementById('saxsQUnit').value });
+
+    if (parsed.error) {
+        status.textContent = parsed.message;
+        return;
+    }
+
+    const { profile, calibration } = options.calibration
+        ? { profile: parsed, calibration: options.calibration }
+        : calibrateUploadedProfile(parsed);
+    AppState.saxsProfile = {
+        fileName, text, options, calibration, profile,
+        guinier: null, ift: null, porod: null, vc: null, qp: null, flexibility: null
+    };
+    const qMin = Math.min(...profile.q);
+    const qMax = Math.max(...profile.q);
+    status.textContent = `已載入: ${fileName} (${profile.q.length} 點, q = ${qMin.toFixed(4)}–${qMax.toFixed(3)} Å⁻¹` +
+        `${profile.qUnit === 'nm' ? '，由 nm⁻¹ 換算' : ''}${profile.hasSigma ? '' : '，無 σ 欄位 (等權重)'}` +
+        `${calibration ? `，絕對強度 k = ${calibration.factor.toExponential(3)}` : ''})`;
+
+    analyzeSAXSProfile();
+}
+
+/**
+ * 輸出可由 loadSAXSProfile 重新解析的 .dat 文字 (q 依目前 q 單位設定換算)
+ * @param {object} profile - { q (Å⁻¹), intensity, sigma }
+ * @param {Array<string>} comments - 標頭註解
+ * @returns {string} 檔案內容
+ */
+function formatReloadableDat(profile, comments) {
+    const qScale = document.getElementById('saxsQUnit').value === 'nm' ? 10 : 1;
+    return SAXSProfile.formatDatFile({ ...profile, q: profile.q.map(q => q * qScale) }, comments);
+}
+
+/**
+ * 依序執行 Guinier、P(r)、Porod、Vc/Qp、Kratky 分析 (已載入原子模型時重新擬合)，再更新 SAXS 結果與 IUCr 表格
+ */
+function analyzeSAXSProfile() {
+    if (!AppState.saxsProfile) {
+        document.getElementById('saxsDatStatus').textContent = '請先載入 .dat 檔案';
+        return;
+    }
+
+    runAutoGuinier();
+    runProfileIFT();
+    runPorodAnalysis();
+    runMwEstimates();
+    runFlexibilityAnalysis();
+    if (AppState.modelScattering) runModelScattering();
+    document.getElementById('calculateSAXS').click();
+}
+
+function runAutoGuinier() {
+    const state = AppState.saxsProfile;
+    if (!state) {
+        document.getElementById('saxsDatStatus').textContent = '請先載入 .dat 檔案';
+        return;
+    }
+
+    const limit = parseFloat(document.getElementById('guinierQRgLimit').value);
+    const fit = SAXSProfile.autoGuinier(state.profile, {
+        qRgLimit: isNaN(limit) ? 1.3 : Math.min(Math.max(limit, 0.5), 1.5)
+    });
+    state.guinier = fit;
+
+    document.getElementById('saxsProfileCard').classList.remove('hidden');
+    destroyCharts(['guinier']);
+
+    if (!fit) {
+        showAlert('guinierResults', 'error', '找不到符合 q·Rg 條件的 Guinier 區間 (可能有聚集、輻射損傷或雜訊過大)');
+        return;
+    }
+
+    document.getElementById('i0Guinier').value = parseFloat(fit.i0.toPrecision(6));
+    document.getElementById('rgGuinier').value = fit.rg.toFixed(2);
+    document.getElementById('guinierQmax').value = fit.qmax.toFixed(4);
+    saveFormState();
+
+    displayGuinierResults(fit);
+    AppState.charts.guinier = SAXSCharts.createGuinierChart('guinierChart', state.profile, fit);
+}
+
+/**
+ * .dat 分析結果 (僅在 Rg 欄位仍為擬合值時使用)
+ * @param {string} key - 'guinier' | 'ift'
+ * @param {number} rg - 目前對應 Rg 欄位數值
+ * @returns {object|null} autoGuinier / autoIFT 結果
+ */
+function getProfileFit(key, rg) {
+    const fit = AppState.saxsProfile?.[key];
+    if (!fit || isNaN(rg)) return null;
+    return Math.abs(fit.rg - rg) < 0.01 ? fit : null;
+}
+
+function displayGuinierResults(fit) {
+    const container = document.getElementById('guinierResults');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div class="section-divider"><span>自動 Guinier 分析</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label"><i>I</i>(0)</div>
+                <div class="result-value">${fit.i0.toExponential(4)} ± ${fit.i0Error.toExponential(1)}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>R</i><sub>g</sub></div>
+                <div class="result-value">${fit.rg.toFixed(2)} ± ${fit.rgError.toFixed(2)} <span style="font-size: 0.75rem;">Å</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>q</i> 範圍 (點 ${fit.start + 1}–${fit.end + 1})</div>
+                <div class="result-value">${fit.qmin.toFixed(4)}–${fit.qmax.toFixed(4)} <span style="font-size: 0.75rem;">Å⁻¹</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>q</i>·<i>R</i><sub>g</sub> 範圍</div>
+                <div class="result-value">${fit.qRgMin.toFixed(2)}–${fit.qRgMax.toFixed(2)}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">Reduced χ²</div>
+                <div class="result-value">${fit.chi2.toFixed(2)}</div>
+            </div>
+        </div>
+        ${fit.start > 0 ? `
+            <div class="alert alert-warning mt-sm">
+                已略過前 ${fit.start} 點 (低 q 上翹可能為聚集或 beamstop 邊緣)
+            </div>
+        ` : ''}
+    `;
+}
+
+function runProfileIFT() {
+    const state = AppState.saxsProfile;
+    if (!state) {
+        document.getElementById('saxsDatStatus').textContent = '請先載入 .dat 檔案';
+        return;
+    }
+
+    const dmax = parseFloat(document.getElementById('iftDmax').value);
+    const alpha = parseFloat(document.getElementById('iftAlpha').value);
+    // 以 Guinier 起點略過低 q 聚集區，Rg 作為 Dmax 掃描基準
+    const ift = SAXSProfile.autoIFT(state.profile, {
+        rg: state.guinier?.rg,
+        start: state.guinier?.start ?? 0,
+        dmax: dmax > 0 ? dmax : null,
+        alpha: alpha > 0 ? alpha : null
+    });
+    state.ift = ift;
+
+    document.getElementById('saxsProfileCard').classList.remove('hidden');
+    destroyCharts(['pr', 'iftFit']);
+
+    if (!ift) {
+        showAlert('iftResults', 'error', 'P(r) 計算失敗 (需要有效的 Guinier Rg 或指定 Dmax)');
+        return;
+    }
+
+    document.getElementById('i0Pr').value = parseFloat(ift.i0.toPrecision(6));
+    document.getElementById('rgPr').value = ift.rg.toFixed(2);
+    document.getElementById('dmax').value = ift.dmax.toFixed(1);
+    saveFormState();
+
+    displayIFTResults(ift);
+    AppState.charts.pr = SAXSCharts.createPrChart('prChart', ift);
+    AppState.charts.iftFit = SAXSCharts.createIftFitChart('iftFitChart', ift);
+}
+
+// calculateTheoreticalDmax 的形狀類型
+const DMAX_SHAPE_LABELS = { sphere: '球形', globular: '球狀蛋白', elongated: '伸長型' };
+
+function displayIFTResults(ift) {
+    const container = document.getElementById('iftResults');
+    if (!container) return;
+
+    // 與 calculateTheoreticalDmax 的形狀經驗範圍比較
+    const rows = Object.entries(DMAX_SHAPE_LABELS).map(([shape, label]) => {
+        const theory = SAXSCalculations.calculateTheoreticalDmax(ift.rg, shape);
+        const inRange = ift.dmax >= theory.dmaxRange.min && ift.dmax <= theory.dmaxRange.max;
+        return `
+            <tr>
+                <td>${label}</td>
+                <td class="text-right">${theory.factor.toFixed(2)}</td>
+                <td class="text-right">${theory.dmaxRange.min.toFixed(1)}–${theory.dmaxRange.max.toFixed(1)}</td>
+                <td class="text-right">${inRange ? '✓' : ''}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="section-divider"><span>間接傅立葉轉換 <i>P</i>(<i>r</i>)</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label"><i>I</i>(0)</div>
+                <div class="result-value">${ift.i0.toExponential(4)} ± ${ift.i0Error.toExponential(1)}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>R</i><sub>g</sub></div>
+                <div class="result-value">${ift.rg.toFixed(2)} ± ${ift.rgError.toFixed(2)} <span style="font-size: 0.75rem;">Å</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>D</i><sub>max</sub> (${ift.dmaxAuto ? '自動' : '指定'})</div>
+                <div class="result-value">${ift.dmax.toFixed(1)} <span style="font-size: 0.75rem;">Å</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">α (${ift.alphaAuto ? '自動' : '指定'})</div>
+                <div class="result-value">${ift.alpha.toExponential(2)}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>q</i> 範圍</div>
+                <div class="result-value">${ift.qmin.toFixed(4)}–${ift.qmax.toFixed(3)} <span style="font-size: 0.75rem;">Å⁻¹</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">Reduced χ² (有效參數 ${ift.goodParameters.toFixed(1)})</div>
+                <div class="result-value">${ift.chi2.toFixed(2)}</div>
+            </div>
+        </div>
+
+        <div class="table-wrapper mt-md">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>形狀 (<i>D</i><sub>max</sub>/<i>R</i><sub>g</sub> = ${(ift.dmax / ift.rg).toFixed(2)})</th>
+                        <th class="text-right">係數</th>
+                        <th class="text-right">理論 <i>D</i><sub>max</sub> 範圍 (Å)</th>
+                        <th class="text-right">符合</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        ${ift.dmaxAuto ? `
+            <div class="stat-sub mt-sm">
+                <i>D</i><sub>max</sub> 掃描 ${ift.scan[0].dmax.toFixed(0)}–${ift.scan[ift.scan.length - 1].dmax.toFixed(0)} Å (${ift.scan.length} 點)，取貝氏證據最大者
+            </div>
+        ` : ''}
+    `;
+}
+
+function runPorodAnalysis() {
+    const state = AppState.saxsProfile;
+    if (!state) {
+        document.getElementById('saxsDatStatus').textContent = '請先載入 .dat 檔案';
+        return;
+    }
+
+    const qmaxRg = parseFloat(document.getElementById('porodQmaxRg').value);
+    const guinier = state.guinier;
+    const porod = guinier ? SAXSProfile.calculatePorodInvariant(state.profile, {
+        i0: guinier.i0,
+        rg: guinier.rg,
+        start: guinier.start,
+        qmaxRg: isNaN(qmaxRg) ? 8 : Math.min(Math.max(qmaxRg, 3), 12),
+        subtractConstant: document.getElementById('porodSubtractConstant').checked
+    }) : null;
+
+    document.getElementById('saxsProfileCard').classList.remove('hidden');
+    destroyCharts(['porod']);
+
+    if (!porod) {
+        state.porod = null;
+        showAlert('porodResults', 'error', 'Porod 不變量計算失敗 (需要有效的 Guinier 擬合，且積分範圍與 q·Rg ≥ 4 的平台範圍內各至少 10 點)');
+        return;
+    }
+
+    const volume = SAXSCalculations.calculatePorodVolume(guinier.i0, porod.invariant);
+    state.porod = { ...porod, i0: guinier.i0, volume, mw: SAXSCalculations.estimateMwFromPorodVolume(volume) };
+
+    document.getElementById('porodVolume').value = volume.toFixed(0);
+    saveFormState();
+
+    displayPorodResults(state.porod);
+    AppState.charts.porod = SAXSCharts.createPorodChart('porodChart', state.profile, state.porod);
+}
+
+function displayPorodResults(porod) {
+    const container = document.getElementById('porodResults');
+    if (!container) return;
+
+    const { guinier, data, tail } = porod.contributions;
+
+    container.innerHTML = `
+        <div class="section-divider"><span>Porod 不變量與體積</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">不變量 <i>Q</i></div>
+                <div class="result-value">${porod.invariant.toExponential(4)} <span style="font-size: 0.75rem;">cm⁻¹ Å⁻³</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">Porod volume <i>V</i><sub>p</sub></div>
+                <div class="result-value">${porod.volume.toFixed(0)} <span style="font-size: 0.75rem;">Å³</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">MW (<i>V</i><sub>p</sub> / 1.66)</div>
+                <div class="result-value">${porod.mw.toFixed(0)} <span style="font-size: 0.75rem;">Da</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">積分範圍 (<i>q</i><sub>max</sub>·<i>R</i><sub>g</sub> = ${porod.qmaxRg.toFixed(1)})</div>
+                <div class="result-value">0–${porod.qmax.toFixed(4)} <span style="font-size: 0.75rem;">Å⁻¹</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">平台常數 <i>B</i></div>
+                <div class="result-value">${porod.constant ? porod.constant.toExponential(3) : '未扣除'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">Porod 常數 <i>K</i></div>
+                <div class="result-value">${porod.porodConstant.toExponential(3)}</div>
+            </div>
+        </div>
+        <div class="stat-sub mt-sm">
+            <i>Q</i> 組成: Guinier 外插 ${(guinier / porod.invariant * 100).toFixed(1)}%、數據 ${(data / porod.invariant * 100).toFixed(1)}%、<i>K</i>/<i>q</i><sub>max</sub> 尾端 ${(tail / porod.invariant * 100).toFixed(1)}%
+        </div>
+        ${porod.porodConstant <= 0 ? `
+            <div class="alert alert-warning mt-sm">
+                Porod 平台擬合得到 <i>K</i> ≤ 0，常數扣除可能過度；建議確認高 <i>q</i> 數據 (緩衝液扣除) 或取消常數扣除
+            </div>
+        ` : ''}
+    `;
+}
+
+function runMwEstimates() {
+    const state = AppState.saxsProfile;
+    if (!state) {
+        document.getElementById('saxsDatStatus').textContent = '請先載入 .dat 檔案';
+        return;
+    }
+
+    const guinier = state.guinier;
+    const qmax = parseFloat(document.getElementById('mwQmax').value);
+    const options = guinier ? {
+        i0: guinier.i0,
+        i0Error: guinier.i0Error,
+        rg: guinier.rg,
+        rgError: guinier.rgError,
+        start: guinier.start,
+        qmax: isNaN(qmax) ? 0.3 : qmax,
+        moleculeType: AppState.proteinData?.moleculeType === 'RNA' ? 'rna' : 'protein'
+    } : null;
+    state.vc = options ? SAXSProfile.estimateMwFromVc(state.profile, options) : null;
+    state.qp = options ? SAXSProfile.estimateMwFromQp(state.profile, options) : null;
+
+    document.getElementById('saxsProfileCard').classList.remove('hidden');
+    if (!state.vc && !state.qp) {
+        showAlert('mwEstimateResults', 'error', 'Vc / Qp 計算失敗 (需要有效的 Guinier 擬合，且積分範圍內至少 10 點)');
+        return;
+    }
+    displayMwEstimates(state.vc, state.qp);
+}
+
+function displayMwEstimates(vc, qp) {
+    const container = document.getElementById('mwEstimateResults');
+    if (!container) return;
+
+    const formatInterval = estimate => `${estimate.interval.lower.toFixed(0)}–${estimate.interval.upper.toFixed(0)}`;
+
+    container.innerHTML = `
+        <div class="section-divider"><span>濃度無關分子量</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label"><i>V</i><sub>c</sub> (Rambo–Tainer)</div>
+                <div class="result-value">${vc ? vc.vc.toFixed(1) : '-'} <span style="font-size: 0.75rem;">Å²</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">MW from <i>Q</i><sub>R</sub> = <i>V</i><sub>c</sub>²/<i>R</i><sub>g</sub> (${vc?.moleculeType === 'rna' ? 'RNA' : '蛋白質'})</div>
+                <div class="result-value">${vc ? vc.mw.toFixed(0) : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>V</i><sub>c</sub> 可信區間</div>
+                <div class="result-value">${vc ? formatInterval(vc) : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>Q</i><sub>p</sub> 表觀 / 校正體積</div>
+                <div class="result-value">${qp ? `${qp.apparentVolume.toFixed(0)} / ${qp.volume.toFixed(0)}` : '-'} <span style="font-size: 0.75rem;">Å³</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">MW from <i>Q</i><sub>p</sub> (Fischer)</div>
+                <div class="result-value">${qp ? qp.mw.toFixed(0) : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>Q</i><sub>p</sub> 可信區間</div>
+                <div class="result-value">${qp ? formatInterval(qp) : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+            </div>
+        </div>
+        <div class="stat-sub mt-sm">
+            積分至 <i>q</i><sub>max</sub> = ${(vc || qp).qmax.toFixed(3)} Å⁻¹；可信區間約 68%，合成方法誤差 (±10%) 與 <i>I</i>(0)、<i>R</i><sub>g</sub> 誤差${qp ? `；<i>Q</i><sub>p</sub> 校正 A = ${qp.correction.A.toFixed(0)}, B = ${qp.correction.B.toFixed(3)}` : ''}
+        </div>
+        ${qp && !qp.inValidRange ? `
+            <div class="alert alert-warning mt-sm">
+                <i>q</i><sub>max</sub> = ${qp.qmax.toFixed(3)} Å⁻¹ 超出 Fischer 校正係數適用範圍 (0.15–0.45 Å⁻¹)
+            </div>
+        ` : ''}
+    `;
+}
+
+// 柔性分類標籤
+const FLEXIBILITY_LABELS = {
+    compact: { text: '緊密摺疊', alert: 'alert-success', note: '鐘形峰接近 (√3, 1.104)，高 qRg 回落' },
+    flexible: { text: '部分柔性', alert: 'alert-warning', note: '峰位移且高 qRg 未回落或 Porod–Debye 無平台 (多結構域、柔性連接)' },
+    elongated: { text: '延長 / 非等向 (剛性)', alert: 'alert-info', note: '峰位移但高 qRg 回落且 Porod–Debye 有平台 (延長或多結構域剛性形狀，非無序)' },
+    unfolded: { text: '展開 / 高度柔性', alert: 'alert-warning', note: '無峰，高 qRg 呈平台或持續上升 (類高斯鏈)' }
+};
+
+/**
+ * 理論 Rg 使用的蛋白質類型 ('globular' | 'unfolded' | 'idp')
+ * @returns {string} proteinType
+ */
+function getProteinType() {
+    return document.getElementById('proteinType')?.value || 'globular';
+}
+
+function runFlexibilityAnalysis() {
+    const state = AppState.saxsProfile;
+    if (!state) {
+        document.getElementById('saxsDatStatus').textContent = '請先載入 .dat 檔案';
+        return;
+    }
+
+    const guinier = state.guinier;
+    const flexibility = guinier ? SAXSProfile.analyzeFlexibility(state.profile, {
+        i0: guinier.i0,
+        rg: guinier.rg,
+        start: guinier.start
+    }) : null;
+    state.flexibility = flexibility;
+
+    document.getElementById('saxsProfileCard').classList.remove('hidden');
+    destroyCharts(['kratky', 'dimensionlessKratky', 'porodDebye']);
+
+    if (!flexibility) {
+        showAlert('flexibilityResults', 'error', 'Kratky 分析需要有效的 Guinier 擬合');
+        return;
+    }
+
+    displayFlexibilityResults(flexibility);
+    AppState.charts.kratky = SAXSCharts.createKratkyChart('kratkyChart', flexibility);
+    AppState.charts.dimensionlessKratky = SAXSCharts.createDimensionlessKratkyChart('dimensionlessKratkyChart', flexibility);
+    AppState.charts.porodDebye = SAXSCharts.createPorodDebyeChart('porodDebyeChart', flexibility);
+}
+
+function displayFlexibilityResults(flexibility) {
+    const container = document.getElementById('flexibilityResults');
+    if (!container) return;
+
+    const label = FLEXIBILITY_LABELS[flexibility.classification];
+    const current = getProteinType();
+
+    container.innerHTML = `
+        <div class="section-divider"><span>Kratky 柔性分析</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">無因次 Kratky 峰 (<i>qR</i><sub>g</sub>, 高度)</div>
+                <div class="result-value">${flexibility.peak ? `${flexibility.peak.x.toFixed(2)}, ${flexibility.peak.y.toFixed(3)}` : '無峰'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">相對球狀參考 (√3, 1.104)</div>
+                <div class="result-value">${flexibility.peakShift ? `Δ ${flexibility.peakShift.x >= 0 ? '+' : ''}${flexibility.peakShift.x.toFixed(2)}, ${flexibility.peakShift.y >= 0 ? '+' : ''}${flexibility.peakShift.y.toFixed(3)}` : '-'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>qR</i><sub>g</sub> 4–6 平均值</div>
+                <div class="result-value">${flexibility.tailMean !== null ? flexibility.tailMean.toFixed(2) : '-'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">高 <i>qR</i><sub>g</sub> 回落比 (最低 / 最高)</div>
+                <div class="result-value">${flexibility.returnRatio.toFixed(2)}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">Porod–Debye 上升比 (<i>qR</i><sub>g</sub> 4–8)</div>
+                <div class="result-value">${flexibility.porodRise !== null ? flexibility.porodRise.toFixed(2) : '-'}</div>
+            </div>
+        </div>
+
+        <div class="alert ${label.alert} mt-sm">
+            <strong>${label.text}</strong> — ${label.note}
+            ${flexibility.proteinType ? `
+                <br>建議理論 <i>R</i><sub>g</sub> 類型: ${flexibility.proteinType}
+                ${flexibility.proteinType !== current ? `
+                    <button class="btn btn-sm btn-secondary" data-protein-type="${flexibility.proteinType}">套用</button>
+                ` : '(已套用)'}
+            ` : '<br>無無序證據，不建議更改理論 <i>R</i><sub>g</sub> 類型'}
+        </div>
+    `;
+}
+
+// ========================
+// Concentration Series
+// ========================
+const STRUCTURE_FACTOR_LABELS = {
+    repulsive: { text: '排斥作用', alert: 'alert-warning', note: 'I(0)/c 隨濃度下降 (S(0) < 1，A₂ > 0)；低 q 請使用外推曲線或最低濃度' },
+    attractive: { text: '吸引作用 / 聚集', alert: 'alert-warning', note: 'I(0)/c 隨濃度上升 (S(0) > 1，A₂ < 0)；檢查樣品聚集或寡聚化平衡' },
+    none: { text: '未偵測到結構因子', alert: 'alert-success', note: 'I(0)/c 於濃度範圍內無顯著變化 (S(q) ≈ 1)' }
+};
+
+function initConcentrationSeries() {
+    const fileInput = document.getElementById('seriesInput');
+    if (!fileInput) return;
+
+    fileInput.addEventListener('change', async () => {
+        const files = [...fileInput.files];
+        if (files.length === 0) return;
+
+        try {
+            const texts = await Promise.all(files.map(file => DndcFileParser.readFile(file)));
+            files.forEach((file, i) => addSeriesProfile(file.name, texts[i]));
+        } catch (err) {
+            document.getElementById('seriesStatus').textContent = `讀取失敗: ${err.message}`;
+        }
+        fileInput.value = '';
+    });
+
+    const table = document.getElementById('seriesTable');
+    table.addEventListener('change', (e) => {
+        const entry = AppState.concentrationSeries.entries[e.target.dataset.series];
+        if (!entry) return;
+        entry.concentration = Math.max(0, parseFloat(e.target.value) || 0);
+    });
+    table.addEventListener('click', (e) => {
+        if (e.target.dataset.action !== 'remove') return;
+        AppState.concentrationSeries.entries.splice(parseInt(e.target.dataset.series, 10), 1);
+        renderSeriesTable();
+    });
+
+    document.getElementById('runSeries').addEventListener('click', runConcentrationSeries);
+    document.getElementById('applySeriesExtrapolation').addEventListener('click', applySeriesExtrapolation);
+    document.getElementById('clearSeries').addEventListener('click', () => {
+        AppState.concentrationSeries = { entries: [], result: null };
+        destroyCharts(['seriesProfile', 'seriesTrend']);
+        document.getElementById('seriesResults').innerHTML = '';
+        renderSeriesTable();
+    });
+
+    renderSeriesTable();
+}
+
+/**
+ * 由檔名讀取濃度 (例: lys_2.5mgml、BSA_5mg_ml、c2p5mg-mL)
+ * @param {string} fileName - 檔名
+ * @returns {number|null} 濃度 (mg/mL)
+ */
+function parseSeriesConcentration(fileName) {
+    const match = fileName.match(/(\d+(?:[.p]\d+)?)\s*[_-]?mg[_\s/-]*ml/i);
+    return match ? parseFloat(match[1].replace('p', '.')) : null;
+}
+
+/**
+ * 解析 .dat (套用絕對強度校正) 並加入濃度系列
+ * @param {string} fileName - 檔名
+ * @param {string} text - 檔案內容
+ * @param {object} options - 選項 (同 loadSAXSProfile)
+ */
+function addSeriesProfile(fileName, text, options = {}) {
+    const status = document.getElementById('seriesStatus');
+    const parsed = SAXSProfile.parseDatFile(text, { qUnit: document.getElementById('saxsQUnit').value });
+
+    if (parsed.error) {
+        status.textContent = `${fileName}: ${parsed.message}`;
+        return;
+    }
+
+    const { profile, calibration } = options.calibration
+        ? { profile: parsed, calibration: options.calibration }
+        : calibrateUploadedProfile(parsed);
+    AppState.concentrationSeries.entries.push({
+        fileName, text, options, profile, calibration,
+        concentration: parseSeriesConcentration(fileName) || 0
+    });
+    renderSeriesTable();
+}
+
+function renderSeriesTable() {
+    const container = document.getElementById('seriesTable');
+    if (!container) return;
+
+    const entries = AppState.concentrationSeries.entries;
+    document.getElementById('seriesStatus').textContent = entries.length > 0
+        ? `已載入 ${entries.length} 條曲線${entries.some(entry => !(entry.concentration > 0)) ? '，請輸入各曲線濃度' : ''}`
+        : '尚未載入檔案';
+
+    if (entries.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-wrapper">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>檔案</th>
+                        <th class="text-right">點數</th>
+                        <th class="text-right"><i>q</i> 範圍 (Å⁻¹)</th>
+                        <th class="text-right">濃度 (mg/mL)</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.map((entry, i) => `
+                        <tr>
+                            <td>${escapeHtml(entry.fileName)}</td>
+                            <td class="text-right">${entry.profile.q.length}</td>
+                            <td class="text-right">${entry.profile.q[0].toFixed(4)}–${entry.profile.q[entry.profile.q.length - 1].toFixed(3)}</td>
+                            <td class="text-right">
+                                <input type="number" class="form-input" data-series="${i}" value="${entry.concentration || ''}"
+                                    min="0" step="any" style="width: 6rem;">
+                            </td>
+                            <td>
+                                <button class="btn btn-sm btn-secondary" data-series="${i}" data-action="remove" title="移除">✕</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * A₂ 使用的分子量 (Da): 理論 MW 欄位，否則為序列 MW
+ * @returns {number|null}
+ */
+function getSeriesMolecularWeight() {
+    const manual = parseFloat(document.getElementById('theoreticalMWInput')?.value);
+    return manual > 0 ? manual : (AppState.proteinData?.molecularWeight || null);
+}
+
+function runConcentrationSeries() {
+    const entries = AppState.concentrationSeries.entries;
+    destroyCharts(['seriesProfile', 'seriesTrend']);
+
+    if (entries.some(entry => !(entry.concentration > 0))) {
+        showAlert('seriesResults', 'warning', '每條曲線都需要大於 0 的濃度');
+        return;
+    }
+
+    const limit = parseFloat(document.getElementById('guinierQRgLimit').value);
+    const result = SAXSProfile.analyzeConcentrationSeries(
+        entries.map(entry => ({ label: entry.fileName, concentration: entry.concentration, profile: entry.profile })),
+        {
+            mergeQ: parseFloat(document.getElementById('seriesMergeQ').value),
+            mw: getSeriesMolecularWeight(),
+            qRgLimit: isNaN(limit) ? 1.3 : Math.min(Math.max(limit, 0.5), 1.5)
+        }
+    );
+    AppState.concentrationSeries.result = result.error ? null : result;
+
+    if (result.error) {
+        showAlert('seriesResults', 'error', result.message);
+        return;
+    }
+
+    displaySeriesResults(result);
+    AppState.charts.seriesProfile = SAXSCharts.createConcentrationSeriesChart('seriesProfileChart', result);
+    AppState.charts.seriesTrend = SAXSCharts.createConcentrationTrendChart('seriesTrendChart', result);
+}
+
+/**
+ * 以外推曲線 (I/c，相當於 1 mg/mL) 取代目前 .dat，執行 Guinier、P(r)、Porod 等分析
+ */
+function applySeriesExtrapolation() {
+    const result = AppState.concentrationSeries.result;
+    if (!result) {
+        showAlert('seriesResults', 'warning', '請先分析濃度系列');
+        return;
+    }
+
+    const text = formatReloadableDat(
+        result.extrapolated,
+        [
+            `Zero-concentration extrapolation of ${result.points.length} profiles (${result.points.map(point => point.concentration).join(', ')} mg/mL)`,
+            `Extrapolated for q <= ${result.mergeQ} A^-1; highest concentration above; I/c (1 mg/mL)`
+        ]
+    );
+
+    // 各曲線皆已校正時外推結果亦為絕對強度
+    const entries = AppState.concentrationSeries.entries;
+    const calibration = entries.every(entry => entry.calibration) ? entries[0].calibration : null;
+
+    const concentrationInput = document.getElementById('sampleConcentration');
+    concentrationInput.value = '1';
+    concentrationInput.dispatchEvent(new Event('input'));
+    saveFormState();
+    loadSAXSProfile('外推 c→0.dat', text, { calibration });
+}
+
+function displaySeriesResults(result) {
+    const container = document.getElementById('seriesResults');
+    if (!container) return;
+
+    const label = STRUCTURE_FACTOR_LABELS[result.structureFactor];
+    const guinier = result.extrapolatedGuinier;
+    const formatPercent = value => (value === null ? '-' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`);
+
+    const rows = result.points.map(point => `
+        <tr>
+            <td>${escapeHtml(point.label)}</td>
+            <td class="text-right">${point.concentration}</td>
+            <td class="text-right">${point.guinier ? `${point.i0PerC.toExponential(4)} ± ${point.i0PerCError.toExponential(1)}` : '-'}</td>
+            <td class="text-right">${point.guinier ? `${point.rg.toFixed(2)} ± ${point.rgError.toFixed(2)}` : '無有效區間'}</td>
+            <td class="text-right">${point.s0 !== undefined && point.s0 !== null ? point.s0.toFixed(3) : '-'}</td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="section-divider"><span>Guinier 濃度相依性</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label"><i>I</i>(0)/<i>c</i> (<i>c</i> → 0)</div>
+                <div class="result-value">${result.i0Trend ? `${result.i0Trend.intercept.toExponential(4)} ± ${result.i0Trend.interceptError.toExponential(1)}` : '-'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>R</i><sub>g</sub> (<i>c</i> → 0)</div>
+                <div class="result-value">${result.rgTrend ? `${result.rgTrend.intercept.toFixed(2)}${isFinite(result.rgTrend.interceptError) ? ` ± ${result.rgTrend.interceptError.toFixed(2)}` : ''} <span style="font-size: 0.75rem;">Å</span>` : '-'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">相對斜率 d ln(<i>I</i>(0)/<i>c</i>)/d<i>c</i></div>
+                <div class="result-value">${result.relativeSlope !== null ? `${result.relativeSlope.toExponential(2)}${isFinite(result.relativeSlopeError) ? ` ± ${result.relativeSlopeError.toExponential(1)}` : ''} <span style="font-size: 0.75rem;">mL/mg</span>` : '-'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">第二維里係數 <i>A</i><sub>2</sub></div>
+                <div class="result-value">${result.a2 !== null ? `${result.a2.toExponential(2)}${isFinite(result.a2Error) ? ` ± ${result.a2Error.toExponential(1)}` : ''} <span style="font-size: 0.75rem;">mol·mL/g²</span>` : '需要分子量'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">最高濃度變化 <i>I</i>(0)/<i>c</i>, <i>R</i><sub>g</sub></div>
+                <div class="result-value">${formatPercent(result.i0Change)}, ${formatPercent(result.rgChange)}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">外推曲線 Guinier <i>R</i><sub>g</sub></div>
+                <div class="result-value">${guinier ? `${guinier.rg.toFixed(2)} ± ${guinier.rgError.toFixed(2)} <span style="font-size: 0.75rem;">Å</span>` : '-'}</div>
+            </div>
+        </div>
+
+        <div class="alert ${label.alert} mt-sm">
+            <strong>${label.text}</strong> — ${label.note}
+            <br>判定: 最高濃度 <i>I</i>(0)/<i>c</i> 變化 > ${(result.threshold * 100).toFixed(0)}% 且斜率大於 2σ
+        </div>
+        ${result.points.length < 3 ? `
+            <div class="alert alert-info mt-sm">僅兩個濃度: 外推誤差無法由殘差估計，建議使用 3–5 個濃度</div>
+        ` : ''}
+
+        <div class="table-wrapper mt-md">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>檔案</th>
+                        <th class="text-right"><i>c</i> (mg/mL)</th>
+                        <th class="text-right"><i>I</i>(0)/<i>c</i></th>
+                        <th class="text-right"><i>R</i><sub>g</sub> (Å)</th>
+                        <th class="text-right"><i>S</i>(0) 估計</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// ========================
+// Atomic Model Scattering
+// ========================
+function initModelScattering() {
+    const fileInput = document.getElementById('modelInput');
+    if (!fileInput) return;
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const text = await DndcFileParser.readFile(file);
+            loadAtomicModel(file.name, text);
+        } catch (err) {
+            document.getElementById('modelStatus').textContent = `讀取失敗: ${err.message}`;
+        }
+    });
+
+    document.getElementById('runModelScattering').addEventListener('click', runModelScattering);
+}
+
+/**
+ * 解析 PDB / mmCIF 座標並計算模型散射
+ * @param {string} fileName - 檔名
+ * @param {string} text - 檔案內容
+ */
+function loadAtomicModel(fileName, text) {
+    const status = document.getElementById('modelStatus');
+    const model = EntryImport.parseAtomicModel(text);
+
+    if (model.error) {
+        status.textContent = model.message;
+        return;
+    }
+
+    const scatterers = ModelScattering.countModelScatterers(model);
+    AppState.modelScattering = { fileName, model, scatterers, result: null, fit: null, intensity: null, distribution: null, vacuum: null };
+    status.textContent = `已載入: ${fileName} (${model.source}, ${model.atoms.length} 個原子` +
+        `${scatterers.coarseGrained ? `，以 ${scatterers.count} 個殘基計算` : ''}` +
+        `${model.waters > 0 ? `，略過 ${model.waters} 個水分子` : ''}${model.hasHydrogen ? '' : '，無氫原子'})`;
+
+    runModelScattering();
+}
+
+function runModelScattering() {
+    const state = AppState.modelScattering;
+    if (!state) {
+        document.getElementById('modelStatus').textContent = '請先載入 PDB / mmCIF 模型';
+        return;
+    }
+
+    // 距離配對為 O(N²) 且在主執行緒執行: 大型模型先確認
+    const { count, coarseGrained } = state.scatterers;
+    if (count > ModelScattering.MODEL_CONFIRM_SCATTERERS &&
+        !confirm(`模型有 ${count} 個散射中心${coarseGrained ? ' (已粗粒化為殘基)' : ''}，計算可能需要數十秒，期間頁面無回應。是否繼續？`)) {
+        document.getElementById('modelStatus').textContent += ' — 已取消模型散射計算';
+        // 新載入的模型尚無結果: 不保留前一個模型的圖表
+        if (!state.result) {
+            destroyCharts(['modelProfile', 'modelPr']);
+            document.getElementById('modelScatteringCard').classList.add('hidden');
+        }
+        return;
+    }
+
+    // 計算在主執行緒同步執行: 先顯示忙碌狀態並等瀏覽器重繪後再開始
+    if (state.busy) return;
+    state.busy = true;
+    const button = document.getElementById('runModelScattering');
+    const status = document.getElementById('modelStatus');
+    const statusText = status.textContent;
+    button.disabled = true;
+    button.textContent = '計算中…';
+    status.textContent = `${statusText} — 計算模型散射中，頁面暫時無回應…`;
+    requestAnimationFrame(() => setTimeout(() => {
+        try {
+            computeModelScattering(state);
+        } finally {
+            state.busy = false;
+            button.disabled = false;
+            button.textContent = '計算模型散射';
+            status.textContent = statusText;
+        }
+    }, 0));
+}
+
+/**
+ * 以目前設定計算模型散射、擬合 .dat (若有) 並更新圖表
+ * @param {object} state - AppState.modelScattering
+ */
+function computeModelScattering(state) {
+    const qmaxInput = parseFloat(document.getElementById('modelQmax').value);
+    const qmax = qmaxInput > 0 ? qmaxInput : 0.5;
+    const contrastInput = parseFloat(document.getElementById('modelContrast').value);
+    const contrast = contrastInput >= 0 ? contrastInput : ModelScattering.HYDRATION_SHELL.contrast;
+
+    // 有 .dat 時以實驗 q 點計算 (略過 Guinier 起點前的低 q 聚集區)，否則使用等距 q
+    const profileState = AppState.saxsProfile;
+    const start = profileState?.guinier?.start ?? 0;
+    const end = profileState ? profileState.profile.q.findLastIndex(q => q <= qmax) : -1;
+    const useProfile = end - start >= 10;
+    const q = useProfile ?
+        profileState.profile.q.slice(start, end + 1) :
+        Array.from({ length: 201 }, (_, k) => qmax * k / 200);
+
+    const result = ModelScattering.calculateModelScattering(state.model, q, {
+        method: document.getElementById('modelMethod').value,
+        solventDensity: AppState.bufferData?.electronDensity
+    });
+    const fit = useProfile ? ModelScattering.fitModelToProfile(result, profileState.profile, {
+        start,
+        contrast,
+        fitSolvent: document.getElementById('modelFitSolvent').checked,
+        fitBackground: document.getElementById('modelFitBackground').checked
+    }) : null;
+
+    const excludedVolume = fit?.excludedVolume ?? 1;
+    const shellContrast = fit?.contrast ?? contrast;
+    Object.assign(state, {
+        result,
+        fit,
+        intensity: ModelScattering.modelIntensity(result, excludedVolume, shellContrast),
+        distribution: ModelScattering.modelDistanceDistribution(result, excludedVolume, shellContrast),
+        vacuum: ModelScattering.modelDistanceDistribution(result, excludedVolume, 0)
+    });
+
+    document.getElementById('modelScatteringCard').classList.remove('hidden');
+    destroyCharts(['modelProfile', 'modelPr']);
+
+    displayModelScatteringResults(state, shellContrast);
+    AppState.charts.modelProfile = SAXSCharts.createModelProfileChart('modelProfileChart', result.q, state.intensity, fit);
+    AppState.charts.modelPr = SAXSCharts.createModelPrChart('modelPrChart', state.distribution, state.vacuum,
+        profileState?.ift || null);
+}
+
+function displayModelScatteringResults(state, contrast) {
+    const container = document.getElementById('modelResults');
+    if (!container) return;
+
+    const { result, fit, distribution, vacuum } = state;
+    const requestedDebye = document.getElementById('modelMethod').value === 'debye';
+    const methodLabel = (result.method === 'debye' ? '逐對 Debye' : `距離直方圖 (${result.binWidth} Å)`) +
+        (result.coarseGrained ? '，殘基粗粒化' : '');
+
+    // 與實驗 (Guinier / IFT) 及序列經驗公式比較
+    const guinier = AppState.saxsProfile?.guinier;
+    const ift = AppState.saxsProfile?.ift;
+    const proteinMw = AppState.proteinData?.molecularWeight;
+    const theory = proteinMw ? SAXSCalculations.calculateAllTheoreticalParams(
+        proteinMw, 1, getProteinType(), getTheoreticalI0Options(AppState.proteinData)
+    ) : null;
+    const cell = value => `<td class="text-right">${value !== null && value !== undefined ? value.toFixed(1) : '-'}</td>`;
+
+    container.innerHTML = `
+        <div class="section-divider"><span>模型散射 (${escapeHtml(state.fileName)})</span></div>
+
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">原子數 / 水合層點數</div>
+                <div class="result-value">${result.atomCount} / ${result.hydrationSites}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">計算方法</div>
+                <div class="result-value">${methodLabel}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>R</i><sub>g</sub> (含水合層)</div>
+                <div class="result-value">${distribution.rg.toFixed(2)} <span style="font-size: 0.75rem;">Å</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>R</i><sub>g</sub> (不含水合層)</div>
+                <div class="result-value">${vacuum.rg.toFixed(2)} <span style="font-size: 0.75rem;">Å</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>D</i><sub>max</sub> (原子間最大距離)</div>
+                <div class="result-value">${result.dmax.toFixed(1)} <span style="font-size: 0.75rem;">Å</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">溶劑可及表面積</div>
+                <div class="result-value">${result.hydrationArea.toFixed(0)} <span style="font-size: 0.75rem;">Å²</span></div>
+            </div>
+        </div>
+
+        ${fit ? `
+            <div class="result-grid mt-md">
+                <div class="result-item">
+                    <div class="result-label">Reduced χ² (${fit.fit.q.length} 點, ${fit.parameters} 參數)</div>
+                    <div class="result-value">${fit.chi2.toFixed(2)}</div>
+                </div>
+                <div class="result-item">
+                    <div class="result-label">尺度因子</div>
+                    <div class="result-value">${fit.scale.toExponential(4)}</div>
+                </div>
+                <div class="result-item">
+                    <div class="result-label">常數背景</div>
+                    <div class="result-value">${fit.fitBackground ? fit.background.toExponential(3) : '未擬合'}</div>
+                </div>
+                <div class="result-item">
+                    <div class="result-label">排除體積 <i>c</i>₁ ${fit.fitSolvent ? '(擬合)' : ''}</div>
+                    <div class="result-value">${fit.excludedVolume.toFixed(2)}</div>
+                </div>
+                <div class="result-item">
+                    <div class="result-label">水合層 δρ ${fit.fitSolvent ? '(擬合)' : ''}</div>
+                    <div class="result-value">${fit.contrast.toFixed(3)} <span style="font-size: 0.75rem;">e/Å³</span></div>
+                </div>
+                <div class="result-item">
+                    <div class="result-label"><i>q</i> 範圍</div>
+                    <div class="result-value">${fit.fit.q[0].toFixed(4)}–${fit.fit.q[fit.fit.q.length - 1].toFixed(3)} <span style="font-size: 0.75rem;">Å⁻¹</span></div>
+                </div>
+            </div>
+        ` : `
+            <div class="stat-sub mt-sm">
+                水合層 δρ = ${contrast.toFixed(3)} e/Å³；載入 .dat 後可擬合尺度、背景並計算 χ²
+            </div>
+        `}
+
+        <div class="table-wrapper mt-md">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>參數 (Å)</th>
+                        <th class="text-right">模型</th>
+                        <th class="text-right">實驗</th>
+                        <th class="text-right">理論 (序列 MW)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td><i>R</i><sub>g</sub></td>
+                        ${cell(distribution.rg)}
+                        ${cell(guinier?.rg)}
+                        ${cell(theory?.theoreticalRg)}
+                    </tr>
+                    <tr>
+                        <td><i>D</i><sub>max</sub></td>
+                        ${cell(result.dmax)}
+                        ${cell(ift?.dmax)}
+                        ${cell(theory?.theoreticalDmax)}
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+
+        ${result.implicitHydrogens ? `
+            <div class="stat-sub mt-sm">
+                模型不含氫原子: 依蛋白質平均組成為重原子加上隱含氫 (散射因子與排除體積)
+            </div>
+        ` : ''}
+        ${result.unknownElements.length > 0 ? `
+            <div class="alert alert-warning mt-sm">
+                未支援的元素 ${escapeHtml(result.unknownElements.join(', '))} 以碳原子近似
+            </div>
+        ` : ''}
+        ${result.coarseGrained ? `
+            <div class="alert alert-info mt-sm">
+                原子數超過 ${ModelScattering.MODEL_COARSE_GRAIN_ATOMS}，以殘基質心為散射中心
+                (殘基內原子視為重合)；高 <i>q</i> (&gt; 0.3 Å⁻¹) 精度較低，<i>D</i><sub>max</sub> 為殘基中心間距
+            </div>
+        ` : ''}
+        ${requestedDebye && result.method !== 'debye' ? `
+            <div class="alert alert-warning mt-sm">
+                ${result.scattererCount} 個散射中心 (含 ${result.hydrationSites} 個水合層點) × ${result.q.length} 個 <i>q</i> 點的逐對加總
+                (${result.debyeTerms.toExponential(1)} 項) 超過上限 ${ModelScattering.MODEL_DEBYE_MAX_TERMS.toExponential(0)}，已改用距離直方圖法
+            </div>
+        ` : ''}
+    `;
+}
+
+// ========================
+// Analytical Shape Models
+// ========================
+function initShapeModels() {
+    const select = document.getElementById('shapeModel');
+    if (!select) return;
+
+    renderShapeParameters();
+    select.addEventListener('change', () => renderShapeParameters());
+    document.getElementById('simulateShape').addEventListener('click', () => runShapeModel(false));
+    document.getElementById('fitShape').addEventListener('click', () => runShapeModel(true));
+    document.getElementById('fitAllShapes').addEventListener('click', runShapeComparison);
+
+    // 比較表「套用」: 切換形狀並以該結果為初值擬合
+    document.getElementById('shapeResults').addEventListener('click', (e) => {
+        const shape = e.target.closest('[data-shape]')?.dataset.shape;
+        const result = AppState.shapeModel?.comparison?.find(item => item.shape === shape);
+        if (!result) return;
+        select.value = shape;
+        renderShapeParameters(result.parameters);
+        runShapeModel(true);
+    });
+}
+
+/**
+ * 依選定形狀產生參數欄位
+ * @param {object} parameters - 參數值；未提供時由 Guinier Rg (或 20 Å) 推估
+ */
+function renderShapeParameters(parameters) {
+    const model = ShapeModels.SHAPE_MODELS[document.getElementById('shapeModel').value];
+    const values = parameters || model.initial(AppState.saxsProfile?.guinier?.rg || 20);
+
+    document.getElementById('shapeParameters').innerHTML = model.parameters.map(def => `
+        <div class="form-group">
+            <label class="form-label" for="shapeParam-${def.key}">${def.label}</label>
+            <div class="form-input-group">
+                <input type="number" class="form-input" id="shapeParam-${def.key}" step="any"
+                    value="${values[def.key].toFixed(def.unit ? 1 : 2)}">
+                ${def.unit ? `<span class="input-unit">${def.unit}</span>` : ''}
+            </div>
+            <label class="form-label mt-sm">
+                <input type="checkbox" id="shapeFit-${def.key}" ${def.fixed ? '' : 'checked'}>
+                擬合
+            </label>
+        </div>
+    `).join('');
+}
+
+/**
+ * 讀取形狀參數欄位
+ * @returns {object|null} { shape, model, parameters, fit, polydispersity }；數值無效時為 null
+ */
+function readShapeInputs() {
+    const shape = document.getElementById('shapeModel').value;
+    const model = ShapeModels.SHAPE_MODELS[shape];
+    const parameters = {};
+    for (const def of model.parameters) {
+        const value = parseFloat(document.getElementById(`shapeParam-${def.key}`).value);
+        if (isNaN(value) || (def.positive && value <= 0)) {
+            showAlert('shapeResults', 'error', `參數「${def.label.replace(/<[^>]+>/g, '')}」無效`);
+            return null;
+        }
+        parameters[def.key] = value;
+    }
+
+    const polydispersity = parseFloat(document.getElementById('shapePolydispersity').value);
+    return {
+        shape,
+        model,
+        parameters,
+        fit: model.parameters.filter(def => document.getElementById(`shapeFit-${def.key}`).checked).map(def => def.key),
+        polydispersity: Math.min(Math.max(isNaN(polydispersity) ? 0 : polydispersity, 0), ShapeModels.POLYDISPERSITY_MAX)
+    };
+}
+
+/**
+ * 形狀擬合的數據範圍: Guinier 起點至 q_max
+ * @returns {object} { start, end }
+ */
+function getShapeFitRange() {
+    const state = AppState.saxsProfile;
+    const qmax = parseFloat(document.getElementById('shapeQmax').value);
+    return {
+        start: state.guinier?.start ?? 0,
+        end: state.profile.q.findLastIndex(q => q <= (qmax > 0 ? qmax : 0.3))
+    };
+}
+
+/**
+ * 模擬或擬合目前選定的形狀；已載入 .dat 時模擬也會求解尺度與背景以便疊圖
+ * @param {boolean} fit - 是否擬合勾選的參數
+ */
+function runShapeModel(fit) {
+    const input = readShapeInputs();
+    if (!input) return;
+
+    const state = AppState.saxsProfile;
+    if (fit && !state) {
+        showAlert('shapeResults', 'warning', '請先載入 .dat 檔案');
+        return;
+    }
+
+    destroyCharts(['shape']);
+
+    let result;
+    if (state) {
+        const fitPolydispersity = fit && document.getElementById('shapeFitPolydispersity').checked;
+        result = ShapeModels.fitShapeModel(state.profile, input.shape, input.parameters, {
+            ...getShapeFitRange(),
+            fit: fit ? [...input.fit, ...(fitPolydispersity ? ['polydispersity'] : [])] : [],
+            polydispersity: input.polydispersity,
+            fitBackground: document.getElementById('shapeFitBackground').checked
+        });
+        if (!result) {
+            showAlert('shapeResults', 'error', '擬合範圍內的數據點不足');
+            return;
+        }
+
+        if (fit) {
+            renderShapeParameters(result.parameters);
+            input.model.parameters.forEach(def => {
+                document.getElementById(`shapeFit-${def.key}`).checked = input.fit.includes(def.key);
+            });
+            document.getElementById('shapePolydispersity').value = result.polydispersity.toFixed(3);
+            saveFormState();
+        }
+    }
+
+    // 無數據時繪製 P(q)：對數等距 q
+    const qmax = parseFloat(document.getElementById('shapeQmax').value) || 0.3;
+    const q = Array.from({ length: 200 }, (_, k) => 0.005 * Math.pow(qmax / 0.005, k / 199));
+    const simulated = ShapeModels.calculateShapeIntensity(input.shape, input.parameters, q, input.polydispersity);
+    const summary = result || {
+        shape: input.shape,
+        parameters: input.parameters,
+        errors: {},
+        polydispersity: input.polydispersity,
+        polydispersityError: null,
+        rg: simulated.rg,
+        dmax: simulated.dmax,
+        fittedParameters: []
+    };
+
+    AppState.shapeModel = { result: summary, comparison: null };
+    displayShapeResults(summary, null);
+    AppState.charts.shape = SAXSCharts.createShapeModelChart('shapeChart', input.model.label, { q, intensity: simulated.intensity }, result);
+}
+
+/**
+ * 以全部形狀擬合 .dat 並依 χ² 排序
+ */
+function runShapeComparison() {
+    const state = AppState.saxsProfile;
+    if (!state?.guinier) {
+        showAlert('shapeResults', 'warning', '請先載入 .dat 檔案並完成 Guinier 分析 (初值由 Rg 推估)');
+        return;
+    }
+
+    destroyCharts(['shape']);
+    const comparison = ShapeModels.fitAllShapeModels(state.profile, state.guinier.rg, {
+        ...getShapeFitRange(),
+        fitBackground: document.getElementById('shapeFitBackground').checked
+    });
+    if (comparison.length === 0) {
+        showAlert('shapeResults', 'error', '擬合範圍內的數據點不足');
+        return;
+    }
+
+    const best = comparison[0];
+    document.getElementById('shapeModel').value = best.shape;
+    renderShapeParameters(best.parameters);
+    document.getElementById('shapePolydispersity').value = '0';
+    saveFormState();
+
+    AppState.shapeModel = { result: best, comparison };
+    displayShapeResults(best, comparison);
+    AppState.charts.shape = SAXSCharts.createShapeModelChart('shapeChart', ShapeModels.SHAPE_MODELS[best.shape].label, null, best);
+}
+
+/**
+ * 符合模型 Dmax 的 calculateTheoreticalDmax 形狀類型
+ * @param {number} rg - 模型 Rg (Å)
+ * @param {number|null} dmax - 模型 Dmax (Å)
+ * @returns {Array<string>} 形狀類型鍵值
+ */
+function matchDmaxShapes(rg, dmax) {
+    if (!(dmax > 0)) return [];
+    return Object.keys(DMAX_SHAPE_LABELS).filter(shape => {
+        const range = SAXSCalculations.calculateTheoreticalDmax(rg, shape).dmaxRange;
+        return dmax >= range.min && dmax <= range.max;
+    });
+}
+
+function displayShapeResults(result, comparison) {
+    const container = document.getElementById('shapeResults');
+    if (!container) return;
+
+    const model = ShapeModels.SHAPE_MODELS[result.shape];
+    const fitted = result.fittedParameters.length > 0;
+    const withError = (value, error, digits) =>
+        `${value.toFixed(digits)}${error !== null && error !== undefined && isFinite(error) ? ` ± ${error.toFixed(digits)}` : ''}`;
+
+    const parameterItems = model.parameters.map(def => `
+        <div class="result-item">
+            <div class="result-label">${def.label}${result.fittedParameters.includes(def.key) ? '' : ' (固定)'}</div>
+            <div class="result-value">${withError(result.parameters[def.key], result.errors[def.key], def.unit ? 1 : 2)}${def.unit ? ` <span style="font-size: 0.75rem;">${def.unit}</span>` : ''}</div>
+        </div>
+    `).join('');
+
+    const matches = matchDmaxShapes(result.rg, result.dmax);
+    const rows = Object.entries(DMAX_SHAPE_LABELS).map(([shape, label]) => {
+        const theory = SAXSCalculations.calculateTheoreticalDmax(result.rg, shape);
+        return `
+            <tr>
+                <td>${label}</td>
+                <td class="text-right">${theory.factor.toFixed(2)}</td>
+                <td class="text-right">${theory.theoreticalDmax.toFixed(1)}</td>
+                <td class="text-right">${theory.dmaxRange.min.toFixed(1)}–${theory.dmaxRange.max.toFixed(1)}</td>
+                <td class="text-right">${matches.includes(shape) ? '✓' : ''}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const comparisonRows = (comparison || []).map(item => `
+        <tr>
+            <td>${ShapeModels.SHAPE_MODELS[item.shape].label}</td>
+            <td class="text-right">${item.chi2.toFixed(2)}</td>
+            <td class="text-right">${item.rg.toFixed(1)}</td>
+            <td class="text-right">${item.dmax ? item.dmax.toFixed(1) : '-'}</td>
+            <td class="text-right">${item.dmax ? (item.dmax / item.rg).toFixed(2) : '-'}</td>
+            <td>${matchDmaxShapes(item.rg, item.dmax).map(shape => DMAX_SHAPE_LABELS[shape]).join('、') || '-'}</td>
+            <td class="text-right">
+                <button class="btn btn-sm btn-secondary" data-shape="${item.shape}">套用</button>
+            </td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="section-divider"><span>${model.label} (${fitted ? '擬合' : '模擬'})</span></div>
+
+        <div class="result-grid">
+            ${parameterItems}
+            <div class="result-item">
+                <div class="result-label">多分散性 σ${result.fittedParameters.includes('polydispersity') ? '' : ' (固定)'}</div>
+                <div class="result-value">${withError(result.polydispersity, result.polydispersityError, 3)}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>R</i><sub>g</sub>${result.polydispersity > 0 ? ' (z 平均)' : ''}</div>
+                <div class="result-value">${result.rg.toFixed(2)} <span style="font-size: 0.75rem;">Å</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>D</i><sub>max</sub>${result.polydispersity > 0 ? ' (平均尺寸)' : ''}</div>
+                <div class="result-value">${result.dmax ? `${result.dmax.toFixed(1)} <span style="font-size: 0.75rem;">Å</span>` : '無明確值'}</div>
+            </div>
+            ${result.chi2 !== undefined ? `
+                <div class="result-item">
+                    <div class="result-label">Reduced χ² (${result.fit.q.length} 點)</div>
+                    <div class="result-value">${result.chi2.toFixed(2)}</div>
+                </div>
+                <div class="result-item">
+                    <div class="result-label"><i>I</i>(0) (尺度)</div>
+                    <div class="result-value">${result.scale.toExponential(4)}</div>
+                </div>
+                <div class="result-item">
+                    <div class="result-label">常數背景</div>
+                    <div class="result-value">${result.background.toExponential(3)}</div>
+                </div>
+            ` : ''}
+        </div>
+
+        ${result.dmax ? `
+            <div class="table-wrapper mt-md">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>形狀 (<i>D</i><sub>max</sub>/<i>R</i><sub>g</sub> = ${(result.dmax / result.rg).toFixed(2)})</th>
+                            <th class="text-right">係數</th>
+                            <th class="text-right">理論 <i>D</i><sub>max</sub> (Å)</th>
+                            <th class="text-right">範圍 (Å)</th>
+                            <th class="text-right">模型符合</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        ` : ''}
+
+        ${comparison ? `
+            <div class="section-divider"><span>全部形狀比較 (單分散)</span></div>
+            <div class="table-wrapper">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>形狀</th>
+                            <th class="text-right">χ²</th>
+                            <th class="text-right"><i>R</i><sub>g</sub> (Å)</th>
+                            <th class="text-right"><i>D</i><sub>max</sub> (Å)</th>
+                            <th class="text-right"><i>D</i><sub>max</sub>/<i>R</i><sub>g</sub></th>
+                            <th>經驗類型</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>${comparisonRows}</tbody>
+                </table>
+            </div>
+        ` : ''}
+    `;
+}
+
+// ========================
+// SANS Contrast Section
+// ========================
+function initSANSSection() {
+    const calculateBtn = document.getElementById('calculateSANS');
+    if (!calculateBtn) return;
+
+    calculateBtn.addEventListener('click', () => {
+        if (!AppState.proteinData) {
+            showAlert('sansResults', 'warning', '請先在「蛋白質分析」頁面分析序列');
+            return;
+        }
+
+        const d2o = parseFloat(document.getElementById('sansD2O').value);
+        const exchange = parseFloat(document.getElementById('sansExchange').value);
+        const concentration = parseFloat(document.getElementById('sansConcentration').value);
+
+        if (isNaN(d2o) || d2o < 0 || d2o > 100 || isNaN(exchange) || exchange < 0 || exchange > 100) {
+            showAlert('sansResults', 'error', 'D₂O 比例與交換比例必須介於 0–100%');
+            return;
+        }
+        if (isNaN(concentration) || concentration <= 0) {
+            showAlert('sansResults', 'error', '濃度必須大於 0');
+            return;
+        }
+
+        const chains = getSANSChains();
+        const contrast = SANSCalculations.calculateSANSContrast(chains, {
+            d2oFraction: d2o / 100,
+            exchangeFraction: exchange / 100,
+            concentration: concentration
+        });
+
+        displaySANSResults(contrast, chains.some(chain => chain.hasModifications));
+    });
+
+    renderSANSChainRows(AppState.proteinData);
+}
+
+// 各鏈氘化設定表 (蛋白質分析後更新)
+function renderSANSChainRows(result) {
+    const body = document.getElementById('sansChainBody');
+    if (!body || !result?.chains) return;
+
+    body.innerHTML = result.chains.map((chain, i) => `
+        <tr>
+            <td>${escapeHtml(chain.name)}</td>
+            <td class="text-right">${chain.copies}</td>
+            <td class="text-right">
+                <input type="number" class="form-input" id="sansDeuteration-${i}" value="0" min="0" max="100" step="5">
+            </td>
+            <td>
+                <input type="text" class="form-input" id="sansResidues-${i}" placeholder="全部">
+            </td>
+        </tr>
+    `).join('');
+
+    // 序列變更後舊結果不再適用
+    const chartWrapper = document.getElementById('sansChartWrapper');
+    if (chartWrapper) chartWrapper.classList.add('hidden');
+    showAlert('sansResults', 'info', '設定氘化後點擊「計算 SANS 對比」');
+}
+
+// 取得 SANS 計算所需的各鏈資料；修飾沒有元素組成，以未修飾的鏈計算
+function getSANSChains() {
+    return AppState.proteinData.chains.map((chain, i) => {
+        let bare = chain;
+        if (chain.modifications?.length) {
+            bare = chain.moleculeType === 'protein' ?
+                ProteinAnalysis.analyzeProtein(chain.sequence, { sampleTemperature: AppState.proteinData.vbarTemperature }) :
+                ProteinAnalysis.analyzeNucleicAcid(chain.sequence, chain.moleculeType);
+        }
+
+        const deuteration = parseFloat(document.getElementById(`sansDeuteration-${i}`)?.value);
+        const residueText = document.getElementById(`sansResidues-${i}`)?.value.toUpperCase().replace(/[^A-Z]/g, '') || '';
+
+        return {
+            name: chain.name,
+            copies: chain.copies,
+            composition: chain.composition,
+            molecularWeight: bare.molecularWeight,
+            partialSpecificVolume: bare.partialSpecificVolume,
+            deuteration: isNaN(deuteration) ? 0 : Math.min(Math.max(deuteration, 0), 100) / 100,
+            deuteratedResidues: residueText && chain.moleculeType === 'protein' ? [...new Set(residueText)] : null,
+            hasModifications: chain.modifications?.length > 0
+        };
+    });
+}
+
+function displaySANSResults(contrast, hasModifications) {
+    const resultsDiv = document.getElementById('sansResults');
+    const formatMatch = (x) => x < 0 || x > 1 ?
+        `${(x * 100).toFixed(1)}% <span style="font-size: 0.75rem;">(無法匹配)</span>` :
+        `${(x * 100).toFixed(1)}%`;
+
+    const chainRows = contrast.chains.map(chain => `
+        <tr>
+            <td>${escapeHtml(chain.name)} ×${chain.copies}</td>
+            <td class="text-right">${chain.sldH2O.toFixed(2)}</td>
+            <td class="text-right">${chain.sldD2O.toFixed(2)}</td>
+            <td class="text-right">${chain.contrast.toFixed(2)}</td>
+            <td class="text-right">${formatMatch(chain.matchPoint)}</td>
+        </tr>
+    `).join('');
+
+    const modificationNote = hasModifications ?
+        `<div class="alert alert-warning" style="margin-top: 1rem;">
+            修飾 / 配體沒有元素組成資料，SLD 以未修飾的鏈計算
+        </div>` : '';
+
+    const seriesRows = contrast.series.map(point => `
+        <tr>
+            <td>${(point.d2oFraction * 100).toFixed(0)}%</td>
+            <td class="text-right">${point.solventSLD.toFixed(2)}</td>
+            <td class="text-right">${point.i0.toExponential(3)}</td>
+        </tr>
+    `).join('');
+
+    resultsDiv.innerHTML = `
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">溶劑 SLD (${(contrast.d2oFraction * 100).toFixed(0)}% D₂O)</div>
+                <div class="result-value">${contrast.solventSLD.toFixed(3)} <span style="font-size: 0.75rem;">×10⁻⁶ Å⁻²</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">樣品 SLD</div>
+                <div class="result-value">${contrast.complexSLD.toFixed(3)} <span style="font-size: 0.75rem;">×10⁻⁶ Å⁻²</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">匹配點</div>
+                <div class="result-value">${formatMatch(contrast.complexMatchPoint)} <span style="font-size: 0.75rem;">D₂O</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">理論 <i>I</i>(0)</div>
+                <div class="result-value">${contrast.theoreticalI0.toExponential(3)} <span style="font-size: 0.75rem;">cm⁻¹</span></div>
+            </div>
+        </div>
+
+        <div class="section-divider"><span>各鏈 SLD (×10⁻⁶ Å⁻²)</span></div>
+
+        <div class="table-wrapper">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>鏈</th>
+                        <th class="text-right">0% D₂O</th>
+                        <th class="text-right">100% D₂O</th>
+                        <th class="text-right">Δρ</th>
+                        <th class="text-right">匹配點</th>
+                    </tr>
+                </thead>
+                <tbody>${chainRows}</tbody>
+            </table>
+        </div>
+
+        <div class="section-divider"><span>D₂O 系列</span></div>
+
+        <div class="table-wrapper">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>D₂O</th>
+                        <th class="text-right">溶劑 SLD</th>
+                        <th class="text-right"><i>I</i>(0) (cm⁻¹)</th>
+                    </tr>
+                </thead>
+                <tbody>${seriesRows}</tbody>
+            </table>
+        </div>
+
+        ${modificationNote}
+
+        <div class="alert alert-info" style="margin-top: 1rem;">
+            <strong>公式：</strong><i>I</i>(0) = c × N<sub>A</sub> / M × (Σb − ρ<sub>s</sub>V)²<br>
+            V = MW × <i>v̄</i> / N<sub>A</sub>；可交換氫交換比例 ${(contrast.exchangeFraction * 100).toFixed(0)}%
+        </div>
+    `;
+
+    const chartWrapper = document.getElementById('sansChartWrapper');
+    if (chartWrapper) chartWrapper.classList.remove('hidden');
+    if (AppState.charts.sans) AppState.charts.sans.destroy();
+    AppState.charts.sans = SAXSCharts.createContrastVariationChart('sansContrastChart', contrast);
+}
+
+// ========================
+// HPLC-SAXS Section
+// ========================
+function initHPLCSection() {
+    const calculateBtn = document.getElementById('calculateHPLCSAXS');
+
+    if (!calculateBtn) {
+        console.warn('HPLC-SAXS calculate button not found');
+        return;
+    }
+
+    calculateBtn.addEventListener('click', () => runHPLCSAXSCalculation());
+
+    // Also update suggested values when peak center/FWHM changes
+    ['hplcPeakCenter', 'hplcPeakFWHM'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', () => {
+                const peakCenter = parseFloat(document.getElementById('hplcPeakCenter').value);
+                const peakFWHM = parseFloat(document.getElementById('hplcPeakFWHM').value);
+
+                if (!isNaN(peakCenter) && !isNaN(peakFWHM)) {
+                    const suggested = SAXSCalculations.calculateSuggestedParams(peakCenter, peakFWHM);
+                    updateSuggestedValues(suggested);
+                }
+            });
+        }
+    });
+
+    initHPLCMethods();
+    initPrerunFit();
+    initSecFrames();
+    initSecDeconvolution();
+}
+
+/**
+ * 讀取 pre-run 參數並計算 HPLC-SAXS 設定、更新表格與時間軸
+ * @param {object} options - 選項
+ * @param {boolean} options.live - 時間軸拖曳中 (略過 SEC 幀序列重繪與輸入錯誤提示，放開時再更新並驗證)
+ */
+function runHPLCSAXSCalculation(options = {}) {
+    const peakCenter = parseFloat(document.getElementById('hplcPeakCenter').value);
+    const peakFWHM = parseFloat(document.getElementById('hplcPeakFWHM').value);
+    const injectionVolume = parseFloat(document.getElementById('hplcInjectionVolume').value);
+    const targetFlowRate = parseFloat(document.getElementById('hplcTargetFlowRate').value);
+    const initialFlowRate = parseFloat(document.getElementById('hplcInitialFlowRate').value);
+
+    // Validate inputs (拖曳中不跳出提示，避免每次移動都彈出對話框)
+    if (isNaN(peakCenter) || isNaN(peakFWHM) || isNaN(injectionVolume) ||
+        isNaN(targetFlowRate) || isNaN(initialFlowRate)) {
+        if (!options.live) alert('請填寫所有必要參數');
+        return;
+    }
+
+    // Calculate HPLC-SAXS settings with the selected method profile
+    const profile = getSelectedHPLCMethod();
+    const result = SAXSCalculations.calculateHPLCSAXSSettings({
+        peakCenter,
+        peakFWHM,
+        injectionVolume,
+        targetFlowRate,
+        initialFlowRate,
+        method: profile.values
+    });
+    result.methodProfile = { id: profile.id, name: profile.name, version: profile.version, date: profile.date };
+
+    // Calculate suggested values for 10μL pre-run
+    const suggested = SAXSCalculations.calculateSuggestedParams(peakCenter, peakFWHM);
+
+    AppState.hplcSettings = result;
+
+    // Display results
+    displayHPLCSAXSResults(result, suggested);
+    updateHPLCTimeline(result);
+    if (AppState.secFrames && !options.live) updateSecFrames();
+}
+
+// 時間軸圖: 已存在時就地更新 (保留拖曳狀態)
+function updateHPLCTimeline(result) {
+    const timeline = SAXSCalculations.calculateHPLCTimeline(result);
+    if (AppState.charts.hplcTimeline) {
+        SAXSCharts.updateHPLCTimelineChart(AppState.charts.hplcTimeline, timeline);
+    } else {
+        AppState.charts.hplcTimeline = SAXSCharts.createHPLCTimelineChart('hplcTimelineChart', timeline, dragHPLCTimeline);
+    }
+}
+
+/**
+ * 時間軸拖曳: 預測峰的中心 / FWHM 以注射體積的時間偏移與峰寬縮放換算回 3μL pre-run 參數後重新計算
+ * @param {string} handle - 'center' 或 'fwhm'
+ * @param {number} time - 游標時間 (min)，限制在時間軸範圍內 (游標移出圖表時不外推)
+ * @param {boolean} final - 是否已放開
+ */
+function dragHPLCTimeline(handle, time, final) {
+    const settings = AppState.hplcSettings;
+    if (!settings || !isFinite(time)) return;
+
+    const { injectionVolume } = settings.input;
+    const { peak, endTime } = SAXSCalculations.calculateHPLCTimeline(settings);
+    time = Math.min(Math.max(time, 0), endTime);
+    if (handle === 'center') {
+        const peakCenter = Math.max(time - SAXSCalculations.calculateTimeOffset(injectionVolume), 0);
+        document.getElementById('hplcPeakCenter').value = peakCenter.toFixed(3);
+    } else {
+        const fwhm = Math.max(2 * (time - peak.center), 0.02);
+        document.getElementById('hplcPeakFWHM').value = (fwhm / SAXSCalculations.calculatePeakWidthScaling(injectionVolume)).toFixed(3);
+    }
+
+    runHPLCSAXSCalculation({ live: !final });
+    if (final) saveFormState();
+}
+
+function displayHPLCSAXSResults(result, suggested) {
+    // Update suggested values
+    updateSuggestedValues(suggested);
+
+    const methodUsed = document.getElementById('hplcMethodUsed');
+    if (methodUsed) methodUsed.textContent = `方法設定檔: ${formatHPLCMethod(result)}`;
+
+    // Update Flow Rate Table
+    const flowRateTableBody = document.getElementById('flowRateTableBody');
+    if (flowRateTableBody) {
+        flowRateTableBody.innerHTML = result.flowRateTable.map(row => `
+            <tr${row.note ? ' style="background: rgba(var(--color-primary-rgb), 0.1);"' : ''}>
+                <td>${row.time.toFixed(2)}</td>
+                <td>${row.flowRate.toFixed(3)}</td>
+                <td style="color: ${row.note ? 'var(--color-primary)' : 'var(--color-text-muted)'}; font-weight: ${row.note ? '600' : '400'};">${row.note || '-'}</td>
+            </tr>
+        `).join('');
+    }
+
+    // Update Report Stoptime
+    const reportStoptimeEl = document.getElementById('reportStoptime');
+    if (reportStoptimeEl) {
+        reportStoptimeEl.textContent = result.reportStoptime;
+    }
+
+    // Update Fraction Collector
+    const fractionStartTime = document.getElementById('fractionStartTime');
+    const fractionStopTime = document.getElementById('fractionStopTime');
+    const timePerFraction = document.getElementById('timePerFraction');
+
+    if (fractionStartTime) fractionStartTime.textContent = result.fractionCollector.startTime.toFixed(1);
+    if (fractionStopTime) fractionStopTime.textContent = result.fractionCollector.stopTime.toFixed(1);
+    if (timePerFraction) timePerFraction.textContent = result.fractionCollector.timePerFraction.toFixed(1);
+
+    // Update Detector Settings Table
+    const detectorTableBody = document.getElementById('detectorSettingsTableBody');
+    if (detectorTableBody) {
+        detectorTableBody.innerHTML = result.detectorSettings.map(row => {
+            // Highlight step 4 (main data collection)
+            const isMainStep = row.step === 4;
+            const rowStyle = isMainStep ? 'background: rgba(245, 158, 11, 0.15);' : '';
+            const frameStyle = isMainStep ? 'color: #f59e0b; font-weight: 700;' : '';
+
+            return `
+                <tr style="${rowStyle}">
+                    <td>${row.step}</td>
+                    <td style="color: ${row.mode === 'TM' ? '#3b82f6' : '#10b981'}; font-weight: 600;">${row.mode}</td>
+                    <td style="${frameStyle}">${row.frame}</td>
+                    <td>${row.wait}</td>
+                    <td>${row.exposure}</td>
+                    <td>${row.hold}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+}
 
-    calculateBtn.addEventListener('click', () => {
-        const concentration = parseFloat(document.getElementById('sampleConcentration').value);
-        const xrayEnergy = parseFloat(document.getElementById('xrayEnergy').value);
-        const i0Guinier = parseFloat(document.getElementById('i0Guinier').value);
-        const rgGuinier = parseFloat(document.getElementById('rgGuinier').value);
-        const guinierQmax = parseFloat(document.getElementById('guinierQmax').value);
-        const i0Pr = parseFloat(document.getElementById('i0Pr').value);
-        const rgPr = parseFloat(document.getElementById('rgPr').value);
-        const dmax = parseFloat(document.getElementById('dmax').value);
-        const porodVolume = parseFloat(document.getElementById('porodVolume').value);
+function updateSuggestedValues(suggested) {
+    const suggestPeakCenter = document.getElementById('suggestPeakCenter');
+    const suggestPeakWidth = document.getElementById('suggestPeakWidth');
+    const suggestSampleVolume = document.getElementById('suggestSampleVolume');
 
-        // Validate required inputs
-        if (isNaN(concentration) || concentration <= 0) {
-            showAlert('saxsResults', 'error', '樣品濃度必須大於 0');
+    if (suggestPeakCenter) suggestPeakCenter.textContent = suggested.suggestPeakCenter;
+    if (suggestPeakWidth) suggestPeakWidth.textContent = suggested.suggestPeakWidth;
+    if (suggestSampleVolume) suggestSampleVolume.textContent = suggested.suggestSampleVolume;
+}
+
+
+// ========================
+// HPLC-SAXS Method Profiles
+// ========================
+const HPLC_METHODS_KEY = 'tps13a-hplc-methods';
+
+// 可為 0 的方法常數 (時間偏移)；其餘須為正值
+const HPLC_METHOD_ZERO_ALLOWED = ['preSlowdownOffset', 'extraSlowTime'];
+
+// 設定檔的版本只增不改: 儲存時附加新版本，舊版本保留以重現先前的計算結果
+function createDefaultHPLCMethods() {
+    return {
+        selected: 'default',
+        selectedVersion: null,
+        profiles: [{
+            id: 'default',
+            name: 'TPS13A 預設',
+            versions: [{ version: 1, date: null, values: { ...SAXSCalculations.DEFAULT_HPLC_METHOD } }]
+        }]
+    };
+}
+
+function loadHPLCMethods() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(HPLC_METHODS_KEY));
+        if (stored && Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+            stored.profiles.forEach(profile => {
+                // 無版本紀錄的舊格式: 目前的常數即為唯一版本
+                if (!Array.isArray(profile.versions)) {
+                    profile.versions = [{ version: profile.version || 1, date: profile.date || null, values: profile.values }];
+                    delete profile.version;
+                    delete profile.date;
+                    delete profile.values;
+                }
+                // 缺少的常數以預設值補齊
+                profile.versions.forEach(entry => {
+                    entry.values = { ...SAXSCalculations.DEFAULT_HPLC_METHOD, ...entry.values };
+                });
+            });
+            stored.selectedVersion = stored.selectedVersion ?? null;
+            return stored;
+        }
+    } catch (e) { /* fall through to defaults */ }
+    return createDefaultHPLCMethods();
+}
+
+function saveHPLCMethods() {
+    try {
+        localStorage.setItem(HPLC_METHODS_KEY, JSON.stringify(AppState.hplcMethods));
+    } catch (e) { /* quota exceeded — ignore */ }
+}
+
+function getSelectedHPLCProfile() {
+    const { selected, profiles } = AppState.hplcMethods;
+    return profiles.find(profile => profile.id === selected) || profiles[0];
+}
+
+/**
+ * 目前選取的設定檔版本 (selectedVersion 為 null 時取最新版本)
+ * @returns {object} { id, name, version, date, values, latest }
+ */
+function getSelectedHPLCMethod() {
+    const profile = getSelectedHPLCProfile();
+    const latest = profile.versions[profile.versions.length - 1];
+    const entry = profile.versions.find(item => item.version === AppState.hplcMethods.selectedVersion) || latest;
+    return { id: profile.id, name: profile.name, ...entry, latest: entry === latest };
+}
+
+function initHPLCMethods() {
+    AppState.hplcMethods = loadHPLCMethods();
+
+    const select = document.getElementById('hplcMethodProfile');
+    if (!select) return;
+
+    select.addEventListener('change', () => {
+        AppState.hplcMethods.selected = select.value;
+        AppState.hplcMethods.selectedVersion = null;
+        saveHPLCMethods();
+        renderHPLCMethods();
+    });
+
+    document.getElementById('hplcMethodProfileVersion').addEventListener('change', (e) => {
+        const version = parseInt(e.target.value);
+        const profile = getSelectedHPLCProfile();
+        AppState.hplcMethods.selectedVersion = version === profile.versions[profile.versions.length - 1].version ? null : version;
+        saveHPLCMethods();
+        renderHPLCMethodEditor();
+        document.getElementById('hplcMethodStatus').innerHTML = '';
+    });
+
+    document.getElementById('toggleHplcMethodEditor').addEventListener('click', () => {
+        document.getElementById('hplcMethodCard').classList.toggle('hidden');
+    });
+
+    document.getElementById('saveHplcMethod').addEventListener('click', () => {
+        const edited = readHPLCMethodEditor();
+        if (edited.error) {
+            showAlert('hplcMethodStatus', 'error', edited.message);
             return;
         }
-        if (isNaN(xrayEnergy) || xrayEnergy <= 0) {
-            showAlert('saxsResults', 'error', 'X 射線能量必須大於 0');
+        const profile = getSelectedHPLCProfile();
+        const version = profile.versions[profile.versions.length - 1].version + 1;
+        profile.name = edited.name;
+        profile.versions.push({ version, date: new Date().toISOString().slice(0, 10), values: edited.values });
+        AppState.hplcMethods.selectedVersion = null;
+        saveHPLCMethods();
+        renderHPLCMethods();
+        showAlert('hplcMethodStatus', 'success', `已儲存 ${profile.name} v${version} (先前版本保留)，重新計算後生效`);
+    });
+
+    document.getElementById('addHplcMethod').addEventListener('click', () => {
+        const edited = readHPLCMethodEditor();
+        if (edited.error) {
+            showAlert('hplcMethodStatus', 'error', edited.message);
             return;
         }
+        const profile = {
+            id: `method-${Date.now()}`,
+            name: edited.name === getSelectedHPLCProfile().name ? `${edited.name} (複本)` : edited.name,
+            versions: [{ version: 1, date: new Date().toISOString().slice(0, 10), values: edited.values }]
+        };
+        AppState.hplcMethods.profiles.push(profile);
+        AppState.hplcMethods.selected = profile.id;
+        AppState.hplcMethods.selectedVersion = null;
+        saveHPLCMethods();
+        renderHPLCMethods();
+        showAlert('hplcMethodStatus', 'success', `已新增 ${profile.name} v1`);
+    });
 
-        // Calculate wavelength from energy
-        const wavelength = 12.398 / xrayEnergy; // Å
+    document.getElementById('deleteHplcMethod').addEventListener('click', () => {
+        const { profiles } = AppState.hplcMethods;
+        if (profiles.length <= 1) {
+            showAlert('hplcMethodStatus', 'warning', '至少需保留一個設定檔');
+            return;
+        }
+        const profile = getSelectedHPLCProfile();
+        if (!confirm(`確定刪除設定檔「${profile.name}」及其全部 ${profile.versions.length} 個版本？`)) return;
+        AppState.hplcMethods.profiles = profiles.filter(item => item !== profile);
+        AppState.hplcMethods.selected = AppState.hplcMethods.profiles[0].id;
+        AppState.hplcMethods.selectedVersion = null;
+        saveHPLCMethods();
+        renderHPLCMethods();
+        document.getElementById('hplcMethodStatus').innerHTML = '';
+    });
 
-        // Calculate MW from Porod volume
-        let mwFromPorod = null;
-        if (!isNaN(porodVolume) && porodVolume > 0) {
-            mwFromPorod = SAXSCalculations.estimateMwFromPorodVolume(porodVolume);
+    document.getElementById('resetHplcMethods').addEventListener('click', () => {
+        if (!confirm('確定還原預設設定檔？自訂設定檔將被刪除。')) return;
+        AppState.hplcMethods = createDefaultHPLCMethods();
+        saveHPLCMethods();
+        renderHPLCMethods();
+        document.getElementById('hplcMethodStatus').innerHTML = '';
+    });
+
+    renderHPLCMethods();
+}
+
+function renderHPLCMethods() {
+    const select = document.getElementById('hplcMethodProfile');
+    if (!select) return;
+
+    const selected = getSelectedHPLCProfile();
+    select.innerHTML = AppState.hplcMethods.profiles.map(profile => `
+        <option value="${escapeHtml(profile.id)}" ${profile === selected ? 'selected' : ''}>${escapeHtml(profile.name)}</option>
+    `).join('');
+    renderHPLCMethodEditor();
+}
+
+function renderHPLCMethodEditor() {
+    const tbody = document.getElementById('hplcMethodBody');
+    if (!tbody) return;
+
+    // 版本選單: 新版在上
+    const profile = getSelectedHPLCMethod();
+    const versions = getSelectedHPLCProfile().versions;
+    document.getElementById('hplcMethodProfileVersion').innerHTML = versions.slice().reverse().map((entry, k) => `
+        <option value="${entry.version}" ${entry.version === profile.version ? 'selected' : ''}>v${entry.version}${entry.date ? ` (${entry.date})` : ''}${k === 0 ? ' 最新' : ''}</option>
+    `).join('');
+
+    document.getElementById('hplcMethodName').value = profile.name;
+    document.getElementById('hplcMethodVersion').textContent = `v${profile.version}${profile.date ? ` (${profile.date})` : ''}` +
+        (profile.latest ? '' : ` — 舊版本 (最新 v${versions[versions.length - 1].version})，儲存會以這些常數新增版本`);
+
+    tbody.innerHTML = SAXSCalculations.HPLC_METHOD_PARAMETERS.map(parameter => `
+        <tr>
+            <td>${parameter.label}</td>
+            <td>${parameter.cell}</td>
+            <td class="text-right">
+                <input type="number" class="form-input" data-field="${parameter.key}"
+                    value="${profile.values[parameter.key]}" step="${parameter.step}" min="0" style="width: 6rem;">
+            </td>
+            <td>${parameter.unit || '-'}</td>
+            <td class="text-right">${SAXSCalculations.DEFAULT_HPLC_METHOD[parameter.key]}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * 讀取編輯器中的名稱與常數
+ * @returns {object} { name, values } 或 { error: true, message }
+ */
+function readHPLCMethodEditor() {
+    const name = document.getElementById('hplcMethodName').value.trim();
+    if (!name) return { error: true, message: '請輸入設定檔名稱' };
+
+    const values = {};
+    for (const parameter of SAXSCalculations.HPLC_METHOD_PARAMETERS) {
+        const input = document.querySelector(`#hplcMethodBody input[data-field="${parameter.key}"]`);
+        const value = parseFloat(input.value);
+        const minimumOk = HPLC_METHOD_ZERO_ALLOWED.includes(parameter.key) ? value >= 0 : value > 0;
+        if (!isFinite(value) || !minimumOk) {
+            return { error: true, message: `${parameter.label} (${parameter.cell}) 數值無效` };
         }
+        values[parameter.key] = value;
+    }
+    return { name, values };
+}
 
-        // Calculate all theoretical values if protein data exists
-        let theoreticalParams = null;
-        const proteinMw = AppState.proteinData?.molecularWeight;
-        if (proteinMw) {
-            theoreticalParams = SAXSCalculations.calculateAllTheoreticalParams(proteinMw, concentration, 'globular');
+/**
+ * 計算結果所用設定檔與常數的摘要
+ * @param {object} result - calculateHPLCSAXSSettings 結果 (含 methodProfile)
+ * @returns {string}
+ */
+function formatHPLCMethod(result) {
+    const constants = SAXSCalculations.HPLC_METHOD_PARAMETERS
+        .map(parameter => `${parameter.cell}=${result.method[parameter.key]}${parameter.unit ? ` ${parameter.unit}` : ''}`)
+        .join(', ');
+    return `${result.methodProfile.name} v${result.methodProfile.version} (${constants})`;
+}
+
+// ========================
+// Pre-run Chromatogram Peak Fit
+// ========================
+function initPrerunFit() {
+    const input = document.getElementById('prerunFileInput');
+    if (!input) return;
+
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        if (!file) return;
+
+        const status = document.getElementById('prerunFileStatus');
+        try {
+            status.textContent = '正在載入...';
+            const chromatogram = await readChromatogramFile(file);
+            if (chromatogram.data.length === 0) {
+                status.textContent = '檔案解析失敗：無有效數據';
+                return;
+            }
+
+            AppState.prerunFit = { fileName: file.name, headers: chromatogram.headers, data: chromatogram.data, result: null };
+            [['prerunTimeCol', chromatogram.timeCol], ['prerunSignalCol', chromatogram.signalCol]].forEach(([id, detected]) => {
+                const select = document.getElementById(id);
+                select.innerHTML = chromatogram.headers
+                    .map((header, i) => `<option value="${i}"${i === detected ? ' selected' : ''}>${escapeHtml(header)}</option>`)
+                    .join('');
+            });
+            status.textContent = `已載入: ${file.name} (${chromatogram.data.length} 點, ${chromatogram.headers.length} 欄)`;
+            runPrerunFit();
+        } catch (err) {
+            status.textContent = `載入失敗: ${err.message}`;
         }
+    });
 
-        // Store SAXS data
-        AppState.saxsData = {
-            concentration,
-            wavelength,
-            xrayEnergy,
-            i0Guinier,
-            rgGuinier,
-            guinierQmax,
-            i0Pr,
-            rgPr,
-            dmax,
-            porodVolume,
-            mwFromPorod,
-            theoreticalI0: theoreticalParams?.theoreticalI0,
-            theoreticalRg: theoreticalParams?.theoreticalRg,
-            theoreticalDmax: theoreticalParams?.theoreticalDmax
+    document.getElementById('fitPrerunPeak').addEventListener('click', () => {
+        if (!AppState.prerunFit) {
+            showAlert('prerunFitResults', 'warning', '請先載入 pre-run 層析圖');
+            return;
+        }
+        runPrerunFit();
+    });
+
+    document.getElementById('prerunFitResults').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action="use"]');
+        const result = AppState.prerunFit?.result;
+        if (!button || !result) return;
+        result.target = Number(button.dataset.peak);
+        applyPrerunPeak(result);
+        displayPrerunFit(result);
+        destroyCharts(['prerunFit']);
+        AppState.charts.prerunFit = SAXSCharts.createChromatogramFitChart('prerunFitChart', result);
+    });
+}
+
+/**
+ * 讀取層析圖: CSV/TSV 以表頭自動偵測時間與 UV 欄位；ASTRA .afe7 將各通道依 UV 通道時間軸並列
+ * @param {File} file - 層析圖檔案
+ * @returns {Promise<object>} { headers, data, timeCol, signalCol }
+ */
+async function readChromatogramFile(file) {
+    if (!file.name.toLowerCase().endsWith('.afe7')) {
+        const parsed = DndcFileParser.parseCSV(await DndcFileParser.readFile(file));
+        const detected = DndcFileParser.autoDetectColumns(parsed.headers);
+        return {
+            headers: parsed.headers,
+            data: parsed.data,
+            timeCol: Math.max(detected.timeCol, 0),
+            signalCol: detected.uvCol >= 0 ? detected.uvCol : Math.min(1, parsed.headers.length - 1)
         };
+    }
 
-        // Display results
-        displaySAXSResults(AppState.saxsData);
+    const astra = await DndcAstraParser.parseAfe7File(file);
+    const channels = (astra.allChannels || []).filter(ch => astra.channelData[ch.dnCode]);
+    if (channels.length === 0) throw new Error('未找到通道數據');
+
+    const isUv = label => /uv|abs|280/i.test(label);
+    const uvIndex = Math.max(channels.findIndex(ch => isUv(ch.label)), 0);
+    const time = astra.channelData[channels[uvIndex].dnCode].time;
+    return {
+        headers: ['Time (min)', ...channels.map(ch => `${ch.label} (DN ${ch.dnCode})`)],
+        data: time.map((t, i) => [t, ...channels.map(ch => astra.channelData[ch.dnCode].values[i] ?? NaN)]),
+        timeCol: 0,
+        signalCol: uvIndex + 1
+    };
+}
 
-        // Update IUCr table
-        updateIUCrTable();
+function runPrerunFit() {
+    const state = AppState.prerunFit;
+    destroyCharts(['prerunFit']);
+    state.result = null;
+
+    const timeCol = parseInt(document.getElementById('prerunTimeCol').value);
+    const signalCol = parseInt(document.getElementById('prerunSignalCol').value);
+    const result = ChromatogramFit.fitChromatogram(
+        state.data.map(row => row[timeCol]),
+        state.data.map(row => row[signalCol]),
+        {
+            model: document.getElementById('prerunFitModel').value,
+            peaks: parseInt(document.getElementById('prerunPeakCount').value),
+            start: parseFloat(document.getElementById('prerunFitStart').value),
+            end: parseFloat(document.getElementById('prerunFitEnd').value)
+        }
+    );
+    if (result.error) {
+        showAlert('prerunFitResults', 'error', result.message);
+        return;
+    }
+
+    state.result = result;
+    if (isReliablePrerunFit(result)) applyPrerunPeak(result);
+    displayPrerunFit(result);
+    AppState.charts.prerunFit = SAXSCharts.createChromatogramFitChart('prerunFitChart', result);
+}
+
+// 擬合收斂且所有峰均有資料支持 (面積不為 0 或可忽略) 時才自動帶入，否則僅能由表格手動選擇
+function isReliablePrerunFit(result) {
+    return result.converged && result.peaks.every(peak => peak.supported);
+}
+
+// 將目標峰的峰頂時間與 FWHM 填入 pre-run 參數 (觸發 input 以更新建議值)
+function applyPrerunPeak(result) {
+    const peak = result.peaks[result.target];
+    if (peak.fwhm === null) return;
+    [['hplcPeakCenter', peak.apex.toFixed(3)], ['hplcPeakFWHM', peak.fwhm.toFixed(3)]].forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        input.value = value;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
     });
+    saveFormState();
 }
 
-// Update all theoretical values when protein analysis is done
-function updateTheoreticalValuesFromProtein() {
-    const concentrationInput = document.getElementById('sampleConcentration');
-    const theoreticalI0Display = document.getElementById('theoreticalI0Display');
-    const theoreticalRgDisplay = document.getElementById('theoreticalRgDisplay');
-    const predictedRgDisplay = document.getElementById('predictedRgDisplay');
-    const theoreticalDmaxDisplay = document.getElementById('theoreticalDmaxDisplay');
-    const theoreticalMWInput = document.getElementById('theoreticalMWInput');
+function displayPrerunFit(result) {
+    const container = document.getElementById('prerunFitResults');
+    if (!container) return;
 
-    // Detector distance elements
-    const detectorDistanceSource = document.getElementById('detectorDistanceSource');
-    const suggestedQminDisplay = document.getElementById('suggestedQminDisplay');
-    const suggestedSDDisplay = document.getElementById('suggestedSDDisplay');
-    const suggestedQrangeDisplay = document.getElementById('suggestedQrangeDisplay');
+    const target = result.peaks[result.target];
+    const totalArea = result.peaks.reduce((sum, peak) => sum + Math.max(peak.area, 0), 0);
+    // 未自動帶入時單峰也列出峰表，供手動帶入
+    const reliable = isReliablePrerunFit(result);
+    container.innerHTML = `
+        <div class="section-divider"><span>${escapeHtml(AppState.prerunFit.fileName)} — ${ChromatogramFit.PEAK_MODELS[result.model].label}</span></div>
 
-    if (!concentrationInput) return;
+        <div class="result-grid">
+            <div class="result-item">
+                <div class="result-label">目標峰中心 (峰頂)</div>
+                <div class="result-value">${target.apex.toFixed(3)} <span style="font-size: 0.75rem;">min</span></div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">目標峰 FWHM</div>
+                <div class="result-value">${target.fwhm !== null ? `${target.fwhm.toFixed(3)} <span style="font-size: 0.75rem;">min</span>` : '-'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label">不對稱因子 <i>A</i><sub>s</sub> (10%)</div>
+                <div class="result-value">${target.asymmetry !== null ? target.asymmetry.toFixed(2) : '-'}</div>
+            </div>
+            <div class="result-item">
+                <div class="result-label"><i>R</i>² / 迭代次數</div>
+                <div class="result-value">${result.r2 !== null ? result.r2.toFixed(4) : '-'} / ${result.iterations}</div>
+            </div>
+        </div>
 
-    const concentration = parseFloat(concentrationInput.value) || 1.0;
-    const proteinMw = AppState.proteinData?.molecularWeight;
+        ${result.peaks.length > 1 || !reliable ? `
+        <div class="table-wrapper mt-md">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>峰</th>
+                        <th class="text-right">峰頂 (min)</th>
+                        <th class="text-right">FWHM (min)</th>
+                        <th class="text-right"><i>A</i><sub>s</sub></th>
+                        <th class="text-right">峰高</th>
+                        <th class="text-right">面積 (%)</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.peaks.map((peak, k) => `
+                        <tr${k === result.target ? ' style="background: rgba(var(--color-primary-rgb), 0.1);"' : ''}>
+                            <td>${k + 1}</td>
+                            <td class="text-right">${peak.apex.toFixed(3)}</td>
+                            <td class="text-right">${peak.fwhm !== null ? peak.fwhm.toFixed(3) : '-'}</td>
+                            <td class="text-right">${peak.asymmetry !== null ? peak.asymmetry.toFixed(2) : '-'}</td>
+                            <td class="text-right">${peak.height.toExponential(3)}</td>
+                            <td class="text-right">${peak.area > 0 ? (peak.area / totalArea * 100).toFixed(1) : '-'}</td>
+                            <td>
+                                ${peak.supported && (k !== result.target || !reliable)
+                                    ? `<button class="btn btn-sm btn-secondary" data-peak="${k}" data-action="use" title="設為目標峰並帶入">→</button>`
+                                    : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        ` : ''}
+        ${!result.converged ? `
+            <div class="alert alert-warning mt-sm">擬合達迭代上限 (${result.iterations} 次) 未收斂，未自動帶入 pre-run 參數；請調整範圍、峰數或峰形，或以峰表的 → 手動帶入</div>
+        ` : ''}
+        ${result.peaks.some(peak => !peak.supported) ? `
+            <div class="alert alert-warning mt-sm">有峰的擬合面積為 0 或可忽略 (資料不支持該峰)，未自動帶入 pre-run 參數；請減少峰數或調整範圍，或以峰表的 → 手動帶入</div>
+        ` : ''}
+        ${target.fwhm === null ? `
+            <div class="alert alert-warning mt-sm">目標峰的半高寬超出計算範圍，未帶入 pre-run 參數</div>
+        ` : ''}
+    `;
+}
 
-    if (proteinMw) {
-        const result = SAXSCalculations.calculateAllTheoreticalParams(proteinMw, concentration, 'globular');
+// ========================
+// SEC-SAXS Frame Series
+// ========================
+const SEC_REGION_INPUTS = {
+    buffer: ['secBufferStart', 'secBufferEnd'],
+    sample: ['secSampleStart', 'secSampleEnd']
+};
 
-        if (theoreticalI0Display) {
-            theoreticalI0Display.textContent = result.theoreticalI0.toExponential(2);
-        }
-        if (theoreticalRgDisplay) {
-            theoreticalRgDisplay.textContent = result.theoreticalRg.toFixed(1);
-        }
-        if (predictedRgDisplay) {
-            predictedRgDisplay.textContent = result.predictedRg.toFixed(2);
-        }
-        if (theoreticalDmaxDisplay) {
-            theoreticalDmaxDisplay.textContent = result.theoreticalDmax.toFixed(0);
-        }
-        // Update MW input field with protein MW from sequence analysis
-        if (theoreticalMWInput) {
-            theoreticalMWInput.value = proteinMw.toFixed(0);
-        }
+function initSecFrames() {
+    const input = document.getElementById('secFramesInput');
+    if (!input) return;
 
-        // Calculate and display detector distance recommendations using MW
-        const detectorResult = SAXSCalculations.calculateDetectorDistance(proteinMw, 'mw');
+    input.addEventListener('change', async () => {
+        const files = [...input.files];
+        if (files.length === 0) return;
 
-        if (detectorDistanceSource) {
-            detectorDistanceSource.textContent = `Rg: ${detectorResult.rg.toFixed(1)} Å`;
+        try {
+            const texts = await Promise.all(files.map(file => DndcFileParser.readFile(file)));
+            loadSecFrames(files.map((file, i) => ({ fileName: file.name, text: texts[i] })));
+        } catch (err) {
+            document.getElementById('secFramesStatus').textContent = `讀取失敗: ${err.message}`;
         }
-        if (suggestedQminDisplay) {
-            suggestedQminDisplay.textContent = detectorResult.qmin.toFixed(4);
+    });
+
+    [...SEC_REGION_INPUTS.buffer, ...SEC_REGION_INPUTS.sample, 'secFirstFrameTime', 'secFrameInterval'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateSecFrames);
+    });
+    document.getElementById('secBufferScale').addEventListener('input', () => {
+        if (AppState.secFrames) updateSecFrames();
+    });
+
+    document.getElementById('secUsePlanTiming').addEventListener('click', () => {
+        if (!AppState.hplcSettings) {
+            showAlert('secTiming', 'warning', '請先計算 HPLC-SAXS 設定');
+            return;
         }
-        if (suggestedSDDisplay) {
-            suggestedSDDisplay.textContent = detectorResult.suggestedSD.toLocaleString();
+        fillSecPlanTiming();
+        if (AppState.secFrames) updateSecFrames();
+    });
+
+    document.getElementById('secAutoRegions').addEventListener('click', () => {
+        if (!AppState.secFrames) {
+            showAlert('secResults', 'warning', '請先載入幀序列');
+            return;
         }
-        if (suggestedQrangeDisplay) {
-            suggestedQrangeDisplay.textContent = `${detectorResult.qmin.toFixed(3)}-0.4`;
+        applySecSuggestedRegions();
+        updateSecFrames();
+    });
+
+    document.getElementById('exportSecReduction').addEventListener('click', () => {
+        const result = getSecReductionResult();
+        if (result) downloadTextFile(result.fileName, SAXSProfile.formatDatFile(result.profile, result.comments));
+    });
+    document.getElementById('useSecReduction').addEventListener('click', () => {
+        const result = getSecReductionResult();
+        if (!result) return;
+        loadSAXSProfile(result.fileName, formatReloadableDat(result.profile, result.comments), { calibration: result.calibration });
+        document.querySelector('.nav-item[data-section="saxs"]')?.click();
+    });
+}
+
+/**
+ * 解析幀序列 (依檔名排序、套用絕對強度校正) 並自動選取區段
+ * @param {Array<object>} files - [{ fileName, text }]
+ * @param {object} options - 選項
+ * @param {boolean} options.keepRegions - 保留目前的區段欄位 (校正變更後重新載入)
+ */
+function loadSecFrames(files, options = {}) {
+    const status = document.getElementById('secFramesStatus');
+    const unit = document.getElementById('saxsQUnit').value;
+    const sorted = [...files].sort((a, b) => a.fileName.localeCompare(b.fileName, undefined, { numeric: true }));
+
+    const profiles = [];
+    let calibration = null;
+    for (const file of sorted) {
+        const parsed = SAXSProfile.parseDatFile(file.text, { qUnit: unit });
+        if (parsed.error) {
+            status.textContent = `${file.fileName}: ${parsed.message}`;
+            return;
         }
+        const calibrated = calibrateUploadedProfile(parsed);
+        profiles.push(calibrated.profile);
+        calibration = calibrated.calibration;
+    }
+    if (profiles.length < 3) {
+        status.textContent = '至少需要 3 幀';
+        return;
+    }
+    if (profiles.some(profile => !DataReduction.sameQGrid(profile, profiles[0]))) {
+        status.textContent = '各幀的 q 格點不一致';
+        return;
+    }
+
+    const integrals = profiles.map(profile => DataReduction.integrateIntensity(profile));
+    AppState.secFrames = {
+        files: sorted,
+        fileNames: sorted.map(file => file.fileName),
+        profiles,
+        calibration,
+        integrals,
+        suggestion: DataReduction.suggestFrameRegions(integrals),
+        analysis: null,
+        bufferKey: null,
+        result: null
+    };
+
+    const planned = AppState.hplcSettings ? SAXSCalculations.calculateFrameTiming(AppState.hplcSettings).frames : null;
+    status.textContent = `已載入 ${profiles.length} 幀 (${profiles[0].q.length} 點` +
+        `${calibration ? `，絕對強度 k = ${calibration.factor.toExponential(3)}` : ''}` +
+        `${planned && planned !== profiles.length ? `；計畫 step 4 為 ${planned} 幀` : ''})`;
+
+    if (AppState.hplcSettings && isNaN(parseFloat(document.getElementById('secFirstFrameTime').value))) {
+        fillSecPlanTiming();
+    }
+    if (!options.keepRegions) {
+        applySecSuggestedRegions();
+        resetSecDeconvolution();
     }
+    updateSecFrames();
+    // 校正變更後以新的強度重新解析
+    if (options.keepRegions && AppState.secDeconvolution) runSecSVD();
+}
+
+// 由 HPLC-SAXS 設定帶入 step 4 的起始時間與幀間隔
+function fillSecPlanTiming() {
+    const timing = SAXSCalculations.calculateFrameTiming(AppState.hplcSettings);
+    document.getElementById('secFirstFrameTime').value = timing.firstFrameTime;
+    document.getElementById('secFrameInterval').value = timing.frameInterval;
+    saveFormState();
+}
+
+function applySecSuggestedRegions() {
+    const { suggestion, profiles } = AppState.secFrames;
+    // 無明顯峰時以前 10% 幀為緩衝液、其餘為樣品，供手動調整
+    const bufferEnd = Math.max(0, Math.round(profiles.length * 0.1) - 1);
+    const regions = suggestion || { buffer: [0, bufferEnd], sample: [bufferEnd + 1, profiles.length - 1] };
+
+    Object.entries(SEC_REGION_INPUTS).forEach(([region, ids]) => {
+        ids.forEach((id, i) => { document.getElementById(id).value = regions[region][i] + 1; });
+    });
+    saveFormState();
+    if (!suggestion) showAlert('secResults', 'warning', '積分強度無明顯峰，請手動選取區段');
 }
 
-// Keep backward compatibility
-function updateTheoreticalI0FromProtein() {
-    updateTheoreticalValuesFromProtein();
+/**
+ * 讀取區段欄位 (幀號 1 起算 → 0 起算)
+ * @param {string} region - 'buffer' | 'sample'
+ * @returns {Array<number>} [start, end]
+ */
+function getSecRange(region) {
+    return SEC_REGION_INPUTS[region].map(id => parseInt(document.getElementById(id).value, 10) - 1);
 }
 
-function displaySAXSResults(data) {
-    const resultsDiv = document.getElementById('saxsResults');
-
-    const proteinMw = AppState.proteinData?.molecularWeight;
-    const dryVolume = AppState.proteinData?.dryVolume;
+/**
+ * 各幀時間 (min)；起始時間或幀間隔未填時為 null
+ * @param {number} n - 幀數
+ * @returns {Array<number>|null}
+ */
+function getSecFrameTimes(n) {
+    const first = parseFloat(document.getElementById('secFirstFrameTime').value);
+    const interval = parseFloat(document.getElementById('secFrameInterval').value);
+    if (isNaN(first) || !(interval > 0)) return null;
+    return Array.from({ length: n }, (_, i) => first + i * interval / 60);
+}
 
-    // Calculate MW from I(0) if concentration and I(0) are valid
-    let mwFromI0Guinier = null;
-    let mwFromI0Pr = null;
-    if (data.concentration > 0) {
-        if (!isNaN(data.i0Guinier) && data.i0Guinier > 0) {
-            mwFromI0Guinier = SAXSCalculations.calculateMwFromI0(data.i0Guinier, data.concentration);
-        }
-        if (!isNaN(data.i0Pr) && data.i0Pr > 0) {
-            mwFromI0Pr = SAXSCalculations.calculateMwFromI0(data.i0Pr, data.concentration);
+function updateSecFrames() {
+    const frames = AppState.secFrames;
+    if (!frames) return;
+    destroyCharts(['secFrames']);
+
+    const bufferRange = getSecRange('buffer');
+    const sampleRange = getSecRange('sample');
+
+    // 緩衝液區段改變時才重新逐幀 Guinier
+    const bufferKey = bufferRange.join('-');
+    if (frames.bufferKey !== bufferKey) {
+        const analysis = DataReduction.analyzeFrameSeries(frames.profiles, bufferRange);
+        if (analysis.error) {
+            frames.analysis = null;
+            frames.result = null;
+            frames.bufferKey = null;
+            showAlert('secResults', 'error', analysis.message);
+            return;
         }
+        frames.analysis = analysis;
+        frames.bufferKey = bufferKey;
     }
 
-    // Build MW comparison alert
-    let mwAlertHtml = '';
-    if (proteinMw) {
-        const comparisons = [];
-        if (data.mwFromPorod) {
-            const ratio = data.mwFromPorod / proteinMw;
-            comparisons.push(`Porod / 序列 = ${ratio.toFixed(2)}`);
-        }
-        if (mwFromI0Guinier) {
-            const ratio = mwFromI0Guinier / proteinMw;
-            comparisons.push(`I(0) Guinier / 序列 = ${ratio.toFixed(2)}`);
-        }
-        if (mwFromI0Pr) {
-            const ratio = mwFromI0Pr / proteinMw;
-            comparisons.push(`I(0) P(r) / 序列 = ${ratio.toFixed(2)}`);
-        }
-        if (comparisons.length > 0) {
-            // Use the first available MW ratio for color coding
-            const firstMw = data.mwFromPorod || mwFromI0Guinier || mwFromI0Pr;
-            const isClose = Math.abs(firstMw - proteinMw) / proteinMw < 0.2;
-            mwAlertHtml = `
-            <div class="alert ${isClose ? 'alert-success' : 'alert-warning'}" style="margin-top: 1rem;">
-                <strong>MW 比較：</strong>${comparisons.join(' | ')}
-                <br>${isClose ? '✓ 符合預期 (單體)' : '⚠️ 可能有聚集或複合物形成'}
-            </div>`;
-        }
+    const scaleValue = parseFloat(document.getElementById('secBufferScale').value);
+    const scale = scaleValue >= 0 ? scaleValue : 1;
+    const reduced = DataReduction.reduceFrameRegions(frames.profiles, sampleRange, bufferRange, scale);
+
+    const times = getSecFrameTimes(frames.profiles.length);
+    const xrayWindow = AppState.hplcSettings ? SAXSCalculations.calculateFrameTiming(AppState.hplcSettings) : null;
+    AppState.charts.secFrames = SAXSCharts.createFrameSeriesChart('secFrameChart', {
+        x: times || frames.profiles.map((_, i) => i + 1),
+        xLabel: times ? '時間 (min)' : '幀號',
+        frames: frames.analysis.frames,
+        sampleRange: reduced.error ? sampleRange.map(i => Math.min(Math.max(i, 0), frames.profiles.length - 1)) : sampleRange,
+        bufferRange,
+        xrayWindow: times && xrayWindow ? { start: xrayWindow.xrayStart, stop: xrayWindow.xrayStop } : null
+    });
+    displaySecTiming(times, xrayWindow, sampleRange);
+
+    if (reduced.error) {
+        frames.result = null;
+        showAlert('secResults', 'error', reduced.message);
+        return;
     }
 
-    resultsDiv.innerHTML = `
-        <div class="result-grid">
-            <div class="result-item">
-                <div class="result-label">X 射線波長</div>
-                <div class="result-value">${data.wavelength.toFixed(5)} <span style="font-size: 0.75rem;">Å</span></div>
-            </div>
-            <div class="result-item">
-                <div class="result-label">樣品濃度</div>
-                <div class="result-value">${data.concentration} <span style="font-size: 0.75rem;">mg/mL</span></div>
-            </div>
-        </div>
+    const range = ([start, end]) => `${start + 1}-${end + 1}`;
+    const baseName = frames.fileNames[0].replace(/\.[^.]+$/, '').replace(/[_-]?\d+$/, '') || 'sec';
+    frames.result = {
+        fileName: `${baseName}_sec_${range(sampleRange)}.dat`,
+        profile: reduced.subtraction.profile,
+        subtracted: reduced.subtraction,
+        scale,
+        sampleRange,
+        bufferRange,
+        calibration: frames.calibration,
+        comments: [
+            `SEC-SAXS: sample frames ${range(sampleRange)} averaged (${sampleRange[1] - sampleRange[0] + 1} frames)`,
+            `Buffer frames ${range(bufferRange)} averaged (${bufferRange[1] - bufferRange[0] + 1} frames), scale factor ${scale}`,
+            ...(times ? [`Sample elution ${times[sampleRange[0]].toFixed(2)}-${times[sampleRange[1]].toFixed(2)} min`] : []),
+            ...(AppState.hplcSettings ? [`HPLC-SAXS method: ${formatHPLCMethod(AppState.hplcSettings)}`] : []),
+            'I = I_sample - f * I_buffer; sigma = sqrt(sigma_s^2 + f^2 sigma_b^2)'
+        ]
+    };
+    displaySecResults(frames, times);
+}
 
-        <div class="section-divider"><span>Guinier 分析</span></div>
+/**
+ * 比對樣品區段 / 峰頂與計畫的 X-RAY IMAGE 時間窗
+ * @param {Array<number>|null} times - 各幀時間 (min)
+ * @param {object|null} plan - SAXSCalculations.calculateFrameTiming 結果
+ * @param {Array<number>} sampleRange - 樣品區段
+ */
+function displaySecTiming(times, plan, sampleRange) {
+    const container = document.getElementById('secTiming');
+    if (!container) return;
 
-        <div class="result-grid">
-            <div class="result-item">
-                <div class="result-label"><i>I</i>(0) from Guinier</div>
-                <div class="result-value">${isNaN(data.i0Guinier) ? '-' : data.i0Guinier.toFixed(5)} <span style="font-size: 0.75rem;">cm⁻¹</span></div>
-            </div>
-            <div class="result-item">
-                <div class="result-label"><i>R</i><sub>g</sub> from Guinier</div>
-                <div class="result-value">${isNaN(data.rgGuinier) ? '-' : data.rgGuinier.toFixed(2)} <span style="font-size: 0.75rem;">Å</span></div>
-            </div>
+    if (!times) {
+        showAlert('secTiming', 'info', '未設定第 1 幀時間與幀間隔，橫軸以幀號顯示');
+        return;
+    }
+    if (!plan) {
+        showAlert('secTiming', 'info', '尚未計算 HPLC-SAXS 設定，無法比對 X-RAY IMAGE 時間窗');
+        return;
+    }
+
+    const { suggestion } = AppState.secFrames;
+    const inside = (t) => t >= plan.xrayStart && t <= plan.xrayStop;
+    const sampleStart = times[Math.max(0, sampleRange[0])];
+    const sampleEnd = times[Math.min(times.length - 1, sampleRange[1])];
+    const peakTime = suggestion ? times[suggestion.peak] : null;
+    const covered = inside(sampleStart) && inside(sampleEnd);
+    const peakInside = peakTime === null || inside(peakTime);
+
+    container.innerHTML = `
+        <div class="alert ${covered && peakInside ? 'alert-success' : 'alert-warning'}">
+            X-RAY IMAGE ${plan.xrayStart.toFixed(2)}–${plan.xrayStop.toFixed(2)} min；
+            樣品區段 ${sampleStart.toFixed(2)}–${sampleEnd.toFixed(2)} min${peakTime !== null ? `，積分強度峰頂 ${peakTime.toFixed(2)} min` : ''}
+            <br>${covered && peakInside
+                ? '✓ 樣品區段與峰頂皆落在時間窗內'
+                : `⚠️ ${!peakInside
+                    ? `峰頂${peakTime < plan.xrayStart ? '早於' : '晚於'}時間窗 ${Math.abs(peakTime - (peakTime < plan.xrayStart ? plan.xrayStart : plan.xrayStop)).toFixed(2)} min`
+                    : '樣品區段超出時間窗 (該段流速未降低)'} — 請檢查 pre-run 峰位與時間偏移`}
         </div>
-        ${(() => {
-            if (!isNaN(data.guinierQmax) && !isNaN(data.rgGuinier) && data.guinierQmax > 0 && data.rgGuinier > 0) {
-                const qRg = data.guinierQmax * data.rgGuinier;
-                if (qRg > 1.3) {
-                    return `<div class="alert alert-warning" style="margin-top: 0.5rem;">
-                        ⚠️ <i>q</i><sub>max</sub> × <i>R</i><sub>g</sub> = ${qRg.toFixed(2)} > 1.3 — Guinier 擬合可能不可靠，建議降低 <i>q</i><sub>max</sub>
-                    </div>`;
-                }
-                return `<div class="alert alert-success" style="margin-top: 0.5rem;">
-                    ✓ <i>q</i><sub>max</sub> × <i>R</i><sub>g</sub> = ${qRg.toFixed(2)} ≤ 1.3 — Guinier 擬合範圍有效
-                </div>`;
-            }
-            return '';
-        })()}
+    `;
+}
 
-        <div class="section-divider"><span><i>P</i>(<i>r</i>) 分析</span></div>
+function displaySecResults(frames, times) {
+    const container = document.getElementById('secResults');
+    if (!container) return;
 
-        <div class="result-grid">
-            <div class="result-item">
-                <div class="result-label"><i>I</i>(0) from <i>P</i>(<i>r</i>)</div>
-                <div class="result-value">${isNaN(data.i0Pr) ? '-' : data.i0Pr.toFixed(5)} <span style="font-size: 0.75rem;">cm⁻¹</span></div>
-            </div>
-            <div class="result-item">
-                <div class="result-label"><i>R</i><sub>g</sub> from <i>P</i>(<i>r</i>)</div>
-                <div class="result-value">${isNaN(data.rgPr) ? '-' : data.rgPr.toFixed(2)} <span style="font-size: 0.75rem;">Å</span></div>
-            </div>
-            <div class="result-item">
-                <div class="result-label"><i>D</i><sub>max</sub></div>
-                <div class="result-value">${isNaN(data.dmax) ? '-' : data.dmax} <span style="font-size: 0.75rem;">Å</span></div>
-            </div>
-        </div>
+    const result = frames.result;
+    const guinier = SAXSProfile.autoGuinier(result.profile);
+    const sampleFits = frames.analysis.frames
+        .slice(result.sampleRange[0], result.sampleRange[1] + 1)
+        .filter(frame => frame.rg !== null);
+    const rgValues = sampleFits.map(frame => frame.rg);
+    const label = (i) => `${i + 1}${times ? ` (${times[i].toFixed(2)} min)` : ''}`;
 
-        <div class="section-divider"><span>體積與分子量</span></div>
+    container.innerHTML = `
+        <div class="section-divider"><span>${escapeHtml(result.fileName)}</span></div>
 
         <div class="result-grid">
             <div class="result-item">
-                <div class="result-label">Porod volume</div>
-                <div class="result-value">${isNaN(data.porodVolume) ? '-' : data.porodVolume.toLocaleString()} <span style="font-size: 0.75rem;">Å³</span></div>
+                <div class="result-label">緩衝液幀</div>
+                <div class="result-value">${label(result.bufferRange[0])} – ${label(result.bufferRange[1])}</div>
             </div>
             <div class="result-item">
-                <div class="result-label">乾燥體積 (序列)</div>
-                <div class="result-value">${dryVolume ? dryVolume.toFixed(1) : '-'} <span style="font-size: 0.75rem;">Å³</span></div>
+                <div class="result-label">樣品幀</div>
+                <div class="result-value">${label(result.sampleRange[0])} – ${label(result.sampleRange[1])}</div>
             </div>
             <div class="result-item">
-                <div class="result-label">MW from Porod</div>
-                <div class="result-value">${data.mwFromPorod ? data.mwFromPorod.toFixed(0) : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+                <div class="result-label">樣品區逐幀 <i>R</i><sub>g</sub> (${sampleFits.length} 幀)</div>
+                <div class="result-value">${rgValues.length
+                    ? `${Math.min(...rgValues).toFixed(1)}–${Math.max(...rgValues).toFixed(1)} <span style="font-size: 0.75rem;">Å</span>`
+                    : '-'}</div>
             </div>
             <div class="result-item">
-                <div class="result-label">MW from 序列</div>
-                <div class="result-value">${proteinMw ? proteinMw.toFixed(0) : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+                <div class="result-label">平均扣除後 Guinier <i>I</i>(0)</div>
+                <div class="result-value">${guinier ? `${guinier.i0.toExponential(4)} ± ${guinier.i0Error.toExponential(1)}` : '-'}</div>
             </div>
             <div class="result-item">
-                <div class="result-label">MW from <i>I</i>(0) Guinier</div>
-                <div class="result-value">${mwFromI0Guinier ? mwFromI0Guinier.toFixed(0) : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+                <div class="result-label">平均扣除後 Guinier <i>R</i><sub>g</sub></div>
+                <div class="result-value">${guinier ? `${guinier.rg.toFixed(2)} ± ${guinier.rgError.toFixed(2)} <span style="font-size: 0.75rem;">Å</span>` : '-'}</div>
             </div>
             <div class="result-item">
-                <div class="result-label">MW from <i>I</i>(0) <i>P</i>(<i>r</i>)</div>
-                <div class="result-value">${mwFromI0Pr ? mwFromI0Pr.toFixed(0) : '-'} <span style="font-size: 0.75rem;">Da</span></div>
+                <div class="result-label">比例因子 <i>f</i></div>
+                <div class="result-value">${result.scale}</div>
             </div>
         </div>
-
-        ${mwAlertHtml}
+        ${result.subtracted.oversubtracted ? `
+            <div class="alert alert-warning mt-sm">
+                高 <i>q</i> 尾端平均 ${result.subtracted.tailMean.toExponential(2)} ± ${result.subtracted.tailError.toExponential(1)} 顯著為負
+                — 緩衝液區段可能含有樣品或比例因子過大
+            </div>
+        ` : ''}
     `;
 }
 
+/**
+ * 目前 SEC-SAXS 扣除結果；尚未產生時顯示提示
+ * @returns {object|null}
+ */
+function getSecReductionResult() {
+    const result = AppState.secFrames?.result;
+    if (!result) showAlert('secResults', 'warning', '請先載入幀序列並選取有效區段');
+    return result || null;
+}
+
 // ========================
-// HPLC-SAXS Section
+// SEC Deconvolution (SVD / EFA)
 // ========================
-function initHPLCSection() {
-    const calculateBtn = document.getElementById('calculateHPLCSAXS');
+function initSecDeconvolution() {
+    const runButton = document.getElementById('runSvd');
+    if (!runButton) return;
+
+    runButton.addEventListener('click', runSecSVD);
+    document.getElementById('runEfaRotation').addEventListener('click', () => {
+        if (!AppState.secDeconvolution) {
+            showAlert('efaResults', 'warning', '請先執行 SVD / EFA');
+            return;
+        }
+        runEfaRotation(readEfaRanges());
+    });
 
-    if (!calculateBtn) {
-        console.warn('HPLC-SAXS calculate button not found');
+    // 範圍變更時重新旋轉；濃度變更只更新 MW
+    document.getElementById('efaRanges').addEventListener('change', (e) => {
+        if (!e.target.dataset.field || !AppState.secDeconvolution) return;
+        if (e.target.dataset.field === 'concentration') {
+            displayEfaResults();
+        } else {
+            runEfaRotation(readEfaRanges());
+        }
+    });
+
+    document.getElementById('efaResults').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        const state = AppState.secDeconvolution;
+        if (!button || !state?.rotation) return;
+
+        const species = state.rotation.species[button.dataset.species];
+        const fileName = getEfaSpeciesFileName(button.dataset.species);
+        const comments = getEfaSpeciesComments(button.dataset.species);
+        if (button.dataset.action === 'export') {
+            downloadTextFile(fileName, SAXSProfile.formatDatFile(species.profile, comments));
+        } else if (button.dataset.action === 'use') {
+            loadSAXSProfile(fileName, formatReloadableDat(species.profile, comments), { calibration: AppState.secFrames.calibration });
+            document.querySelector('.nav-item[data-section="saxs"]')?.click();
+        }
+    });
+}
+
+// 新幀序列載入時以洗出範圍作為預設分析區段
+function resetSecDeconvolution() {
+    AppState.secDeconvolution = null;
+    destroyCharts(['svd', 'efa', 'efaConcentration', 'efaProfile']);
+    ['svdResults', 'efaRanges', 'efaResults'].forEach(id => { document.getElementById(id).innerHTML = ''; });
+
+    const { suggestion, profiles } = AppState.secFrames;
+    const [start, end] = suggestion ? suggestion.elution : [0, profiles.length - 1];
+    document.getElementById('efaStart').value = start + 1;
+    document.getElementById('efaEnd').value = end + 1;
+    document.getElementById('efaComponents').value = '';
+    saveFormState();
+}
+
+function runSecSVD() {
+    const frames = AppState.secFrames;
+    destroyCharts(['svd', 'efa', 'efaConcentration', 'efaProfile']);
+    AppState.secDeconvolution = null;
+    ['efaRanges', 'efaResults'].forEach(id => { document.getElementById(id).innerHTML = ''; });
+
+    if (!frames?.analysis) {
+        showAlert('svdResults', 'warning', '請先載入幀序列並設定緩衝液區段');
         return;
     }
 
-    calculateBtn.addEventListener('click', () => {
-        const peakCenter = parseFloat(document.getElementById('hplcPeakCenter').value);
-        const peakFWHM = parseFloat(document.getElementById('hplcPeakFWHM').value);
-        const injectionVolume = parseFloat(document.getElementById('hplcInjectionVolume').value);
-        const targetFlowRate = parseFloat(document.getElementById('hplcTargetFlowRate').value);
-        const initialFlowRate = parseFloat(document.getElementById('hplcInitialFlowRate').value);
+    const range = ['efaStart', 'efaEnd'].map(id => parseInt(document.getElementById(id).value, 10) - 1);
+    const matrix = SECDeconvolution.buildFrameMatrix(frames.profiles, frames.analysis.buffer, range);
+    if (matrix.error) {
+        showAlert('svdResults', 'error', matrix.message);
+        return;
+    }
 
-        // Validate inputs
-        if (isNaN(peakCenter) || isNaN(peakFWHM) || isNaN(injectionVolume) ||
-            isNaN(targetFlowRate) || isNaN(initialFlowRate)) {
-            alert('請填寫所有必要參數');
-            return;
-        }
+    const svd = SECDeconvolution.analyzeSVD(matrix);
+    const requested = parseInt(document.getElementById('efaComponents').value, 10);
+    const components = requested >= 1 && requested <= SECDeconvolution.EFA_MAX_COMPONENTS
+        ? requested
+        : Math.max(1, svd.components);
+    document.getElementById('efaComponents').value = components;
+    saveFormState();
 
-        // Calculate HPLC-SAXS settings
-        const result = SAXSCalculations.calculateHPLCSAXSSettings({
-            peakCenter,
-            peakFWHM,
-            injectionVolume,
-            targetFlowRate,
-            initialFlowRate
-        });
+    const efa = SECDeconvolution.evolvingFactorAnalysis(matrix, svd, components);
+    AppState.secDeconvolution = { matrix, svd, efa, rotation: null, species: [] };
 
-        // Calculate suggested values for 10μL pre-run
-        const suggested = SAXSCalculations.calculateSuggestedParams(peakCenter, peakFWHM);
+    displaySvdResults(svd, components);
+    const shown = Math.min(svd.singularValues.length, 10);
+    AppState.charts.svd = SAXSCharts.createSvdChart('svdChart', svd, shown);
+    AppState.charts.efa = SAXSCharts.createEfaChart('efaChart', efa, getEfaFrameNumbers());
 
-        // Display results
-        displayHPLCSAXSResults(result, suggested);
-    });
+    runEfaRotation(efa.ranges);
+}
 
-    // Also update suggested values when peak center/FWHM changes
-    ['hplcPeakCenter', 'hplcPeakFWHM'].forEach(id => {
-        const input = document.getElementById(id);
-        if (input) {
-            input.addEventListener('input', () => {
-                const peakCenter = parseFloat(document.getElementById('hplcPeakCenter').value);
-                const peakFWHM = parseFloat(document.getElementById('hplcPeakFWHM').value);
+/**
+ * 分析區段內各幀的幀號 (1 起算)
+ * @returns {Array<number>}
+ */
+function getEfaFrameNumbers() {
+    const { matrix } = AppState.secDeconvolution;
+    return matrix.data.map((_, f) => matrix.frames[0] + f + 1);
+}
 
-                if (!isNaN(peakCenter) && !isNaN(peakFWHM)) {
-                    const suggested = SAXSCalculations.calculateSuggestedParams(peakCenter, peakFWHM);
-                    updateSuggestedValues(suggested);
-                }
-            });
-        }
+/**
+ * 讀取範圍表 (幀號 → 區段內 0 起算)
+ * @returns {Array<Array<number>>}
+ */
+function readEfaRanges() {
+    const offset = AppState.secDeconvolution.matrix.frames[0] + 1;
+    const ranges = [];
+    document.querySelectorAll('#efaRanges input[data-field="start"]').forEach(input => {
+        const k = parseInt(input.dataset.component, 10);
+        const end = document.querySelector(`#efaRanges input[data-component="${k}"][data-field="end"]`);
+        ranges[k] = [parseInt(input.value, 10) - offset, parseInt(end.value, 10) - offset];
     });
+    return ranges;
 }
 
-function displayHPLCSAXSResults(result, suggested) {
-    // Update suggested values
-    updateSuggestedValues(suggested);
+/**
+ * 各成分峰頂濃度 (mg/mL)；未填時為 NaN
+ * @returns {Array<number>}
+ */
+function readEfaConcentrations() {
+    return [...document.querySelectorAll('#efaRanges input[data-field="concentration"]')]
+        .map(input => parseFloat(input.value));
+}
 
-    // Update Flow Rate Table
-    const flowRateTableBody = document.getElementById('flowRateTableBody');
-    if (flowRateTableBody) {
-        flowRateTableBody.innerHTML = result.flowRateTable.map(row => `
-            <tr${row.note ? ' style="background: rgba(var(--color-primary-rgb), 0.1);"' : ''}>
-                <td>${row.time.toFixed(2)}</td>
-                <td>${row.flowRate.toFixed(3)}</td>
-                <td style="color: ${row.note ? 'var(--color-primary)' : 'var(--color-text-muted)'}; font-weight: ${row.note ? '600' : '400'};">${row.note || '-'}</td>
-            </tr>
-        `).join('');
-    }
+function runEfaRotation(ranges) {
+    const state = AppState.secDeconvolution;
+    const concentrations = document.querySelector('#efaRanges input') ? readEfaConcentrations() : [];
+    destroyCharts(['efaConcentration', 'efaProfile']);
 
-    // Update Report Stoptime
-    const reportStoptimeEl = document.getElementById('reportStoptime');
-    if (reportStoptimeEl) {
-        reportStoptimeEl.textContent = result.reportStoptime;
+    renderEfaRanges(ranges, concentrations);
+    const rotation = SECDeconvolution.rotateEFA(state.matrix, state.svd, ranges);
+    if (rotation.error) {
+        state.rotation = null;
+        showAlert('efaResults', 'error', rotation.message);
+        return;
     }
 
-    // Update Fraction Collector
-    const fractionStartTime = document.getElementById('fractionStartTime');
-    const fractionStopTime = document.getElementById('fractionStopTime');
-    const timePerFraction = document.getElementById('timePerFraction');
+    state.rotation = rotation;
+    displayEfaResults();
+    const x = getEfaFrameNumbers();
+    AppState.charts.efaConcentration = SAXSCharts.createEfaConcentrationChart('efaConcentrationChart', rotation.species, x);
+    AppState.charts.efaProfile = SAXSCharts.createEfaProfileChart('efaProfileChart', rotation.species);
+}
 
-    if (fractionStartTime) fractionStartTime.textContent = result.fractionCollector.startTime.toFixed(1);
-    if (fractionStopTime) fractionStopTime.textContent = result.fractionCollector.stopTime.toFixed(1);
-    if (timePerFraction) timePerFraction.textContent = result.fractionCollector.timePerFraction.toFixed(1);
+function displaySvdResults(svd, components) {
+    const container = document.getElementById('svdResults');
+    if (!container) return;
 
-    // Update Detector Settings Table
-    const detectorTableBody = document.getElementById('detectorSettingsTableBody');
-    if (detectorTableBody) {
-        detectorTableBody.innerHTML = result.detectorSettings.map(row => {
-            // Highlight step 4 (main data collection)
-            const isMainStep = row.step === 4;
-            const rowStyle = isMainStep ? 'background: rgba(245, 158, 11, 0.15);' : '';
-            const frameStyle = isMainStep ? 'color: #f59e0b; font-weight: 700;' : '';
+    const shown = Math.min(svd.autocorrelation.length, components + 2);
+    container.innerHTML = `
+        <div class="section-divider"><span>奇異值分解</span></div>
+        <div class="table-wrapper">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th class="text-right">奇異值</th>
+                        <th class="text-right">自相關 (<i>U</i>)</th>
+                        <th class="text-right">自相關 (<i>V</i>)</th>
+                        <th>判定</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${svd.autocorrelation.slice(0, shown).map((ac, k) => `
+                        <tr>
+                            <td>${k + 1}</td>
+                            <td class="text-right">${svd.singularValues[k].toFixed(1)}</td>
+                            <td class="text-right">${ac.left.toFixed(2)}</td>
+                            <td class="text-right">${ac.right.toFixed(2)}</td>
+                            <td>${k < svd.components ? '訊號' : '雜訊'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="alert ${svd.components === components ? 'alert-info' : 'alert-warning'} mt-sm">
+            雜訊門檻 ${svd.threshold.toFixed(1)}；SVD 估計 ${svd.components} 個成分${svd.components === components ? '' : `，目前使用 ${components} 個`}
+        </div>
+    `;
+}
 
-            return `
-                <tr style="${rowStyle}">
-                    <td>${row.step}</td>
-                    <td style="color: ${row.mode === 'TM' ? '#3b82f6' : '#10b981'}; font-weight: 600;">${row.mode}</td>
-                    <td style="${frameStyle}">${row.frame}</td>
-                    <td>${row.wait}</td>
-                    <td>${row.exposure}</td>
-                    <td>${row.hold}</td>
-                </tr>
-            `;
-        }).join('');
-    }
+function renderEfaRanges(ranges, concentrations) {
+    const container = document.getElementById('efaRanges');
+    if (!container) return;
 
+    const offset = AppState.secDeconvolution.matrix.frames[0] + 1;
+    container.innerHTML = `
+        <div class="section-divider"><span>成分範圍 (幀號)</span></div>
+        <div class="table-wrapper">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>成分</th>
+                        <th>起始幀</th>
+                        <th>結束幀</th>
+                        <th>峰頂濃度 (mg/mL)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${ranges.map(([start, end], k) => `
+                        <tr>
+                            <td>${k + 1}</td>
+                            <td><input type="number" class="form-input" data-component="${k}" data-field="start" value="${start + offset}" step="1"></td>
+                            <td><input type="number" class="form-input" data-component="${k}" data-field="end" value="${end + offset}" step="1"></td>
+                            <td><input type="number" class="form-input" data-component="${k}" data-field="concentration"
+                                value="${isNaN(concentrations[k]) || concentrations[k] === undefined ? '' : concentrations[k]}" step="0.01" min="0" placeholder="選填"></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
 }
 
-function updateSuggestedValues(suggested) {
-    const suggestPeakCenter = document.getElementById('suggestPeakCenter');
-    const suggestPeakWidth = document.getElementById('suggestPeakWidth');
-    const suggestSampleVolume = document.getElementById('suggestSampleVolume');
+function displayEfaResults() {
+    const container = document.getElementById('efaResults');
+    const state = AppState.secDeconvolution;
+    if (!container || !state?.rotation) return;
+
+    const { rotation } = state;
+    const concentrations = readEfaConcentrations();
+    const x = getEfaFrameNumbers();
+    const calibrated = Boolean(AppState.secFrames.calibration);
+
+    state.species = rotation.species.map((species, k) => {
+        const guinier = SAXSProfile.autoGuinier(species.profile);
+        const c = concentrations[k];
+        return {
+            guinier,
+            peakFrame: x[species.concentration.indexOf(Math.max(...species.concentration))],
+            mw: guinier && c > 0 ? SAXSCalculations.calculateMwFromI0(guinier.i0, c) : null
+        };
+    });
 
-    if (suggestPeakCenter) suggestPeakCenter.textContent = suggested.suggestPeakCenter;
-    if (suggestPeakWidth) suggestPeakWidth.textContent = suggested.suggestPeakWidth;
-    if (suggestSampleVolume) suggestSampleVolume.textContent = suggested.suggestSampleVolume;
+    container.innerHTML = `
+        <div class="section-divider"><span>各成分結果</span></div>
+        <div class="table-wrapper">
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>成分</th>
+                        <th>範圍</th>
+                        <th class="text-right">峰頂幀</th>
+                        <th class="text-right"><i>R</i><sub>g</sub> (Å)</th>
+                        <th class="text-right"><i>I</i>(0)</th>
+                        <th class="text-right">MW (Da)</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rotation.species.map((species, k) => {
+                        const { guinier, peakFrame, mw } = state.species[k];
+                        return `
+                        <tr>
+                            <td>${k + 1}</td>
+                            <td>${x[species.range[0]]}–${x[species.range[1]]}</td>
+                            <td class="text-right">${peakFrame}</td>
+                            <td class="text-right">${guinier ? `${guinier.rg.toFixed(2)} ± ${guinier.rgError.toFixed(2)}` : '-'}</td>
+                            <td class="text-right">${guinier ? `${guinier.i0.toExponential(3)} ± ${guinier.i0Error.toExponential(1)}` : '-'}</td>
+                            <td class="text-right">${mw ? mw.toFixed(0) : '-'}</td>
+                            <td>
+                                <button class="btn btn-sm btn-secondary" data-species="${k}" data-action="export" title="匯出 .dat">⇩</button>
+                                <button class="btn btn-sm btn-secondary" data-species="${k}" data-action="use" title="送至 .dat 分析">→</button>
+                            </td>
+                        </tr>
+                    `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="alert ${rotation.converged ? 'alert-info' : 'alert-warning'} mt-sm">
+            ${rotation.converged ? `旋轉於 ${rotation.iterations} 次迭代收斂` : '旋轉未收斂，請調整成分範圍'}；重建 χ² = ${rotation.chi2.toFixed(2)}
+            ${calibrated ? '' : '<br>⚠️ 幀序列未經絕對強度校正，MW 僅在 I(0) 已為 cm⁻¹ 時有效'}
+        </div>
+    `;
+}
+
+/**
+ * 成分曲線的匯出檔名
+ * @param {number} k - 成分索引
+ * @returns {string}
+ */
+function getEfaSpeciesFileName(k) {
+    const baseName = AppState.secFrames.fileNames[0].replace(/\.[^.]+$/, '').replace(/[_-]?\d+$/, '') || 'sec';
+    return `${baseName}_efa_${Number(k) + 1}.dat`;
 }
 
+function getEfaSpeciesComments(k) {
+    const { matrix, rotation } = AppState.secDeconvolution;
+    const offset = matrix.frames[0] + 1;
+    const [start, end] = rotation.species[k].range;
+    return [
+        `EFA component ${Number(k) + 1} of ${rotation.species.length} (frames ${matrix.frames[0] + 1}-${matrix.frames[1] + 1})`,
+        `Component range: frames ${start + offset}-${end + offset}; intensity at component peak concentration`,
+        `Reconstruction chi2 = ${rotation.chi2.toFixed(3)}`
+    ];
+}
 
 // ========================
 // Sample Calculations Section
@@ -1434,8 +5945,17 @@ function updateIUCrTable() {
     if (protein) {
         document.getElementById('iucr-protein').textContent = protein.name || '-';
         document.getElementById('iucr-dryvol').textContent = protein.dryVolume?.toFixed(1) || '-';
-        document.getElementById('iucr-vbar').textContent = protein.partialSpecificVolume?.toFixed(6) || '-';
+        document.getElementById('iucr-vbar').textContent = protein.partialSpecificVolume !== undefined
+            ? `${protein.partialSpecificVolume.toFixed(6)}${protein.iucrParams?.vbarConditions ? ` (${protein.iucrParams.vbarConditions})` : ''}`
+            : '-';
+        document.getElementById('iucr-dndc').textContent = protein.iucrParams
+            ? `${protein.iucrParams.dndc} (${protein.iucrParams.dndcConditions})`
+            : '-';
         document.getElementById('iucr-mw-seq').textContent = protein.molecularWeight?.toFixed(2) || '-';
+        document.getElementById('iucr-stoichiometry').textContent = protein.stoichiometry || '-';
+        document.getElementById('iucr-mw-chains').textContent = protein.isComplex
+            ? protein.chains.map(chain => `${chain.name}: ${chain.molecularWeight.toFixed(2)}`).join('; ')
+            : '-';
     }
 
     // Update SAXS data
@@ -1443,12 +5963,22 @@ function updateIUCrTable() {
         document.getElementById('iucr-wavelength').textContent = saxs.wavelength?.toFixed(5) || '-';
         document.getElementById('iucr-concentration').textContent = saxs.concentration || '-';
         document.getElementById('iucr-i0-pr').textContent = saxs.i0Pr?.toFixed(5) || '-';
+        document.getElementById('iucr-i0-pr-err').textContent = saxs.i0PrError?.toFixed(5) || '-';
         document.getElementById('iucr-rg-pr').textContent = saxs.rgPr?.toFixed(2) || '-';
+        document.getElementById('iucr-rg-pr-err').textContent = saxs.rgPrError?.toFixed(2) || '-';
         document.getElementById('iucr-i0-guinier').textContent = saxs.i0Guinier?.toFixed(5) || '-';
+        document.getElementById('iucr-i0-guinier-err').textContent = saxs.i0GuinierError?.toFixed(5) || '-';
         document.getElementById('iucr-rg-guinier').textContent = saxs.rgGuinier?.toFixed(2) || '-';
+        document.getElementById('iucr-rg-guinier-err').textContent = saxs.rgGuinierError?.toFixed(2) || '-';
         document.getElementById('iucr-dmax').textContent = saxs.dmax || '-';
         document.getElementById('iucr-porod').textContent = saxs.porodVolume?.toLocaleString() || '-';
         document.getElementById('iucr-mw-porod').textContent = saxs.mwFromPorod?.toFixed(0) || '-';
+        document.getElementById('iucr-mw-vc').textContent = saxs.mwFromVc?.mw.toFixed(0) || '-';
+        document.getElementById('iucr-mw-vc-err').textContent = saxs.mwFromVc
+            ? (saxs.mwFromVc.mw * saxs.mwFromVc.interval.relativeError).toFixed(0) : '-';
+        document.getElementById('iucr-mw-qp').textContent = saxs.mwFromQp?.mw.toFixed(0) || '-';
+        document.getElementById('iucr-mw-qp-err').textContent = saxs.mwFromQp
+            ? (saxs.mwFromQp.mw * saxs.mwFromQp.interval.relativeError).toFixed(0) : '-';
     }
 
     // Hide warning if data is available
@@ -1466,6 +5996,22 @@ function showAlert(containerId, type, message) {
     container.innerHTML = `<div class="alert alert-${type}">${escapeHtml(message)}</div>`;
 }
 
+/**
+ * 以瀏覽器下載文字檔
+ * @param {string} fileName - 檔名
+ * @param {string} text - 檔案內容
+ */
+function downloadTextFile(fileName, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -1532,7 +6078,9 @@ document.addEventListener('DOMContentLoaded', () => {
     initFormPersistence();
     initNavigation();
     initProteinSection();
+    initBufferSection();
     initSAXSSection();
+    initSANSSection();
     initHPLCSection();
     initSampleSection();
     initMWSection();
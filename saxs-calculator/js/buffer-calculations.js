@@ -0,0 +1,168 @@
+/**
+ * TPS13A SAXS Calculator - Buffer Module
+ * 緩衝液組成 → 電子密度、密度、黏度、折射率
+ */
+
+// ========================
+// 緩衝液成分資料
+// ========================
+
+/**
+ * 各成分物性 (20 °C 水溶液，稀溶液近似)
+ *   mw        - 分子量 (g/mol)
+ *   electrons - 每分子電子數
+ *   vbar      - 表觀比容 (mL/g)，由密度表回推
+ *   dndc      - 折射率增量 (mL/g, 589 nm)
+ *   viscosity - ln(η/η_water) = a·c + b·c² 的係數 [a, b]，c 為質量濃度 (g/mL)
+ *   unit      - 預設濃度單位 ('mM' / 'M' / '% w/v' / '% v/v')
+ *   pureDensity - 純物質密度 (g/mL)，僅 % v/v 使用
+ *
+ * 來源: CRC Handbook 濃度物性表；SEDNTERP 緩衝液資料；
+ *       尿素/GdmCl 折射率 Pace (1986) Methods Enzymol. 131, 266
+ */
+const BUFFER_COMPONENTS = {
+    nacl: { name: 'NaCl', mw: 58.44, electrons: 28, vbar: 0.309, dndc: 0.163, viscosity: [1.538, 0.79], unit: 'mM', defaultConcentration: 150 },
+    tris: { name: 'Tris', mw: 121.14, electrons: 66, vbar: 0.737, dndc: 0.180, viscosity: [1.65, 0], unit: 'mM', defaultConcentration: 20 },
+    hepes: { name: 'HEPES', mw: 238.30, electrons: 128, vbar: 0.640, dndc: 0.190, viscosity: [1.26, 0], unit: 'mM', defaultConcentration: 20 },
+    glycerol: { name: 'Glycerol', mw: 92.09, electrons: 50, vbar: 0.793, dndc: 0.115, viscosity: [2.347, 1.629], unit: '% v/v', pureDensity: 1.261, defaultConcentration: 5 },
+    sucrose: { name: 'Sucrose', mw: 342.30, electrons: 182, vbar: 0.630, dndc: 0.143, viscosity: [2.50, 3.5], unit: '% w/v', defaultConcentration: 5 },
+    urea: { name: 'Urea', mw: 60.06, electrons: 32, vbar: 0.736, dndc: 0.139, viscosity: [0.789, 0.396], unit: 'M', defaultConcentration: 1 },
+    gdmcl: { name: 'GdmCl', mw: 95.53, electrons: 50, vbar: 0.750, dndc: 0.174, viscosity: [0.0848, 1.282], unit: 'M', defaultConcentration: 1 },
+    detergent: { name: '清潔劑 (DDM)', mw: 510.62, electrons: 278, vbar: 0.820, dndc: 0.143, viscosity: [4.0, 0], unit: '% w/v', defaultConcentration: 0.05 }
+};
+
+const WATER_MOLAR_MASS = 18.015;
+const WATER_ELECTRONS = 10;
+
+// ========================
+// 純水物性
+// ========================
+
+/**
+ * 水密度 - Tanaka et al. (2001) Metrologia 38, 301
+ * @param {number} temperature - 溫度 (°C)
+ * @returns {number} 密度 (g/mL)
+ */
+function calculateWaterDensity(temperature) {
+    const t = temperature;
+    const a1 = -3.983035, a2 = 301.797, a3 = 522528.9, a4 = 69.34881, a5 = 0.999974950;
+    return a5 * (1 - (t + a1) ** 2 * (t + a2) / (a3 * (t + a4)));
+}
+
+/**
+ * 水黏度 - Vogel 方程式 η = A × 10^(B / (T − C))
+ * @param {number} temperature - 溫度 (°C)
+ * @returns {number} 黏度 (Pa·s)
+ */
+function calculateWaterViscosity(temperature) {
+    const T = temperature + 273.15;
+    return 2.414e-5 * Math.pow(10, 247.8 / (T - 140));
+}
+
+/**
+ * 水折射率 - Cauchy 色散 (20 °C 擬合) 加溫度二次修正
+ * @param {number} wavelength - 波長 (nm)
+ * @param {number} temperature - 溫度 (°C)
+ * @returns {number} 折射率
+ */
+function calculateWaterRefractiveIndex(wavelength = 589, temperature = 20) {
+    const dt = temperature - 20;
+    return 1.32344 + 3316 / (wavelength * wavelength) - 8.0e-5 * dt - 1.6e-6 * dt * dt;
+}
+
+// ========================
+// 緩衝液物性
+// ========================
+
+/**
+ * 將成分濃度換算為質量濃度
+ * @param {object} component - BUFFER_COMPONENTS 項目
+ * @param {number} concentration - 濃度 (component.unit)
+ * @returns {number} 質量濃度 (g/mL)
+ */
+function toMassConcentration(component, concentration) {
+    switch (component.unit) {
+        case 'mM': return concentration * component.mw / 1e6;
+        case 'M': return concentration * component.mw / 1e3;
+        case '% w/v': return concentration / 100;
+        case '% v/v': return concentration / 100 * component.pureDensity;
+        default: return 0;
+    }
+}
+
+/**
+ * 計算緩衝液物性
+ *
+ * 密度:   ρ = ρ_w + Σ cᵢ (1 − v̄ᵢ ρ_w)
+ * 電子密度: ρ_e = N_A [(ρ − Σcᵢ) × 10/18.015 + Σ cᵢ Zᵢ/Mᵢ] × 10⁻²⁴
+ * 黏度:   η = η_w(T) × exp(Σ aᵢcᵢ + bᵢcᵢ²)  (相對黏度視為與溫度無關)
+ * 折射率: n = n_w(λ, T) + Σ cᵢ (dn/dc)ᵢ
+ *
+ * @param {Array<object>} components - [{ id, concentration }]，濃度單位依 BUFFER_COMPONENTS[id].unit
+ * @param {object} options - 選項
+ * @param {number} options.temperature - 溫度 (°C)，預設 20
+ * @param {number} options.wavelength - 折射率波長 (nm)，預設 589
+ * @returns {object} { electronDensity (e/Å³), density (g/mL), viscosity (Pa·s), refractiveIndex, ... }
+ */
+function calculateBufferProperties(components = [], options = {}) {
+    const NA = 6.022e23;
+    const temperature = options.temperature ?? 20;
+    const wavelength = options.wavelength ?? 589;
+
+    const waterDensity = calculateWaterDensity(temperature);
+    const waterViscosity = calculateWaterViscosity(temperature);
+    const waterRI = calculateWaterRefractiveIndex(wavelength, temperature);
+
+    let density = waterDensity;
+    let soluteMass = 0;
+    let soluteElectrons = 0;     // mol e / mL
+    let lnRelativeViscosity = 0;
+    let refractiveIndex = waterRI;
+    const items = [];
+
+    for (const { id, concentration } of components) {
+        const component = BUFFER_COMPONENTS[id];
+        const value = Number(concentration) || 0;
+        if (!component || value <= 0) continue;
+
+        const c = toMassConcentration(component, value);
+        const [a, b] = component.viscosity;
+
+        density += c * (1 - component.vbar * waterDensity);
+        soluteMass += c;
+        soluteElectrons += c * component.electrons / component.mw;
+        lnRelativeViscosity += a * c + b * c * c;
+        refractiveIndex += c * component.dndc;
+        items.push({ id, name: component.name, concentration: value, unit: component.unit, massConcentration: c });
+    }
+
+    const waterMass = density - soluteMass;
+    const electronDensity = NA * (waterMass * WATER_ELECTRONS / WATER_MOLAR_MASS + soluteElectrons) * 1e-24;
+    const waterElectronDensity = NA * waterDensity * WATER_ELECTRONS / WATER_MOLAR_MASS * 1e-24;
+
+    return {
+        temperature: temperature,
+        wavelength: wavelength,
+        electronDensity: electronDensity,
+        density: density,
+        viscosity: waterViscosity * Math.exp(lnRelativeViscosity),
+        relativeViscosity: Math.exp(lnRelativeViscosity),
+        refractiveIndex: refractiveIndex,
+        water: {
+            electronDensity: waterElectronDensity,
+            density: waterDensity,
+            viscosity: waterViscosity,
+            refractiveIndex: waterRI
+        },
+        components: items
+    };
+}
+
+// 導出函數
+window.BufferCalculations = {
+    BUFFER_COMPONENTS,
+    calculateWaterDensity,
+    calculateWaterViscosity,
+    calculateWaterRefractiveIndex,
+    calculateBufferProperties
+};
@@ -14,7 +14,10 @@
  * @param {number} mw - 分子量 (Da)
  * @param {number} concentration - 濃度 (mg/mL)
  * @param {number} partialSpecificVolume - 部分比容 (cm³/g), 蛋白質預設 0.73
- * @param {number} electronDensitySolvent - 溶劑電子密度 (e/Å³), 水約 0.334
+ * @param {object} options - 選項
+ * @param {Array<object>} options.components - 散射組分 [{type, massFraction, partialSpecificVolume, electronDensity}]
+ *   type 為 'protein' / 'dna' / 'rna'；未提供時視為單一蛋白質組分
+ * @param {number} options.electronDensitySolvent - 溶劑電子密度 (e/Å³), 水約 0.334
  * @returns {object} 理論 I(0) 計算結果
  * 
  * 公式: I(0) = c × MW × Δρ² × v̄² × NA / 1000
@@ -32,15 +35,21 @@
  *   - Δρ ≈ 2.8 × 10¹⁰ cm⁻² (轉換單位後)
  * 
  * 簡化公式 (對於蛋白質): I(0)/c ≈ MW × 7.8 × 10⁻⁶ cm⁻¹/(mg/mL × Da)
+ *
+ * 蛋白質-核酸複合體: 各組分的過剩電子數/質量 ∝ Δρᵢ × v̄ᵢ，依質量分率 wᵢ 加總
+ *   k = k_ref × [Σ wᵢ Δρᵢ v̄ᵢ / (Δρ_ref × v̄_ref)]²
+ *
+ * 蛋白質每質量電子數固定 (0.44 e/Å³ × 0.73 cm³/g)，v̄ 變大 (例如升溫膨脹) 時電子密度隨之下降:
+ *   ρ_protein = 0.44 × 0.73 / v̄
  */
-function calculateTheoreticalI0(mw, concentration, partialSpecificVolume = 0.73) {
+function calculateTheoreticalI0(mw, concentration, partialSpecificVolume = 0.73, options = {}) {
     // 常數
     const NA = 6.022e23;  // 亞佛加德羅常數
     const re = 2.818e-13; // 電子經典半徑 (cm)
 
     // 蛋白質平均值
     const electronDensityProtein = 0.44;  // e/Å³
-    const electronDensitySolvent = 0.334; // e/Å³ (水)
+    const electronDensitySolvent = options.electronDensitySolvent ?? 0.334; // e/Å³ (預設為水)
 
     // 電子密度差 (e/Å³)
     const deltaRho_eA3 = electronDensityProtein - electronDensitySolvent; // ≈ 0.106 e/Å³
@@ -76,8 +85,32 @@ function calculateTheoreticalI0(mw, concentration, partialSpecificVolume = 0.73)
     // 若 vbar 偏離 0.73，用 Δρ² 比值修正:
     // k_corrected = k_ref × (Δρ_actual / Δρ_ref)² × (v_actual / v_ref)²
     const vbar_ref = 0.73;
-    const k_ref = 7.8e-6;  // cm⁻¹/(mg/mL × Da) - 經驗常數 at vbar=0.73
-    const k_protein = k_ref * Math.pow(vbar / vbar_ref, 2);
+    const k_ref = 7.8e-6;  // cm⁻¹/(mg/mL × Da) - 經驗常數 at vbar=0.73, 水溶液
+
+    // 逐組分對比: 蛋白質沿用 k_ref 校正時的每質量電子數 (0.44 e/Å³ @ v̄_ref)，核酸使用序列計算的電子密度
+    const components = options.components?.length ?
+        options.components :
+        [{ type: 'protein', massFraction: 1, partialSpecificVolume: vbar }];
+    const referenceContrast = (electronDensityProtein - 0.334) * vbar_ref;
+
+    let excessPerMass = 0;
+    const componentContrasts = components.map(component => {
+        const density = component.type === 'protein' ?
+            electronDensityProtein * vbar_ref / component.partialSpecificVolume :
+            component.electronDensity;
+        const contrast = density - electronDensitySolvent;  // e/Å³
+        const contribution = component.massFraction * contrast * component.partialSpecificVolume;
+        excessPerMass += contribution;
+        return {
+            type: component.type,
+            massFraction: component.massFraction,
+            electronDensity: density,
+            contrast: contrast,
+            contribution: contribution
+        };
+    });
+
+    const k_protein = k_ref * Math.pow(excessPerMass / referenceContrast, 2);
 
     const theoreticalI0 = concentration * mw * k_protein;
 
@@ -89,6 +122,7 @@ function calculateTheoreticalI0(mw, concentration, partialSpecificVolume = 0.73)
         I0_per_concentration: theoreticalI0 / concentration,  // cm⁻¹/(mg/mL)
         I0_per_c_per_MW: I0_per_c_per_MW,       // cm⁻¹/(mg/mL × Da)
         constant_k: k_protein,
+        componentContrasts: componentContrasts,
         mw: mw,
         concentration: concentration,
         partialSpecificVolume: partialSpecificVolume
@@ -105,8 +139,9 @@ function calculateTheoreticalI0(mw, concentration, partialSpecificVolume = 0.73)
  * 
  * 經驗公式:
  *   球狀蛋白質 (globular): Rg = 0.66 × MW^0.395 (Receveur-Bréchot et al. 2012)
- *   展開蛋白質 (unfolded): Rg = 2.54 × MW^0.522
- *   本質無序蛋白 (IDP): Rg = 2.49 × MW^0.509
+ *   展開蛋白質 (unfolded): Rg = 2.54 × N^0.522
+ *   本質無序蛋白 (IDP): Rg = 2.49 × N^0.509
+ *   (鏈狀公式以殘基數 N 表示，N = MW / 110 Da)
  * 
  * Excel Predicted Rg (實驗校正):
  *   Predicted Rg = 0.2508 × MW^0.4301 (基於 TPS13A Excel 數據)
@@ -118,6 +153,8 @@ function calculateTheoreticalI0(mw, concentration, partialSpecificVolume = 0.73)
  */
 function calculateTheoreticalRg(mw, proteinType = 'globular') {
     let Rg, formula, coefficient, exponent;
+    // 展開 / 無序鏈的標度律以殘基數為自變數
+    let scalingVariable = mw;
 
     switch (proteinType.toLowerCase()) {
         case 'globular':
@@ -130,13 +167,15 @@ function calculateTheoreticalRg(mw, proteinType = 'globular') {
             // For chemically unfolded proteins
             coefficient = 2.54;
             exponent = 0.522;
-            formula = 'Rg = 2.54 × MW^0.522';
+            scalingVariable = mw / 110;
+            formula = 'Rg = 2.54 × N^0.522 (N = MW/110)';
             break;
         case 'idp':
             // For intrinsically disordered proteins
             coefficient = 2.49;
             exponent = 0.509;
-            formula = 'Rg = 2.49 × MW^0.509';
+            scalingVariable = mw / 110;
+            formula = 'Rg = 2.49 × N^0.509 (N = MW/110)';
             break;
         default:
             coefficient = 0.66;
@@ -144,7 +183,7 @@ function calculateTheoreticalRg(mw, proteinType = 'globular') {
             formula = 'Rg = 0.66 × MW^0.395';
     }
 
-    Rg = coefficient * Math.pow(mw, exponent);
+    Rg = coefficient * Math.pow(scalingVariable, exponent);
 
     // Excel Predicted Rg (基於 TPS13A Excel 數據校正)
     // 公式: Predicted Rg = 0.2508 × MW^0.4301
@@ -235,10 +274,11 @@ function calculateTheoreticalDmax(rg, shape = 'globular') {
  * @param {number} mw - 分子量 (Da)
  * @param {number} concentration - 濃度 (mg/mL)
  * @param {string} proteinType - 蛋白質類型
+ * @param {object} i0Options - 傳給 calculateTheoreticalI0 的選項 (partialSpecificVolume, components, electronDensitySolvent)
  * @returns {object} 所有理論參數
  */
-function calculateAllTheoreticalParams(mw, concentration, proteinType = 'globular') {
-    const i0Result = calculateTheoreticalI0(mw, concentration);
+function calculateAllTheoreticalParams(mw, concentration, proteinType = 'globular', i0Options = {}) {
+    const i0Result = calculateTheoreticalI0(mw, concentration, i0Options.partialSpecificVolume, i0Options);
     const rgResult = calculateTheoreticalRg(mw, proteinType);
     const dmaxResult = calculateTheoreticalDmax(rgResult.theoreticalRg, proteinType === 'elongated' ? 'elongated' : 'globular');
 
@@ -252,6 +292,8 @@ function calculateAllTheoreticalParams(mw, concentration, proteinType = 'globula
 
         // I(0) 理論值
         theoreticalI0: i0Result.theoreticalI0,
+        i0Constant: i0Result.constant_k,
+        componentContrasts: i0Result.componentContrasts,
 
         // Rg 理論值 (文獻公式)
         theoreticalRg: rgResult.theoreticalRg,
@@ -511,6 +553,34 @@ function calculateMassResolution(mw, peakWidth, flowRate = 0.35, poreSize = '100
 // 主要參考: 工作表1_(2) 和 HPLC flow down data
 // ========================
 
+// 方法常數預設值 (TPS13A 標準流程)；各束線時段可於方法設定檔中調整
+const DEFAULT_HPLC_METHOD = {
+    reductionFactor: 0.7,       // O6: 峰寬縮減因子 R
+    preSlowdownOffset: 0.1,     // Q20: 降速前時間偏移 (min)
+    extraSlowTime: 2,           // E4: 慢速流延長時間 (min)
+    exposureStep1: 40,          // I22: step 1 曝光 (s)
+    exposureStep2: 40,          // I23: step 2 曝光 (s)
+    exposureStep3: 40,          // I24: step 3 曝光 (s)
+    exposureSec: 2,             // I25: step 4–5 曝光 (s)
+    exposureTM: 4,              // I27: step 6 TM 曝光 (s)
+    fractionStopFactor: 2.45,   // 分液收集結束 = 起點 + X-ray 時間 × 2.45
+    fractionVolume: 1.2         // B24 = 1.2/B6: 每管收集體積 (mL)
+};
+
+// 方法設定檔編輯器的欄位說明
+const HPLC_METHOD_PARAMETERS = [
+    { key: 'reductionFactor', label: '峰寬縮減因子 R', cell: 'O6', unit: '', step: 0.05 },
+    { key: 'preSlowdownOffset', label: '降速前時間偏移', cell: 'Q20', unit: 'min', step: 0.05 },
+    { key: 'extraSlowTime', label: '慢速流延長時間', cell: 'E4', unit: 'min', step: 0.5 },
+    { key: 'exposureStep1', label: 'Step 1 曝光', cell: 'I22', unit: 's', step: 1 },
+    { key: 'exposureStep2', label: 'Step 2 曝光', cell: 'I23', unit: 's', step: 1 },
+    { key: 'exposureStep3', label: 'Step 3 曝光', cell: 'I24', unit: 's', step: 1 },
+    { key: 'exposureSec', label: 'Step 4–5 曝光 (SEC 幀)', cell: 'I25', unit: 's', step: 0.5 },
+    { key: 'exposureTM', label: 'Step 6 TM 曝光', cell: 'I27', unit: 's', step: 0.5 },
+    { key: 'fractionStopFactor', label: '分液收集結束因子', cell: 'B22', unit: '', step: 0.05 },
+    { key: 'fractionVolume', label: '每管收集體積', cell: 'B24', unit: 'mL', step: 0.1 }
+];
+
 /**
  * 計算峰寬縮放因子 (根據注射體積調整)
  * 公式來源: Excel 工作表1_(2) O4
@@ -542,7 +612,8 @@ function calculateTimeOffset(injectionVolume) {
  * @param {number} params.injectionVolume - SAXS 實驗注射體積 (μL) (對應 M4)
  * @param {number} params.targetFlowRate - 目標流速 (mL/min) (對應 Q1, O11)
  * @param {number} params.initialFlowRate - 初始流速 (mL/min) (對應 B6)
- * @returns {object} HPLC-SAXS 設定計算結果
+ * @param {object} params.method - 方法常數 (DEFAULT_HPLC_METHOD 的鍵值，未提供者用預設值)
+ * @returns {object} HPLC-SAXS 設定計算結果 (method 為實際使用的方法常數)
  */
 function calculateHPLCSAXSSettings(params) {
     const {
@@ -552,6 +623,7 @@ function calculateHPLCSAXSSettings(params) {
         targetFlowRate,  // Q1, O11 = 0.35
         initialFlowRate  // B6 = 0.35
     } = params;
+    const method = { ...DEFAULT_HPLC_METHOD, ...params.method };
 
     // === 工作表1_(2) 計算 ===
 
@@ -565,7 +637,7 @@ function calculateHPLCSAXSSettings(params) {
     const M5 = peakFWHM * O4;
 
     // O6: R (reducing width factor) = 0.7
-    const O6 = 0.7;
+    const O6 = method.reductionFactor;
 
     // M6: Target Peak Width (FWHM) = M5*O6
     const M6 = M5 * O6;
@@ -583,10 +655,10 @@ function calculateHPLCSAXSSettings(params) {
     const O12 = 1;
 
     // Q20: T-pre-slowdown time offset = 0.1
-    const Q20 = 0.1;
+    const Q20 = method.preSlowdownOffset;
 
     // E4 from 'HPLC flow down data' = 2 (additional time constant)
-    const E4 = 2;
+    const E4 = method.extraSlowTime;
 
     // === Flow Rate Table (來自工作表1_(2) M19-M24) ===
 
@@ -651,10 +723,10 @@ function calculateHPLCSAXSSettings(params) {
     // 實際公式使用: StopTime = M7 + (M22-M21) * 2.5
     // 驗證: 10.28 + 3.84 * 2.45 = 10.28 + 9.41 = 19.69 ✓
     const xrayDuration = M22 - M21;
-    const fractionStopTime = fractionStartTime + xrayDuration * 2.45;
+    const fractionStopTime = fractionStartTime + xrayDuration * method.fractionStopFactor;
 
     // B24 = 1.2/B6 (time per fraction)
-    const timePerFraction = 1.2 / initialFlowRate;
+    const timePerFraction = method.fractionVolume / initialFlowRate;
 
     const fractionCollector = {
         startTime: parseFloat(fractionStartTime.toFixed(1)),
@@ -679,13 +751,13 @@ function calculateHPLCSAXSSettings(params) {
     const B13_detector = M22;
 
     // I22, I23, I24 = 40 (exposure time for steps 1-3)
-    const I22 = 40, I23 = 40, I24 = 40;
+    const I22 = method.exposureStep1, I23 = method.exposureStep2, I24 = method.exposureStep3;
 
     // I25, I26 = 2 (exposure time for steps 4-5)
-    const I25 = 2;
+    const I25 = method.exposureSec;
 
     // I27 = 4 (exposure time for step 6 TM)
-    const I27 = 4;
+    const I27 = method.exposureTM;
 
     // J22 = (B11*60-I22-I23-I24-41)/4-15
     // B11 in HPLC flow down data = 工作表1_(2) M20 = 9.98 (NOT M21!)
@@ -722,6 +794,8 @@ function calculateHPLCSAXSSettings(params) {
             targetFlowRate,
             initialFlowRate
         },
+        // 方法常數
+        method,
         // 計算的中間值 (對應 Excel 變數)
         scaling: {
             peakWidthScaling: parseFloat(O4.toFixed(4)),      // O4
@@ -748,6 +822,72 @@ function calculateHPLCSAXSSettings(params) {
     };
 }
 
+/**
+ * 偵測器各 step 的起訖時間
+ * 假設偵測器序列於注射時觸發，各 step 依序執行: 拍攝 frame × (wait + exposure) 後 hold
+ * @param {Array<object>} detectorSettings - calculateHPLCSAXSSettings 的 detectorSettings
+ * @returns {Array<object>} [{ step, mode, frames, start, stop (s) }]
+ */
+function calculateDetectorStepTimes(detectorSettings) {
+    let elapsed = 0;
+    return detectorSettings.map(step => {
+        const start = elapsed;
+        const stop = start + step.frame * (step.wait + step.exposure);
+        elapsed = stop + step.hold;
+        return { step: step.step, mode: step.mode, frames: step.frame, start, stop };
+    });
+}
+
+/**
+ * 由 HPLC-SAXS 設定推算 step 4 (SEC 幀序列) 各幀的時間
+ * step 4 起點 = step 1–3 的 (wait + exposure + hold) 總和
+ * @param {object} settings - calculateHPLCSAXSSettings 結果
+ * @returns {object} { firstFrameTime (min), frameInterval (s), frames, xrayStart, xrayStop (min) }
+ */
+function calculateFrameTiming(settings) {
+    const main = settings.detectorSettings.find(step => step.step === 4);
+    const mainTimes = calculateDetectorStepTimes(settings.detectorSettings).find(step => step.step === 4);
+    const xrayRows = settings.flowRateTable.filter(row => row.note === 'X-RAY IMAGE');
+
+    return {
+        firstFrameTime: parseFloat((mainTimes.start / 60).toFixed(3)),
+        frameInterval: parseFloat((main.wait + main.exposure).toFixed(2)),
+        frames: main.frame,
+        xrayStart: xrayRows[0].time,
+        xrayStop: xrayRows[xrayRows.length - 1].time
+    };
+}
+
+/**
+ * 整理 HPLC-SAXS 時間軸: 預測洗出峰 (依注射體積做時間偏移與峰寬縮放)、流速程式、
+ * X-RAY IMAGE 時間窗、偵測器各 step 與分液收集時間窗
+ * @param {object} settings - calculateHPLCSAXSSettings 結果
+ * @returns {object} { peak: { center, fwhm, sigma }, flowProgram, xrayWindow, detectorSteps, fractionWindow, endTime } (時間單位 min)
+ */
+function calculateHPLCTimeline(settings) {
+    const { peakCenter, peakFWHM, injectionVolume } = settings.input;
+    const center = peakCenter + calculateTimeOffset(injectionVolume);
+    const fwhm = peakFWHM * calculatePeakWidthScaling(injectionVolume);
+
+    const detectorSteps = calculateDetectorStepTimes(settings.detectorSettings)
+        .map(step => ({ ...step, start: step.start / 60, stop: step.stop / 60 }));
+    const xrayRows = settings.flowRateTable.filter(row => row.note === 'X-RAY IMAGE');
+    const lastRow = settings.flowRateTable[settings.flowRateTable.length - 1];
+    const endTime = Math.max(settings.reportStoptime, detectorSteps[detectorSteps.length - 1].stop);
+
+    return {
+        peak: { center, fwhm, sigma: fwhm / (2 * Math.sqrt(2 * Math.LN2)) },
+        flowProgram: [
+            ...settings.flowRateTable.map(row => ({ time: row.time, flowRate: row.flowRate })),
+            { time: endTime, flowRate: lastRow.flowRate }
+        ],
+        xrayWindow: { start: xrayRows[0].time, stop: xrayRows[xrayRows.length - 1].time },
+        detectorSteps,
+        fractionWindow: { start: settings.fractionCollector.startTime, stop: settings.fractionCollector.stopTime },
+        endTime
+    };
+}
+
 /**
  * 計算建議的 10μL pre-run 參數
  * 公式來源: HPLC flow down data D2, F2, F3, F4
@@ -905,8 +1045,12 @@ window.SAXSCalculations = {
     calculateMassResolution,
 
     // HPLC-SAXS Step Settings
+    DEFAULT_HPLC_METHOD,
+    HPLC_METHOD_PARAMETERS,
     calculatePeakWidthScaling,
     calculateTimeOffset,
     calculateHPLCSAXSSettings,
+    calculateFrameTiming,
+    calculateHPLCTimeline,
     calculateSuggestedParams
 };
@@ -130,8 +130,17 @@ function createCompositionBarChart(canvasId, composition) {
     if (!ctx) return null;
 
     const aaOrder = ['A', 'R', 'N', 'D', 'C', 'E', 'Q', 'G', 'H', 'I', 'L', 'K', 'M', 'F', 'P', 'S', 'T', 'W', 'Y', 'V'];
-    const labels = aaOrder;
-    const data = aaOrder.map(aa => composition[aa] || 0);
+    const extraOrder = ['U', 'O', 'B', 'Z', 'X'];
+    const ntOrder = ['dA', 'dC', 'dG', 'dT', 'rA', 'rC', 'rG', 'rU'];
+
+    // 只顯示樣品中出現的類別 (蛋白質 20 種氨基酸 + 非標準殘基 / 出現的核苷酸)
+    const hasAminoAcids = [...aaOrder, ...extraOrder].some(aa => composition[aa]);
+    const labels = [
+        ...(hasAminoAcids ? aaOrder : []),
+        ...extraOrder.filter(aa => composition[aa]),
+        ...ntOrder.filter(nt => composition[nt])
+    ];
+    const data = labels.map(key => composition[key] || 0);
 
     return new Chart(ctx, {
         type: 'bar',
@@ -171,9 +180,1686 @@ function createCompositionBarChart(canvasId, composition) {
     });
 }
 
+/**
+ * 建立 SANS 對比變化圖 (I(0) 與 SLD 對 D₂O 百分比)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} contrast - SANSCalculations.calculateSANSContrast 的結果
+ */
+function createContrastVariationChart(canvasId, contrast) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const labels = contrast.series.map(point => Math.round(point.d2oFraction * 100));
+    const palette = [CHART_COLORS.secondary, CHART_COLORS.tertiary, CHART_COLORS.danger];
+
+    const datasets = [
+        {
+            label: 'I(0) (cm⁻¹)',
+            data: contrast.series.map(point => point.i0),
+            borderColor: CHART_COLORS.primary,
+            backgroundColor: CHART_COLORS.primaryLight,
+            fill: true,
+            tension: 0.3,
+            yAxisID: 'y'
+        },
+        {
+            label: '溶劑 SLD',
+            data: contrast.series.map(point => point.solventSLD),
+            borderColor: CHART_COLORS.text,
+            borderDash: [4, 4],
+            pointRadius: 0,
+            fill: false,
+            yAxisID: 'y1'
+        },
+        ...contrast.chains.map((chain, i) => ({
+            label: `${chain.name} SLD`,
+            data: contrast.series.map(point => point.solventSLD + point.chainContrasts[i]),
+            borderColor: palette[i % palette.length],
+            pointRadius: 0,
+            fill: false,
+            yAxisID: 'y1'
+        }))
+    ];
+
+    return new Chart(ctx, {
+        type: 'line',
+        data: { labels: labels, datasets: datasets },
+        options: {
+            ...commonOptions,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                x: {
+                    title: { display: true, text: 'D₂O (%)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    position: 'left',
+                    beginAtZero: true,
+                    title: { display: true, text: 'I(0) (cm⁻¹)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y1: {
+                    position: 'right',
+                    title: { display: true, text: 'SLD (×10⁻⁶ Å⁻²)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { display: false }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立電荷-pH 曲線 (標示 pI 與指定 pH)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {Array<{pH: number, charge: number}>} curve - ProteinAnalysis.calculateChargeCurve 結果
+ * @param {object} charge - { pH, netCharge, isoelectricPoint }
+ */
+function createChargeCurveChart(canvasId, curve, charge) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const annotations = {
+        zeroLine: {
+            type: 'line',
+            yMin: 0, yMax: 0,
+            borderColor: CHART_COLORS.text,
+            borderWidth: 1
+        },
+        pHLine: {
+            type: 'line',
+            xMin: charge.pH, xMax: charge.pH,
+            borderColor: CHART_COLORS.secondary,
+            borderWidth: 1.5,
+            borderDash: [4, 4],
+            label: { display: true, content: `pH ${charge.pH}: ${charge.netCharge.toFixed(1)}`, position: 'start', font: { size: 9 }, color: CHART_COLORS.secondary }
+        }
+    };
+    if (charge.isoelectricPoint !== null) {
+        annotations.pILine = {
+            type: 'line',
+            xMin: charge.isoelectricPoint, xMax: charge.isoelectricPoint,
+            borderColor: CHART_COLORS.tertiary,
+            borderWidth: 1.5,
+            borderDash: [4, 4],
+            label: { display: true, content: `pI ${charge.isoelectricPoint.toFixed(2)}`, position: 'end', font: { size: 9 }, color: CHART_COLORS.tertiary }
+        };
+    }
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                label: '淨電荷',
+                data: curve.map(point => ({ x: point.pH, y: point.charge })),
+                borderColor: CHART_COLORS.primary,
+                backgroundColor: CHART_COLORS.primaryLight,
+                borderWidth: 2,
+                pointRadius: 0,
+                showLine: true
+            }]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                legend: { display: false },
+                annotation: { annotations }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    max: 14,
+                    title: { display: true, text: 'pH', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 }, stepSize: 1 },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    title: { display: true, text: '淨電荷', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立 Guinier 圖 (ln I 對 q²，附擬合線與殘差)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} profile - SAXSProfile.parseDatFile 結果
+ * @param {object} fit - SAXSProfile.fitGuinier / autoGuinier 結果
+ */
+function createGuinierChart(canvasId, profile, fit) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    // 顯示至擬合範圍的 1.5 倍 q_max
+    const qLimit = fit.qmax * 1.5;
+    const data = profile.q
+        .map((q, i) => ({ x: q * q, y: Math.log(profile.intensity[i]), inFit: i >= fit.start && i <= fit.end }))
+        .filter((point, i) => profile.q[i] <= qLimit && isFinite(point.y));
+    const fitLine = [fit.qmin, fit.qmax].map(q => ({ x: q * q, y: fit.intercept + fit.slope * q * q }));
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: '數據',
+                    data: data.filter(point => !point.inFit),
+                    backgroundColor: CHART_COLORS.text,
+                    pointRadius: 2,
+                    yAxisID: 'y'
+                },
+                {
+                    label: '擬合範圍',
+                    data: data.filter(point => point.inFit),
+                    backgroundColor: CHART_COLORS.primary,
+                    pointRadius: 3,
+                    yAxisID: 'y'
+                },
+                {
+                    label: `I(0) = ${fit.i0.toExponential(3)}, Rg = ${fit.rg.toFixed(2)} Å`,
+                    data: fitLine,
+                    borderColor: CHART_COLORS.secondary,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    showLine: true,
+                    yAxisID: 'y'
+                },
+                {
+                    label: '殘差 (Δ/σ)',
+                    data: fit.residuals.map(r => ({ x: r.x, y: r.residual })),
+                    backgroundColor: CHART_COLORS.tertiary,
+                    pointRadius: 2,
+                    yAxisID: 'residual'
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: 'q² (Å⁻²)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    stack: 'guinier',
+                    stackWeight: 3,
+                    title: { display: true, text: 'ln I(q)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                residual: {
+                    stack: 'guinier',
+                    stackWeight: 1,
+                    offset: true,
+                    title: { display: true, text: 'Δ/σ', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立 P(r) 圖 (附 ±σ 誤差帶)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} ift - SAXSProfile.fitIFT / autoIFT 結果
+ */
+function createPrChart(canvasId, ift) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const points = offset => ift.r.map((r, j) => ({ x: r, y: ift.p[j] + offset * ift.pError[j] }));
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: `P(r), Dmax = ${ift.dmax.toFixed(1)} Å`,
+                    data: points(0),
+                    borderColor: CHART_COLORS.primary,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    showLine: true
+                },
+                {
+                    label: '±σ',
+                    data: points(1),
+                    borderWidth: 0,
+                    backgroundColor: CHART_COLORS.primaryLight,
+                    pointRadius: 0,
+                    showLine: true,
+                    fill: '+1'
+                },
+                {
+                    label: '',
+                    data: points(-1),
+                    borderWidth: 0,
+                    pointRadius: 0,
+                    showLine: true
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                legend: {
+                    labels: {
+                        ...commonOptions.plugins.legend.labels,
+                        filter: item => item.text !== ''
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    title: { display: true, text: 'r (Å)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    title: { display: true, text: 'P(r)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立 IFT 擬合圖 (log I 對 q，附回算曲線與殘差)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} ift - SAXSProfile.fitIFT / autoIFT 結果
+ */
+function createIftFitChart(canvasId, ift) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const { q, intensity, fitted, residuals } = ift.fit;
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: '數據',
+                    data: q.map((x, i) => ({ x, y: intensity[i] })).filter(point => point.y > 0),
+                    backgroundColor: CHART_COLORS.text,
+                    pointRadius: 1.5,
+                    yAxisID: 'y'
+                },
+                {
+                    label: `P(r) 回算 (χ² = ${ift.chi2.toFixed(2)})`,
+                    data: q.map((x, i) => ({ x, y: fitted[i] })).filter(point => point.y > 0),
+                    borderColor: CHART_COLORS.secondary,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    showLine: true,
+                    yAxisID: 'y'
+                },
+                {
+                    label: '殘差 (Δ/σ)',
+                    data: q.map((x, i) => ({ x, y: residuals[i] })),
+                    backgroundColor: CHART_COLORS.tertiary,
+                    pointRadius: 1.5,
+                    yAxisID: 'residual'
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: 'q (Å⁻¹)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    type: 'logarithmic',
+                    stack: 'ift',
+                    stackWeight: 3,
+                    title: { display: true, text: 'I(q)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                residual: {
+                    stack: 'ift',
+                    stackWeight: 1,
+                    offset: true,
+                    title: { display: true, text: 'Δ/σ', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立 Porod 圖 (q⁴I 對 q，標示積分範圍與平台擬合範圍)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} profile - SAXSProfile.parseDatFile 結果
+ * @param {object} porod - SAXSProfile.calculatePorodInvariant 結果
+ */
+function createPorodChart(canvasId, profile, porod) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const qLimit = Math.max(porod.qmax * 1.25, porod.plateauRange.qmax);
+    const data = profile.q
+        .map((q, i) => ({ x: q, y: q ** 4 * profile.intensity[i] }))
+        .filter(point => point.x <= qLimit);
+    const plateau = profile.q
+        .filter(q => q >= porod.plateauRange.qmin && q <= porod.plateauRange.qmax)
+        .map(q => ({ x: q, y: porod.porodConstant + porod.constant * q ** 4 }));
+
+    const annotations = {
+        integrationRegion: {
+            type: 'box',
+            xMin: 0, xMax: porod.qmax,
+            backgroundColor: CHART_COLORS.secondaryLight,
+            borderWidth: 0,
+            label: { display: true, content: '積分範圍', position: 'start', font: { size: 9 }, color: CHART_COLORS.secondary }
+        },
+        plateauRegion: {
+            type: 'box',
+            xMin: porod.plateauRange.qmin, xMax: porod.plateauRange.qmax,
+            backgroundColor: CHART_COLORS.tertiaryLight,
+            borderWidth: 0
+        },
+        qmaxLine: {
+            type: 'line',
+            xMin: porod.qmax, xMax: porod.qmax,
+            borderColor: CHART_COLORS.secondary,
+            borderWidth: 1.5,
+            borderDash: [4, 4],
+            label: { display: true, content: `qmax·Rg = ${porod.qmaxRg.toFixed(1)}`, position: 'end', font: { size: 9 }, color: CHART_COLORS.secondary }
+        }
+    };
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: 'q⁴I(q)',
+                    data: data,
+                    backgroundColor: CHART_COLORS.text,
+                    pointRadius: 1.5
+                },
+                {
+                    label: `平台擬合 K + B·q⁴ (B = ${porod.constant.toExponential(2)})`,
+                    data: plateau,
+                    borderColor: CHART_COLORS.tertiary,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    showLine: true
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                annotation: { annotations }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    title: { display: true, text: 'q (Å⁻¹)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    title: { display: true, text: 'q⁴I(q)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立 Kratky 圖 (I·q² 對 q)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} flexibility - SAXSProfile.analyzeFlexibility 結果
+ */
+function createKratkyChart(canvasId, flexibility) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                label: 'Kratky',
+                data: flexibility.kratky,
+                backgroundColor: CHART_COLORS.primary,
+                pointRadius: 1.5
+            }]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                legend: { display: false }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    title: { display: true, text: 'q (Å⁻¹)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    title: { display: true, text: 'I(q)·q²', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立無因次 Kratky 圖 ((qRg)²I/I(0) 對 qRg)，標示球狀參考峰 (√3, 1.104) 與高斯鏈參考曲線
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} flexibility - SAXSProfile.analyzeFlexibility 結果
+ */
+function createDimensionlessKratkyChart(canvasId, flexibility) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const xMax = 10;
+    // 高斯鏈 (Debye): (qRg)²·2(e^−x + x − 1)/x²，x = (qRg)²
+    const gaussianChain = Array.from({ length: 101 }, (_, k) => {
+        const qRg = xMax * k / 100;
+        const x = qRg * qRg;
+        return { x: qRg, y: x < 1e-6 ? 0 : 2 * (Math.exp(-x) + x - 1) / x };
+    });
+    const { x: refX, y: refY } = flexibility.reference;
+
+    const annotations = {
+        peakX: {
+            type: 'line',
+            xMin: refX, xMax: refX,
+            borderColor: CHART_COLORS.text,
+            borderWidth: 1,
+            borderDash: [4, 4]
+        },
+        peakY: {
+            type: 'line',
+            yMin: refY, yMax: refY,
+            borderColor: CHART_COLORS.text,
+            borderWidth: 1,
+            borderDash: [4, 4],
+            label: { display: true, content: `(√3, ${refY})`, position: 'end', font: { size: 9 }, color: CHART_COLORS.text }
+        }
+    };
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: '數據',
+                    data: flexibility.dimensionless.filter(point => point.x <= xMax),
+                    backgroundColor: CHART_COLORS.primary,
+                    pointRadius: 1.5
+                },
+                {
+                    label: '高斯鏈參考',
+                    data: gaussianChain,
+                    borderColor: CHART_COLORS.tertiary,
+                    borderWidth: 1.5,
+                    borderDash: [6, 3],
+                    pointRadius: 0,
+                    showLine: true
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                annotation: { annotations }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    max: xMax,
+                    title: { display: true, text: 'qRg', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    min: 0,
+                    title: { display: true, text: '(qRg)²·I(q)/I(0)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立 Porod–Debye 圖 (q⁴I 對 q⁴，至 qRg = 8)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} flexibility - SAXSProfile.analyzeFlexibility 結果
+ */
+function createPorodDebyeChart(canvasId, flexibility) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                label: 'Porod–Debye',
+                data: flexibility.porodDebye,
+                backgroundColor: CHART_COLORS.secondary,
+                pointRadius: 1.5
+            }]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                legend: { display: false }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    title: { display: true, text: 'q⁴ (Å⁻⁴)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    title: { display: true, text: 'q⁴·I(q)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立模型散射圖 (log I 對 q)；有實驗數據時繪製數據、擬合曲線與殘差
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {Array<number>} q - 模型 q (Å⁻¹)
+ * @param {Array<number>} intensity - 模型強度 (ModelScattering.modelIntensity)
+ * @param {object|null} fit - ModelScattering.fitModelToProfile 結果
+ */
+function createModelProfileChart(canvasId, q, intensity, fit) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    if (!fit) {
+        return new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: '模型 I(q)',
+                    data: q.map((x, k) => ({ x, y: intensity[k] })).filter(point => point.y > 0),
+                    borderColor: CHART_COLORS.secondary,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    showLine: true
+                }]
+            },
+            options: {
+                ...commonOptions,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: { display: true, text: 'q (Å⁻¹)', color: CHART_COLORS.text },
+                        ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                        grid: { color: CHART_COLORS.grid }
+                    },
+                    y: {
+                        type: 'logarithmic',
+                        title: { display: true, text: 'I(q) (e²)', color: CHART_COLORS.text },
+                        ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                        grid: { color: CHART_COLORS.grid }
+                    }
+                }
+            }
+        });
+    }
+
+    const { q: qFit, intensity: data, fitted, residuals } = fit.fit;
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: '數據',
+                    data: qFit.map((x, i) => ({ x, y: data[i] })).filter(point => point.y > 0),
+                    backgroundColor: CHART_COLORS.text,
+                    pointRadius: 1.5,
+                    yAxisID: 'y'
+                },
+                {
+                    label: `模型 (χ² = ${fit.chi2.toFixed(2)})`,
+                    data: qFit.map((x, i) => ({ x, y: fitted[i] })).filter(point => point.y > 0),
+                    borderColor: CHART_COLORS.secondary,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    showLine: true,
+                    yAxisID: 'y'
+                },
+                {
+                    label: '殘差 (Δ/σ)',
+                    data: qFit.map((x, i) => ({ x, y: residuals[i] })),
+                    backgroundColor: CHART_COLORS.tertiary,
+                    pointRadius: 1.5,
+                    yAxisID: 'residual'
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: 'q (Å⁻¹)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    type: 'logarithmic',
+                    stack: 'model',
+                    stackWeight: 3,
+                    title: { display: true, text: 'I(q)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                residual: {
+                    stack: 'model',
+                    stackWeight: 1,
+                    offset: true,
+                    title: { display: true, text: 'Δ/σ', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立模型 P(r) 圖 (含 / 不含水合層，可疊加實驗 IFT)；各曲線以峰高標準化
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} distribution - ModelScattering.modelDistanceDistribution 結果 (含水合層)
+ * @param {object} vacuum - 不含水合層的 modelDistanceDistribution 結果
+ * @param {object|null} ift - SAXSProfile.autoIFT 結果
+ */
+function createModelPrChart(canvasId, distribution, vacuum, ift) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const normalized = (r, p) => {
+        const peak = Math.max(...p);
+        return r.map((x, j) => ({ x, y: peak > 0 ? p[j] / peak : 0 }));
+    };
+
+    const datasets = [
+        {
+            label: `模型 (含水合層), Rg = ${distribution.rg.toFixed(1)} Å`,
+            data: normalized(distribution.r, distribution.p),
+            borderColor: CHART_COLORS.secondary,
+            borderWidth: 2,
+            pointRadius: 0,
+            showLine: true
+        },
+        {
+            label: `模型 (不含水合層), Rg = ${vacuum.rg.toFixed(1)} Å`,
+            data: normalized(vacuum.r, vacuum.p),
+            borderColor: CHART_COLORS.tertiary,
+            borderWidth: 1.5,
+            borderDash: [4, 4],
+            pointRadius: 0,
+            showLine: true
+        }
+    ];
+    if (ift) {
+        datasets.push({
+            label: `實驗 IFT, Rg = ${ift.rg.toFixed(1)} Å`,
+            data: normalized(ift.r, ift.p),
+            borderColor: CHART_COLORS.primary,
+            borderWidth: 2,
+            pointRadius: 0,
+            showLine: true
+        });
+    }
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+            ...commonOptions,
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    title: { display: true, text: 'r (Å)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    title: { display: true, text: 'P(r) / P_max', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立形狀模型圖 (log–log)；有擬合結果時繪製數據、模型與殘差，否則僅繪製模擬曲線
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {string} label - 模型名稱
+ * @param {object} curve - { q, intensity } 模擬曲線
+ * @param {object|null} fit - ShapeModels.fitShapeModel 結果
+ */
+function createShapeModelChart(canvasId, label, curve, fit) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const datasets = fit ? [
+        {
+            label: '數據',
+            data: fit.fit.q.map((x, i) => ({ x, y: fit.fit.intensity[i] })).filter(point => point.y > 0),
+            backgroundColor: CHART_COLORS.text,
+            pointRadius: 1.5,
+            yAxisID: 'y'
+        },
+        {
+            label: `${label} (χ² = ${fit.chi2.toFixed(2)})`,
+            data: fit.fit.q.map((x, i) => ({ x, y: fit.fit.fitted[i] })).filter(point => point.y > 0),
+            borderColor: CHART_COLORS.secondary,
+            borderWidth: 2,
+            pointRadius: 0,
+            showLine: true,
+            yAxisID: 'y'
+        },
+        {
+            label: '殘差 (Δ/σ)',
+            data: fit.fit.q.map((x, i) => ({ x, y: fit.fit.residuals[i] })),
+            backgroundColor: CHART_COLORS.tertiary,
+            pointRadius: 1.5,
+            yAxisID: 'residual'
+        }
+    ] : [
+        {
+            label: `${label} P(q)`,
+            data: curve.q.map((x, k) => ({ x, y: curve.intensity[k] })).filter(point => point.y > 0),
+            borderColor: CHART_COLORS.secondary,
+            borderWidth: 2,
+            pointRadius: 0,
+            showLine: true,
+            yAxisID: 'y'
+        }
+    ];
+
+    const scales = {
+        x: {
+            type: 'logarithmic',
+            title: { display: true, text: 'q (Å⁻¹)', color: CHART_COLORS.text },
+            ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+            grid: { color: CHART_COLORS.grid }
+        },
+        y: {
+            type: 'logarithmic',
+            stack: 'shape',
+            stackWeight: 3,
+            title: { display: true, text: fit ? 'I(q)' : 'I(q)/I(0)', color: CHART_COLORS.text },
+            ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+            grid: { color: CHART_COLORS.grid }
+        }
+    };
+    if (fit) {
+        scales.residual = {
+            stack: 'shape',
+            stackWeight: 1,
+            offset: true,
+            title: { display: true, text: 'Δ/σ', color: CHART_COLORS.text },
+            ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+            grid: { color: CHART_COLORS.grid }
+        };
+    }
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+            ...commonOptions,
+            scales
+        }
+    });
+}
+
+/**
+ * 建立濃度系列 I(q)/c 疊圖 (含零濃度外推曲線)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} series - SAXSProfile.analyzeConcentrationSeries 結果
+ */
+function createConcentrationSeriesChart(canvasId, series) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const datasets = series.scaled.map((curve, i) => {
+        const hue = (i * 60 + 200) % 360;
+        return {
+            label: `${curve.concentration} mg/mL`,
+            data: curve.q.map((x, k) => ({ x, y: curve.intensity[k] })).filter(point => point.y > 0),
+            backgroundColor: `oklch(0.65 0.12 ${hue} / 0.6)`,
+            pointRadius: 1
+        };
+    });
+    datasets.push({
+        label: `外推 c → 0 (q ≤ ${series.mergeQ} Å⁻¹)`,
+        data: series.extrapolated.q.map((x, k) => ({ x, y: series.extrapolated.intensity[k] })).filter(point => point.y > 0),
+        borderColor: CHART_COLORS.primary,
+        borderWidth: 2,
+        pointRadius: 0,
+        showLine: true
+    });
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: { datasets: datasets },
+        options: {
+            ...commonOptions,
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: 'q (Å⁻¹)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    type: 'logarithmic',
+                    title: { display: true, text: 'I(q)/c', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立 Guinier I(0)/c 與 R_g 對濃度圖 (含線性外推)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} series - SAXSProfile.analyzeConcentrationSeries 結果
+ */
+function createConcentrationTrendChart(canvasId, series) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const points = series.points.filter(point => point.guinier);
+    const cMax = Math.max(...series.points.map(point => point.concentration));
+    const trendLine = (trend) => [0, cMax].map(x => ({ x, y: trend.intercept + trend.slope * x }));
+
+    const datasets = [
+        {
+            label: 'I(0)/c',
+            data: points.map(point => ({ x: point.concentration, y: point.i0PerC })),
+            backgroundColor: CHART_COLORS.primary,
+            pointRadius: 4,
+            yAxisID: 'y'
+        },
+        {
+            label: 'Rg (Å)',
+            data: points.map(point => ({ x: point.concentration, y: point.rg })),
+            backgroundColor: CHART_COLORS.secondary,
+            pointStyle: 'rect',
+            pointRadius: 4,
+            yAxisID: 'y1'
+        }
+    ];
+    if (series.i0Trend) {
+        datasets.push({
+            label: 'I(0)/c 外推',
+            data: trendLine(series.i0Trend),
+            borderColor: CHART_COLORS.primary,
+            borderDash: [4, 4],
+            pointRadius: 0,
+            showLine: true,
+            yAxisID: 'y'
+        });
+    }
+    if (series.rgTrend) {
+        datasets.push({
+            label: 'Rg 外推',
+            data: trendLine(series.rgTrend),
+            borderColor: CHART_COLORS.secondary,
+            borderDash: [4, 4],
+            pointRadius: 0,
+            showLine: true,
+            yAxisID: 'y1'
+        });
+    }
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: { datasets: datasets },
+        options: {
+            ...commonOptions,
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    title: { display: true, text: 'c (mg/mL)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    position: 'left',
+                    title: { display: true, text: 'I(0)/c', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y1: {
+                    position: 'right',
+                    title: { display: true, text: 'Rg (Å)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { display: false }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立緩衝液扣除圖 (樣品平均、f × 緩衝液平均、扣除結果)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} reduction - { sample, buffer, scale, profile }，buffer 可為 null
+ */
+function createReductionChart(canvasId, reduction) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const toPoints = (profile, factor = 1) =>
+        profile.q.map((x, i) => ({ x, y: profile.intensity[i] * factor })).filter(point => point.y > 0);
+
+    const datasets = [
+        {
+            label: '樣品平均',
+            data: toPoints(reduction.sample),
+            backgroundColor: CHART_COLORS.text,
+            pointRadius: 1
+        }
+    ];
+    if (reduction.buffer) {
+        datasets.push(
+            {
+                label: `緩衝液平均 × ${reduction.scale}`,
+                data: toPoints(reduction.buffer, reduction.scale),
+                backgroundColor: CHART_COLORS.tertiary,
+                pointRadius: 1
+            },
+            {
+                label: '扣除後',
+                data: toPoints(reduction.profile),
+                borderColor: CHART_COLORS.primary,
+                borderWidth: 1.5,
+                pointRadius: 0,
+                showLine: true
+            }
+        );
+    }
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: { datasets: datasets },
+        options: {
+            ...commonOptions,
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: 'q (Å⁻¹)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    type: 'logarithmic',
+                    title: { display: true, text: 'I(q)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立 SEC-SAXS 幀序列圖 (積分強度、I(0)、Rg 對時間或幀號)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} series - { x, xLabel, frames, sampleRange, bufferRange, xrayWindow }
+ *   x 為各幀橫軸值；frames 為 DataReduction.analyzeFrameSeries 的 frames；xrayWindow 為 { start, stop } 或 null
+ */
+function createFrameSeriesChart(canvasId, series) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const { x, frames } = series;
+    const step = x.length > 1 ? (x[x.length - 1] - x[0]) / (x.length - 1) : 1;
+    const region = ([start, end], color, label) => ({
+        type: 'box',
+        xMin: x[start] - step / 2, xMax: x[end] + step / 2,
+        backgroundColor: color,
+        borderWidth: 0,
+        label: { display: true, content: label, position: 'start', font: { size: 9 }, color: CHART_COLORS.text }
+    });
+
+    const annotations = {
+        bufferRegion: region(series.bufferRange, CHART_COLORS.tertiaryLight, '緩衝液'),
+        sampleRegion: region(series.sampleRange, CHART_COLORS.primaryLight, '樣品')
+    };
+    if (series.xrayWindow) {
+        ['start', 'stop'].forEach(key => {
+            annotations[`xray_${key}`] = {
+                type: 'line',
+                xMin: series.xrayWindow[key], xMax: series.xrayWindow[key],
+                borderColor: CHART_COLORS.secondary,
+                borderWidth: 1.5,
+                borderDash: [4, 4],
+                label: { display: key === 'start', content: 'X-RAY IMAGE', position: 'end', font: { size: 9 }, color: CHART_COLORS.secondary }
+            };
+        });
+    }
+
+    const fitted = frames.map((frame, i) => ({ frame, x: x[i] })).filter(point => point.frame.i0 !== null);
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: '積分強度',
+                    data: frames.map((frame, i) => ({ x: x[i], y: frame.integral })),
+                    borderColor: CHART_COLORS.text,
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    showLine: true,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'I(0)',
+                    data: fitted.map(point => ({ x: point.x, y: point.frame.i0 })),
+                    backgroundColor: CHART_COLORS.primary,
+                    pointRadius: 2,
+                    yAxisID: 'y1'
+                },
+                {
+                    label: 'Rg (Å)',
+                    data: fitted.map(point => ({ x: point.x, y: point.frame.rg })),
+                    backgroundColor: CHART_COLORS.secondary,
+                    pointStyle: 'rect',
+                    pointRadius: 2,
+                    yAxisID: 'y2'
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                annotation: { annotations }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: series.xLabel, color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    position: 'left',
+                    title: { display: true, text: '∫I dq', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y1: {
+                    position: 'right',
+                    min: 0,
+                    title: { display: true, text: 'I(0)', color: CHART_COLORS.primary },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { display: false }
+                },
+                y2: {
+                    position: 'right',
+                    min: 0,
+                    title: { display: true, text: 'Rg (Å)', color: CHART_COLORS.secondary },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { display: false }
+                }
+            }
+        }
+    });
+}
+
+// EFA 各成分的顏色 (依出現順序)
+const SPECIES_COLORS = [CHART_COLORS.primary, CHART_COLORS.secondary, CHART_COLORS.tertiary, 'rgba(99, 102, 241, 1)', CHART_COLORS.text];
+
+/**
+ * 建立 SVD 奇異值圖 (對數尺度，含雜訊門檻)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} svd - SECDeconvolution.analyzeSVD 結果
+ * @param {number} count - 顯示的奇異值個數
+ */
+function createSvdChart(canvasId, svd, count) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const values = svd.singularValues.slice(0, count);
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: '奇異值',
+                    data: values.map((y, i) => ({ x: i + 1, y: Math.max(y, 1e-6) })),
+                    backgroundColor: values.map((_, i) => (i < svd.components ? CHART_COLORS.primary : CHART_COLORS.text)),
+                    pointRadius: 4
+                },
+                {
+                    label: '雜訊門檻',
+                    data: [{ x: 0.5, y: svd.threshold }, { x: count + 0.5, y: svd.threshold }],
+                    borderColor: CHART_COLORS.tertiary,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    showLine: true
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0.5,
+                    max: count + 0.5,
+                    title: { display: true, text: '成分序號', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 }, stepSize: 1 },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    type: 'logarithmic',
+                    title: { display: true, text: '奇異值 (σ 正規化)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立演進因子分析圖 (正向實線、反向虛線，含逐視窗雜訊門檻)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} efa - SECDeconvolution.evolvingFactorAnalysis 結果
+ * @param {Array<number>} x - 區段內各幀的橫軸值 (幀號)
+ */
+function createEfaChart(canvasId, efa, x) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const count = efa.forward[0].length;
+    const n = x.length;
+    const datasets = [];
+    for (let k = 0; k < count; k++) {
+        const color = SPECIES_COLORS[k % SPECIES_COLORS.length];
+        datasets.push(
+            {
+                label: `正向 s${k + 1}`,
+                data: efa.forward.map((values, f) => ({ x: x[f], y: Math.max(values[k], 1e-6) })),
+                borderColor: color,
+                borderWidth: 1.5,
+                pointRadius: 0,
+                showLine: true
+            },
+            {
+                label: `反向 s${k + 1}`,
+                data: efa.backward.map((values, f) => ({ x: x[f], y: Math.max(values[k], 1e-6) })),
+                borderColor: color,
+                borderWidth: 1.5,
+                borderDash: [5, 4],
+                pointRadius: 0,
+                showLine: true
+            }
+        );
+    }
+    datasets.push({
+        label: '雜訊門檻 (正向)',
+        data: efa.thresholds.map((y, f) => ({ x: x[f], y })),
+        borderColor: CHART_COLORS.tertiary,
+        borderWidth: 1,
+        borderDash: [2, 3],
+        pointRadius: 0,
+        showLine: true
+    }, {
+        label: '雜訊門檻 (反向)',
+        data: efa.thresholds.map((y, f) => ({ x: x[n - 1 - f], y })),
+        borderColor: CHART_COLORS.tertiary,
+        borderWidth: 1,
+        borderDash: [2, 3],
+        pointRadius: 0,
+        showLine: true
+    });
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: { datasets: datasets },
+        options: {
+            ...commonOptions,
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: '幀號', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    type: 'logarithmic',
+                    title: { display: true, text: '奇異值', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立 EFA 各成分洗出濃度圖 (各成分峰頂 = 1)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {Array<object>} species - SECDeconvolution.rotateEFA 的 species
+ * @param {Array<number>} x - 區段內各幀的橫軸值 (幀號)
+ */
+function createEfaConcentrationChart(canvasId, species, x) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: species.map((sp, k) => ({
+                label: `成分 ${k + 1}`,
+                data: sp.concentration.map((y, f) => ({ x: x[f], y })),
+                borderColor: SPECIES_COLORS[k % SPECIES_COLORS.length],
+                backgroundColor: SPECIES_COLORS[k % SPECIES_COLORS.length],
+                borderWidth: 2,
+                pointRadius: 0,
+                showLine: true
+            }))
+        },
+        options: {
+            ...commonOptions,
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: '幀號', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    min: 0,
+                    title: { display: true, text: '相對濃度', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立 EFA 各成分散射曲線圖 (對數強度)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {Array<object>} species - SECDeconvolution.rotateEFA 的 species
+ */
+function createEfaProfileChart(canvasId, species) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: species.map((sp, k) => ({
+                label: `成分 ${k + 1}`,
+                data: sp.profile.q.map((x, i) => ({ x, y: sp.profile.intensity[i] })).filter(point => point.y > 0),
+                backgroundColor: SPECIES_COLORS[k % SPECIES_COLORS.length],
+                pointRadius: 1
+            }))
+        },
+        options: {
+            ...commonOptions,
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: 'q (Å⁻¹)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    type: 'logarithmic',
+                    title: { display: true, text: 'I(q)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 建立 pre-run 層析圖峰擬合圖 (資料、擬合總和、各峰 + 基線，目標峰峰頂標線)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} result - ChromatogramFit.fitChromatogram 結果
+ */
+function createChromatogramFitChart(canvasId, result) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const { time, signal, fitted, baseline, components } = result.fit;
+    const target = result.peaks[result.target];
+    const line = (values, label, color, dashed) => ({
+        label,
+        data: values.map((y, i) => ({ x: time[i], y })),
+        borderColor: color,
+        borderWidth: dashed ? 1.5 : 2,
+        borderDash: dashed ? [5, 3] : [],
+        pointRadius: 0,
+        showLine: true
+    });
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: 'UV',
+                    data: signal.map((y, i) => ({ x: time[i], y })),
+                    backgroundColor: CHART_COLORS.text,
+                    pointRadius: 1
+                },
+                line(fitted, '擬合', CHART_COLORS.primary, false),
+                ...(components.length > 1
+                    ? components.map((component, k) => line(component.map((y, i) => y + baseline[i]), `峰 ${k + 1}`,
+                        SPECIES_COLORS[(k + 1) % SPECIES_COLORS.length], true))
+                    : []),
+                line(baseline, '基線', CHART_COLORS.text, true)
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                annotation: {
+                    annotations: {
+                        apex: {
+                            type: 'line',
+                            xMin: target.apex, xMax: target.apex,
+                            borderColor: CHART_COLORS.secondary,
+                            borderWidth: 1.5,
+                            borderDash: [4, 4],
+                            label: {
+                                display: true,
+                                content: `${target.apex.toFixed(3)} min${target.fwhm !== null ? ` / FWHM ${target.fwhm.toFixed(3)}` : ''}`,
+                                position: 'start',
+                                font: { size: 9 },
+                                color: CHART_COLORS.secondary
+                            }
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: '時間 (min)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    title: { display: true, text: 'UV', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                }
+            }
+        }
+    });
+}
+
+// HPLC-SAXS 時間軸: 左軸 0–1 為正規化洗出峰，其上為偵測器與分液收集的時間列
+const HPLC_TIMELINE_LANES = {
+    detector: [1.1, 1.2],
+    fraction: [1.25, 1.35]
+};
+const HPLC_TIMELINE_HANDLE_RADIUS = 10;   // 拖曳點的點選半徑 (px)
+
+/**
+ * 時間軸資料集: 預測洗出峰、流速程式與兩個拖曳點 (峰頂 = 中心、右側半高 = FWHM)
+ * @param {object} timeline - SAXSCalculations.calculateHPLCTimeline 結果
+ * @returns {Array<object>} Chart.js datasets
+ */
+function hplcTimelineDatasets(timeline) {
+    const { center, fwhm, sigma } = timeline.peak;
+    const points = 400;
+    const elution = Array.from({ length: points + 1 }, (_, i) => {
+        const x = timeline.endTime * i / points;
+        return { x, y: Math.exp(-0.5 * ((x - center) / sigma) ** 2) };
+    });
+
+    return [
+        {
+            label: '預測洗出峰',
+            data: elution,
+            borderColor: CHART_COLORS.primary,
+            backgroundColor: CHART_COLORS.primaryLight,
+            borderWidth: 2,
+            pointRadius: 0,
+            showLine: true,
+            fill: true,
+            yAxisID: 'y'
+        },
+        {
+            label: '流速 (mL/min)',
+            data: timeline.flowProgram.map(row => ({ x: row.time, y: row.flowRate })),
+            borderColor: CHART_COLORS.text,
+            backgroundColor: CHART_COLORS.text,
+            borderWidth: 1.5,
+            pointRadius: 2,
+            showLine: true,
+            yAxisID: 'y1'
+        },
+        {
+            label: '拖曳: 中心 / FWHM',
+            data: [{ x: center, y: 1, handle: 'center' }, { x: center + fwhm / 2, y: 0.5, handle: 'fwhm' }],
+            backgroundColor: CHART_COLORS.primary,
+            borderColor: '#fff',
+            borderWidth: 2,
+            pointRadius: 6,
+            pointHoverRadius: 8,
+            pointStyle: ['circle', 'rectRot'],
+            yAxisID: 'y'
+        }
+    ];
+}
+
+/**
+ * 時間軸標註: X-RAY IMAGE 時間窗、偵測器各 step 與分液收集時間窗
+ * @param {object} timeline - SAXSCalculations.calculateHPLCTimeline 結果
+ * @returns {object} annotation 設定
+ */
+function hplcTimelineAnnotations(timeline) {
+    const lane = ([yMin, yMax], xMin, xMax, color, content) => ({
+        type: 'box',
+        xMin, xMax, yMin, yMax,
+        backgroundColor: color,
+        borderWidth: 0,
+        label: { display: true, content, font: { size: 9 }, color: CHART_COLORS.text }
+    });
+
+    const annotations = {
+        xray: {
+            type: 'box',
+            xMin: timeline.xrayWindow.start, xMax: timeline.xrayWindow.stop,
+            yMin: 0, yMax: 1.05,
+            backgroundColor: CHART_COLORS.secondaryLight,
+            borderColor: CHART_COLORS.secondary,
+            borderWidth: 1,
+            borderDash: [4, 4],
+            label: { display: true, content: 'X-RAY IMAGE', position: 'start', font: { size: 9 }, color: CHART_COLORS.secondary }
+        },
+        fraction: lane(HPLC_TIMELINE_LANES.fraction, timeline.fractionWindow.start, timeline.fractionWindow.stop,
+            'rgba(139, 92, 246, 0.25)', '分液收集')
+    };
+    timeline.detectorSteps.forEach(step => {
+        annotations[`step_${step.step}`] = lane(HPLC_TIMELINE_LANES.detector, step.start, step.stop,
+            step.mode === 'TM' ? CHART_COLORS.tertiaryLight : CHART_COLORS.primaryLight, `${step.step}`);
+    });
+    return annotations;
+}
+
+/**
+ * 建立 HPLC-SAXS 時間軸圖 (可拖曳預測峰的中心與 FWHM)
+ * @param {string} canvasId - canvas 元素 ID
+ * @param {object} timeline - SAXSCalculations.calculateHPLCTimeline 結果
+ * @param {Function} onDrag - 拖曳回呼 (handle: 'center' | 'fwhm', time (min), final: 是否放開)
+ */
+function createHPLCTimelineChart(canvasId, timeline, onDrag) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    // 於拖曳點附近按下後，移動時以游標時間回呼；放開或移出畫布時結束
+    let dragging = null;
+    const dragPlugin = {
+        id: 'hplcTimelineDrag',
+        afterEvent(chart, args) {
+            const { event } = args;
+            const time = chart.scales.x.getValueForPixel(event.x);
+            if (event.type === 'mousedown' || event.type === 'touchstart') {
+                const handles = chart.getDatasetMeta(2).data;
+                const hit = handles.findIndex(point =>
+                    Math.hypot(point.x - event.x, point.y - event.y) <= HPLC_TIMELINE_HANDLE_RADIUS);
+                dragging = hit >= 0 ? chart.data.datasets[2].data[hit].handle : null;
+            } else if ((event.type === 'mousemove' || event.type === 'touchmove') && dragging) {
+                onDrag(dragging, time, false);
+            } else if (['mouseup', 'mouseout', 'touchend'].includes(event.type) && dragging) {
+                const handle = dragging;
+                dragging = null;
+                onDrag(handle, time, true);
+            }
+            chart.canvas.style.cursor = dragging ? 'ew-resize' : '';
+        }
+    };
+
+    return new Chart(ctx, {
+        type: 'scatter',
+        data: { datasets: hplcTimelineDatasets(timeline) },
+        plugins: [dragPlugin],
+        options: {
+            ...commonOptions,
+            animation: false,
+            events: ['mousedown', 'mousemove', 'mouseup', 'mouseout', 'touchstart', 'touchmove', 'touchend'],
+            plugins: {
+                ...commonOptions.plugins,
+                annotation: { annotations: hplcTimelineAnnotations(timeline) }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    max: timeline.endTime,
+                    title: { display: true, text: '時間 (min)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y: {
+                    position: 'left',
+                    min: 0,
+                    max: HPLC_TIMELINE_LANES.fraction[1] + 0.05,
+                    title: { display: true, text: '預測洗出峰 (正規化)', color: CHART_COLORS.primary },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 }, callback: value => (value <= 1 ? value : '') },
+                    grid: { color: CHART_COLORS.grid }
+                },
+                y1: {
+                    position: 'right',
+                    min: 0,
+                    title: { display: true, text: '流速 (mL/min)', color: CHART_COLORS.text },
+                    ticks: { color: CHART_COLORS.text, font: { size: 10 } },
+                    grid: { display: false }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * 以新的時間軸更新既有圖表 (拖曳中保留圖表與拖曳狀態)
+ * @param {object} chart - createHPLCTimelineChart 建立的圖表
+ * @param {object} timeline - SAXSCalculations.calculateHPLCTimeline 結果
+ */
+function updateHPLCTimelineChart(chart, timeline) {
+    chart.data.datasets = hplcTimelineDatasets(timeline);
+    chart.options.plugins.annotation.annotations = hplcTimelineAnnotations(timeline);
+    chart.options.scales.x.max = timeline.endTime;
+    chart.update('none');
+}
+
 // 導出函數
 window.SAXSCharts = {
     CHART_COLORS,
     createCompositionChart,
-    createCompositionBarChart
+    createCompositionBarChart,
+    createContrastVariationChart,
+    createChargeCurveChart,
+    createGuinierChart,
+    createPrChart,
+    createIftFitChart,
+    createPorodChart,
+    createKratkyChart,
+    createDimensionlessKratkyChart,
+    createPorodDebyeChart,
+    createModelProfileChart,
+    createModelPrChart,
+    createShapeModelChart,
+    createConcentrationSeriesChart,
+    createConcentrationTrendChart,
+    createReductionChart,
+    createFrameSeriesChart,
+    createSvdChart,
+    createEfaChart,
+    createEfaConcentrationChart,
+    createEfaProfileChart,
+    createChromatogramFitChart,
+    createHPLCTimelineChart,
+    updateHPLCTimelineChart
 };
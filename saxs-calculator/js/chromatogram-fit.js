@@ -0,0 +1,332 @@
+/**
+ * TPS13A SAXS Calculator - Chromatogram Fit Module
+ * Pre-run 層析圖 (UV) 峰擬合: Gaussian / 指數修正高斯 (EMG) 單峰或多峰，含線性基線
+ */
+
+// ========================
+// 常數
+// ========================
+
+const PEAK_MODELS = {
+    gaussian: { label: 'Gaussian' },
+    emg: { label: 'EMG (指數修正高斯)' }
+};
+
+const CHROMATOGRAM_MAX_PEAKS = 4;
+const PEAK_MIN_RELATIVE_HEIGHT = 0.05;  // 初值偵測: 低於最高峰 5% 的極大值視為雜訊
+const PEAK_ASYMMETRY_HEIGHT = 0.1;      // 不對稱因子 As 於峰高 10% 處量測
+const PEAK_PROFILE_POINTS = 2001;       // 計算頂點 / FWHM 的取樣點數
+const PEAK_MIN_AREA_FRACTION = 0.001;   // 面積低於總面積 0.1% 的峰視為資料不支持 (峰數過多)
+
+// Levenberg–Marquardt 設定
+const CHROMATOGRAM_FIT_SETTINGS = { maxIterations: 100, tolerance: 1e-5, lambda: 1e-3, step: 1e-5 };
+
+// ========================
+// 峰形函數
+// ========================
+
+/**
+ * 縮放互補誤差函數 erfcx(z) = exp(z²)·erfc(z) (Numerical Recipes erfcc，相對誤差 < 1.2e-7)
+ * @param {number} z - 自變數
+ * @returns {number} erfcx(z)
+ */
+function scaledErfc(z) {
+    if (z < 0) return 2 * Math.exp(z * z) - scaledErfc(-z);
+    const t = 1 / (1 + 0.5 * z);
+    return t * Math.exp(-1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+}
+
+/**
+ * 單位面積峰形
+ * Gaussian: exp(−x²/2) / (σ√2π)，x = (t − μ)/σ
+ * EMG: 高斯與指數衰減 (時間常數 τ) 的卷積，以 erfcx 形式計算避免溢位；τ → 0 時退化為 Gaussian
+ * @param {string} model - 'gaussian' 或 'emg'
+ * @param {number} t - 時間
+ * @param {object} peak - { center: μ, sigma: σ, tau: τ }
+ * @returns {number} 峰形值
+ */
+function peakShape(model, t, peak) {
+    const x = (t - peak.center) / peak.sigma;
+    if (model !== 'emg' || !(peak.tau > 0)) {
+        return Math.exp(-0.5 * x * x) / (peak.sigma * Math.sqrt(2 * Math.PI));
+    }
+    const r = peak.sigma / peak.tau;
+    const z = (r - x) / Math.SQRT2;
+    const value = z >= 0
+        ? Math.exp(-0.5 * x * x) * scaledErfc(z)
+        : 2 * Math.exp(0.5 * r * r - x * r) - Math.exp(-0.5 * x * x) * scaledErfc(-z);
+    return value / (2 * peak.tau);
+}
+
+/**
+ * 由峰形數值取樣求頂點、FWHM 與不對稱因子
+ * As = (頂點至 10% 峰高後緣距離) / (前緣至頂點距離)，對稱峰為 1，拖尾峰 > 1
+ * @param {string} model - 'gaussian' 或 'emg'
+ * @param {object} peak - { center, sigma, tau, area }
+ * @returns {object} { apex, height, fwhm, asymmetry }
+ */
+function describePeak(model, peak) {
+    const tau = model === 'emg' ? peak.tau : 0;
+    const from = peak.center - 6 * peak.sigma;
+    const to = peak.center + 6 * peak.sigma + 12 * tau;
+    const step = (to - from) / (PEAK_PROFILE_POINTS - 1);
+    const t = Array.from({ length: PEAK_PROFILE_POINTS }, (_, i) => from + i * step);
+    const y = t.map(value => peakShape(model, value, peak));
+
+    let top = 0;
+    y.forEach((value, i) => { if (value > y[top]) top = i; });
+    // 拋物線內插頂點
+    let apex = t[top];
+    if (top > 0 && top < y.length - 1) {
+        const curvature = y[top - 1] - 2 * y[top] + y[top + 1];
+        if (curvature < 0) apex += 0.5 * step * (y[top - 1] - y[top + 1]) / curvature;
+    }
+    const height = peakShape(model, apex, peak);
+
+    const crossing = (level, direction) => {
+        for (let i = top; i > 0 && i < y.length - 1; i += direction) {
+            const next = i + direction;
+            if (y[next] <= level) return t[i] + (t[next] - t[i]) * (y[i] - level) / (y[i] - y[next]);
+        }
+        return null;
+    };
+    const half = [crossing(height / 2, -1), crossing(height / 2, 1)];
+    const tail = [crossing(height * PEAK_ASYMMETRY_HEIGHT, -1), crossing(height * PEAK_ASYMMETRY_HEIGHT, 1)];
+
+    return {
+        apex,
+        height: height * peak.area,
+        fwhm: half.includes(null) ? null : half[1] - half[0],
+        asymmetry: tail.includes(null) ? null : (tail[1] - apex) / (apex - tail[0])
+    };
+}
+
+// ========================
+// 擬合
+// ========================
+
+/**
+ * 移動平均平滑 (視窗約為資料點數的 1%)
+ * @param {Array<number>} values - 數值
+ * @returns {Array<number>} 平滑後數值
+ */
+function smoothChromatogram(values) {
+    const n = values.length;
+    const half = Math.max(1, Math.round(n / 200));
+    return values.map((_, i) => {
+        const from = Math.max(0, i - half), to = Math.min(n - 1, i + half);
+        let sum = 0;
+        for (let k = from; k <= to; k++) sum += values[k];
+        return sum / (to - from + 1);
+    });
+}
+
+/**
+ * 由極大值兩側降至半高的位置估計 σ (FWHM / 2.3548)
+ * 取較窄一側的半寬 × 2: 肩峰靠近主峰的一側不會降至半高
+ * @param {Array<number>} time - 時間
+ * @param {Array<number>} values - 扣除基線後的 (平滑) 訊號
+ * @param {number} index - 極大值索引
+ * @returns {number} σ；無法量測時為範圍 / 20
+ */
+function estimatePeakSigma(time, values, index) {
+    const level = values[index] / 2;
+    let lo = index, hi = index;
+    while (lo > 0 && values[lo] > level) lo--;
+    while (hi < values.length - 1 && values[hi] > level) hi++;
+    const width = 2 * Math.min(time[index] - time[lo], time[hi] - time[index]);
+    return width > 0 ? width / 2.3548 : (time[time.length - 1] - time[0]) / 20;
+}
+
+/**
+ * 偵測峰初值: 移動平均平滑、扣除兩端線性基線後取最高的局部極大值 (最多 count 個)，以半高寬估計 σ
+ * 未分離的肩峰不會形成極大值，由 fitChromatogram 依殘差補峰
+ * @param {Array<number>} time - 時間 (擬合範圍內)
+ * @param {Array<number>} signal - 訊號
+ * @param {number} count - 峰數上限
+ * @returns {Array<object>} [{ center, sigma }] (至少一個)，依峰高排序
+ */
+function estimatePeaks(time, signal, count) {
+    const n = time.length;
+    const smooth = smoothChromatogram(signal);
+
+    const edge = Math.max(1, Math.round(n * 0.05));
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const left = mean(smooth.slice(0, edge)), right = mean(smooth.slice(n - edge));
+    const corrected = smooth.map((value, i) => value - (left + (right - left) * i / (n - 1)));
+
+    const maxima = [];
+    for (let i = 1; i < n - 1; i++) {
+        if (corrected[i] > 0 && corrected[i] >= corrected[i - 1] && corrected[i] > corrected[i + 1]) maxima.push(i);
+    }
+    const highest = Math.max(0, ...maxima.map(i => corrected[i]));
+
+    const peaks = maxima
+        .filter(i => corrected[i] >= highest * PEAK_MIN_RELATIVE_HEIGHT)
+        .sort((a, b) => corrected[b] - corrected[a])
+        .slice(0, count)
+        .map(i => ({ center: time[i], sigma: estimatePeakSigma(time, corrected, i) }));
+
+    if (peaks.length === 0) peaks.push({ center: time[Math.floor(n / 2)], sigma: (time[n - 1] - time[0]) / 20 });
+    return peaks;
+}
+
+/**
+ * 於擬合殘差的最大正值處 (平滑後) 估計新峰初值，用於補上未分離的肩峰
+ * @param {Array<number>} time - 時間
+ * @param {Array<number>} residuals - 殘差 (資料 − 擬合)
+ * @returns {object} { center, sigma }
+ */
+function estimateResidualPeak(time, residuals) {
+    const smooth = smoothChromatogram(residuals);
+    let top = 0;
+    smooth.forEach((value, i) => { if (value > smooth[top]) top = i; });
+    return { center: time[top], sigma: estimatePeakSigma(time, smooth, top) };
+}
+
+/**
+ * 擬合層析峰: 峰面積 (限制非負) 與線性基線 (截距、斜率) 為線性參數，每次評估直接求解；
+ * 峰中心 μ、ln σ (EMG 另含 ln τ) 以 Levenberg–Marquardt 最小化殘差平方和
+ * 多峰時先擬合可分離的極大值，再逐次於最大正殘差處補峰並重新擬合全部峰
+ * @param {Array<number>} time - 時間 (min)
+ * @param {Array<number>} signal - UV 訊號
+ * @param {object} options - 選項
+ * @param {string} options.model - 'gaussian' 或 'emg' (預設 'gaussian')
+ * @param {number} options.peaks - 峰數 1 ~ CHROMATOGRAM_MAX_PEAKS (預設 1)
+ * @param {number} options.start - 擬合起始時間 (預設資料起點)
+ * @param {number} options.end - 擬合結束時間 (預設資料終點)
+ * @returns {object} { error, model, peaks, target, baseline, rmsd, r2, iterations, converged, fit } 或 { error: true, message }
+ *   converged 為 false 表示最後一次擬合達迭代上限；peaks[].supported 為 false 表示面積為 0 或可忽略 (資料不支持該峰)
+ */
+function fitChromatogram(time, signal, options = {}) {
+    const model = PEAK_MODELS[options.model] ? options.model : 'gaussian';
+    const count = Math.min(Math.max(Math.round(options.peaks || 1), 1), CHROMATOGRAM_MAX_PEAKS);
+    const start = isFinite(options.start) ? options.start : -Infinity;
+    const end = isFinite(options.end) ? options.end : Infinity;
+
+    const points = time
+        .map((t, i) => ({ t, y: signal[i] }))
+        .filter(point => isFinite(point.t) && isFinite(point.y) && point.t >= start && point.t <= end)
+        .sort((a, b) => a.t - b.t);
+    const t = points.map(point => point.t);
+    const y = points.map(point => point.y);
+
+    const shapeCount = model === 'emg' ? 3 : 2;
+    const parameterCount = count * (shapeCount + 1) + 2;
+    if (t.length <= parameterCount + 2) {
+        return { error: true, message: `擬合範圍內資料點不足 (${t.length} 點)` };
+    }
+    const range = t[t.length - 1] - t[0];
+    if (!(range > 0)) return { error: true, message: '擬合範圍無效' };
+
+    // 擬合變數: 每峰 [μ, ln σ, (ln τ)]；μ 限制在範圍內，σ、τ 限制在取樣間隔至範圍之間
+    const minWidth = range / (t.length - 1) / 2;
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+    const fromVariables = x => Array.from({ length: x.length / shapeCount }, (_, k) => {
+        const v = x.slice(k * shapeCount, (k + 1) * shapeCount);
+        return {
+            center: clamp(v[0], t[0], t[t.length - 1]),
+            sigma: clamp(Math.exp(v[1]), minWidth, range),
+            tau: model === 'emg' ? clamp(Math.exp(v[2]), minWidth, range) : 0
+        };
+    });
+    // 初值 (無 τ) 的 EMG 以 τ = σ/2 起始，並將 μ 前移使峰頂接近偵測位置
+    const toVariables = seeds => seeds.flatMap(peak => {
+        const sigma = clamp(peak.sigma, minWidth, range);
+        if (model !== 'emg') return [peak.center, Math.log(sigma)];
+        return peak.tau > 0
+            ? [peak.center, Math.log(sigma), Math.log(peak.tau)]
+            : [peak.center - 0.3 * sigma, Math.log(sigma), Math.log(sigma / 2)];
+    });
+
+    // 給定峰形時的非負面積 / 基線解與殘差
+    const origin = t[0];
+    const evaluate = x => {
+        const shapes = fromVariables(x);
+        const basis = [
+            ...shapes.map(peak => t.map(value => peakShape(model, value, peak))),
+            t.map(() => 1),
+            t.map(value => value - origin)
+        ];
+        const normal = basis.map(a => basis.map(b => a.reduce((sum, value, i) => sum + value * b[i], 0)));
+        const rhs = basis.map(a => a.reduce((sum, value, i) => sum + value * y[i], 0));
+        const coefficients = LeastSquares.solveNonNegativeSystem(normal, rhs, basis.map((_, k) => k < shapes.length));
+        if (!coefficients) return { chi2: Infinity };
+        const fitted = t.map((_, i) => basis.reduce((sum, column, k) => sum + coefficients[k] * column[i], 0));
+        const residuals = fitted.map((value, i) => y[i] - value);
+        return {
+            shapes,
+            basis,
+            coefficients,
+            fitted,
+            residuals,
+            chi2: residuals.reduce((sum, r) => sum + r * r, 0)
+        };
+    };
+
+    const detected = estimatePeaks(t, y, count);
+    let solution = LeastSquares.levenbergMarquardt(evaluate, toVariables(detected), CHROMATOGRAM_FIT_SETTINGS);
+    let iterations = solution.iterations;
+    for (let k = detected.length; k < count && isFinite(solution.current.chi2); k++) {
+        const added = estimateResidualPeak(t, solution.current.residuals);
+        const previous = solution.current.shapes.slice(detected.length);
+        const candidates = [
+            [...solution.current.shapes, added],
+            [...detected, ...previous, added]
+        ].map(seeds => LeastSquares.levenbergMarquardt(evaluate, toVariables(seeds), CHROMATOGRAM_FIT_SETTINGS));
+        iterations += candidates.reduce((sum, candidate) => sum + candidate.iterations, 0);
+        solution = candidates.reduce((best, candidate) => (candidate.current.chi2 < best.current.chi2 ? candidate : best));
+    }
+
+    const current = solution.current;
+    if (!isFinite(current.chi2)) return { error: true, message: '無法求解峰面積 (峰形線性相依)' };
+
+    const totalArea = current.coefficients.slice(0, count).reduce((sum, area) => sum + area, 0);
+    const peaks = current.shapes
+        .map((shape, k) => {
+            const peak = { ...shape, area: current.coefficients[k] };
+            return {
+                ...peak,
+                ...describePeak(model, peak),
+                supported: peak.area > 0 && peak.area >= PEAK_MIN_AREA_FRACTION * totalArea,
+                component: current.basis[k].map(value => value * peak.area)
+            };
+        })
+        .sort((a, b) => a.apex - b.apex);
+    const supported = peaks.filter(peak => peak.supported);
+    if (supported.length === 0) return { error: true, message: '未擬合出正峰，請調整範圍或峰數' };
+    const target = peaks.indexOf(supported.reduce((best, peak) => (peak.height > best.height ? peak : best)));
+
+    const mean = y.reduce((sum, value) => sum + value, 0) / y.length;
+    const total = y.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+    const offset = current.coefficients[count];
+    const slope = current.coefficients[count + 1];
+
+    return {
+        error: false,
+        model,
+        peaks: peaks.map(({ component, ...peak }) => peak),
+        target,
+        baseline: { offset: offset - slope * origin, slope },
+        rmsd: Math.sqrt(current.chi2 / (t.length - parameterCount)),
+        r2: total > 0 ? 1 - current.chi2 / total : null,
+        iterations,
+        converged: solution.converged,
+        fit: {
+            time: t,
+            signal: y,
+            fitted: current.fitted,
+            baseline: t.map(value => offset + slope * (value - origin)),
+            components: peaks.map(peak => peak.component)
+        }
+    };
+}
+
+// 導出函數
+window.ChromatogramFit = {
+    PEAK_MODELS,
+    CHROMATOGRAM_MAX_PEAKS,
+    fitChromatogram
+};
@@ -0,0 +1,530 @@
+/**
+ * TPS13A SAXS Calculator - Data Reduction Module
+ * 多幀相似性檢定 (CorMap)、幀平均、緩衝液扣除、絕對強度校正與 SEC-SAXS 幀序列
+ */
+
+// ========================
+// 常數
+// ========================
+
+const CORMAP_ALPHA = 0.01;          // Bonferroni 校正後 P 值門檻 (ATSAS DATCMP 預設)
+const Q_GRID_TOLERANCE = 1e-4;      // 比對 q 格點的相對容許誤差
+const SUBTRACTION_TAIL_FRACTION = 0.2;  // 檢查過度扣除的高 q 尾端比例
+
+// 水的絕對散射截面 dΣ/dΩ(0) at 20 °C (Orthaber, Bergmann & Glatter 2000)
+const WATER_CROSS_SECTION_20C = 0.01632;   // cm⁻¹
+// 校正使用的 q 範圍 (Å⁻¹): 水在此範圍為平台；玻璃碳取認證曲線的低雜訊區
+const CALIBRATION_Q_RANGE = {
+    water: { min: 0.01, max: 0.2 },
+    glassyCarbon: { min: 0.03, max: 0.2 }
+};
+const CALIBRATION_FLATNESS_LIMIT = 0.05;   // 水平台前後段相對差 / 玻璃碳比值相對離散上限
+
+// SEC-SAXS 區段自動選取 (以積分強度扣除基線後相對峰高判定)
+const SEC_REGION_THRESHOLDS = {
+    sample: 0.5,    // 樣品區: 峰高一半以上的連續幀
+    buffer: 0.05    // 緩衝液區: 峰前 (或峰後) 低於 5% 峰高的幀
+};
+const SEC_BASELINE_FRACTION = 0.1;  // 以前 10% 幀的中位數作為積分強度基線
+const SEC_MIN_SIGNIFICANCE = 3;     // 扣除後積分強度與 Guinier I(0) 皆須大於 3σ 才列入 I(0)/Rg 軌跡
+
+// ========================
+// CorMap 相似性檢定
+// ========================
+
+/**
+ * 兩條曲線差值 (a − b) 同號的最長連續段 (差值為 0 的點略過)
+ * @param {Array<number>} a - 強度
+ * @param {Array<number>} b - 強度
+ * @returns {number} 最長連續段長度 C
+ */
+function longestSignRun(a, b) {
+    let longest = 0, run = 0, previous = 0;
+    for (let i = 0; i < a.length; i++) {
+        const sign = Math.sign(a[i] - b[i]);
+        if (sign === 0) continue;
+        run = sign === previous ? run + 1 : 1;
+        previous = sign;
+        if (run > longest) longest = run;
+    }
+    return longest;
+}
+
+/**
+ * n 次公平擲幣中最長同號連續段 ≥ C 的機率 (Schilling 1990)
+ * p(m) = f(m)/2^m，f(m) 為 m 拆成 ≤ C−1 的有序分割數；全部連續段 < C 的機率為 2p(n)
+ * @param {number} n - 點數
+ * @param {number} run - 最長連續段 C
+ * @returns {number} P(最長連續段 ≥ C)
+ */
+function cormapProbability(n, run) {
+    if (run <= 1) return 1;
+    if (run > n) return 0;
+
+    const k = run - 1;
+    const p = [1];
+    for (let m = 1; m <= n; m++) {
+        let sum = 0, factor = 0.5;
+        for (let j = 1; j <= Math.min(k, m); j++) {
+            sum += p[m - j] * factor;
+            factor *= 0.5;
+        }
+        p.push(sum);
+    }
+    return Math.min(1, Math.max(0, 1 - 2 * p[n]));
+}
+
+/**
+ * 檢查兩條曲線是否使用相同 q 格點
+ * @param {object} a - parseDatFile 結果
+ * @param {object} b - parseDatFile 結果
+ * @returns {boolean}
+ */
+function sameQGrid(a, b) {
+    return a.q.length === b.q.length &&
+        a.q.every((q, i) => Math.abs(q - b.q[i]) <= Q_GRID_TOLERANCE * Math.max(Math.abs(q), 1e-6));
+}
+
+/**
+ * 全部幀兩兩 CorMap 檢定，P 值以比較次數做 Bonferroni 校正
+ * @param {Array<object>} profiles - parseDatFile 結果 (需相同 q 格點)
+ * @returns {object} { error, points, comparisons, matrix[i][j]: { run, p, adjustedP } } 或 { error: true, message }
+ */
+function compareFrames(profiles) {
+    if (profiles.length === 0) {
+        return { error: true, message: '沒有可比較的幀' };
+    }
+    if (profiles.some(profile => !sameQGrid(profile, profiles[0]))) {
+        return { error: true, message: '各幀 q 格點不一致，無法逐點比較' };
+    }
+
+    const n = profiles[0].q.length;
+    const comparisons = Math.max(1, profiles.length * (profiles.length - 1) / 2);
+    const probabilities = new Map();
+    const matrix = profiles.map(() => []);
+
+    for (let i = 0; i < profiles.length; i++) {
+        matrix[i][i] = { run: 0, p: 1, adjustedP: 1 };
+        for (let j = i + 1; j < profiles.length; j++) {
+            const run = longestSignRun(profiles[i].intensity, profiles[j].intensity);
+            if (!probabilities.has(run)) probabilities.set(run, cormapProbability(n, run));
+            const p = probabilities.get(run);
+            matrix[i][j] = matrix[j][i] = { run, p, adjustedP: Math.min(1, p * comparisons) };
+        }
+    }
+
+    return { error: false, points: n, comparisons, matrix };
+}
+
+/**
+ * 選出與參考幀相似的幀 (校正後 P ≥ α)，參考幀必定保留
+ * @param {object} comparison - compareFrames 結果
+ * @param {number} alpha - 顯著水準，預設 CORMAP_ALPHA
+ * @param {number} reference - 參考幀索引，預設第一幀
+ * @returns {Array<boolean>} 各幀是否納入平均
+ */
+function selectSimilarFrames(comparison, alpha = CORMAP_ALPHA, reference = 0) {
+    return comparison.matrix.map((row, i) => i === reference || row[reference].adjustedP >= alpha);
+}
+
+// ========================
+// 平均與扣除
+// ========================
+
+/**
+ * 幀平均: I = ΣI/N，σ = √(Σσ²)/N；無 σ 時以平均值標準誤差 (N ≥ 2) 估計
+ * @param {Array<object>} profiles - parseDatFile 結果 (需相同 q 格點)
+ * @returns {object|null} 平均曲線 (parseDatFile 格式)；格點不一致時為 null
+ */
+function averageFrames(profiles) {
+    if (profiles.length === 0 || profiles.some(profile => !sameQGrid(profile, profiles[0]))) return null;
+
+    const N = profiles.length;
+    const hasSigma = profiles.every(profile => profile.hasSigma);
+    const intensity = [], sigma = [];
+
+    profiles[0].q.forEach((_, i) => {
+        const mean = profiles.reduce((sum, profile) => sum + profile.intensity[i], 0) / N;
+        intensity.push(mean);
+        if (hasSigma) {
+            sigma.push(Math.sqrt(profiles.reduce((sum, profile) => sum + profile.sigma[i] ** 2, 0)) / N);
+        } else if (N > 1) {
+            const variance = profiles.reduce((sum, profile) => sum + (profile.intensity[i] - mean) ** 2, 0) / (N - 1);
+            sigma.push(Math.sqrt(variance / N));
+        } else {
+            sigma.push(0);
+        }
+    });
+
+    return {
+        error: false,
+        q: profiles[0].q.slice(),
+        intensity: intensity,
+        sigma: sigma,
+        hasSigma: sigma.some(value => value > 0),
+        qUnit: profiles[0].qUnit,
+        header: []
+    };
+}
+
+/**
+ * 緩衝液扣除: I = I_s − f·I_b，σ = √(σ_s² + f²σ_b²)
+ * 高 q 尾端 (最後 20% 點) 平均值低於 −2σ 時視為過度扣除
+ * @param {object} sample - 樣品平均曲線
+ * @param {object} buffer - 緩衝液平均曲線
+ * @param {number} scale - 緩衝液比例因子 f，預設 1
+ * @returns {object} { error, profile, negativePoints, tailMean, tailError, oversubtracted } 或 { error: true, message }
+ */
+function subtractBuffer(sample, buffer, scale = 1) {
+    if (!sameQGrid(sample, buffer)) {
+        return { error: true, message: '樣品與緩衝液的 q 格點不一致' };
+    }
+
+    const intensity = sample.intensity.map((I, i) => I - scale * buffer.intensity[i]);
+    const sigma = sample.sigma.map((s, i) => Math.sqrt(s * s + (scale * buffer.sigma[i]) ** 2));
+
+    const tailStart = Math.floor(intensity.length * (1 - SUBTRACTION_TAIL_FRACTION));
+    const tail = intensity.slice(tailStart);
+    const tailMean = tail.reduce((sum, value) => sum + value, 0) / tail.length;
+    const tailError = Math.sqrt(sigma.slice(tailStart).reduce((sum, value) => sum + value * value, 0)) / tail.length;
+
+    return {
+        error: false,
+        profile: {
+            error: false,
+            q: sample.q.slice(),
+            intensity: intensity,
+            sigma: sigma,
+            hasSigma: sigma.some(value => value > 0),
+            qUnit: sample.qUnit,
+            header: []
+        },
+        negativePoints: intensity.filter(value => value < 0).length,
+        tailMean: tailMean,
+        tailError: tailError,
+        oversubtracted: tailError > 0 && tailMean < -2 * tailError
+    };
+}
+
+// ========================
+// 絕對強度校正
+// ========================
+
+/**
+ * 水的等溫壓縮係數 - Kell (1975) J. Chem. Eng. Data 20, 97 (0–100 °C)
+ * @param {number} temperature - 溫度 (°C)
+ * @returns {number} κ_T (Pa⁻¹)
+ */
+function calculateWaterCompressibility(temperature) {
+    const t = temperature;
+    const numerator = 50.88496 + 0.6163813 * t + 1.459187e-3 * t ** 2 + 20.08438e-6 * t ** 3 -
+        58.47727e-9 * t ** 4 + 410.4110e-12 * t ** 5;
+    return numerator / (1 + 19.67348e-3 * t) * 1e-11;   // 10⁻⁶ bar⁻¹ → Pa⁻¹
+}
+
+/**
+ * 水的絕對散射截面 dΣ/dΩ(0) = n_e² r_e² k_B T κ_T，以 20 °C 值 0.01632 cm⁻¹ 換算 (n_e ∝ 密度)
+ * @param {number} temperature - 溫度 (°C)
+ * @returns {number} dΣ/dΩ (cm⁻¹)
+ */
+function calculateWaterCrossSection(temperature) {
+    const term = t => BufferCalculations.calculateWaterDensity(t) ** 2 * (t + 273.15) * calculateWaterCompressibility(t);
+    return WATER_CROSS_SECTION_20C * term(temperature) / term(20);
+}
+
+/**
+ * 加權平均 (權重 1/σ²；σ 缺少時等權重，誤差取平均值標準誤差)
+ * @param {Array<number>} values - 數值
+ * @param {Array<number>} sigmas - 誤差
+ * @returns {object} { mean, error }
+ */
+function weightedMean(values, sigmas) {
+    if (sigmas.every(value => value > 0)) {
+        const w = sigmas.map(value => 1 / (value * value));
+        const Sw = w.reduce((sum, value) => sum + value, 0);
+        return { mean: values.reduce((sum, value, i) => sum + w[i] * value, 0) / Sw, error: Math.sqrt(1 / Sw) };
+    }
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(1, values.length - 1);
+    return { mean, error: Math.sqrt(variance / values.length) };
+}
+
+/**
+ * 以水校正: k = dΣ/dΩ_water(T) / ⟨I_water⟩ (水與樣品使用相同毛細管，厚度相消)
+ * @param {object} profile - 扣除空管後的水散射曲線 (parseDatFile 結果)
+ * @param {number} temperature - 量測溫度 (°C)，預設 20
+ * @returns {object} { error, factor, factorError, expected, measured, measuredError, points, qmin, qmax, variation, flat } 或 { error: true, message }
+ */
+function calibrateWithWater(profile, temperature = 20) {
+    const range = CALIBRATION_Q_RANGE.water;
+    const index = profile.q.map((q, i) => i).filter(i => profile.q[i] >= range.min && profile.q[i] <= range.max);
+    if (index.length < 10) {
+        return { error: true, message: `q = ${range.min}–${range.max} Å⁻¹ 範圍內數據點不足` };
+    }
+
+    const values = index.map(i => profile.intensity[i]);
+    const { mean, error } = weightedMean(values, index.map(i => profile.sigma[i]));
+    if (!(mean > 0)) {
+        return { error: true, message: '水的平均強度必須大於 0 (請確認已扣除空管)' };
+    }
+
+    // 平台檢查: 前後三分之一的平均值相對差
+    const third = Math.floor(values.length / 3);
+    const average = list => list.reduce((sum, value) => sum + value, 0) / list.length;
+    const variation = (average(values.slice(-third)) - average(values.slice(0, third))) / mean;
+    const expected = calculateWaterCrossSection(temperature);
+
+    return {
+        error: false,
+        standard: 'water',
+        factor: expected / mean,
+        factorError: expected * error / (mean * mean),
+        expected: expected,
+        measured: mean,
+        measuredError: error,
+        temperature: temperature,
+        points: index.length,
+        qmin: profile.q[index[0]],
+        qmax: profile.q[index[index.length - 1]],
+        variation: variation,
+        flat: Math.abs(variation) <= CALIBRATION_FLATNESS_LIMIT
+    };
+}
+
+/**
+ * 以玻璃碳校正: k = ⟨dΣ/dΩ_ref / I_GC⟩ × d_GC / d_sample
+ * @param {object} profile - 量測的玻璃碳曲線 (已做穿透率與背景校正)
+ * @param {object} reference - 認證曲線 (q, dΣ/dΩ in cm⁻¹)
+ * @param {object} options - 選項
+ * @param {number} options.thickness - 玻璃碳厚度 (mm)
+ * @param {number} options.sampleThickness - 樣品光徑 (mm)
+ * @returns {object} { error, factor, factorError, ratio, ratioError, points, qmin, qmax, variation, flat } 或 { error: true, message }
+ */
+function calibrateWithGlassyCarbon(profile, reference, options = {}) {
+    const { thickness, sampleThickness } = options;
+    if (!(thickness > 0) || !(sampleThickness > 0)) {
+        return { error: true, message: '玻璃碳厚度與樣品光徑必須大於 0' };
+    }
+
+    const range = CALIBRATION_Q_RANGE.glassyCarbon;
+    const ratios = [], sigmas = [];
+    let qmin = Infinity, qmax = -Infinity;
+    profile.q.forEach((q, i) => {
+        const I = profile.intensity[i];
+        if (q < range.min || q > range.max || !(I > 0)) return;
+        const certified = SAXSProfile.interpolateProfile(reference, q);
+        if (!certified || !(certified.intensity > 0)) return;
+
+        const ratio = certified.intensity / I;
+        ratios.push(ratio);
+        sigmas.push(profile.sigma[i] > 0 ? ratio * profile.sigma[i] / I : 0);
+        qmin = Math.min(qmin, q);
+        qmax = Math.max(qmax, q);
+    });
+    if (ratios.length < 10) {
+        return { error: true, message: `量測與認證曲線在 q = ${range.min}–${range.max} Å⁻¹ 的重疊點不足` };
+    }
+
+    // 形狀一致性: 比值的相對標準差 (曲線形狀不符時比值隨 q 漂移)
+    const { mean, error } = weightedMean(ratios, sigmas);
+    const spread = Math.sqrt(ratios.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (ratios.length - 1)) / mean;
+    const geometry = thickness / sampleThickness;
+
+    return {
+        error: false,
+        standard: 'glassyCarbon',
+        factor: mean * geometry,
+        factorError: error * geometry,
+        ratio: mean,
+        ratioError: error,
+        thickness: thickness,
+        sampleThickness: sampleThickness,
+        points: ratios.length,
+        qmin: qmin,
+        qmax: qmax,
+        variation: spread,
+        flat: spread <= CALIBRATION_FLATNESS_LIMIT
+    };
+}
+
+/**
+ * 將曲線乘上絕對強度因子 (I 與 σ 同乘)
+ * @param {object} profile - parseDatFile 結果
+ * @param {number} factor - 校正因子 k (cm⁻¹ / 計數單位)
+ * @returns {object} 新曲線
+ */
+function scaleProfile(profile, factor) {
+    return {
+        ...profile,
+        intensity: profile.intensity.map(value => value * factor),
+        sigma: profile.sigma.map(value => value * factor)
+    };
+}
+
+// ========================
+// SEC-SAXS 幀序列
+// ========================
+
+/**
+ * 曲線積分強度 ∫I dq (梯形法)
+ * @param {object} profile - parseDatFile 結果
+ * @returns {number} 積分強度
+ */
+function integrateIntensity(profile) {
+    let sum = 0;
+    for (let i = 1; i < profile.q.length; i++) {
+        sum += 0.5 * (profile.intensity[i] + profile.intensity[i - 1]) * (profile.q[i] - profile.q[i - 1]);
+    }
+    return sum;
+}
+
+/**
+ * 積分強度的誤差 (梯形權重下 σ 的傳遞)
+ * @param {object} profile - parseDatFile 結果
+ * @returns {number} σ(∫I dq)
+ */
+function integrateIntensityError(profile) {
+    const { q, sigma } = profile;
+    let sum = 0;
+    for (let i = 0; i < q.length; i++) {
+        const weight = 0.5 * ((q[i + 1] ?? q[i]) - (q[i - 1] ?? q[i]));
+        sum += (weight * sigma[i]) ** 2;
+    }
+    return Math.sqrt(sum);
+}
+
+/**
+ * 由積分強度軌跡自動建議緩衝液與樣品區段
+ * 樣品區為峰頂兩側高於 50% 峰高的連續幀；緩衝液區為峰前低於 5% 峰高的幀 (峰前不足時改用峰後)
+ * @param {Array<number>} integrals - 各幀積分強度
+ * @returns {object|null} { peak, baseline, sample, buffer, elution } 各區段為 [start, end] (0 起算、含端點)，
+ *   elution 為高於 5% 峰高的整段洗出範圍；無明顯峰時為 null
+ */
+function suggestFrameRegions(integrals) {
+    const n = integrals.length;
+    const head = integrals.slice(0, Math.max(1, Math.round(n * SEC_BASELINE_FRACTION))).sort((a, b) => a - b);
+    const baseline = head[Math.floor(head.length / 2)];
+    const excess = integrals.map(value => value - baseline);
+
+    let peak = 0;
+    excess.forEach((value, i) => { if (value > excess[peak]) peak = i; });
+    const height = excess[peak];
+    if (!(height > 0)) return null;
+
+    const edge = (threshold, step) => {
+        let i = peak;
+        while (i + step >= 0 && i + step < n && excess[i + step] >= threshold * height) i += step;
+        return i;
+    };
+    const sample = [edge(SEC_REGION_THRESHOLDS.sample, -1), edge(SEC_REGION_THRESHOLDS.sample, 1)];
+    const left = edge(SEC_REGION_THRESHOLDS.buffer, -1);
+    const right = edge(SEC_REGION_THRESHOLDS.buffer, 1);
+
+    let buffer = null;
+    if (left > 0) buffer = [0, left - 1];
+    else if (right < n - 1) buffer = [right + 1, n - 1];
+    if (!buffer) return null;
+
+    return { peak, baseline, sample, buffer, elution: [left, right] };
+}
+
+/**
+ * 區段 [start, end] 是否落在 n 幀之內
+ * @param {Array<number>} range - [start, end] (0 起算、含端點)
+ * @param {number} n - 幀數
+ * @returns {boolean}
+ */
+function isFrameRange(range, n) {
+    const [start, end] = range;
+    return Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end >= start && end < n;
+}
+
+/**
+ * 幀序列逐幀分析: 積分強度，以及扣除緩衝液區平均後的 Guinier I(0) 與 R_g
+ * 扣除後積分強度不顯著 (≤ 3σ) 的幀只記錄積分強度
+ * @param {Array<object>} profiles - 各幀 parseDatFile 結果 (需相同 q 格點)
+ * @param {Array<number>} bufferRange - 緩衝液區 [start, end] (0 起算、含端點)
+ * @returns {object} { error, buffer, frames: [{ integral, i0, i0Error, rg, rgError }] } 或 { error: true, message }
+ */
+function analyzeFrameSeries(profiles, bufferRange) {
+    if (profiles.length < 3) {
+        return { error: true, message: '至少需要 3 幀' };
+    }
+    if (profiles.some(profile => !sameQGrid(profile, profiles[0]))) {
+        return { error: true, message: '各幀的 q 格點不一致' };
+    }
+
+    if (!isFrameRange(bufferRange, profiles.length)) {
+        return { error: true, message: '緩衝液區段超出幀範圍' };
+    }
+    const buffer = averageFrames(profiles.slice(bufferRange[0], bufferRange[1] + 1));
+
+    const frames = profiles.map(profile => {
+        const frame = { integral: integrateIntensity(profile), i0: null, i0Error: null, rg: null, rgError: null };
+        const subtracted = subtractBuffer(profile, buffer).profile;
+        // 無 σ 時無法判定顯著性，一律嘗試擬合
+        const excessError = integrateIntensityError(subtracted);
+        if (excessError > 0 && !(integrateIntensity(subtracted) > SEC_MIN_SIGNIFICANCE * excessError)) return frame;
+
+        // Guinier 區間內有 I ≤ 0 的點 (被略過) 表示訊號已淹沒於雜訊，擬合會偏向正值
+        const fit = SAXSProfile.autoGuinier(subtracted);
+        if (fit && fit.points === fit.end - fit.start + 1 && fit.i0 > SEC_MIN_SIGNIFICANCE * fit.i0Error) {
+            Object.assign(frame, { i0: fit.i0, i0Error: fit.i0Error, rg: fit.rg, rgError: fit.rgError });
+        }
+        return frame;
+    });
+
+    return { error: false, buffer, frames };
+}
+
+/**
+ * 平均樣品區與緩衝液區後扣除，得到最終曲線
+ * @param {Array<object>} profiles - 各幀 parseDatFile 結果
+ * @param {Array<number>} sampleRange - 樣品區 [start, end]
+ * @param {Array<number>} bufferRange - 緩衝液區 [start, end]
+ * @param {number} scale - 緩衝液比例因子，預設 1
+ * @returns {object} { error, sample, buffer, subtraction } 或 { error: true, message }
+ */
+function reduceFrameRegions(profiles, sampleRange, bufferRange, scale = 1) {
+    const [sampleStart, sampleEnd] = sampleRange;
+    const [bufferStart, bufferEnd] = bufferRange;
+    if (!isFrameRange(sampleRange, profiles.length)) {
+        return { error: true, message: '樣品區段超出幀範圍' };
+    }
+    if (!isFrameRange(bufferRange, profiles.length)) {
+        return { error: true, message: '緩衝液區段超出幀範圍' };
+    }
+    if (sampleStart <= bufferEnd && bufferStart <= sampleEnd) {
+        return { error: true, message: '樣品區段與緩衝液區段重疊' };
+    }
+
+    const sample = averageFrames(profiles.slice(sampleStart, sampleEnd + 1));
+    const buffer = averageFrames(profiles.slice(bufferStart, bufferEnd + 1));
+    if (!sample || !buffer) {
+        return { error: true, message: '各幀的 q 格點不一致' };
+    }
+
+    const subtraction = subtractBuffer(sample, buffer, scale);
+    if (subtraction.error) return subtraction;
+    return { error: false, sample, buffer, subtraction };
+}
+
+// 導出函數
+window.DataReduction = {
+    CORMAP_ALPHA,
+    longestSignRun,
+    cormapProbability,
+    sameQGrid,
+    compareFrames,
+    selectSimilarFrames,
+    averageFrames,
+    subtractBuffer,
+    calculateWaterCrossSection,
+    calibrateWithWater,
+    calibrateWithGlassyCarbon,
+    scaleProfile,
+    integrateIntensity,
+    suggestFrameRegions,
+    analyzeFrameSeries,
+    reduceFrameRegions
+};
@@ -56,7 +56,15 @@ function temperatureCorrection(dndcAt25, targetTemp) {
 }
 
 /**
- * Apply wavelength correction using the λ⁻² dispersion relation.
+ * Cauchy dispersion coefficient B (μm²) for protein dn/dc:
+ * dn/dc(λ) ∝ 1 + B/λ², i.e. about −2.3% from 589 to 658 nm.
+ * @type {number}
+ */
+const DNDC_CAUCHY_B = 0.045;
+
+/**
+ * Apply wavelength correction using the Cauchy dispersion relation
+ * dn/dc(λ) ∝ 1 + B/λ² (λ in μm).
  *
  * @param {number} dndcRef - dn/dc at the reference wavelength (mL/g)
  * @param {number} refWavelength - Reference wavelength (nm)
@@ -64,7 +72,8 @@ function temperatureCorrection(dndcAt25, targetTemp) {
  * @returns {number} Wavelength-corrected dn/dc
  */
 function wavelengthCorrection(dndcRef, refWavelength, targetWavelength) {
-    return dndcRef * (refWavelength / targetWavelength) ** 2;
+    const cauchy = wavelength => 1 + DNDC_CAUCHY_B / (wavelength / 1000) ** 2;
+    return dndcRef * cauchy(targetWavelength) / cauchy(refWavelength);
 }
 
 /**
@@ -210,20 +210,20 @@ function readFile(file) {
 }
 
 /**
- * Parse FASTA format text into header and sequence.
- * Handles multi-line sequences and the > header line.
+ * Parse multi-record FASTA text into an array of records.
+ * Handles multi-line sequences; text without any > header line is
+ * returned as a single record with an empty header.
  * @param {string} text - Raw FASTA text
- * @returns {{ header: string, sequence: string }} Parsed header and concatenated sequence
+ * @returns {{ header: string, sequence: string }[]} One entry per record, in file order
  */
-function parseFASTA(text) {
+function parseMultiFASTA(text) {
     if (!text || typeof text !== 'string') {
-        return { header: '', sequence: '' };
+        return [];
     }
 
     const lines = text.split(/\r?\n/);
-
-    let header = '';
-    const sequenceParts = [];
+    const records = [];
+    let current = null;
 
     for (const line of lines) {
         const trimmed = line.trim();
@@ -233,22 +233,35 @@ function parseFASTA(text) {
         }
 
         if (trimmed.startsWith('>')) {
-            // Only capture the first header; if we already have sequence data,
-            // this would be a second entry — stop here.
-            if (header !== '' && sequenceParts.length > 0) {
-                break;
-            }
-            header = trimmed.substring(1).trim();
+            current = { header: trimmed.substring(1).trim(), sequenceParts: [] };
+            records.push(current);
         } else {
+            if (!current) {
+                current = { header: '', sequenceParts: [] };
+                records.push(current);
+            }
             // Sequence line: strip whitespace and digits (position numbers)
-            sequenceParts.push(trimmed.replace(/[\s\d]/g, ''));
+            current.sequenceParts.push(trimmed.replace(/[\s\d]/g, ''));
         }
     }
 
-    return {
-        header,
-        sequence: sequenceParts.join('').toUpperCase()
-    };
+    return records
+        .map(record => ({
+            header: record.header,
+            sequence: record.sequenceParts.join('').toUpperCase()
+        }))
+        .filter(record => record.sequence !== '');
+}
+
+/**
+ * Parse FASTA format text into header and sequence.
+ * Only the first record is returned; use parseMultiFASTA for all records.
+ * @param {string} text - Raw FASTA text
+ * @returns {{ header: string, sequence: string }} Parsed header and concatenated sequence
+ */
+function parseFASTA(text) {
+    const records = parseMultiFASTA(text);
+    return records.length > 0 ? records[0] : { header: '', sequence: '' };
 }
 
 /**
@@ -276,5 +289,6 @@ window.DndcFileParser = Object.freeze({
     autoDetectColumns,
     readFile,
     parseFASTA,
+    parseMultiFASTA,
     getColumnData
 });
@@ -344,6 +344,7 @@ function initDndcHplcSection() {
                 baselineMode: document.getElementById('dndcBaselineMode').value,
                 peakMode: document.getElementById('dndcPeakMode').value || 'area',
                 manualC: parseFloat(document.getElementById('dndcManualC').value) || null,
+                theoreticalDndc: parseFloat(document.getElementById('dndcTheoretical').value) || null,
                 autoAlign: document.getElementById('dndcAutoAlign').checked,
                 decimalPlaces: 4
             };
@@ -411,6 +412,18 @@ function displayHplcDndcResults(result, params) {
     const peakUnit = params.peakMode === 'area' ? 'AU·min' : 'AU';
     const riUnit = params.peakMode === 'area' ? 'RIU·min' : 'RIU';
 
+    // 與序列計算的理論 dn/dc 比較
+    let comparisonInfo = '';
+    if (params.theoreticalDndc && Number.isFinite(result.dndc)) {
+        const deviation = (result.dndc - params.theoreticalDndc) / params.theoreticalDndc * 100;
+        const alertType = Math.abs(deviation) <= 5 ? 'success' : Math.abs(deviation) <= 10 ? 'warning' : 'error';
+        comparisonInfo = `
+        <div class="alert alert-${alertType}" style="margin-top: 1rem;">
+            理論 d<i>n</i>/d<i>c</i> (序列): <strong>${formatDndc(params.theoreticalDndc)}</strong> mL/g，
+            實測 / 理論偏差 <strong>${deviation >= 0 ? '+' : ''}${deviation.toFixed(1)}%</strong>
+        </div>`;
+    }
+
     resultsDiv.innerHTML = `
         <div class="stat-card" style="margin-bottom: 1rem; border-left: 3px solid var(--color-accent-primary);">
             <div class="stat-content">
@@ -437,6 +450,7 @@ function displayHplcDndcResults(result, params) {
             </div>
             ${alignInfo}
         </div>
+        ${comparisonInfo}
     `;
 }
 
@@ -1256,7 +1270,8 @@ function initExportButtons() {
                 `RI Delay,${p.riDelay}`,
                 `Peak Range,${p.peakStart}-${p.peakEnd}`,
                 `Baseline 1,${p.bl1Start}-${p.bl1End}`,
-                `Baseline 2,${p.bl2Start}-${p.bl2End}`
+                `Baseline 2,${p.bl2Start}-${p.bl2End}`,
+                `Theoretical dn/dc (mL/g),${p.theoreticalDndc ?? 'N/A'}`
             ];
             downloadCsv('hplc_dndc_result.csv', lines.join('\n'));
         });
@@ -0,0 +1,687 @@
+/**
+ * TPS13A SAXS Calculator - Entry Import Module
+ * 離線匯入 UniProt (XML / JSON / 純文字) 與 PDB / mmCIF 條目
+ */
+
+// ========================
+// 殘基代碼
+// ========================
+
+// 常見修飾殘基 → 母體殘基 (PDB 檔缺少 MODRES 時使用)
+const MODIFIED_RESIDUE_PARENTS = {
+    'MSE': 'M', 'SEP': 'S', 'TPO': 'T', 'PTR': 'Y', 'ALY': 'K', 'MLY': 'K',
+    'MLZ': 'K', 'M3L': 'K', 'HYP': 'P', 'CSO': 'C', 'CSD': 'C', 'CME': 'C',
+    'PCA': 'E', 'SEC': 'U', 'PYL': 'O', 'UNK': 'X'
+};
+
+// 核苷酸三字母代碼 → { base, type }
+const NUCLEOTIDE_CODES = {
+    'DA': { base: 'A', type: 'ssDNA' }, 'DC': { base: 'C', type: 'ssDNA' },
+    'DG': { base: 'G', type: 'ssDNA' }, 'DT': { base: 'T', type: 'ssDNA' },
+    'A': { base: 'A', type: 'RNA' }, 'C': { base: 'C', type: 'RNA' },
+    'G': { base: 'G', type: 'RNA' }, 'U': { base: 'U', type: 'RNA' }
+};
+
+// 修飾殘基代碼 / UniProt 描述 → 修飾資料庫項目與數量
+const PDB_MODIFICATIONS = {
+    'SEP': { modId: 'phospho', count: 1 },
+    'TPO': { modId: 'phospho', count: 1 },
+    'PTR': { modId: 'phospho', count: 1 },
+    'ALY': { modId: 'acetyl', count: 1 },
+    'MLZ': { modId: 'methyl', count: 1 },
+    'MLY': { modId: 'methyl', count: 2 },
+    'M3L': { modId: 'methyl', count: 3 }
+};
+
+const UNIPROT_MODIFICATION_RULES = [
+    { pattern: /phospho/i, modId: 'phospho', count: 1 },
+    { pattern: /acetyl/i, modId: 'acetyl', count: 1 },
+    { pattern: /trimethyl/i, modId: 'methyl', count: 3 },
+    { pattern: /dimethyl/i, modId: 'methyl', count: 2 },
+    { pattern: /methyl/i, modId: 'methyl', count: 1 },
+    { pattern: /N-linked/i, modId: 'nglycan-core', count: 1 },
+    { pattern: /O-linked \(GlcNAc/i, modId: 'oglcnac', count: 1 }
+];
+
+// UniProt SUBUNIT 註解 → 拷貝數
+const SUBUNIT_COPIES = {
+    monomer: 1, homodimer: 2, homotrimer: 3, homotetramer: 4,
+    homopentamer: 5, homohexamer: 6, homoheptamer: 7, homooctamer: 8
+};
+
+/**
+ * 三字母代碼 → 單字母 (含修飾殘基與核苷酸)
+ * @param {string} code - 殘基代碼
+ * @param {object} parents - MODRES 對應 { 修飾代碼: 母體三字母代碼 }
+ * @returns {{letter: string, type: string}} 單字母與所屬類型 ('protein' / 'ssDNA' / 'RNA')
+ */
+function residueCodeToLetter(code, parents = {}) {
+    const upper = code.toUpperCase();
+    const parent = parents[upper] || upper;
+    if (NUCLEOTIDE_CODES[parent]) {
+        return { letter: NUCLEOTIDE_CODES[parent].base, type: NUCLEOTIDE_CODES[parent].type };
+    }
+
+    const entry = Object.entries(ProteinAnalysis.AMINO_ACIDS)
+        .find(([, aa]) => aa.name.toUpperCase() === parent);
+    if (entry) return { letter: entry[0], type: 'protein' };
+
+    return { letter: MODIFIED_RESIDUE_PARENTS[upper] || 'X', type: 'protein' };
+}
+
+/**
+ * UniProt 修飾描述 → 修飾資料庫項目
+ * @param {string} description - 例如 "Phosphoserine"、"N-linked (GlcNAc...) asparagine"
+ * @returns {{modId: string, count: number}|null} 無對應時為 null
+ */
+function classifyModification(description) {
+    const rule = UNIPROT_MODIFICATION_RULES.find(item => item.pattern.test(description || ''));
+    return rule ? { modId: rule.modId, count: rule.count } : null;
+}
+
+/**
+ * 由 SUBUNIT 註解推估拷貝數
+ * @param {string} text - 註解文字 (如 "Homodimer. Interacts with ...")
+ * @returns {number|null} 無法判斷時為 null
+ */
+function parseSubunitCopies(text) {
+    const match = (text || '').match(/\b(monomer|homo(?:di|tri|tetra|penta|hexa|hepta|octa)mer)\b/i);
+    return match ? SUBUNIT_COPIES[match[1].toLowerCase()] : null;
+}
+
+// ========================
+// UniProt
+// ========================
+
+/**
+ * 將 UniProt 條目 (已正規化) 轉為匯入用的鏈資料
+ * 可選擇移除訊號胜肽；修飾位置隨之位移，落在訊號胜肽內的註解一併捨棄
+ * @param {object} record - { accession, entryName, proteinName, sequence, subunit, features }
+ *   features: [{ type: 'signal' | 'modified' | 'glycosylation' | 'disulfide', start, end, description }]
+ * @param {boolean} stripSignalPeptide - 是否移除訊號胜肽
+ * @returns {object} 鏈資料
+ */
+function buildUniProtChain(record, stripSignalPeptide) {
+    const signal = record.features.find(feature => feature.type === 'signal') || null;
+    const offset = stripSignalPeptide && signal ? signal.end : 0;
+    const inMature = position => position > offset;
+
+    const modifications = record.features
+        .filter(feature => (feature.type === 'modified' || feature.type === 'glycosylation') && inMature(feature.start))
+        .map(feature => ({
+            position: feature.start - offset,
+            residue: record.sequence[feature.start - 1] || '',
+            description: feature.description,
+            match: classifyModification(feature.description)
+        }));
+
+    // 鏈內二硫鍵計 1，鏈間 (僅單一位置) 計 0.5；未註解二硫鍵時為 null (交由還原態選項判斷)
+    const disulfideFeatures = record.features.filter(feature => feature.type === 'disulfide');
+    const disulfides = disulfideFeatures.length === 0 ? null : disulfideFeatures
+        .filter(feature => inMature(feature.start))
+        .reduce((sum, feature) => sum + (feature.end !== feature.start ? 1 : 0.5), 0);
+
+    return {
+        name: record.entryName || record.accession || 'UniProt',
+        type: 'protein',
+        sequence: record.sequence.slice(offset),
+        copies: parseSubunitCopies(record.subunit) || 1,
+        disulfides: disulfides,
+        signalPeptide: signal ? { start: signal.start, end: signal.end, removed: offset > 0 } : null,
+        modifications: modifications
+    };
+}
+
+/**
+ * 解析 UniProt XML (uniprot.org 下載的 .xml)
+ * @param {string} text - XML 內容
+ * @returns {Array<object>} 正規化條目 (見 buildUniProtChain)
+ */
+function parseUniProtXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('XML 格式錯誤');
+    }
+
+    const featureTypes = {
+        'signal peptide': 'signal',
+        'modified residue': 'modified',
+        'glycosylation site': 'glycosylation',
+        'disulfide bond': 'disulfide'
+    };
+    const childText = (parent, tag) => parent.getElementsByTagName(tag)[0]?.textContent.trim() || '';
+    const positionOf = (location, tag) =>
+        parseInt(location.getElementsByTagName(tag)[0]?.getAttribute('position'), 10);
+
+    return [...doc.getElementsByTagName('entry')].map(entry => {
+        const features = [...entry.getElementsByTagName('feature')]
+            .filter(feature => featureTypes[feature.getAttribute('type')])
+            .map(feature => {
+                const location = feature.getElementsByTagName('location')[0];
+                const single = positionOf(location, 'position');
+                const start = isNaN(single) ? positionOf(location, 'begin') : single;
+                const end = isNaN(single) ? positionOf(location, 'end') : single;
+                return {
+                    type: featureTypes[feature.getAttribute('type')],
+                    start, end,
+                    description: feature.getAttribute('description') || ''
+                };
+            })
+            .filter(feature => !isNaN(feature.start));
+
+        const subunit = [...entry.getElementsByTagName('comment')]
+            .filter(comment => comment.getAttribute('type') === 'subunit')
+            .map(comment => childText(comment, 'text'))
+            .join(' ');
+
+        // 條目層級的 <sequence> 為最後一個 (isoform 註解內也可能有 sequence 標籤)
+        const sequences = [...entry.getElementsByTagName('sequence')].filter(node => node.parentNode === entry);
+        const recommended = entry.getElementsByTagName('recommendedName')[0];
+
+        return {
+            accession: childText(entry, 'accession'),
+            entryName: childText(entry, 'name'),
+            proteinName: recommended ? childText(recommended, 'fullName') : '',
+            sequence: (sequences[sequences.length - 1]?.textContent || '').replace(/[^A-Za-z]/g, '').toUpperCase(),
+            subunit: subunit,
+            features: features
+        };
+    });
+}
+
+/**
+ * 解析 UniProt JSON (REST API 單一條目或 { results: [...] } 搜尋結果)
+ * @param {object} data - 已解析的 JSON
+ * @returns {Array<object>} 正規化條目
+ */
+function parseUniProtJSON(data) {
+    const entries = Array.isArray(data) ? data : data.results || [data];
+    const featureTypes = {
+        'Signal': 'signal',
+        'Modified residue': 'modified',
+        'Glycosylation': 'glycosylation',
+        'Disulfide bond': 'disulfide'
+    };
+
+    return entries.map(entry => ({
+        accession: entry.primaryAccession || '',
+        entryName: entry.uniProtkbId || '',
+        proteinName: entry.proteinDescription?.recommendedName?.fullName?.value || '',
+        sequence: (entry.sequence?.value || '').toUpperCase(),
+        subunit: (entry.comments || [])
+            .filter(comment => comment.commentType === 'SUBUNIT')
+            .flatMap(comment => (comment.texts || []).map(item => item.value))
+            .join(' '),
+        features: (entry.features || [])
+            .filter(feature => featureTypes[feature.type])
+            .map(feature => ({
+                type: featureTypes[feature.type],
+                start: feature.location?.start?.value,
+                end: feature.location?.end?.value,
+                description: feature.description || ''
+            }))
+            .filter(feature => Number.isInteger(feature.start))
+    }));
+}
+
+/**
+ * 解析 UniProt 純文字 (Swiss-Prot flat file，可含多個以 // 分隔的條目)
+ * 支援新版 (FT SIGNAL 1..18 + /note=) 與舊版 (欄位以空白分隔) 特徵表
+ * @param {string} text - 檔案內容
+ * @returns {Array<object>} 正規化條目
+ */
+function parseUniProtFlat(text) {
+    const featureTypes = { SIGNAL: 'signal', MOD_RES: 'modified', CARBOHYD: 'glycosylation', DISULFID: 'disulfide' };
+
+    return text.split(/^\/\/\s*$/m)
+        .filter(block => /^SQ {3}/m.test(block))
+        .map(block => {
+            const lines = block.split(/\r?\n/);
+            const record = { accession: '', entryName: '', proteinName: '', sequence: '', subunit: '', features: [] };
+            let inSequence = false;
+            let inSubunit = false;
+            let current = null;
+
+            for (const line of lines) {
+                const code = line.slice(0, 2);
+                const body = line.slice(5);
+
+                if (inSequence) {
+                    record.sequence += line.replace(/[^A-Za-z]/g, '').toUpperCase();
+                    continue;
+                }
+
+                if (code === 'ID' && !record.entryName) record.entryName = body.trim().split(/\s+/)[0];
+                if (code === 'AC' && !record.accession) record.accession = body.split(';')[0].trim();
+                if (code === 'DE' && !record.proteinName) {
+                    const match = body.match(/RecName: Full=([^;{]+)/);
+                    if (match) record.proteinName = match[1].trim();
+                }
+
+                if (code === 'CC') {
+                    if (body.startsWith('---')) inSubunit = false;
+                    if (body.startsWith('-!-')) inSubunit = body.startsWith('-!- SUBUNIT:');
+                    if (inSubunit) record.subunit += ' ' + body.replace('-!- SUBUNIT:', '').trim();
+                }
+
+                if (code === 'FT') {
+                    const key = body.slice(0, 8).trim();
+                    if (key) {
+                        const location = body.slice(8).trim().match(/^[<>?]?(\d+)(?:(?:\.\.|\s+)[<>?]?(\d+))?\s*(.*)$/);
+                        current = featureTypes[key] && location ? {
+                            type: featureTypes[key],
+                            start: parseInt(location[1], 10),
+                            end: parseInt(location[2] || location[1], 10),
+                            description: location[3].trim()
+                        } : null;
+                        if (current) record.features.push(current);
+                    } else if (current) {
+                        const note = body.trim().match(/^\/note="?([^"]*)"?/);
+                        if (note) current.description = note[1];
+                    }
+                }
+
+                if (code === 'SQ') inSequence = true;
+            }
+
+            return record;
+        });
+}
+
+// ========================
+// PDB / mmCIF
+// ========================
+
+/**
+ * 依實體 (entity) 整理 PDB / mmCIF 鏈資料
+ * 拷貝數為不對稱單元中的鏈數；二硫鍵以該實體第一條鏈計算 (鏈間鍵計 0.5)
+ * @param {Array<object>} entities - [{ name, chainIds, residues: [三字母代碼] 或 sequence, type }]
+ * @param {Array<object>} modifiedResidues - [{ chainId, code, position }]
+ * @param {Array<{chain1: string, chain2: string}>} disulfideBonds - 二硫鍵兩端所屬鏈
+ * @returns {Array<object>} 鏈資料
+ */
+function buildStructureChains(entities, modifiedResidues, disulfideBonds) {
+    return entities.map(entity => {
+        const chainId = entity.chainIds[0];
+        const disulfides = disulfideBonds.reduce((sum, bond) =>
+            sum + (bond.chain1 === chainId ? 0.5 : 0) + (bond.chain2 === chainId ? 0.5 : 0), 0);
+
+        const modifications = modifiedResidues
+            .filter(residue => residue.chainId === chainId)
+            .map(residue => ({
+                position: residue.position,
+                residue: residue.code,
+                description: residue.description || residue.code,
+                match: PDB_MODIFICATIONS[residue.code] || null
+            }));
+
+        return {
+            name: entity.name || `Chain ${entity.chainIds.join(', ')}`,
+            type: entity.type,
+            sequence: entity.sequence,
+            copies: entity.chainIds.length,
+            chainIds: entity.chainIds,
+            disulfides: entity.type === 'protein' ? disulfides : 0,
+            signalPeptide: null,
+            modifications: modifications
+        };
+    });
+}
+
+/**
+ * 解析 PDB 格式 (SEQRES / COMPND / MODRES / SSBOND)
+ * @param {string} text - 檔案內容
+ * @returns {object} { id, title, chains }
+ */
+function parsePDB(text) {
+    const lines = text.split(/\r?\n/);
+    const record = line => line.slice(0, 6).trim();
+
+    const id = lines.find(line => record(line) === 'HEADER')?.slice(62, 66).trim() || '';
+    const title = lines.filter(line => record(line) === 'TITLE')
+        .map(line => line.slice(10).trim()).join(' ');
+
+    // SEQRES: 依鏈收集殘基
+    const seqres = {};
+    for (const line of lines.filter(line => record(line) === 'SEQRES')) {
+        const chainId = line[11];
+        (seqres[chainId] = seqres[chainId] || []).push(...line.slice(19).trim().split(/\s+/).filter(Boolean));
+    }
+    if (Object.keys(seqres).length === 0) throw new Error('PDB 檔案缺少 SEQRES 紀錄');
+
+    // MODRES: 修飾殘基 → 母體殘基
+    const parents = {};
+    const modifiedResidues = lines.filter(line => record(line) === 'MODRES').map(line => {
+        const code = line.slice(12, 15).trim();
+        parents[code] = line.slice(24, 27).trim();
+        return {
+            chainId: line[16],
+            code: code,
+            position: parseInt(line.slice(18, 22), 10),
+            description: line.slice(29, 70).trim()
+        };
+    });
+
+    const disulfideBonds = lines.filter(line => record(line) === 'SSBOND')
+        .map(line => ({ chain1: line[15], chain2: line[29] }));
+
+    // COMPND: MOL_ID 分組 (同一分子的多條鏈)
+    const compound = lines.filter(line => record(line) === 'COMPND')
+        .map(line => line.slice(10).trim()).join(' ');
+    const molecules = compound.split(/MOL_ID:/).slice(1).map(block => ({
+        name: (block.match(/MOLECULE:\s*([^;]+)/)?.[1] || '').trim(),
+        chainIds: (block.match(/CHAIN:\s*([^;]+)/)?.[1] || '').split(',').map(chain => chain.trim()).filter(chain => seqres[chain])
+    })).filter(molecule => molecule.chainIds.length > 0);
+
+    // 無 COMPND 時以相同序列分組
+    const toSequence = chainId => {
+        const residues = seqres[chainId].map(code => residueCodeToLetter(code, parents));
+        const type = residues.some(residue => residue.type === 'RNA') ? 'RNA' :
+            residues.some(residue => residue.type === 'ssDNA') ? 'ssDNA' : 'protein';
+        return { sequence: residues.map(residue => residue.letter).join(''), type };
+    };
+    const groups = molecules.length > 0 ? molecules : Object.keys(seqres).reduce((list, chainId) => {
+        const sequence = seqres[chainId].join(' ');
+        const group = list.find(item => seqres[item.chainIds[0]].join(' ') === sequence);
+        if (group) group.chainIds.push(chainId);
+        else list.push({ name: '', chainIds: [chainId] });
+        return list;
+    }, []);
+
+    const entities = groups.map(group => ({ name: group.name, chainIds: group.chainIds, ...toSequence(group.chainIds[0]) }));
+
+    return { id, title, chains: buildStructureChains(entities, modifiedResidues, disulfideBonds) };
+}
+
+/**
+ * mmCIF 分詞 (處理引號字串與 ; 開頭的多行文字)
+ * @param {string} text - 檔案內容
+ * @returns {Array<{value: string, quoted: boolean}>} 記號
+ */
+function tokenizeCif(text) {
+    const tokens = [];
+    const lines = text.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.startsWith(';')) {
+            const parts = [line.slice(1)];
+            while (++i < lines.length && !lines[i].startsWith(';')) parts.push(lines[i]);
+            tokens.push({ value: parts.join('\n').trim(), quoted: true });
+            continue;
+        }
+
+        const pattern = /'(.*?)'(?=\s|$)|"(.*?)"(?=\s|$)|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(line))) {
+            if (match[3]?.startsWith('#')) break;
+            tokens.push(match[3] !== undefined ?
+                { value: match[3], quoted: false } :
+                { value: match[1] ?? match[2], quoted: true });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * 解析 mmCIF 為 { 類別: [列物件] } ('.' 與 '?' 視為 null)
+ * @param {string} text - 檔案內容
+ * @returns {object} 例如 { entity_poly: [{ entity_id, type, ... }] }
+ */
+function parseCifCategories(text) {
+    const tokens = tokenizeCif(text);
+    const categories = {};
+    const isTag = token => !token.quoted && token.value.startsWith('_');
+    const isKeyword = token => !token.quoted && /^(loop_|data_|save_|global_|stop_)/i.test(token.value);
+    const splitTag = tag => {
+        const dot = tag.indexOf('.');
+        return [tag.slice(1, dot), tag.slice(dot + 1)];
+    };
+    const valueOf = token => (!token.quoted && (token.value === '.' || token.value === '?')) ? null : token.value;
+
+    let i = 0;
+    while (i < tokens.length) {
+        const token = tokens[i];
+
+        if (!token.quoted && token.value.toLowerCase() === 'loop_') {
+            const tags = [];
+            i++;
+            while (i < tokens.length && isTag(tokens[i])) tags.push(splitTag(tokens[i++].value));
+            const rows = categories[tags[0]?.[0]] = categories[tags[0]?.[0]] || [];
+            while (i < tokens.length && !isTag(tokens[i]) && !isKeyword(tokens[i])) {
+                const row = {};
+                tags.forEach(([, item]) => {
+                    row[item] = i < tokens.length ? valueOf(tokens[i++]) : null;
+                });
+                rows.push(row);
+            }
+        } else if (isTag(token)) {
+            const [category, item] = splitTag(token.value);
+            const rows = categories[category] = categories[category] || [{}];
+            rows[0][item] = tokens[i + 1] ? valueOf(tokens[i + 1]) : null;
+            i += 2;
+        } else {
+            i++;
+        }
+    }
+    return categories;
+}
+
+/**
+ * 解析 mmCIF (_entity_poly、_pdbx_struct_mod_residue、_struct_conn)
+ * @param {string} text - 檔案內容
+ * @returns {object} { id, title, chains }
+ */
+function parseMmCIF(text) {
+    // 原子座標 (_atom_site) 用不到，先截斷以免大檔案分詞耗用記憶體
+    const atomSite = text.search(/^loop_\s*\n_atom_site\./m);
+    const cif = parseCifCategories(atomSite > 0 ? text.slice(0, atomSite) : text);
+    const polymers = cif.entity_poly || [];
+    if (polymers.length === 0) throw new Error('mmCIF 檔案缺少 _entity_poly');
+
+    const descriptions = Object.fromEntries((cif.entity || []).map(entity => [entity.id, entity.pdbx_description]));
+    const polymerType = type => /ribonucleotide/i.test(type || '') ?
+        (/deoxy/i.test(type) ? 'ssDNA' : 'RNA') :
+        /polypeptide/i.test(type || '') ? 'protein' : null;
+
+    const entities = polymers.map(polymer => ({
+        name: descriptions[polymer.entity_id] || '',
+        chainIds: (polymer.pdbx_strand_id || '').split(',').map(chain => chain.trim()).filter(Boolean),
+        sequence: (polymer.pdbx_seq_one_letter_code_can || '').replace(/[^A-Za-z]/g, '').toUpperCase(),
+        type: polymerType(polymer.type)
+    })).filter(entity => entity.type && entity.chainIds.length > 0 && entity.sequence.length > 0);
+
+    const modifiedResidues = (cif.pdbx_struct_mod_residue || []).map(residue => ({
+        chainId: residue.auth_asym_id || residue.label_asym_id,
+        code: residue.label_comp_id || residue.auth_comp_id,
+        position: parseInt(residue.auth_seq_id ?? residue.label_seq_id, 10),
+        description: residue.details || ''
+    }));
+
+    const disulfideBonds = (cif.struct_conn || [])
+        .filter(conn => (conn.conn_type_id || '').toLowerCase() === 'disulf')
+        .map(conn => ({
+            chain1: conn.ptnr1_auth_asym_id || conn.ptnr1_label_asym_id,
+            chain2: conn.ptnr2_auth_asym_id || conn.ptnr2_label_asym_id
+        }));
+
+    return {
+        id: cif.entry?.[0]?.id || '',
+        title: cif.struct?.[0]?.title || '',
+        chains: buildStructureChains(entities, modifiedResidues, disulfideBonds)
+    };
+}
+
+// ========================
+// 原子座標 (ATOM / HETATM、_atom_site)
+// ========================
+
+const WATER_RESIDUES = ['HOH', 'WAT', 'DOD', 'H2O', 'SOL'];
+
+/**
+ * 由原子名稱推斷元素 (PDB 元素欄空白時)
+ * 名稱第 13 欄為空白時為單字母元素 (例 ' CA ' → C)，否則為雙字母 (例 'FE  ' → Fe)
+ * @param {string} name - 原子名稱欄 (含前導空白的 4 字元)
+ * @returns {string} 元素符號 (大寫)
+ */
+function elementFromAtomName(name) {
+    const letters = name.replace(/[^A-Za-z]/g, '').toUpperCase();
+    if (!letters) return '';
+    return /^\s/.test(name) || /^\d/.test(name) ? letters[0] : letters.slice(0, 2);
+}
+
+/**
+ * 讀取 PDB / mmCIF 原子座標 (僅第一個 model；略過水分子與替代構象 B 以後)
+ * @param {string} text - 檔案內容
+ * @returns {object} { error, source, atoms: [{ element, x, y, z, chainId, residue, residueNumber, hetero }], hasHydrogen, waters } 或 { error: true, message }
+ */
+function parseAtomicModel(text) {
+    const trimmed = (text || '').trim();
+    const atoms = [];
+    let source, waters = 0;
+
+    const addAtom = (atom, altLoc) => {
+        if (altLoc && altLoc !== 'A' && altLoc !== '1') return;
+        if (WATER_RESIDUES.includes(atom.residue)) {
+            waters++;
+            return;
+        }
+        if ([atom.x, atom.y, atom.z].every(isFinite)) atoms.push(atom);
+    };
+
+    try {
+        const atomSite = trimmed.search(/^loop_\s*\n_atom_site\./m);
+        if (/^data_/m.test(trimmed) && atomSite >= 0) {
+            source = 'mmCIF';
+            // 只分詞 _atom_site 區塊 (至下一個 # 或 loop_)
+            const rest = trimmed.slice(atomSite + 5);
+            const blockEnd = rest.search(/^(#|loop_|data_)/m);
+            const rows = parseCifCategories('loop_' + (blockEnd >= 0 ? rest.slice(0, blockEnd) : rest)).atom_site || [];
+            const firstModel = rows[0]?.pdbx_PDB_model_num;
+
+            for (const row of rows) {
+                if (firstModel && row.pdbx_PDB_model_num !== firstModel) break;
+                const name = row.label_atom_id || row.auth_atom_id || '';
+                addAtom({
+                    element: (row.type_symbol || elementFromAtomName(name)).toUpperCase(),
+                    x: parseFloat(row.Cartn_x),
+                    y: parseFloat(row.Cartn_y),
+                    z: parseFloat(row.Cartn_z),
+                    chainId: row.auth_asym_id || row.label_asym_id || '',
+                    residue: (row.label_comp_id || row.auth_comp_id || '').toUpperCase(),
+                    residueNumber: (row.auth_seq_id || row.label_seq_id || '').replace(/^[.?]$/, '') +
+                        (row.pdbx_PDB_ins_code || '').replace(/^[.?]$/, ''),
+                    hetero: row.group_PDB === 'HETATM'
+                }, row.label_alt_id);
+            }
+        } else if (/^(ATOM  |HETATM)/m.test(trimmed)) {
+            source = 'PDB';
+            for (const line of trimmed.split(/\r?\n/)) {
+                const record = line.slice(0, 6);
+                if (record === 'ENDMDL') break;
+                if (record !== 'ATOM  ' && record !== 'HETATM') continue;
+                const name = line.slice(12, 16);
+                addAtom({
+                    element: (line.slice(76, 78).trim() || elementFromAtomName(name)).toUpperCase(),
+                    x: parseFloat(line.slice(30, 38)),
+                    y: parseFloat(line.slice(38, 46)),
+                    z: parseFloat(line.slice(46, 54)),
+                    chainId: line[21] || '',
+                    residue: line.slice(17, 20).trim().toUpperCase(),
+                    residueNumber: line.slice(22, 27).trim(),
+                    hetero: record === 'HETATM'
+                }, line[16]?.trim());
+            }
+        } else {
+            return { error: true, message: '找不到原子座標 (需要 PDB ATOM/HETATM 或 mmCIF _atom_site)' };
+        }
+    } catch (e) {
+        return { error: true, message: `座標解析失敗: ${e.message}` };
+    }
+
+    if (atoms.length === 0) {
+        return { error: true, message: '檔案中沒有非水分子的原子座標' };
+    }
+
+    return {
+        error: false,
+        source,
+        atoms,
+        hasHydrogen: atoms.some(atom => atom.element === 'H' || atom.element === 'D'),
+        waters
+    };
+}
+
+// ========================
+// 自動判斷格式
+// ========================
+
+/**
+ * 解析本機條目檔案 (自動判斷格式)
+ * @param {string} text - 檔案內容
+ * @param {object} options - 選項
+ * @param {boolean} options.stripSignalPeptide - UniProt 條目是否移除訊號胜肽 (預設 true)
+ * @returns {object} { error, source, id, name, chains } 或 { error: true, message }
+ *   chains: [{ name, type, sequence, copies, disulfides, signalPeptide, modifications: [{ position, residue, description, match }] }]
+ */
+function parseEntryFile(text, options = {}) {
+    const stripSignalPeptide = options.stripSignalPeptide ?? true;
+    const trimmed = (text || '').trim();
+
+    try {
+        let source, records, structure;
+        if (trimmed.startsWith('<')) {
+            source = 'UniProt XML';
+            records = parseUniProtXML(trimmed);
+        } else if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            source = 'UniProt JSON';
+            records = parseUniProtJSON(JSON.parse(trimmed));
+        } else if (/^data_/m.test(trimmed) && trimmed.includes('_entity_poly')) {
+            source = 'mmCIF';
+            structure = parseMmCIF(trimmed);
+        } else if (/^(HEADER|COMPND|SEQRES)/m.test(trimmed)) {
+            source = 'PDB';
+            structure = parsePDB(trimmed);
+        } else if (/^ID {3}/m.test(trimmed) && /^SQ {3}/m.test(trimmed)) {
+            source = 'UniProt';
+            records = parseUniProtFlat(trimmed);
+        } else {
+            return { error: true, message: '無法辨識的檔案格式 (支援 UniProt XML / JSON / 純文字、PDB、mmCIF)' };
+        }
+
+        if (structure) {
+            return { error: false, source, id: structure.id, name: structure.title, chains: structure.chains };
+        }
+
+        records = records.filter(record => record.sequence.length > 0);
+        if (records.length === 0) {
+            return { error: true, message: '檔案中沒有含序列的 UniProt 條目' };
+        }
+
+        const chains = records.map(record => buildUniProtChain(record, stripSignalPeptide));
+        // 多個條目 (異源複合體) 時 SUBUNIT 的同源寡聚資訊不適用
+        if (chains.length > 1) chains.forEach(chain => { chain.copies = 1; });
+
+        return {
+            error: false,
+            source,
+            id: records.map(record => record.accession).join(', '),
+            name: records.map(record => record.proteinName || record.entryName).join(' / '),
+            chains
+        };
+    } catch (e) {
+        return { error: true, message: `檔案解析失敗: ${e.message}` };
+    }
+}
+
+// 導出函數
+window.EntryImport = {
+    parseEntryFile,
+    parseUniProtXML,
+    parseUniProtJSON,
+    parseUniProtFlat,
+    parsePDB,
+    parseMmCIF,
+    parseAtomicModel,
+    classifyModification
+};
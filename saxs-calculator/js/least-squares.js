@@ -0,0 +1,185 @@
+/**
+ * TPS13A SAXS Calculator - Least Squares Module
+ * 共用最小平方工具: 小型線性方程組求解、部分非負最小平方、數值 Jacobian 與 Levenberg–Marquardt 最佳化
+ */
+
+// ========================
+// 常數
+// ========================
+
+// Levenberg–Marquardt 阻尼 λ 的範圍 (成功步 λ/10，失敗步 λ×10)
+const LM_LAMBDA_RANGE = { min: 1e-12, max: 1e10 };
+
+// ========================
+// 線性方程組
+// ========================
+
+/**
+ * 小型線性方程組求解 (部分樞軸高斯消去)
+ * @param {Array<Array<number>>} A - 係數矩陣 (n×n)
+ * @param {Array<number>} b - 右端向量
+ * @returns {Array<number>|null} 解；奇異時為 null
+ */
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let c = 0; c < n; c++) {
+        let pivot = c;
+        for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[pivot][c])) pivot = r;
+        if (Math.abs(M[pivot][c]) < 1e-300) return null;
+        [M[c], M[pivot]] = [M[pivot], M[c]];
+        for (let r = c + 1; r < n; r++) {
+            const factor = M[r][c] / M[c][c];
+            for (let k = c; k <= n; k++) M[r][k] -= factor * M[c][k];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = M[r][n];
+        for (let k = r + 1; k < n; k++) sum -= M[r][k] * x[k];
+        x[r] = sum / M[r][r];
+    }
+    return x;
+}
+
+/**
+ * 部分非負最小平方 (Lawson–Hanson 主動集法，作用於正規方程)
+ * 最小化 ½xᵀAx − bᵀx；nonNegative[k] 為 true 的變數限制 x_k ≥ 0，其餘不受限
+ * @param {Array<Array<number>>} A - 正規矩陣 BᵀB (n×n)
+ * @param {Array<number>} b - 右端向量 Bᵀy
+ * @param {Array<boolean>} nonNegative - 各變數是否限制非負
+ * @returns {Array<number>|null} 解；不受限變數的子系統奇異時為 null
+ */
+function solveNonNegativeSystem(A, b, nonNegative) {
+    const n = b.length;
+    const passive = nonNegative.map(constrained => !constrained);
+    const solvePassive = () => {
+        const index = passive.flatMap((free, k) => (free ? [k] : []));
+        const z = new Array(n).fill(0);
+        const solution = solveLinearSystem(index.map(r => index.map(c => A[r][c])), index.map(r => b[r]));
+        if (!solution) return null;
+        index.forEach((k, m) => { z[k] = solution[m]; });
+        return z;
+    };
+
+    let x = solvePassive();
+    if (!x) return null;
+    const tolerance = 1e-10 * Math.max(...b.map(Math.abs));
+
+    for (let outer = 0; outer < 3 * n; outer++) {
+        // 梯度 b − Ax: 正值表示增加該 (目前為 0 的) 變數可降低目標函數
+        const gradient = b.map((value, r) => value - A[r].reduce((sum, a, c) => sum + a * x[c], 0));
+        let entering = -1;
+        nonNegative.forEach((constrained, k) => {
+            if (constrained && !passive[k] && gradient[k] > tolerance &&
+                (entering < 0 || gradient[k] > gradient[entering])) entering = k;
+        });
+        if (entering < 0) break;
+        passive[entering] = true;
+
+        for (let inner = 0; inner < 3 * n; inner++) {
+            const z = solvePassive();
+            if (!z) {
+                passive[entering] = false;
+                return x;
+            }
+            const blocking = nonNegative.map((constrained, k) => constrained && passive[k] && z[k] <= 0);
+            if (!blocking.includes(true)) {
+                x = z;
+                break;
+            }
+            // 沿 x → z 前進至第一個變數歸零，並將其移回主動集
+            let alpha = 1, leaving = -1;
+            blocking.forEach((blocked, k) => {
+                if (!blocked) return;
+                const step = x[k] / (x[k] - z[k]);
+                if (step < alpha) {
+                    alpha = step;
+                    leaving = k;
+                }
+            });
+            x = x.map((value, k) => value + alpha * (z[k] - value));
+            nonNegative.forEach((constrained, k) => {
+                if (constrained && passive[k] && (k === leaving || x[k] <= 0)) {
+                    passive[k] = false;
+                    x[k] = 0;
+                }
+            });
+        }
+    }
+    return x;
+}
+
+// ========================
+// Levenberg–Marquardt
+// ========================
+
+/**
+ * 前向差分 Jacobian (每列為一個變數對所有殘差的導數)
+ * 步長 step × max(|x|, 1)；評估失敗 (無殘差) 時導數記為 0
+ * @param {Function} evaluate - x → { residuals, chi2 }
+ * @param {Array<number>} x - 變數
+ * @param {object} current - evaluate(x) 結果
+ * @param {number} step - 相對步長
+ * @returns {Array<Array<number>>} J (變數數 × 殘差數)
+ */
+function numericalJacobian(evaluate, x, current, step) {
+    return x.map((value, k) => {
+        const h = step * Math.max(Math.abs(value), 1);
+        const shifted = x.slice();
+        shifted[k] += h;
+        const trial = evaluate(shifted);
+        return current.residuals.map((r, i) => (trial.residuals ? trial.residuals[i] - r : 0) / h);
+    });
+}
+
+/**
+ * Levenberg–Marquardt 最小化殘差平方和
+ * 阻尼 JᵀJ + λ·diag(JᵀJ) (對角為 0 時以 1 代替)；χ² 相對下降 ≤ tolerance 或無法再下降時停止
+ * evaluate 可在內部求解線性參數 (變數投影)，回傳物件原樣保留於 current
+ * @param {Function} evaluate - x → { residuals, chi2 } (無法評估時 chi2 為 Infinity)
+ * @param {Array<number>} initial - 初始變數
+ * @param {object} settings - { maxIterations, tolerance, lambda (初始阻尼), step (數值微分相對步長) }
+ * @returns {object} { x, current (最佳 evaluate 結果), iterations, converged (初值可評估且未達 maxIterations 即停止) }
+ */
+function levenbergMarquardt(evaluate, initial, settings) {
+    let x = initial.slice();
+    let current = evaluate(x);
+    let lambda = settings.lambda;
+    let iterations = 0;
+
+    for (; iterations < settings.maxIterations && x.length > 0 && isFinite(current.chi2); iterations++) {
+        const J = numericalJacobian(evaluate, x, current, settings.step);
+        const JtJ = J.map(a => J.map(b => a.reduce((sum, value, i) => sum + value * b[i], 0)));
+        const Jtr = J.map(a => a.reduce((sum, value, i) => sum + value * current.residuals[i], 0));
+
+        let improved = false;
+        while (lambda < LM_LAMBDA_RANGE.max) {
+            const damped = JtJ.map((row, a) => row.map((value, b) => value + (a === b ? lambda * (value || 1) : 0)));
+            const delta = solveLinearSystem(damped, Jtr.map(value => -value));
+            if (!delta) break;
+            const candidate = x.map((value, k) => value + delta[k]);
+            const trial = evaluate(candidate);
+            if (isFinite(trial.chi2) && trial.chi2 < current.chi2) {
+                const change = (current.chi2 - trial.chi2) / current.chi2;
+                x = candidate;
+                current = trial;
+                lambda = Math.max(lambda / 10, LM_LAMBDA_RANGE.min);
+                improved = change > settings.tolerance;
+                break;
+            }
+            lambda *= 10;
+        }
+        if (!improved) break;
+    }
+
+    return { x, current, iterations, converged: isFinite(current.chi2) && iterations < settings.maxIterations };
+}
+
+// 導出函數
+window.LeastSquares = {
+    solveLinearSystem,
+    solveNonNegativeSystem,
+    numericalJacobian,
+    levenbergMarquardt
+};
@@ -0,0 +1,658 @@
+/**
+ * TPS13A SAXS Calculator - Model Scattering Module
+ * 原子模型 (PDB / mmCIF) 的理論 X 光散射曲線、P(r) 與實驗曲線擬合
+ */
+
+// ========================
+// 常數
+// ========================
+
+// Cromer–Mann 係數 f(s) = Σ aᵢ·exp(−bᵢ·s²) + c，s = q/4π (International Tables Vol. C, Table 6.1.1.4)
+const ATOMIC_FORM_FACTORS = {
+    H: { a: [0.489918, 0.262003, 0.196767, 0.049879], b: [20.6593, 7.74039, 49.5519, 2.20159], c: 0.001305 },
+    C: { a: [2.31, 1.02, 1.5886, 0.865], b: [20.8439, 10.2075, 0.5687, 51.6512], c: 0.2156 },
+    N: { a: [12.2126, 3.1322, 2.0125, 1.1663], b: [0.0057, 9.8933, 28.9975, 0.5826], c: -11.529 },
+    O: { a: [3.0485, 2.2868, 1.5463, 0.867], b: [13.2771, 5.7011, 0.3239, 32.9089], c: 0.2508 },
+    NA: { a: [4.7626, 3.1736, 1.2674, 1.1128], b: [3.285, 8.8422, 0.3136, 129.424], c: 0.676 },
+    MG: { a: [5.4204, 2.1735, 1.2269, 2.3073], b: [2.8275, 79.2611, 0.3808, 7.1937], c: 0.8584 },
+    P: { a: [6.4345, 4.1791, 1.78, 1.4908], b: [1.9067, 27.157, 0.526, 68.1645], c: 1.1149 },
+    S: { a: [6.9053, 5.2034, 1.4379, 1.5863], b: [1.4679, 22.2151, 0.2536, 56.172], c: 0.8669 },
+    CL: { a: [11.4604, 7.1962, 6.2556, 1.6455], b: [0.0104, 1.1662, 18.5194, 47.7784], c: -9.5574 },
+    K: { a: [8.2186, 7.4398, 1.0519, 0.8659], b: [12.7949, 0.7748, 213.187, 41.6841], c: 1.4228 },
+    CA: { a: [8.6266, 7.3873, 1.5899, 1.0211], b: [10.4421, 0.6599, 85.7484, 178.437], c: 1.3751 },
+    FE: { a: [11.7695, 7.3573, 3.5222, 2.3045], b: [4.7611, 0.3072, 15.3535, 76.8805], c: 1.0369 },
+    ZN: { a: [14.0743, 7.0318, 5.1652, 2.41], b: [3.2655, 0.2333, 10.3163, 58.7097], c: 1.3041 }
+};
+
+// 原子排除體積 (Å³)，Fraser et al. (1978) J. Appl. Cryst. 11, 693；其餘元素以凡得瓦半徑球體積計
+const ATOMIC_EXCLUDED_VOLUMES = { H: 5.15, C: 16.44, N: 2.49, O: 9.13, P: 5.73, S: 19.86 };
+
+// 表面積計算用半徑 (Å)；C/N/O/S 為含氫的聯合原子半徑
+const ATOMIC_RADII = {
+    H: 1.1, C: 1.88, N: 1.64, O: 1.46, NA: 2.27, MG: 1.73, P: 1.8,
+    S: 1.77, CL: 1.75, K: 2.75, CA: 1.97, FE: 1.4, ZN: 1.39
+};
+
+// 模型不含氫原子時，每個重原子平均附帶的氫數 (依蛋白質平均組成)
+const IMPLICIT_HYDROGENS = { C: 1.1, N: 1.3, O: 0.15, S: 0.1 };
+
+const SOLVENT_ELECTRON_DENSITY = 0.334;   // 水 e/Å³
+
+// 水合層: 厚度 (Å)、預設對比 δρ (e/Å³)、探針半徑 (Å)、水分子體積 (Å³)
+const HYDRATION_SHELL = { thickness: 3, contrast: 0.03, probe: 1.4, waterVolume: 29.9 };
+
+const MODEL_SURFACE_DOTS = 64;            // 每個原子的表面取樣點數 (Shrake–Rupley)
+const MODEL_HISTOGRAM_BIN = 0.25;         // 距離直方圖間隔 (Å)
+const MODEL_PR_BIN = 1;                   // P(r) 顯示間隔 (Å)
+const MODEL_DEBYE_MAX_TERMS = 5e7;        // 逐對 Debye 的 (配對數 × q 點數) 上限，含水合層 (超過時改用直方圖)
+const MODEL_COARSE_GRAIN_ATOMS = 10000;   // 原子數超過此值時改以殘基為散射中心 (距離配對 O(N²))
+const MODEL_CONFIRM_SCATTERERS = 20000;   // 散射中心超過此值時計算前需確認 (主執行緒可能停頓數十秒)
+
+// 擬合溶劑參數的掃描範圍: 排除體積比例 c₁ 與水合層對比 δρ
+const MODEL_FIT_GRID = {
+    excludedVolume: { min: 0.95, max: 1.05, step: 0.01 },
+    contrast: { min: 0, max: 0.06, step: 0.005 }
+};
+
+// ========================
+// 原子散射因子
+// ========================
+
+/**
+ * 真空原子散射因子
+ * @param {string} element - 元素符號 (大寫)
+ * @param {number} q - 散射向量 (Å⁻¹)
+ * @returns {number} f(q) (電子數)
+ */
+function atomicFormFactor(element, q) {
+    const coefficients = ATOMIC_FORM_FACTORS[element] || ATOMIC_FORM_FACTORS.C;
+    const s2 = (q / (4 * Math.PI)) ** 2;
+    return coefficients.a.reduce((sum, a, k) => sum + a * Math.exp(-coefficients.b[k] * s2), coefficients.c);
+}
+
+/**
+ * Gaussian 球散射振幅 (Fraser 排除體積): ρ·V·exp(−q²·V^(2/3)/4π)
+ * @param {number} volume - 體積 (Å³)
+ * @param {number} density - 電子密度 (e/Å³)
+ * @param {number} q - 散射向量 (Å⁻¹)
+ * @returns {number} 振幅 (電子數)
+ */
+function gaussianSphereAmplitude(volume, density, q) {
+    return density * volume * Math.exp(-q * q * Math.pow(volume, 2 / 3) / (4 * Math.PI));
+}
+
+/**
+ * 依元素分組原子，並設定散射因子所需參數
+ * @param {Array<object>} atoms - parseAtomicModel 的 atoms
+ * @param {boolean} implicitHydrogens - 是否為重原子加上平均氫數
+ * @returns {object} { types: [{ element, count, hydrogens, volume, radius }], typeIndex: Int32Array, unknownElements }
+ */
+function buildAtomTypes(atoms, implicitHydrogens) {
+    const types = [];
+    const lookup = {};
+    const unknownElements = new Set();
+    const typeIndex = new Int32Array(atoms.length);
+
+    atoms.forEach((atom, i) => {
+        let element = atom.element === 'D' ? 'H' : atom.element;
+        if (!ATOMIC_FORM_FACTORS[element]) {
+            unknownElements.add(element || '?');
+            element = 'C';
+        }
+        if (lookup[element] === undefined) {
+            const radius = ATOMIC_RADII[element];
+            const hydrogens = implicitHydrogens ? (IMPLICIT_HYDROGENS[element] || 0) : 0;
+            const volume = (ATOMIC_EXCLUDED_VOLUMES[element] ?? 4 / 3 * Math.PI * radius ** 3) +
+                hydrogens * ATOMIC_EXCLUDED_VOLUMES.H;
+            lookup[element] = types.length;
+            types.push({ element, count: 0, hydrogens, volume, radius });
+        }
+        typeIndex[i] = lookup[element];
+        types[lookup[element]].count++;
+    });
+
+    return { types, typeIndex, unknownElements: [...unknownElements] };
+}
+
+// ========================
+// 水合層
+// ========================
+
+/**
+ * 以 Shrake–Rupley 法計算溶劑可及表面，並在每個暴露原子外側放置水合層虛擬原子
+ * 虛擬原子位於暴露方向上、凡得瓦表面外半個水合層厚度處，權重為水合層體積 (SASA × 厚度)
+ * @param {Float64Array} coords - 原子座標 [x0, y0, z0, x1, ...]
+ * @param {Float64Array} radii - 原子半徑 (Å)
+ * @returns {object} { sites: [x, y, z, ...], volumes: [Å³], owners: [原子索引], area (總 SASA, Å²) }
+ */
+function buildHydrationShell(coords, radii) {
+    const n = radii.length;
+    const { probe, thickness } = HYDRATION_SHELL;
+
+    // 黃金螺旋取樣點 (單位向量)
+    const dots = Array.from({ length: MODEL_SURFACE_DOTS }, (_, k) => {
+        const z = 1 - (2 * k + 1) / MODEL_SURFACE_DOTS;
+        const ring = Math.sqrt(1 - z * z);
+        const phi = k * Math.PI * (3 - Math.sqrt(5));
+        return [ring * Math.cos(phi), ring * Math.sin(phi), z];
+    });
+
+    // 格點分區: 只檢查鄰近格內的原子
+    const maxRadius = radii.reduce((max, r) => Math.max(max, r), 0);
+    const cell = 2 * (maxRadius + probe);
+    const min = [0, 1, 2].map(axis => {
+        let value = Infinity;
+        for (let i = 0; i < n; i++) value = Math.min(value, coords[3 * i + axis]);
+        return value;
+    });
+    const cellOf = (i, axis) => Math.floor((coords[3 * i + axis] - min[axis]) / cell);
+    const cellKey = (cx, cy, cz) => `${cx},${cy},${cz}`;
+    const grid = new Map();
+    for (let i = 0; i < n; i++) {
+        const key = cellKey(cellOf(i, 0), cellOf(i, 1), cellOf(i, 2));
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(i);
+    }
+
+    const sites = [], volumes = [], owners = [];
+    let area = 0;
+    for (let i = 0; i < n; i++) {
+        const [xi, yi, zi] = [coords[3 * i], coords[3 * i + 1], coords[3 * i + 2]];
+        const extended = radii[i] + probe;
+
+        const neighbors = [];
+        const [cx, cy, cz] = [cellOf(i, 0), cellOf(i, 1), cellOf(i, 2)];
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    for (const j of grid.get(cellKey(cx + dx, cy + dy, cz + dz)) || []) {
+                        if (j === i) continue;
+                        const reach = extended + radii[j] + probe;
+                        const d2 = (coords[3 * j] - xi) ** 2 + (coords[3 * j + 1] - yi) ** 2 + (coords[3 * j + 2] - zi) ** 2;
+                        if (d2 < reach * reach) neighbors.push(j);
+                    }
+                }
+            }
+        }
+
+        let exposed = 0;
+        const direction = [0, 0, 0];
+        for (const dot of dots) {
+            const px = xi + extended * dot[0], py = yi + extended * dot[1], pz = zi + extended * dot[2];
+            const buried = neighbors.some(j => {
+                const rj = radii[j] + probe;
+                return (coords[3 * j] - px) ** 2 + (coords[3 * j + 1] - py) ** 2 + (coords[3 * j + 2] - pz) ** 2 < rj * rj;
+            });
+            if (buried) continue;
+            exposed++;
+            direction[0] += dot[0];
+            direction[1] += dot[1];
+            direction[2] += dot[2];
+        }
+        if (exposed === 0) continue;
+
+        const atomArea = 4 * Math.PI * extended * extended * exposed / MODEL_SURFACE_DOTS;
+        const length = Math.hypot(...direction);
+        const offset = length > 1e-6 ? (radii[i] + thickness / 2) / length : 0;
+        sites.push(xi + direction[0] * offset, yi + direction[1] * offset, zi + direction[2] * offset);
+        volumes.push(atomArea * thickness);
+        owners.push(i);
+        area += atomArea;
+    }
+
+    return { sites, volumes, owners, area };
+}
+
+// ========================
+// 散射中心 (原子或殘基粗粒化)
+// ========================
+
+/**
+ * 依鏈、殘基編號與名稱將原子分組；缺殘基編號的原子各自成組
+ * @param {Array<object>} atoms - parseAtomicModel 的 atoms
+ * @returns {object} { groups: Int32Array (原子所屬組索引), count }
+ */
+function residueGroups(atoms) {
+    const lookup = new Map();
+    const groups = new Int32Array(atoms.length);
+    atoms.forEach((atom, i) => {
+        const key = atom.residueNumber ? `${atom.chainId}:${atom.residueNumber}:${atom.residue}` : `#${i}`;
+        if (!lookup.has(key)) lookup.set(key, lookup.size);
+        groups[i] = lookup.get(key);
+    });
+    return { groups, count: lookup.size };
+}
+
+/**
+ * 估計模型散射的散射中心數 (不含水合層)，供計算前判斷是否需要確認
+ * @param {object} model - parseAtomicModel 結果
+ * @returns {object} { count, coarseGrained }
+ */
+function countModelScatterers(model) {
+    const coarseGrained = model.atoms.length > MODEL_COARSE_GRAIN_ATOMS;
+    return { count: coarseGrained ? residueGroups(model.atoms).count : model.atoms.length, coarseGrained };
+}
+
+/**
+ * 建立散射中心，每個中心帶有各散射種類的權重和
+ * 不分組時每個原子與水合層點各為一個中心；分組時同一殘基的原子 (及其水合層點) 合併於 (權重) 質心，
+ * 中心內的配對視為距離 0 (coincident)
+ * @param {Float64Array} coords - 原子座標
+ * @param {Int32Array} typeIndex - 原子種類索引
+ * @param {object} shell - buildHydrationShell 結果
+ * @param {Int32Array|null} groups - 原子所屬殘基索引 (null 表示不分組)
+ * @param {number} waterType - 水合層種類索引
+ * @returns {object} { points, start, type, weight (start[i]..start[i+1] 為中心 i 的種類與權重), solvent, self, coincident }
+ */
+function buildScatterers(coords, typeIndex, shell, groups, waterType) {
+    const centers = [];
+    const lookup = new Map();
+    const add = (key, solvent, x, y, z, type, weight) => {
+        let center = lookup.get(key);
+        if (!center) {
+            center = { solvent, x: 0, y: 0, z: 0, total: 0, weights: new Map(), squares: new Map() };
+            lookup.set(key, center);
+            centers.push(center);
+        }
+        center.x += weight * x;
+        center.y += weight * y;
+        center.z += weight * z;
+        center.total += weight;
+        center.weights.set(type, (center.weights.get(type) || 0) + weight);
+        center.squares.set(type, (center.squares.get(type) || 0) + weight * weight);
+    };
+
+    for (let i = 0; i < typeIndex.length; i++) {
+        add(groups ? groups[i] : i, false, coords[3 * i], coords[3 * i + 1], coords[3 * i + 2], typeIndex[i], 1);
+    }
+    shell.volumes.forEach((volume, k) => {
+        const key = -1 - (groups ? groups[shell.owners[k]] : k);
+        add(key, true, shell.sites[3 * k], shell.sites[3 * k + 1], shell.sites[3 * k + 2], waterType, volume);
+    });
+
+    const total = centers.length;
+    const typeCount = waterType + 1;
+    const points = new Float64Array(total * 3);
+    const start = new Int32Array(total + 1);
+    const solvent = new Uint8Array(total);
+    const self = new Float64Array(typeCount);
+    const coincident = Array.from({ length: typeCount }, () => new Float64Array(typeCount));
+    const type = [], weight = [];
+
+    centers.forEach((center, i) => {
+        points[3 * i] = center.x / center.total;
+        points[3 * i + 1] = center.y / center.total;
+        points[3 * i + 2] = center.z / center.total;
+        solvent[i] = center.solvent ? 1 : 0;
+        start[i] = type.length;
+
+        // (Σw)² = Σw² + 2·Σ_{i<j} wᵢwⱼ: 自身項歸入 self，其餘為距離 0 的配對
+        const entries = [...center.weights];
+        entries.forEach(([a, w], m) => {
+            type.push(a);
+            weight.push(w);
+            const squares = center.squares.get(a);
+            self[a] += squares;
+            coincident[a][a] += (w * w - squares) / 2;
+            for (const [b, wb] of entries.slice(m + 1)) coincident[a][b] += w * wb;
+        });
+    });
+    start[total] = type.length;
+
+    return { points, start, type: Int32Array.from(type), weight: Float64Array.from(weight), solvent, self, coincident };
+}
+
+// ========================
+// Debye 散射
+// ========================
+
+/**
+ * 計算原子模型的部分散射項 (依原子種類配對)
+ * I(q) = Σₐ selfₐ·Fₐ² + 2·Σₐ≤ᵦ Fₐ·Fᵦ·Sₐᵦ(q)，Sₐᵦ = Σ_{i<j} wᵢwⱼ·sin(q·rᵢⱼ)/(q·rᵢⱼ)
+ * 原子種類的 Fₐ = f_vac − c₁·f_excl；水合層虛擬原子為最後一種，F = δρ·exp(−q²·V_w^(2/3)/4π)
+ * 直方圖法將距離分入 0.25 Å 間隔；逐對 Debye 法 (method 'debye') 對每個 q 直接加總，
+ * 僅在散射中心 (原子 + 水合層) 的配對數 × q 點數不超過 MODEL_DEBYE_MAX_TERMS 時使用
+ * 原子數超過 MODEL_COARSE_GRAIN_ATOMS 時以殘基為散射中心 (殘基內原子視為重合，高 q 精度較低，D_max 為殘基中心間距)
+ * @param {object} model - parseAtomicModel 結果
+ * @param {Array<number>} q - 散射向量 (Å⁻¹)
+ * @param {object} options - 選項
+ * @param {string} options.method - 'histogram' (預設) | 'debye'
+ * @param {boolean} options.hydration - 是否加入水合層 (預設 true)
+ * @param {number} options.solventDensity - 溶劑電子密度 (e/Å³)，預設水 0.334
+ * @param {boolean} options.coarseGrain - 是否以殘基為散射中心 (預設依原子數自動判斷)
+ * @returns {object} { q, method, debyeTerms, solventDensity, types, atomCount, coarseGrained, scattererCount, hydrationSites, hydrationArea, hydrationVolume, unknownElements,
+ *   implicitHydrogens, self, pairs (每個 q 的部分和), histogram, binWidth, dmax, rgAtoms }
+ */
+function calculateModelScattering(model, q, options = {}) {
+    const atoms = model.atoms;
+    const implicitHydrogens = !model.hasHydrogen;
+    const { types, typeIndex, unknownElements } = buildAtomTypes(atoms, implicitHydrogens);
+
+    const coords = new Float64Array(atoms.length * 3);
+    const radii = new Float64Array(atoms.length);
+    atoms.forEach((atom, i) => {
+        coords[3 * i] = atom.x;
+        coords[3 * i + 1] = atom.y;
+        coords[3 * i + 2] = atom.z;
+        radii[i] = types[typeIndex[i]].radius;
+    });
+
+    // 原子座標 R_g (不加權) 與最大原子間距
+    const center = [0, 1, 2].map(axis => atoms.reduce((sum, _, i) => sum + coords[3 * i + axis], 0) / atoms.length);
+    const rgAtoms = Math.sqrt(atoms.reduce((sum, _, i) =>
+        sum + (coords[3 * i] - center[0]) ** 2 + (coords[3 * i + 1] - center[1]) ** 2 + (coords[3 * i + 2] - center[2]) ** 2, 0) / atoms.length);
+
+    const shell = options.hydration === false ? { sites: [], volumes: [], area: 0 } : buildHydrationShell(coords, radii);
+
+    // 散射中心: 原子 (權重 1) + 水合層虛擬原子 (權重 = 水合層體積)
+    const coarseGrained = options.coarseGrain ?? atoms.length > MODEL_COARSE_GRAIN_ATOMS;
+    const groups = coarseGrained ? residueGroups(atoms).groups : null;
+    const waterType = types.length;
+    const typeCount = types.length + 1;
+    const siteCount = shell.volumes.length;
+    const { points, start, type, weight, solvent, self, coincident } =
+        buildScatterers(coords, typeIndex, shell, groups, waterType);
+    const total = solvent.length;
+
+    const pairIndex = Array.from({ length: typeCount }, () => new Int32Array(typeCount));
+    let pairCount = 0;
+    for (let a = 0; a < typeCount; a++) {
+        for (let b = a; b < typeCount; b++) pairIndex[a][b] = pairIndex[b][a] = pairCount++;
+    }
+
+    // 直方圖上限: 外接盒對角線
+    let extent = 0;
+    for (let axis = 0; axis < 3; axis++) {
+        let low = Infinity, high = -Infinity;
+        for (let i = 0; i < total; i++) {
+            low = Math.min(low, points[3 * i + axis]);
+            high = Math.max(high, points[3 * i + axis]);
+        }
+        extent += (high - low) ** 2;
+    }
+    const binWidth = MODEL_HISTOGRAM_BIN;
+    const binCount = Math.floor(Math.sqrt(extent) / binWidth) + 2;
+    const histogram = new Float64Array(pairCount * binCount);
+
+    const nq = q.length;
+    const debyeTerms = total * (total - 1) / 2 * nq;
+    const method = options.method === 'debye' && debyeTerms <= MODEL_DEBYE_MAX_TERMS ? 'debye' : 'histogram';
+    const qValues = Float64Array.from(q);
+    const pairs = new Float64Array(pairCount * nq);
+
+    const accumulate = (p, w, r, bin) => {
+        histogram[p * binCount + bin] += w;
+        if (method === 'debye') {
+            const offset = p * nq;
+            for (let k = 0; k < nq; k++) {
+                const x = qValues[k] * r;
+                pairs[offset + k] += x > 1e-8 ? w * Math.sin(x) / x : w;
+            }
+        }
+    };
+
+    // 同一中心內的配對 (距離 0)
+    for (let a = 0; a < typeCount; a++) {
+        for (let b = 0; b < typeCount; b++) {
+            if (coincident[a][b] > 0) accumulate(pairIndex[a][b], coincident[a][b], 0, 0);
+        }
+    }
+
+    // 每個中心僅一種散射種類時 (未粗粒化) 直接配對
+    const single = start[total] === total;
+    let dmax = 0;
+    for (let i = 0; i < total; i++) {
+        const xi = points[3 * i], yi = points[3 * i + 1], zi = points[3 * i + 2];
+        for (let j = i + 1; j < total; j++) {
+            const dx = points[3 * j] - xi, dy = points[3 * j + 1] - yi, dz = points[3 * j + 2] - zi;
+            const r = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            const bin = Math.floor(r / binWidth);
+            if (!solvent[i] && !solvent[j] && r > dmax) dmax = r;
+            if (single) {
+                accumulate(pairIndex[type[i]][type[j]], weight[i] * weight[j], r, bin);
+                continue;
+            }
+            for (let m = start[i]; m < start[i + 1]; m++) {
+                const row = pairIndex[type[m]];
+                for (let n = start[j]; n < start[j + 1]; n++) accumulate(row[type[n]], weight[m] * weight[n], r, bin);
+            }
+        }
+    }
+
+    if (method === 'histogram') {
+        for (let k = 0; k < nq; k++) {
+            const sinc = new Float64Array(binCount);
+            for (let bin = 0; bin < binCount; bin++) {
+                const x = q[k] * (bin + 0.5) * binWidth;
+                sinc[bin] = x > 1e-8 ? Math.sin(x) / x : 1;
+            }
+            for (let p = 0; p < pairCount; p++) {
+                let sum = 0;
+                for (let bin = 0; bin < binCount; bin++) sum += histogram[p * binCount + bin] * sinc[bin];
+                pairs[p * nq + k] = sum;
+            }
+        }
+    }
+
+    return {
+        q: q.slice(),
+        method,
+        debyeTerms,
+        solventDensity: options.solventDensity || SOLVENT_ELECTRON_DENSITY,
+        types,
+        atomCount: atoms.length,
+        coarseGrained,
+        scattererCount: total,
+        hydrationSites: siteCount,
+        hydrationArea: shell.area,
+        hydrationVolume: shell.volumes.reduce((sum, v) => sum + v, 0),
+        unknownElements,
+        implicitHydrogens,
+        typeCount,
+        pairIndex,
+        self,
+        pairs,
+        histogram,
+        binCount,
+        binWidth,
+        dmax,
+        rgAtoms
+    };
+}
+
+/**
+ * 各散射種類在 q 的振幅 Fₐ (原子種類 + 水合層)
+ * @param {object} result - calculateModelScattering 結果
+ * @param {number} q - 散射向量 (Å⁻¹)
+ * @param {number} excludedVolume - 排除體積比例 c₁
+ * @param {number} contrast - 水合層對比 δρ (e/Å³)
+ * @returns {Array<number>} 振幅 (電子數)
+ */
+function modelAmplitudes(result, q, excludedVolume, contrast) {
+    const amplitudes = result.types.map(type =>
+        atomicFormFactor(type.element, q) + type.hydrogens * atomicFormFactor('H', q) -
+        excludedVolume * gaussianSphereAmplitude(type.volume, result.solventDensity, q)
+    );
+    amplitudes.push(gaussianSphereAmplitude(HYDRATION_SHELL.waterVolume, contrast, q) / HYDRATION_SHELL.waterVolume);
+    return amplitudes;
+}
+
+/**
+ * 在給定溶劑參數下組合模型散射強度
+ * @param {object} result - calculateModelScattering 結果
+ * @param {number} excludedVolume - 排除體積比例 c₁ (預設 1)
+ * @param {number} contrast - 水合層對比 δρ (e/Å³)
+ * @returns {Array<number>} I(q) (e²)
+ */
+function modelIntensity(result, excludedVolume = 1, contrast = HYDRATION_SHELL.contrast) {
+    const { typeCount, pairIndex, self, pairs } = result;
+    const nq = result.q.length;
+
+    return result.q.map((q, k) => {
+        const F = modelAmplitudes(result, q, excludedVolume, contrast);
+        let intensity = 0;
+        for (let a = 0; a < typeCount; a++) {
+            intensity += self[a] * F[a] * F[a];
+            for (let b = a; b < typeCount; b++) intensity += 2 * F[a] * F[b] * pairs[pairIndex[a][b] * nq + k];
+        }
+        return intensity;
+    });
+}
+
+/**
+ * 由距離直方圖計算模型的對比加權 P(r)、R_g 與 I(0)
+ * @param {object} result - calculateModelScattering 結果
+ * @param {number} excludedVolume - 排除體積比例 c₁
+ * @param {number} contrast - 水合層對比 δρ (e/Å³)；0 表示不含水合層
+ * @returns {object} { r, p (e²/Å), rg, i0, dmax }
+ */
+function modelDistanceDistribution(result, excludedVolume = 1, contrast = HYDRATION_SHELL.contrast) {
+    const { typeCount, pairIndex, self, histogram, binCount, binWidth } = result;
+    const F = modelAmplitudes(result, 0, excludedVolume, contrast);
+
+    let i0 = 0, m2 = 0;
+    for (let a = 0; a < typeCount; a++) i0 += self[a] * F[a] * F[a];
+
+    const group = Math.max(1, Math.round(MODEL_PR_BIN / binWidth));
+    const r = [0], p = [0];
+    for (let start = 0; start < binCount; start += group) {
+        let sum = 0;
+        for (let bin = start; bin < Math.min(start + group, binCount); bin++) {
+            const rBin = (bin + 0.5) * binWidth;
+            let value = 0;
+            for (let a = 0; a < typeCount; a++) {
+                for (let b = a; b < typeCount; b++) value += 2 * F[a] * F[b] * histogram[pairIndex[a][b] * binCount + bin];
+            }
+            sum += value;
+            m2 += value * rBin * rBin;
+        }
+        r.push((start + group / 2) * binWidth);
+        p.push(sum / (group * binWidth));
+        i0 += sum;
+    }
+
+    // 去除尾端空白
+    while (p.length > 2 && p[p.length - 1] === 0 && p[p.length - 2] === 0) {
+        r.pop();
+        p.pop();
+    }
+
+    return { r, p, rg: Math.sqrt(Math.max(m2 / (2 * i0), 0)), i0, dmax: result.dmax };
+}
+
+// ========================
+// 與實驗曲線比較
+// ========================
+
+/**
+ * 加權線性擬合 I_exp ≈ scale · I_model + background
+ * @param {Array<number>} model - 模型強度
+ * @param {Array<number>} intensity - 實驗強度
+ * @param {Array<number>} weights - 權重 1/σ²
+ * @param {boolean} fitBackground - 是否擬合常數背景
+ * @returns {object} { scale, background, chi2Sum }
+ */
+function fitScaleBackground(model, intensity, weights, fitBackground) {
+    let Sw = 0, Sm = 0, Smm = 0, Sy = 0, Smy = 0;
+    model.forEach((m, i) => {
+        const w = weights[i];
+        Sw += w;
+        Sm += w * m;
+        Smm += w * m * m;
+        Sy += w * intensity[i];
+        Smy += w * m * intensity[i];
+    });
+
+    let scale, background;
+    if (fitBackground) {
+        const delta = Sw * Smm - Sm * Sm;
+        scale = (Sw * Smy - Sm * Sy) / delta;
+        background = (Smm * Sy - Sm * Smy) / delta;
+    } else {
+        scale = Smy / Smm;
+        background = 0;
+    }
+
+    const chi2Sum = model.reduce((sum, m, i) => sum + weights[i] * (intensity[i] - scale * m - background) ** 2, 0);
+    return { scale, background, chi2Sum };
+}
+
+/**
+ * 將模型散射擬合至實驗曲線: 尺度與背景為線性參數；可同時掃描 c₁ 與 δρ (CRYSOL 式)
+ * 模型須以實驗 q 點計算 (calculateModelScattering 的 q 與 profile.q[start..end] 相同)
+ * @param {object} result - calculateModelScattering 結果
+ * @param {object} profile - parseDatFile 結果
+ * @param {object} options - 選項
+ * @param {number} options.start - 起始索引
+ * @param {boolean} options.fitSolvent - 是否擬合 c₁ 與 δρ (預設 true)
+ * @param {boolean} options.fitBackground - 是否擬合常數背景 (預設 true)
+ * @param {number} options.contrast - 不擬合時使用的 δρ (e/Å³)
+ * @returns {object|null} { scale, background, excludedVolume, contrast, chi2, parameters, fit: { q, intensity, fitted, residuals } }
+ */
+function fitModelToProfile(result, profile, options = {}) {
+    const start = options.start ?? 0;
+    const fitSolvent = options.fitSolvent ?? true;
+    const fitBackground = options.fitBackground ?? true;
+
+    const q = [], intensity = [], weights = [], used = [];
+    result.q.forEach((_, k) => {
+        const i = start + k;
+        const I = profile.intensity[i];
+        const sigma = profile.hasSigma ? profile.sigma[i] : Math.abs(I);
+        if (!(sigma > 0) || !isFinite(I)) return;
+        q.push(profile.q[i]);
+        intensity.push(I);
+        weights.push(1 / (sigma * sigma));
+        used.push(k);
+    });
+    const parameters = (fitBackground ? 2 : 1) + (fitSolvent ? 2 : 0);
+    if (q.length <= parameters + 2) return null;
+
+    const range = ({ min, max, step }) =>
+        Array.from({ length: Math.round((max - min) / step) + 1 }, (_, k) => min + k * step);
+    const excludedVolumes = fitSolvent ? range(MODEL_FIT_GRID.excludedVolume) : [1];
+    const contrasts = fitSolvent ? range(MODEL_FIT_GRID.contrast) : [options.contrast ?? HYDRATION_SHELL.contrast];
+
+    let best = null;
+    for (const excludedVolume of excludedVolumes) {
+        for (const contrast of contrasts) {
+            const full = modelIntensity(result, excludedVolume, contrast);
+            const model = used.map(k => full[k]);
+            const fit = fitScaleBackground(model, intensity, weights, fitBackground);
+            if (!(fit.scale > 0)) continue;
+            if (!best || fit.chi2Sum < best.chi2Sum) best = { ...fit, excludedVolume, contrast, model };
+        }
+    }
+    if (!best) return null;
+
+    const fitted = best.model.map(m => best.scale * m + best.background);
+    return {
+        scale: best.scale,
+        background: best.background,
+        excludedVolume: best.excludedVolume,
+        contrast: best.contrast,
+        chi2: best.chi2Sum / (q.length - parameters),
+        parameters,
+        fitSolvent,
+        fitBackground,
+        fit: {
+            q,
+            intensity,
+            fitted,
+            residuals: fitted.map((value, i) => (intensity[i] - value) * Math.sqrt(weights[i]))
+        }
+    };
+}
+
+// 導出函數
+window.ModelScattering = {
+    calculateModelScattering,
+    modelIntensity,
+    modelDistanceDistribution,
+    fitModelToProfile,
+    countModelScatterers,
+    HYDRATION_SHELL,
+    MODEL_DEBYE_MAX_TERMS,
+    MODEL_COARSE_GRAIN_ATOMS,
+    MODEL_CONFIRM_SCATTERERS
+};
@@ -1,6 +1,6 @@
 /**
  * TPS13A SAXS Calculator - Protein Analysis Module
- * 蛋白質序列分析與計算
+ * 蛋白質與核酸序列分析與計算
  */
 
 // 氨基酸資料表
@@ -24,7 +24,13 @@ const AMINO_ACIDS = {
     'T': { name: 'Thr', mw: 119.12, volume: 116.1, electrons: 54 },
     'W': { name: 'Trp', mw: 204.23, volume: 227.8, electrons: 98 },
     'Y': { name: 'Tyr', mw: 181.19, volume: 193.6, electrons: 86 },
-    'V': { name: 'Val', mw: 117.15, volume: 140.0, electrons: 54 }
+    'V': { name: 'Val', mw: 117.15, volume: 140.0, electrons: 54 },
+    // 非標準殘基 (體積為估計值；B/Z 取兩者平均，X 取平均殘基)
+    'U': { name: 'Sec', mw: 168.05, volume: 112.0, electrons: 82 },
+    'O': { name: 'Pyl', mw: 255.31, volume: 252.0, electrons: 138 },
+    'B': { name: 'Asx', mw: 132.61, volume: 112.6, electrons: 64 },
+    'Z': { name: 'Glx', mw: 146.64, volume: 141.1, electrons: 71 },
+    'X': { name: 'Xaa', mw: 128.16, volume: 136.0, electrons: 68 }
 };
 
 // 消光係數 (280nm, M-1 cm-1)
@@ -36,6 +42,127 @@ const EXTINCTION_COEFFS = {
 
 const WATER_MW = 18.015;
 
+// 殘基折射率增量 dn/dc (mL/g)，589 nm、25°C
+// 來源: Zhao, Brown & Schuck (2011) Biophys. J. 100, 2309
+const RESIDUE_DNDC = {
+    'A': 0.167, 'R': 0.206, 'N': 0.192, 'D': 0.197, 'C': 0.206,
+    'E': 0.183, 'Q': 0.186, 'G': 0.175, 'H': 0.219, 'I': 0.179,
+    'L': 0.173, 'K': 0.181, 'M': 0.204, 'F': 0.244, 'P': 0.165,
+    'S': 0.170, 'T': 0.172, 'W': 0.277, 'Y': 0.240, 'V': 0.172,
+    // 非標準殘基: 以相近殘基或平均值近似
+    'U': 0.206, 'O': 0.181, 'B': 0.195, 'Z': 0.185, 'X': 0.185
+};
+
+// RESIDUE_DNDC 的量測條件
+const DNDC_REF_WAVELENGTH = 589;  // nm
+const DNDC_REF_TEMPERATURE = 25;  // °C
+
+// 殘基部分比容 v̄ (cm³/g)，25°C
+// 來源: Cohn & Edsall (1943)，整理於 Perkins (1986) Eur. J. Biochem. 157, 169
+const RESIDUE_VBAR = {
+    'A': 0.74, 'R': 0.70, 'N': 0.62, 'D': 0.60, 'C': 0.63,
+    'E': 0.66, 'Q': 0.67, 'G': 0.64, 'H': 0.67, 'I': 0.90,
+    'L': 0.90, 'K': 0.82, 'M': 0.75, 'F': 0.77, 'P': 0.76,
+    'S': 0.63, 'T': 0.70, 'W': 0.74, 'Y': 0.71, 'V': 0.86,
+    // 非標準殘基: 以相近殘基或平均值近似
+    'U': 0.60, 'O': 0.78, 'B': 0.61, 'Z': 0.665, 'X': 0.72
+};
+
+// v̄ 溫度校正 - Durchschlag (1986): dv̄/dT ≈ 4.25 × 10⁻⁴ cm³ g⁻¹ K⁻¹
+const VBAR_REF_TEMPERATURE = 25;  // °C
+const VBAR_TEMPERATURE_COEFF = 4.25e-4;
+
+// 核苷酸資料表 (鏈內殘基，游離酸形式，不含反離子)
+// mw: 殘基質量 (NMP − H₂O)；electrons: 依分子式計算
+// volume: 以 v̄ (DNA 0.55, RNA 0.53 cm³/g) 換算的殘基體積
+// epsilon260: 單核苷酸 ε260 (M⁻¹ cm⁻¹, Cavaluzzi & Borer 2004)
+const NUCLEOTIDES = {
+    'dA': { name: 'dA', base: 'A', mw: 313.21, volume: 286.1, electrons: 162, epsilon260: 15400 },
+    'dC': { name: 'dC', base: 'C', mw: 289.18, volume: 264.1, electrons: 150, epsilon260: 7400 },
+    'dG': { name: 'dG', base: 'G', mw: 329.21, volume: 300.7, electrons: 170, epsilon260: 11500 },
+    'dT': { name: 'dT', base: 'T', mw: 304.20, volume: 277.8, electrons: 158, epsilon260: 8700 },
+    'rA': { name: 'rA', base: 'A', mw: 329.21, volume: 289.7, electrons: 170, epsilon260: 15400 },
+    'rC': { name: 'rC', base: 'C', mw: 305.18, volume: 268.6, electrons: 158, epsilon260: 7200 },
+    'rG': { name: 'rG', base: 'G', mw: 345.21, volume: 303.8, electrons: 178, epsilon260: 11500 },
+    'rU': { name: 'rU', base: 'U', mw: 306.17, volume: 269.4, electrons: 158, epsilon260: 9900 }
+};
+
+// 序列類型: 單字母 → 核苷酸鍵值
+const NUCLEIC_ACID_TYPES = {
+    dsDNA: { label: 'dsDNA', prefix: 'd', bases: 'ACGT', strands: 2, a280PerA260: 1 / 1.8 },
+    ssDNA: { label: 'ssDNA', prefix: 'd', bases: 'ACGT', strands: 1, a280PerA260: 1 / 1.8 },
+    RNA:   { label: 'RNA',   prefix: 'r', bases: 'ACGU', strands: 1, a280PerA260: 1 / 2.0 }
+};
+
+const DNA_COMPLEMENT = { 'A': 'T', 'T': 'A', 'G': 'C', 'C': 'G' };
+
+// 預設修飾 / 配體 / 輔因子資料庫 (使用者可於介面編輯)
+// mw、volume、electrons 為相對於未修飾分子的增量
+// epsilon280 / epsilon260: 發色團貢獻 (M⁻¹ cm⁻¹)；dndc: 589 nm 折射率增量 (null 表示視同主體)
+// charge: 中性 pH 下的淨電荷變化 (乙醯化中和 Lys 為 -1)；pka: 最後一個電荷的 pKa (null 表示不滴定)
+// 醣類體積以 v̄ ≈ 0.62 cm³/g 換算；金屬離子取離子半徑體積；heme ε280 為估計值
+const DEFAULT_MODIFICATIONS = [
+    { id: 'phospho', name: 'Phosphorylation (+HPO₃)', category: 'ptm', mw: 79.98, volume: 45.0, electrons: 40, epsilon280: 0, epsilon260: 0, dndc: null, charge: -2, pka: 6.7 },
+    { id: 'acetyl', name: 'Acetylation (+C₂H₂O)', category: 'ptm', mw: 42.04, volume: 45.0, electrons: 22, epsilon280: 0, epsilon260: 0, dndc: null, charge: -1, pka: null },
+    { id: 'methyl', name: 'Methylation (+CH₂)', category: 'ptm', mw: 14.03, volume: 25.0, electrons: 8, epsilon280: 0, epsilon260: 0, dndc: null, charge: 0, pka: null },
+    { id: 'oglcnac', name: 'O-GlcNAc', category: 'glycan', mw: 203.19, volume: 209.2, electrons: 108, epsilon280: 0, epsilon260: 0, dndc: 0.146, charge: 0, pka: null },
+    { id: 'nglycan-core', name: 'N-glycan core (Man₃GlcNAc₂)', category: 'glycan', mw: 892.82, volume: 919.2, electrons: 474, epsilon280: 0, epsilon260: 0, dndc: 0.146, charge: 0, pka: null },
+    { id: 'heme-b', name: 'Heme b (Fe-protoporphyrin IX)', category: 'ligand', mw: 616.49, volume: 767.8, electrons: 322, epsilon280: 12500, epsilon260: 0, dndc: null, charge: -2, pka: 4.8 },
+    { id: 'atp', name: 'ATP', category: 'ligand', mw: 507.18, volume: 420.0, electrons: 260, epsilon280: 2300, epsilon260: 15400, dndc: null, charge: -4, pka: 6.5 },
+    { id: 'zn', name: 'Zn²⁺', category: 'metal', mw: 65.38, volume: 1.7, electrons: 28, epsilon280: 0, epsilon260: 0, dndc: null, charge: 2, pka: null },
+    { id: 'mg', name: 'Mg²⁺', category: 'metal', mw: 24.305, volume: 1.6, electrons: 10, epsilon280: 0, epsilon260: 0, dndc: null, charge: 2, pka: null },
+    { id: 'ca', name: 'Ca²⁺', category: 'metal', mw: 40.078, volume: 4.2, electrons: 18, epsilon280: 0, epsilon260: 0, dndc: null, charge: 2, pka: null },
+    { id: 'fe', name: 'Fe²⁺ (non-heme)', category: 'metal', mw: 55.845, volume: 2.0, electrons: 24, epsilon280: 0, epsilon260: 0, dndc: null, charge: 2, pka: null }
+];
+
+// 可離子化側鏈 pKa (EMBOSS iep)；charge: +1 質子化時帶正電、-1 去質子化時帶負電
+// B/Z 為 D/N、E/Q 混合，以半個酸性基團計
+const SIDE_CHAIN_PKA = {
+    'K': [{ pKa: 10.8, charge: 1 }],
+    'R': [{ pKa: 12.5, charge: 1 }],
+    'H': [{ pKa: 6.5, charge: 1 }],
+    'D': [{ pKa: 3.9, charge: -1 }],
+    'E': [{ pKa: 4.1, charge: -1 }],
+    'C': [{ pKa: 8.5, charge: -1 }],
+    'Y': [{ pKa: 10.1, charge: -1 }],
+    'U': [{ pKa: 5.2, charge: -1 }],
+    'B': [{ pKa: 3.9, charge: -1, weight: 0.5 }],
+    'Z': [{ pKa: 4.1, charge: -1, weight: 0.5 }]
+};
+
+const TERMINAL_PKA = { nTerm: 8.6, cTerm: 3.6 };
+
+// 核酸: 磷酸二酯 pKa ≈ 1；鹼基 A(N1)、C(N3)、G(N7) 質子化，G(N1)、T/U(N3) 去質子化
+const NUCLEOTIDE_PKA = {
+    phosphate: { pKa: 1.0, charge: -1 },
+    'A': [{ pKa: 3.5, charge: 1 }],
+    'C': [{ pKa: 4.2, charge: 1 }],
+    'G': [{ pKa: 3.3, charge: 1 }, { pKa: 9.2, charge: -1 }],
+    'T': [{ pKa: 9.7, charge: -1 }],
+    'U': [{ pKa: 9.3, charge: -1 }]
+};
+
+// 蛋白酶切位: pattern 比對識別序列 (含 P1' 前瞻)，cutOffset 為切點相對於比對起點的位置
+const PROTEASE_SITES = {
+    tev: { name: 'TEV', motif: 'ENLYFQ↓G/S', pattern: /ENLYFQ(?=[GS])/g, cutOffset: 6 },
+    '3c': { name: 'HRV 3C', motif: 'LEVLFQ↓GP', pattern: /LEVLFQ(?=GP)/g, cutOffset: 6 },
+    thrombin: { name: 'Thrombin', motif: 'LVPR↓GS', pattern: /LVPR(?=GS)/g, cutOffset: 4 }
+};
+
+// 常見親和 / 偵測標籤
+const TAG_MOTIFS = [
+    { name: 'His', pattern: /H{6,}/g },
+    { name: 'Strep-tag II', pattern: /WSHPQFEK/g },
+    { name: 'FLAG', pattern: /DYKDDDDK/g },
+    { name: 'HA', pattern: /YPYDVPDYA/g },
+    { name: 'Myc', pattern: /EQKLISEEDL/g },
+    { name: 'Avi', pattern: /GLNDIFEAQKIEWHE/g }
+];
+
+// 每條鏈末端校正: 5'-OH 合成寡核苷酸 (移除 HPO₃ 再加 H₂O)
+const STRAND_END_MW = -61.96;
+const STRAND_END_ELECTRONS = -30;
+
 /**
  * 解析蛋白質序列
  * @param {string} sequence - 單字母氨基酸序列
@@ -137,15 +264,17 @@ function calculateElectronCount(composition) {
  * 計算消光係數 (280nm)
  * @param {object} composition - 氨基酸組成
  * @param {boolean} reducedCysteine - 是否為還原態半胱氨酸
+ * @param {number|null} disulfideCount - 註解的二硫鍵數 (鏈間鍵計 0.5)；null 時依 reducedCysteine 推估
  * @returns {object} 消光係數資訊
  */
-function calculateExtinctionCoeff(composition, reducedCysteine = false) {
+function calculateExtinctionCoeff(composition, reducedCysteine = false, disulfideCount = null) {
     const nW = composition['W'] || 0;  // Trp
     const nY = composition['Y'] || 0;  // Tyr
     const nC = composition['C'] || 0;  // Cys
     
-    // 二硫鍵數量 (假設全部形成)
-    const nDisulfide = reducedCysteine ? 0 : Math.floor(nC / 2);
+    // 二硫鍵數量 (有註解時以註解為準，否則假設全部形成)
+    const nDisulfide = disulfideCount !== null ? Math.min(disulfideCount, nC / 2) :
+        reducedCysteine ? 0 : Math.floor(nC / 2);
     
     // ε = nW × 5500 + nY × 1490 + nDisulfide × 125
     const epsilon = nW * EXTINCTION_COEFFS['W'] + 
@@ -162,33 +291,69 @@ function calculateExtinctionCoeff(composition, reducedCysteine = false) {
 }
 
 /**
- * 計算 dn/dc (折射率增量)
- * @param {number} mw - 分子量
- * @returns {number} dn/dc (mL/g)
+ * 由殘基折射率增量計算 dn/dc，並校正至指定波長與溫度
+ * dn/dc = Σ(nᵢ·Mᵢ·(dn/dc)ᵢ) / Σ(nᵢ·Mᵢ)，Mᵢ 為殘基質量 (扣除水)
+ * @param {object} composition - 氨基酸組成
+ * @param {number} wavelength - 目標波長 (nm)，預設 589
+ * @param {number} temperature - 目標溫度 (°C)，預設 25
+ * @returns {object} { dndc, reference, wavelength, temperature }
  */
-function calculateDnDc(mw) {
-    // 典型蛋白質 dn/dc ≈ 0.185 mL/g
-    // 可根據組成微調，這裡使用標準值
-    return 0.185;
+function calculateDnDc(composition, wavelength = DNDC_REF_WAVELENGTH, temperature = DNDC_REF_TEMPERATURE) {
+    let weighted = 0;
+    let mass = 0;
+
+    for (const [aa, count] of Object.entries(composition)) {
+        if (AMINO_ACIDS[aa] && RESIDUE_DNDC[aa]) {
+            const residueMass = count * (AMINO_ACIDS[aa].mw - WATER_MW);
+            weighted += residueMass * RESIDUE_DNDC[aa];
+            mass += residueMass;
+        }
+    }
+
+    // 589 nm / 25°C 參考值，再以 dn/dc 模組的溫度與 Cauchy 色散校正
+    const reference = mass > 0 ? weighted / mass : 0;
+    const corrected = DndcCalculations.comprehensiveCorrection(
+        reference, DNDC_REF_TEMPERATURE, DNDC_REF_WAVELENGTH, temperature, wavelength
+    );
+
+    return {
+        dndc: corrected.finalDndc,
+        reference: reference,
+        wavelength: wavelength,
+        temperature: temperature
+    };
 }
 
 /**
  * 計算部分比容 (partial specific volume)
+ * Cohn-Edsall 殘基質量加權平均: v̄ = Σ nᵢ Mᵢ v̄ᵢ / Σ nᵢ Mᵢ (Mᵢ 為殘基質量)，再做溫度校正
  * @param {object} composition - 氨基酸組成
+ * @param {number} temperature - 溫度 (°C)，預設 25
  * @returns {number} v-bar (cm³/g)
  */
-function calculatePartialSpecificVolume(composition) {
-    // 使用加權平均計算
+function calculatePartialSpecificVolume(composition, temperature = VBAR_REF_TEMPERATURE) {
     // 典型蛋白質 v-bar ≈ 0.73 cm³/g
-    const dryVolume = calculateDryVolume(composition);
-    const mw = calculateMolecularWeight(composition);
-    
-    // V(Å³) → cm³/mol，除以 MW 得到 cm³/g
-    // 1 Å³ = 1e-24 cm³, 乘以 Avogadro 數
-    const avogadro = 6.022e23;
-    const vbar = (dryVolume * 1e-24 * avogadro) / mw;
-    
-    return vbar;
+    let residueMass = 0;
+    let residueVolume = 0;
+
+    for (const [aa, count] of Object.entries(composition)) {
+        const mass = (AMINO_ACIDS[aa].mw - WATER_MW) * count;
+        residueMass += mass;
+        residueVolume += mass * RESIDUE_VBAR[aa];
+    }
+
+    if (residueMass === 0) return 0;
+    return correctVbarForTemperature(residueVolume / residueMass, temperature);
+}
+
+/**
+ * v̄ 溫度校正 (Durchschlag): v̄(T) = v̄(25°C) + 4.25 × 10⁻⁴ × (T − 25)
+ * @param {number} vbar - 25°C 的 v̄ (cm³/g)
+ * @param {number} temperature - 溫度 (°C)
+ * @returns {number} v̄(T) (cm³/g)
+ */
+function correctVbarForTemperature(vbar, temperature = VBAR_REF_TEMPERATURE) {
+    return vbar + VBAR_TEMPERATURE_COEFF * (temperature - VBAR_REF_TEMPERATURE);
 }
 
 /**
@@ -203,12 +368,373 @@ function calculateEpsilonCm2g(extinctionData, mw) {
     return (extinctionData.epsilon / mw) * 1000;
 }
 
+/**
+ * 加入可離子化基團 (相同 pKa 與電荷者合併計數)
+ * @param {Array<object>} groups - 基團列表 [{pKa, charge, count}]，pKa 為 null 表示固定電荷
+ * @param {number|null} pKa - pKa
+ * @param {number} charge - 完全離子化時的電荷
+ * @param {number} count - 數量
+ */
+function addChargeGroup(groups, pKa, charge, count) {
+    if (!count || !charge) return;
+    const existing = groups.find(group => group.pKa === pKa && group.charge === charge);
+    if (existing) {
+        existing.count += count;
+    } else {
+        groups.push({ pKa, charge, count });
+    }
+}
+
+/**
+ * 蛋白質可離子化基團 (側鏈 + N/C 端)
+ * @param {object} composition - 氨基酸組成
+ * @param {boolean} reducedCysteine - 氧化態 (二硫鍵) 時 Cys 不滴定
+ * @param {number|null} disulfideCount - 註解的二硫鍵數；有註解時其餘 Cys 視為游離並滴定
+ * @returns {Array<object>} 基團列表
+ */
+function getProteinChargeGroups(composition, reducedCysteine = false, disulfideCount = null) {
+    const groups = [];
+    addChargeGroup(groups, TERMINAL_PKA.nTerm, 1, 1);
+    addChargeGroup(groups, TERMINAL_PKA.cTerm, -1, 1);
+
+    const nC = composition['C'] || 0;
+    const freeCysteine = disulfideCount !== null ? Math.max(0, nC - 2 * disulfideCount) :
+        reducedCysteine ? nC : 0;
+
+    for (const [aa, residues] of Object.entries(composition)) {
+        const count = aa === 'C' ? freeCysteine : residues;
+        if (count === 0) continue;
+        for (const group of SIDE_CHAIN_PKA[aa] || []) {
+            addChargeGroup(groups, group.pKa, group.charge, count * (group.weight ?? 1));
+        }
+    }
+    return groups;
+}
+
+/**
+ * 核酸可離子化基團 (磷酸二酯 + 鹼基)
+ * @param {object} composition - 核苷酸組成
+ * @param {number} strands - 股數 (5'-OH 末端，每股少一個磷酸)
+ * @returns {Array<object>} 基團列表
+ */
+function getNucleicChargeGroups(composition, strands) {
+    const groups = [];
+    let total = 0;
+
+    for (const [key, count] of Object.entries(composition)) {
+        total += count;
+        for (const group of NUCLEOTIDE_PKA[NUCLEOTIDES[key].base] || []) {
+            addChargeGroup(groups, group.pKa, group.charge, count);
+        }
+    }
+    addChargeGroup(groups, NUCLEOTIDE_PKA.phosphate.pKa, NUCLEOTIDE_PKA.phosphate.charge, total - strands);
+    return groups;
+}
+
+/**
+ * 指定 pH 下的淨電荷 (Henderson–Hasselbalch)
+ * @param {Array<object>} groups - 基團列表
+ * @param {number} pH - pH
+ * @returns {number} 淨電荷
+ */
+function calculateNetCharge(groups, pH) {
+    return groups.reduce((sum, group) => {
+        if (group.pKa === null) return sum + group.charge * group.count;
+        const fraction = group.charge > 0 ?
+            1 / (1 + Math.pow(10, pH - group.pKa)) :
+            1 / (1 + Math.pow(10, group.pKa - pH));
+        return sum + group.charge * group.count * fraction;
+    }, 0);
+}
+
+/**
+ * 等電點 (二分法，pH 0–14)
+ * @param {Array<object>} groups - 基團列表
+ * @returns {number|null} pI，範圍內無零點時為 null
+ */
+function calculateIsoelectricPoint(groups) {
+    let low = 0, high = 14;
+    if (calculateNetCharge(groups, low) < 0 || calculateNetCharge(groups, high) > 0) return null;
+
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (calculateNetCharge(groups, mid) > 0) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * 電荷-pH 曲線
+ * @param {Array<object>} groups - 基團列表
+ * @param {number} step - pH 間隔
+ * @returns {Array<{pH: number, charge: number}>}
+ */
+function calculateChargeCurve(groups, step = 0.1) {
+    const points = [];
+    const n = Math.round(14 / step);
+    for (let i = 0; i <= n; i++) {
+        const pH = i * step;
+        points.push({ pH: pH, charge: calculateNetCharge(groups, pH) });
+    }
+    return points;
+}
+
+/**
+ * 電荷摘要
+ * @param {Array<object>} groups - 基團列表
+ * @param {number} pH - 指定 pH
+ * @returns {object} { pH, netCharge, isoelectricPoint }
+ */
+function summarizeCharge(groups, pH = 7.0) {
+    return {
+        pH: pH,
+        netCharge: calculateNetCharge(groups, pH),
+        isoelectricPoint: calculateIsoelectricPoint(groups)
+    };
+}
+
+/**
+ * 加總附加於序列上的修飾 / 配體
+ * @param {Array<object>} modifications - [{ name, mw, volume, electrons, epsilon280, epsilon260, dndc, charge, pka, count }]
+ * @returns {object} 各項增量總和與明細
+ */
+function summarizeModifications(modifications = []) {
+    const summary = {
+        mw: 0,
+        volume: 0,
+        electrons: 0,
+        epsilon280: 0,
+        epsilon260: 0,
+        dndcMass: 0,        // 有自訂 dn/dc 的質量
+        dndcWeighted: 0,    // Σ 質量 × dn/dc
+        chargeGroups: [],
+        items: []
+    };
+
+    for (const mod of modifications) {
+        const count = Math.max(0, Number(mod.count) || 0);
+        if (count === 0) continue;
+
+        summary.mw += count * (Number(mod.mw) || 0);
+        summary.volume += count * (Number(mod.volume) || 0);
+        summary.electrons += count * (Number(mod.electrons) || 0);
+        summary.epsilon280 += count * (Number(mod.epsilon280) || 0);
+        summary.epsilon260 += count * (Number(mod.epsilon260) || 0);
+        if (mod.dndc != null && mod.dndc !== '' && !isNaN(mod.dndc)) {
+            summary.dndcMass += count * mod.mw;
+            summary.dndcWeighted += count * mod.mw * Number(mod.dndc);
+        }
+        // 電荷: 最後一個電荷依 pka 滴定，其餘視為固定
+        const charge = Number(mod.charge) || 0;
+        const pka = mod.pka != null && mod.pka !== '' && !isNaN(mod.pka) ? Number(mod.pka) : null;
+        if (pka === null) {
+            addChargeGroup(summary.chargeGroups, null, charge, count);
+        } else if (charge !== 0) {
+            addChargeGroup(summary.chargeGroups, null, charge - Math.sign(charge), count);
+            addChargeGroup(summary.chargeGroups, pka, Math.sign(charge), count);
+        }
+        summary.items.push({ id: mod.id, name: mod.name, category: mod.category, count: count });
+    }
+
+    return summary;
+}
+
+/**
+ * 將修飾的 dn/dc 與主體 dn/dc 依質量平均 (皆校正至目標條件)
+ * @param {number} hostDndc - 主體 (蛋白質/核酸) dn/dc，已在目標條件
+ * @param {number} hostMass - 主體質量 (Da)
+ * @param {object} modSummary - summarizeModifications 結果
+ * @param {number} wavelength - 目標波長 (nm)
+ * @param {number} temperature - 目標溫度 (°C)
+ * @returns {number} 合併 dn/dc (mL/g)
+ */
+function combineModificationDndc(hostDndc, hostMass, modSummary, wavelength, temperature) {
+    if (modSummary.dndcMass <= 0) return hostDndc;
+
+    const modReference = modSummary.dndcWeighted / modSummary.dndcMass;
+    const modDndc = DndcCalculations.comprehensiveCorrection(
+        modReference, DNDC_REF_TEMPERATURE, DNDC_REF_WAVELENGTH, temperature, wavelength
+    ).finalDndc;
+
+    return (hostDndc * hostMass + modDndc * modSummary.dndcMass) / (hostMass + modSummary.dndcMass);
+}
+
+/**
+ * 判斷序列類型是否為核酸
+ * @param {string} type - 序列類型 ('protein', 'dsDNA', 'ssDNA', 'RNA')
+ * @returns {boolean}
+ */
+function isNucleicAcidType(type) {
+    return Object.prototype.hasOwnProperty.call(NUCLEIC_ACID_TYPES, type);
+}
+
+/**
+ * 解析核酸序列
+ * dsDNA 輸入單股序列，自動加入互補股
+ * @param {string} sequence - 單字母核苷酸序列
+ * @param {string} type - 'dsDNA' | 'ssDNA' | 'RNA'
+ * @returns {object} 解析結果 (composition 鍵值為 NUCLEOTIDES 鍵)
+ */
+function parseNucleotideSequence(sequence, type) {
+    const typeInfo = NUCLEIC_ACID_TYPES[type];
+    const cleaned = sequence.toUpperCase().replace(/[^A-Z]/g, '');
+
+    const composition = {};
+    let validCount = 0;
+    const invalidChars = [];
+
+    const addBase = (base) => {
+        const key = typeInfo.prefix + base;
+        composition[key] = (composition[key] || 0) + 1;
+    };
+
+    for (const char of cleaned) {
+        if (typeInfo.bases.includes(char)) {
+            addBase(char);
+            if (typeInfo.strands === 2) addBase(DNA_COMPLEMENT[char]);
+            validCount++;
+        } else {
+            invalidChars.push(char);
+        }
+    }
+
+    return {
+        sequence: cleaned,
+        length: validCount,
+        composition: composition,
+        invalidChars: [...new Set(invalidChars)],
+        isValid: invalidChars.length === 0 && validCount > 0
+    };
+}
+
+/**
+ * 完整核酸分析
+ * 欄位與 analyzeProtein 相同；extinction.epsilon 為 280 nm 估計值 (由 A280/A260 比值換算)
+ * v̄ 不做溫度校正 (Durchschlag 係數僅適用於蛋白質)
+ * @param {string} sequence - 核苷酸序列 (dsDNA 僅需輸入一股)
+ * @param {string} type - 'dsDNA' | 'ssDNA' | 'RNA'
+ * @param {object} options - 分析選項
+ * @param {number} options.wavelength - dn/dc 波長 (nm)
+ * @param {number} options.temperature - dn/dc 溫度 (°C)
+ * @param {Array<object>} options.modifications - 附加的修飾 / 配體 (見 summarizeModifications)
+ * @param {number} options.pH - 淨電荷計算的 pH (預設 7.0)
+ * @returns {object} 完整分析結果
+ */
+function analyzeNucleicAcid(sequence, type, options = {}) {
+    const typeInfo = NUCLEIC_ACID_TYPES[type];
+    const parsed = parseNucleotideSequence(sequence, type);
+
+    if (!parsed.isValid) {
+        return {
+            error: true,
+            message: parsed.length === 0 ?
+                `請輸入有效的 ${typeInfo.label} 序列` :
+                `包含無效字符: ${parsed.invalidChars.join(', ')} (${typeInfo.label} 僅接受 ${typeInfo.bases.split('').join('/')})`,
+            parsed: parsed
+        };
+    }
+
+    let mw = typeInfo.strands * STRAND_END_MW;
+    let electrons = typeInfo.strands * STRAND_END_ELECTRONS;
+    let dryVolume = 0;
+    let epsilonSum = 0;
+    let nAT = 0;
+
+    for (const [key, count] of Object.entries(parsed.composition)) {
+        const nt = NUCLEOTIDES[key];
+        mw += nt.mw * count;
+        electrons += nt.electrons * count;
+        dryVolume += nt.volume * count;
+        epsilonSum += nt.epsilon260 * count;
+        if (nt.base === 'A' || nt.base === 'T') nAT += count;
+    }
+
+    // dsDNA 減色效應: h = 0.287·f_AT + 0.059·f_GC (Tataurov et al. 2008)
+    const totalNt = parsed.length * typeInfo.strands;
+    const hypochromicity = typeInfo.strands === 2 ?
+        0.287 * (nAT / totalNt) + 0.059 * (1 - nAT / totalNt) : 0;
+    const nucleicEpsilon260 = Math.round(epsilonSum * (1 - hypochromicity));
+
+    // 修飾 / 配體 (金屬離子、結合小分子等)
+    const nucleicMw = mw;
+    const mods = summarizeModifications(options.modifications);
+    mw += mods.mw;
+    electrons += mods.electrons;
+    dryVolume += mods.volume;
+
+    const extinction = {
+        epsilon: Math.round(nucleicEpsilon260 * typeInfo.a280PerA260) + mods.epsilon280,
+        epsilon260: nucleicEpsilon260 + mods.epsilon260,
+        modificationEpsilon: mods.epsilon280,
+        hypochromicity: hypochromicity,
+        nTrp: 0,
+        nTyr: 0,
+        nCys: 0,
+        nDisulfide: 0
+    };
+
+    const avogadro = 6.022e23;
+    const vbar = (dryVolume * 1e-24 * avogadro) / mw;
+
+    // 核酸 dn/dc 取經驗值 (633 nm, 25°C)，同樣做溫度與波長校正
+    const refDndc = DndcCalculations.EMPIRICAL_VALUES[type === 'RNA' ? 'RNA' : 'DNA'];
+    const wavelength = options.wavelength ?? DNDC_REF_WAVELENGTH;
+    const temperature = options.temperature ?? DNDC_REF_TEMPERATURE;
+    const nucleicDndc = DndcCalculations.comprehensiveCorrection(refDndc, 25, 633, temperature, wavelength).finalDndc;
+    const dndc = combineModificationDndc(nucleicDndc, nucleicMw, mods, wavelength, temperature);
+    const epsilonCm2g = calculateEpsilonCm2g(extinction, mw);
+
+    const chargeGroups = getNucleicChargeGroups(parsed.composition, typeInfo.strands);
+    mods.chargeGroups.forEach(group => addChargeGroup(chargeGroups, group.pKa, group.charge, group.count));
+
+    return {
+        error: false,
+        moleculeType: type,
+        sequence: parsed.sequence,
+        length: totalNt,
+        basePairs: typeInfo.strands === 2 ? parsed.length : null,
+        composition: parsed.composition,
+        molecularWeight: mw,
+        molecularWeightKDa: mw / 1000,
+        dryVolume: dryVolume,
+        electronCount: electrons,
+        extinction: extinction,
+        epsilonCm2g: epsilonCm2g,
+        partialSpecificVolume: vbar,
+        dndc: dndc,
+        dndcWavelength: wavelength,
+        dndcTemperature: temperature,
+        modifications: mods.items,
+        chargeGroups: chargeGroups,
+        charge: summarizeCharge(chargeGroups, options.pH ?? 7.0),
+        // 用於 IUCr 表格
+        iucrParams: {
+            mw: mw.toFixed(2),
+            vbar: vbar.toFixed(6),
+            dndc: dndc.toFixed(4),
+            dndcConditions: `${wavelength} nm, ${temperature} °C`
+        }
+    };
+}
+
 /**
  * 完整蛋白質分析
  * @param {string} sequence - 蛋白質序列
+ * @param {object} options - 分析選項
+ * @param {boolean} options.reducedCysteine - 是否為還原態半胱氨酸
+ * @param {number} options.wavelength - dn/dc 波長 (nm)
+ * @param {number} options.temperature - dn/dc 溫度 (°C)
+ * @param {Array<object>} options.modifications - 附加的修飾 / 配體 (見 summarizeModifications)
+ * @param {number} options.pH - 淨電荷計算的 pH (預設 7.0)
+ * @param {number} options.sampleTemperature - 量測溫度 (°C)，用於 v̄ 溫度校正 (預設 25)
+ * @param {number} options.disulfides - 註解的二硫鍵數 (匯入條目時提供，優先於 reducedCysteine)
  * @returns {object} 完整分析結果
  */
-function analyzeProtein(sequence) {
+function analyzeProtein(sequence, options = {}) {
     const parsed = parseSequence(sequence);
     
     if (!parsed.isValid) {
@@ -221,16 +747,34 @@ function analyzeProtein(sequence) {
         };
     }
     
-    const mw = calculateMolecularWeight(parsed.composition);
-    const dryVolume = calculateDryVolume(parsed.composition);
-    const electrons = calculateElectronCount(parsed.composition);
-    const extinction = calculateExtinctionCoeff(parsed.composition);
-    const vbar = calculatePartialSpecificVolume(parsed.composition);
-    const dndc = calculateDnDc(mw);
+    // 修飾 / 配體 / 輔因子: 質量、體積、電子數與發色團直接加總
+    const mods = summarizeModifications(options.modifications);
+    const polypeptideMw = calculateMolecularWeight(parsed.composition);
+    const mw = polypeptideMw + mods.mw;
+    const dryVolume = calculateDryVolume(parsed.composition) + mods.volume;
+    const electrons = calculateElectronCount(parsed.composition) + mods.electrons;
+    const disulfides = options.disulfides ?? null;
+    const extinction = calculateExtinctionCoeff(parsed.composition, !!options.reducedCysteine, disulfides);
+    extinction.epsilon += mods.epsilon280;
+    extinction.modificationEpsilon = mods.epsilon280;
+    // 修飾以乾體積換算比容，與多肽 v̄ 依質量合併後再做溫度校正
+    const sampleTemperature = options.sampleTemperature ?? VBAR_REF_TEMPERATURE;
+    const polypeptideVbar = calculatePartialSpecificVolume(parsed.composition);
+    const vbar = correctVbarForTemperature(mods.items.length > 0 ?
+        (polypeptideVbar * polypeptideMw + mods.volume * 1e-24 * 6.022e23) / mw :
+        polypeptideVbar, sampleTemperature);
+    const dndcResult = calculateDnDc(parsed.composition, options.wavelength, options.temperature);
+    const dndc = combineModificationDndc(
+        dndcResult.dndc, polypeptideMw, mods, dndcResult.wavelength, dndcResult.temperature
+    );
     const epsilonCm2g = calculateEpsilonCm2g(extinction, mw);
+
+    const chargeGroups = getProteinChargeGroups(parsed.composition, !!options.reducedCysteine, disulfides);
+    mods.chargeGroups.forEach(group => addChargeGroup(chargeGroups, group.pKa, group.charge, group.count));
     
     return {
         error: false,
+        moleculeType: 'protein',
         sequence: parsed.sequence,
         length: parsed.length,
         composition: parsed.composition,
@@ -241,12 +785,246 @@ function analyzeProtein(sequence) {
         extinction: extinction,
         epsilonCm2g: epsilonCm2g,
         partialSpecificVolume: vbar,
+        vbarTemperature: sampleTemperature,
+        dndc: dndc,
+        dndcWavelength: dndcResult.wavelength,
+        dndcTemperature: dndcResult.temperature,
+        modifications: mods.items,
+        chargeGroups: chargeGroups,
+        charge: summarizeCharge(chargeGroups, options.pH ?? 7.0),
+        // 用於 IUCr 表格
+        iucrParams: {
+            mw: mw.toFixed(2),
+            vbar: vbar.toFixed(6),
+            vbarConditions: `${sampleTemperature} °C`,
+            dndc: dndc.toFixed(4),
+            dndcConditions: `${dndcResult.wavelength} nm, ${dndcResult.temperature} °C`
+        }
+    };
+}
+
+/**
+ * 尋找構築體中的標籤與蛋白酶切位
+ * @param {string} sequence - 已清理的單字母序列
+ * @param {Array<string>} proteases - 啟用的蛋白酶 (PROTEASE_SITES 鍵)
+ * @param {Array<{start: number, end: number}>} manualTags - 使用者標記的標籤範圍 (1-based，含端點)
+ * @returns {object} { tags: [{name, start, end}], sites: [{protease, name, start, end, cut}] } (0-based，end 不含)
+ */
+function findConstructFeatures(sequence, proteases = [], manualTags = []) {
+    const tags = [];
+    for (const motif of TAG_MOTIFS) {
+        for (const match of sequence.matchAll(motif.pattern)) {
+            const name = motif.name === 'His' ? `His×${match[0].length}` : motif.name;
+            tags.push({ name: name, start: match.index, end: match.index + match[0].length });
+        }
+    }
+    for (const range of manualTags) {
+        const start = Math.max(0, range.start - 1);
+        const end = Math.min(sequence.length, range.end);
+        if (end > start) tags.push({ name: '自訂標籤', start: start, end: end });
+    }
+
+    const sites = [];
+    for (const id of proteases) {
+        const protease = PROTEASE_SITES[id];
+        if (!protease) continue;
+        for (const match of sequence.matchAll(protease.pattern)) {
+            sites.push({
+                protease: id,
+                name: protease.name,
+                start: match.index,
+                end: match.index + match[0].length,
+                cut: match.index + protease.cutOffset
+            });
+        }
+    }
+
+    tags.sort((a, b) => a.start - b.start);
+    sites.sort((a, b) => a.cut - b.cut);
+    return { tags, sites };
+}
+
+/**
+ * 於切位切割構築體，保留標籤殘基最少的片段 (相同時取最長者) 作為目標蛋白
+ * @param {string} sequence - 已清理的單字母序列
+ * @param {object} features - findConstructFeatures 結果
+ * @returns {object} { fragments: [{start, end, sequence, tagResidues}], product }
+ */
+function cleaveConstruct(sequence, features) {
+    const cuts = [...new Set(features.sites.map(site => site.cut))]
+        .filter(cut => cut > 0 && cut < sequence.length);
+    const bounds = [0, ...cuts, sequence.length];
+
+    const fragments = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+        const start = bounds[i];
+        const end = bounds[i + 1];
+        const tagResidues = features.tags.reduce(
+            (sum, tag) => sum + Math.max(0, Math.min(end, tag.end) - Math.max(start, tag.start)), 0
+        );
+        fragments.push({ start, end, sequence: sequence.slice(start, end), tagResidues });
+    }
+
+    const product = fragments.reduce((best, fragment) => {
+        if (fragment.tagResidues !== best.tagResidues) {
+            return fragment.tagResidues < best.tagResidues ? fragment : best;
+        }
+        return fragment.sequence.length > best.sequence.length ? fragment : best;
+    });
+
+    return { fragments, product };
+}
+
+/**
+ * 多鏈複合體分析 (可混合蛋白質與核酸)
+ * 各鏈分別計算後依拷貝數加總；v̄ 與 dn/dc 以質量加權平均
+ * @param {Array<{name: string, sequence: string, copies: number, type: string}>} chains - 各鏈序列、拷貝數與類型 (預設 'protein')
+ *   可另附 modifications 與 disulfides (註解的二硫鍵數)
+ * @param {object} options - 分析選項 (同 analyzeProtein)
+ * @returns {object} 複合體分析結果 (欄位同 analyzeProtein，另附 chains 明細)
+ */
+function analyzeComplex(chains, options = {}) {
+    if (!chains || chains.length === 0) {
+        return {
+            error: true,
+            message: '請輸入有效的蛋白質序列'
+        };
+    }
+
+    const chainResults = [];
+    for (let i = 0; i < chains.length; i++) {
+        const chain = chains[i];
+        const name = chain.name || `Chain ${i + 1}`;
+        const copies = Math.max(1, Math.round(chain.copies) || 1);
+        const chainOptions = {
+            ...options,
+            modifications: chain.modifications || [],
+            disulfides: chain.disulfides ?? null
+        };
+        const result = isNucleicAcidType(chain.type) ?
+            analyzeNucleicAcid(chain.sequence, chain.type, chainOptions) :
+            analyzeProtein(chain.sequence, chainOptions);
+
+        if (result.error) {
+            return {
+                error: true,
+                message: `${name}: ${result.message}`,
+                parsed: result.parsed
+            };
+        }
+        chainResults.push({ name, copies, result });
+    }
+
+    // 依拷貝數加總
+    let mw = 0, dryVolume = 0, electrons = 0, length = 0;
+    let vbarMass = 0, dndcMass = 0;
+    const composition = {};
+    const extinction = { epsilon: 0, epsilon260: 0, modificationEpsilon: 0, nTrp: 0, nTyr: 0, nCys: 0, nDisulfide: 0 };
+    const modifications = [];
+    const chargeGroups = [];
+    // 散射組分 (蛋白質 / DNA / RNA)，供理論 I(0) 逐組分計算對比
+    const components = {};
+
+    for (const { copies, result } of chainResults) {
+        const chainMass = copies * result.molecularWeight;
+        mw += chainMass;
+        dryVolume += copies * result.dryVolume;
+        electrons += copies * result.electronCount;
+        length += copies * result.length;
+        vbarMass += chainMass * result.partialSpecificVolume;
+        dndcMass += chainMass * result.dndc;
+
+        for (const [aa, count] of Object.entries(result.composition)) {
+            composition[aa] = (composition[aa] || 0) + copies * count;
+        }
+        // 蛋白質鏈不計 260 nm 吸收
+        for (const key of Object.keys(extinction)) {
+            extinction[key] += copies * (result.extinction[key] || 0);
+        }
+
+        for (const mod of result.modifications) {
+            modifications.push({ ...mod, count: copies * mod.count });
+        }
+        for (const group of result.chargeGroups) {
+            addChargeGroup(chargeGroups, group.pKa, group.charge, copies * group.count);
+        }
+
+        const componentType = result.moleculeType === 'RNA' ? 'rna' :
+            result.moleculeType === 'protein' ? 'protein' : 'dna';
+        const component = components[componentType] ||
+            (components[componentType] = { type: componentType, mass: 0, volume: 0, electrons: 0, vbarMass: 0 });
+        component.mass += chainMass;
+        component.volume += copies * result.dryVolume;
+        component.electrons += copies * result.electronCount;
+        component.vbarMass += chainMass * result.partialSpecificVolume;
+    }
+
+    const vbar = vbarMass / mw;
+    const dndc = dndcMass / mw;
+    const epsilonCm2g = calculateEpsilonCm2g(extinction, mw);
+
+    const scatteringComponents = Object.values(components).map(component => ({
+        type: component.type,
+        massFraction: component.mass / mw,
+        partialSpecificVolume: component.vbarMass / component.mass,
+        electronDensity: component.electrons / component.volume  // e/Å³
+    }));
+
+    const chainBreakdown = chainResults.map(({ name, copies, result }) => ({
+        name,
+        copies,
+        moleculeType: result.moleculeType,
+        sequence: result.sequence,
+        length: result.length,
+        composition: result.composition,
+        molecularWeight: result.molecularWeight,
+        dryVolume: result.dryVolume,
+        electronCount: result.electronCount,
+        extinction: result.extinction,
+        partialSpecificVolume: result.partialSpecificVolume,
+        dndc: result.dndc,
+        modifications: result.modifications,
+        charge: result.charge,
+        massFraction: copies * result.molecularWeight / mw
+    }));
+
+    const stoichiometry = chainBreakdown
+        .map(chain => `${chain.name} ×${chain.copies}`)
+        .join(', ');
+
+    return {
+        error: false,
+        isComplex: chainBreakdown.length > 1 || chainBreakdown[0].copies > 1,
+        sequence: chainBreakdown.map(chain => chain.sequence).join('/'),
+        length: length,
+        composition: composition,
+        molecularWeight: mw,
+        molecularWeightKDa: mw / 1000,
+        dryVolume: dryVolume,
+        electronCount: electrons,
+        extinction: extinction,
+        epsilonCm2g: epsilonCm2g,
+        partialSpecificVolume: vbar,
+        vbarTemperature: options.sampleTemperature ?? VBAR_REF_TEMPERATURE,
         dndc: dndc,
+        dndcWavelength: chainResults[0].result.dndcWavelength,
+        dndcTemperature: chainResults[0].result.dndcTemperature,
+        chains: chainBreakdown,
+        stoichiometry: stoichiometry,
+        modifications: modifications,
+        chargeGroups: chargeGroups,
+        charge: summarizeCharge(chargeGroups, options.pH ?? 7.0),
+        containsNucleicAcid: scatteringComponents.some(component => component.type !== 'protein'),
+        containsProtein: scatteringComponents.some(component => component.type === 'protein'),
+        scatteringComponents: scatteringComponents,
         // 用於 IUCr 表格
         iucrParams: {
             mw: mw.toFixed(2),
             vbar: vbar.toFixed(6),
-            dndc: dndc.toFixed(4)
+            vbarConditions: `${options.sampleTemperature ?? VBAR_REF_TEMPERATURE} °C`,
+            dndc: dndc.toFixed(4),
+            dndcConditions: chainResults[0].result.iucrParams.dndcConditions,
+            stoichiometry: stoichiometry
         }
     };
 }
@@ -259,8 +1037,25 @@ window.ProteinAnalysis = {
     calculateElectronCount,
     calculateExtinctionCoeff,
     calculatePartialSpecificVolume,
+    correctVbarForTemperature,
     calculateDnDc,
     calculateEpsilonCm2g,
     analyzeProtein,
-    AMINO_ACIDS
+    analyzeComplex,
+    isNucleicAcidType,
+    parseNucleotideSequence,
+    analyzeNucleicAcid,
+    summarizeModifications,
+    calculateNetCharge,
+    calculateIsoelectricPoint,
+    calculateChargeCurve,
+    findConstructFeatures,
+    cleaveConstruct,
+    AMINO_ACIDS,
+    DEFAULT_MODIFICATIONS,
+    RESIDUE_DNDC,
+    RESIDUE_VBAR,
+    NUCLEOTIDES,
+    NUCLEIC_ACID_TYPES,
+    PROTEASE_SITES
 };
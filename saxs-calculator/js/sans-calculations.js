@@ -0,0 +1,283 @@
+/**
+ * TPS13A SAXS Calculator - SANS Contrast Module
+ * 中子散射長度密度 (SLD)、氘化與對比匹配計算
+ */
+
+// ========================
+// 常數
+// ========================
+
+// 相干中子散射長度 (fm)，Sears (1992) Neutron News 3, 26
+const NEUTRON_SCATTERING_LENGTHS = {
+    H: -3.7406,
+    D: 6.671,
+    C: 6.6460,
+    N: 9.36,
+    O: 5.803,
+    P: 5.13,
+    S: 2.847,
+    Se: 7.970
+};
+
+const DEUTERIUM_MASS_SHIFT = 1.00628;  // D − H (Da)
+
+// 溶劑 SLD (×10⁻⁶ Å⁻²)
+const SOLVENT_SLD = {
+    H2O: -0.561,
+    D2O: 6.364
+};
+
+// 鏈內殘基元素組成 (pH 7 帶電狀態) 與可交換氫數 exH
+// 氨基酸: Perkins (1986) Eur. J. Biochem. 157, 169；B/Z 取 N/D、Q/E 平均，X 取平均殘基
+// 核苷酸: 游離酸形式，磷酸 H 計為可交換
+const RESIDUE_FORMULAS = {
+    'A': { C: 3, H: 5, N: 1, O: 1, exH: 1 },
+    'R': { C: 6, H: 13, N: 4, O: 1, exH: 6 },
+    'N': { C: 4, H: 6, N: 2, O: 2, exH: 3 },
+    'D': { C: 4, H: 4, N: 1, O: 3, exH: 1 },
+    'C': { C: 3, H: 5, N: 1, O: 1, S: 1, exH: 2 },
+    'E': { C: 5, H: 6, N: 1, O: 3, exH: 1 },
+    'Q': { C: 5, H: 8, N: 2, O: 2, exH: 3 },
+    'G': { C: 2, H: 3, N: 1, O: 1, exH: 1 },
+    'H': { C: 6, H: 7, N: 3, O: 1, exH: 2 },
+    'I': { C: 6, H: 11, N: 1, O: 1, exH: 1 },
+    'L': { C: 6, H: 11, N: 1, O: 1, exH: 1 },
+    'K': { C: 6, H: 13, N: 2, O: 1, exH: 4 },
+    'M': { C: 5, H: 9, N: 1, O: 1, S: 1, exH: 1 },
+    'F': { C: 9, H: 9, N: 1, O: 1, exH: 1 },
+    'P': { C: 5, H: 7, N: 1, O: 1, exH: 0 },
+    'S': { C: 3, H: 5, N: 1, O: 2, exH: 2 },
+    'T': { C: 4, H: 7, N: 1, O: 2, exH: 2 },
+    'W': { C: 11, H: 10, N: 2, O: 1, exH: 2 },
+    'Y': { C: 9, H: 9, N: 1, O: 2, exH: 2 },
+    'V': { C: 5, H: 9, N: 1, O: 1, exH: 1 },
+    'U': { C: 3, H: 5, N: 1, O: 1, Se: 1, exH: 2 },
+    'O': { C: 12, H: 19, N: 3, O: 2, exH: 2 },
+    'B': { C: 4, H: 5, N: 1.5, O: 2.5, exH: 2 },
+    'Z': { C: 5, H: 7, N: 1.5, O: 2.5, exH: 2 },
+    'X': { C: 5, H: 8, N: 1.4, O: 1.5, S: 0.05, exH: 1.7 },
+    'dA': { C: 10, H: 12, N: 5, O: 5, P: 1, exH: 3 },
+    'dC': { C: 9, H: 12, N: 3, O: 6, P: 1, exH: 3 },
+    'dG': { C: 10, H: 12, N: 5, O: 6, P: 1, exH: 4 },
+    'dT': { C: 10, H: 13, N: 2, O: 7, P: 1, exH: 2 },
+    'rA': { C: 10, H: 12, N: 5, O: 6, P: 1, exH: 4 },
+    'rC': { C: 9, H: 12, N: 3, O: 7, P: 1, exH: 4 },
+    'rG': { C: 10, H: 12, N: 5, O: 7, P: 1, exH: 5 },
+    'rU': { C: 9, H: 11, N: 2, O: 8, P: 1, exH: 3 }
+};
+
+// ========================
+// SLD 計算
+// ========================
+
+/**
+ * 溶劑 SLD (H₂O/D₂O 混合)
+ * @param {number} d2oFraction - D₂O 體積分率 (0–1)
+ * @returns {number} SLD (×10⁻⁶ Å⁻²)
+ */
+function calculateSolventSLD(d2oFraction) {
+    return SOLVENT_SLD.H2O + d2oFraction * (SOLVENT_SLD.D2O - SOLVENT_SLD.H2O);
+}
+
+/**
+ * 由組成計算一條鏈的總中子散射長度
+ * 可交換氫依溶劑 D₂O 分率交換；非交換氫依氘化程度置換
+ *
+ * @param {object} composition - 殘基組成 (parseSequence / parseNucleotideSequence 的 composition)
+ * @param {object} options - 選項
+ * @param {number} options.d2oFraction - 溶劑 D₂O 分率 (0–1)
+ * @param {number} options.exchangeFraction - 可交換氫實際交換比例 (0–1)，蛋白質常用 0.9
+ * @param {number} options.deuteration - 非交換氫的氘化程度 (0–1)
+ * @param {Array<string>} options.deuteratedResidues - 僅氘化指定殘基 (null 表示全部)
+ * @returns {object} { scatteringLength (fm), nH, nExchangeable, massShift (Da) }
+ */
+function calculateScatteringLength(composition, options = {}) {
+    const d2oFraction = options.d2oFraction ?? 0;
+    const exchangeFraction = options.exchangeFraction ?? 0.9;
+    const deuteration = options.deuteration ?? 0;
+    const selective = options.deuteratedResidues?.length ? new Set(options.deuteratedResidues) : null;
+    const b = NEUTRON_SCATTERING_LENGTHS;
+
+    let heavyAtoms = 0;
+    let nonExchangeableH = 0;
+    let deuteratedH = 0;
+    let exchangeableH = 0;
+
+    for (const [residue, count] of Object.entries(composition)) {
+        const formula = RESIDUE_FORMULAS[residue];
+        if (!formula) continue;
+
+        for (const element of ['C', 'N', 'O', 'P', 'S', 'Se']) {
+            heavyAtoms += count * (formula[element] || 0) * b[element];
+        }
+
+        const nonEx = formula.H - formula.exH;
+        nonExchangeableH += count * nonEx;
+        exchangeableH += count * formula.exH;
+        if (!selective || selective.has(residue)) {
+            deuteratedH += count * nonEx * deuteration;
+        }
+    }
+
+    // 鏈末端 (N 端 NH₃⁺ / C 端 COO⁻ 等) 以一個 H₂O 計，兩個 H 可交換
+    heavyAtoms += b.O;
+    exchangeableH += 2;
+
+    const exchangedD = exchangeableH * exchangeFraction * d2oFraction;
+    const scatteringLength = heavyAtoms +
+        (nonExchangeableH - deuteratedH) * b.H + deuteratedH * b.D +
+        (exchangeableH - exchangedD) * b.H + exchangedD * b.D;
+
+    return {
+        scatteringLength: scatteringLength,   // fm
+        nH: nonExchangeableH + exchangeableH,
+        nExchangeable: exchangeableH,
+        nDeuterated: deuteratedH,
+        massShift: (deuteratedH + exchangedD) * DEUTERIUM_MASS_SHIFT
+    };
+}
+
+/**
+ * 分子 SLD
+ * @param {object} composition - 殘基組成
+ * @param {number} volume - 分子體積 (Å³)
+ * @param {object} options - 同 calculateScatteringLength
+ * @returns {number} SLD (×10⁻⁶ Å⁻²)
+ */
+function calculateSLD(composition, volume, options = {}) {
+    const { scatteringLength } = calculateScatteringLength(composition, options);
+    // fm / Å³ = 10⁻¹³ cm / 10⁻²⁴ cm³ → ×10⁻⁵ Å⁻²；換算為 ×10⁻⁶ Å⁻²
+    return scatteringLength / volume * 10;
+}
+
+/**
+ * SLD 對 D₂O 分率為線性，由 0% 與 100% 兩點求匹配點
+ * @param {number} sld0 - 0% D₂O 時的 SLD
+ * @param {number} sld100 - 100% D₂O 時的 SLD
+ * @returns {number} 匹配點 (D₂O 分率，可能超出 0–1)
+ */
+function solveMatchPoint(sld0, sld100) {
+    const solventSlope = SOLVENT_SLD.D2O - SOLVENT_SLD.H2O;
+    const slope = sld100 - sld0;
+    return (sld0 - SOLVENT_SLD.H2O) / (solventSlope - slope);
+}
+
+// ========================
+// 對比與 I(0)
+// ========================
+
+/**
+ * 計算 SANS 對比、匹配點與 D₂O 系列 I(0)
+ *
+ * 每條鏈的體積 V = MW × v̄ / NA (氘化不改變體積)
+ * 過剩散射長度 Δb = b − ρ_s × V，複合體各鏈依拷貝數加總
+ * I(0) = c × NA / M × (ΣΔb)²   [c: g/cm³, M: 氘化後分子量, Δb: cm]
+ *
+ * @param {Array<object>} chains - [{ name, composition, copies, molecularWeight, partialSpecificVolume, deuteration, deuteratedResidues }]
+ * @param {object} options - 選項
+ * @param {number} options.d2oFraction - 目前緩衝液 D₂O 分率 (0–1)
+ * @param {number} options.exchangeFraction - 可交換氫交換比例 (0–1)
+ * @param {number} options.concentration - 濃度 (mg/mL)
+ * @param {Array<number>} options.d2oSeries - D₂O 系列 (分率)，預設 0, 0.1, …, 1
+ * @returns {object} 各鏈 SLD、匹配點與 I(0) 系列
+ */
+function calculateSANSContrast(chains, options = {}) {
+    const NA = 6.022e23;
+    const d2oFraction = options.d2oFraction ?? 0;
+    const exchangeFraction = options.exchangeFraction ?? 0.9;
+    const concentration = options.concentration ?? 1.0;
+    const d2oSeries = options.d2oSeries || Array.from({ length: 11 }, (_, i) => i / 10);
+
+    // 單點計算: 指定 D₂O 分率下每條鏈的 b、V、質量
+    const evaluate = (x) => chains.map(chain => {
+        const volume = chain.molecularWeight * chain.partialSpecificVolume / NA * 1e24;  // Å³
+        const result = calculateScatteringLength(chain.composition, {
+            d2oFraction: x,
+            exchangeFraction: exchangeFraction,
+            deuteration: chain.deuteration || 0,
+            deuteratedResidues: chain.deuteratedResidues
+        });
+        return {
+            volume: volume,
+            scatteringLength: result.scatteringLength,
+            sld: result.scatteringLength / volume * 10,
+            mass: chain.molecularWeight + result.massShift,
+            nExchangeable: result.nExchangeable,
+            nH: result.nH,
+            nDeuterated: result.nDeuterated
+        };
+    });
+
+    const at0 = evaluate(0);
+    const at100 = evaluate(1);
+    const current = evaluate(d2oFraction);
+    const totalVolume = chains.reduce((sum, chain, i) => sum + (chain.copies || 1) * at0[i].volume, 0);
+
+    // 複合體 I(0)：Δb 以 cm 計
+    const intensityAt = (x) => {
+        const solventSld = calculateSolventSLD(x);
+        const points = evaluate(x);
+        let excess = 0;   // fm
+        let mass = 0;     // Da
+        const chainContrasts = points.map((point, i) => {
+            const copies = chains[i].copies || 1;
+            excess += copies * (point.scatteringLength - solventSld * point.volume / 10);
+            mass += copies * point.mass;
+            return point.sld - solventSld;
+        });
+        const excessCm = excess * 1e-13;
+        const i0 = (concentration / 1000) * NA / mass * excessCm * excessCm;
+        return {
+            d2oFraction: x,
+            solventSLD: solventSld,
+            complexSLD: solventSld + excess * 10 / totalVolume,
+            chainContrasts: chainContrasts,
+            i0: i0
+        };
+    };
+
+    const chainResults = chains.map((chain, i) => ({
+        name: chain.name,
+        copies: chain.copies || 1,
+        deuteration: chain.deuteration || 0,
+        deuteratedResidues: chain.deuteratedResidues || null,
+        volume: current[i].volume,
+        sld: current[i].sld,
+        sldH2O: at0[i].sld,
+        sldD2O: at100[i].sld,
+        contrast: current[i].sld - calculateSolventSLD(d2oFraction),
+        exchangeableFraction: current[i].nExchangeable / current[i].nH,
+        matchPoint: solveMatchPoint(at0[i].sld, at100[i].sld),
+        deuteratedMass: current[i].mass
+    }));
+
+    // 複合體平均 SLD (體積加權) 的匹配點
+    const complexSld = (points) => points.reduce(
+        (sum, point, i) => sum + (chains[i].copies || 1) * point.scatteringLength, 0
+    ) * 10 / totalVolume;
+
+    const currentIntensity = intensityAt(d2oFraction);
+
+    return {
+        chains: chainResults,
+        d2oFraction: d2oFraction,
+        exchangeFraction: exchangeFraction,
+        solventSLD: calculateSolventSLD(d2oFraction),
+        complexSLD: complexSld(current),
+        complexMatchPoint: solveMatchPoint(complexSld(at0), complexSld(at100)),
+        theoreticalI0: currentIntensity.i0,
+        series: d2oSeries.map(intensityAt)
+    };
+}
+
+// 導出函數
+window.SANSCalculations = {
+    NEUTRON_SCATTERING_LENGTHS,
+    SOLVENT_SLD,
+    RESIDUE_FORMULAS,
+    calculateSolventSLD,
+    calculateScatteringLength,
+    calculateSLD,
+    solveMatchPoint,
+    calculateSANSContrast
+};
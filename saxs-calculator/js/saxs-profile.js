@@ -0,0 +1,1039 @@
+/**
+ * TPS13A SAXS Calculator - SAXS Profile Module
+ * 實驗散射曲線 (.dat) 讀取與分析
+ */
+
+// ========================
+// 檔案讀取
+// ========================
+
+/**
+ * 解析 .dat 散射曲線 (q, I, σ 三欄；註解與標頭行自動略過)
+ * @param {string} text - 檔案內容
+ * @param {object} options - 選項
+ * @param {string} options.qUnit - 'auto' | 'A' (Å⁻¹) | 'nm' (nm⁻¹)；auto 時 q_max > 1.5 視為 nm⁻¹
+ * @returns {object} { error, q (Å⁻¹), intensity, sigma, hasSigma, qUnit, header } 或 { error: true, message }
+ */
+function parseDatFile(text, options = {}) {
+    const q = [], intensity = [], sigma = [];
+    const header = [];
+
+    for (const line of (text || '').split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+
+        const fields = trimmed.split(/[\s,;]+/).map(Number);
+        if (fields.length < 2 || fields.slice(0, 3).some(value => !isFinite(value))) {
+            header.push(trimmed);
+            continue;
+        }
+        q.push(fields[0]);
+        intensity.push(fields[1]);
+        sigma.push(fields.length >= 3 ? Math.abs(fields[2]) : 0);
+    }
+
+    if (q.length < 10) {
+        return { error: true, message: '有效數據點不足 (需要 q、I、σ 至少 10 行)' };
+    }
+
+    const qMax = Math.max(...q);
+    const qUnit = options.qUnit && options.qUnit !== 'auto' ? options.qUnit : (qMax > 1.5 ? 'nm' : 'A');
+    const scale = qUnit === 'nm' ? 0.1 : 1;
+
+    return {
+        error: false,
+        q: q.map(value => value * scale),
+        intensity: intensity,
+        sigma: sigma,
+        hasSigma: sigma.some(value => value > 0),
+        qUnit: qUnit,
+        header: header
+    };
+}
+
+// ========================
+// Guinier 分析
+// ========================
+
+/**
+ * 加權 Guinier 擬合: ln I = ln I(0) − (R_g²/3) q²，權重 w = (I/σ)²
+ * 誤差取自協方差矩陣並乘上 reduced χ² (χ² < 1 時不縮小)
+ * @param {object} profile - parseDatFile 結果
+ * @param {number} start - 起始索引 (含)
+ * @param {number} end - 結束索引 (含)
+ * @returns {object|null} { i0, i0Error, rg, rgError, qmin, qmax, qRgMin, qRgMax, chi2, start, end, points, residuals }；斜率 ≥ 0 時為 null
+ */
+function fitGuinier(profile, start, end) {
+    const points = [];
+    for (let i = start; i <= end; i++) {
+        const I = profile.intensity[i];
+        if (!(I > 0)) continue;
+        const sigmaY = profile.hasSigma && profile.sigma[i] > 0 ? profile.sigma[i] / I : 1;
+        points.push({ index: i, x: profile.q[i] ** 2, y: Math.log(I), w: 1 / (sigmaY * sigmaY) });
+    }
+    if (points.length < 3) return null;
+
+    let Sw = 0, Sx = 0, Sy = 0, Sxx = 0, Sxy = 0;
+    for (const p of points) {
+        Sw += p.w; Sx += p.w * p.x; Sy += p.w * p.y;
+        Sxx += p.w * p.x * p.x; Sxy += p.w * p.x * p.y;
+    }
+    const delta = Sw * Sxx - Sx * Sx;
+    const slope = (Sw * Sxy - Sx * Sy) / delta;
+    const intercept = (Sxx * Sy - Sx * Sxy) / delta;
+    if (!(slope < 0)) return null;
+
+    const residuals = points.map(p => ({
+        q: Math.sqrt(p.x),
+        x: p.x,
+        residual: (p.y - (intercept + slope * p.x)) * Math.sqrt(p.w)
+    }));
+    const chi2 = residuals.reduce((sum, r) => sum + r.residual * r.residual, 0) / (points.length - 2);
+    const scale = Math.max(1, chi2);
+    const slopeError = Math.sqrt(Sw / delta * scale);
+    const interceptError = Math.sqrt(Sxx / delta * scale);
+
+    const rg = Math.sqrt(-3 * slope);
+    const i0 = Math.exp(intercept);
+    const qmin = Math.sqrt(points[0].x);
+    const qmax = Math.sqrt(points[points.length - 1].x);
+
+    return {
+        i0: i0,
+        i0Error: i0 * interceptError,
+        rg: rg,
+        rgError: 1.5 * slopeError / rg,
+        slope: slope,
+        intercept: intercept,
+        qmin: qmin,
+        qmax: qmax,
+        qRgMin: qmin * rg,
+        qRgMax: qmax * rg,
+        chi2: chi2,
+        start: points[0].index,
+        end: points[points.length - 1].index,
+        points: points.length,
+        residuals: residuals
+    };
+}
+
+/**
+ * 自動搜尋 Guinier 區間
+ * 以累積和在所有 (起點, 終點) 組合上做加權擬合，條件: q_max·R_g ≤ qRgLimit、q_min·R_g ≤ 0.65、點數 ≥ minPoints；
+ * 在符合條件的區間中選 R_g 相對誤差最小者 (誤差已含 χ²，曲率或聚集造成的偏差會被懲罰)
+ * @param {object} profile - parseDatFile 結果
+ * @param {object} options - 選項
+ * @param {number} options.qRgLimit - q_max·R_g 上限，預設 1.3
+ * @param {number} options.minPoints - 最少點數，預設 8
+ * @param {number} options.maxStart - 起點最多略過的前段點數，預設 40
+ * @returns {object|null} fitGuinier 結果 (另附 qRgLimit)；找不到有效區間時為 null
+ */
+function autoGuinier(profile, options = {}) {
+    const qRgLimit = options.qRgLimit ?? 1.3;
+    const minPoints = options.minPoints ?? 8;
+    const maxStart = options.maxStart ?? 40;
+
+    const x = [], y = [], w = [], index = [];
+    profile.q.forEach((q, i) => {
+        const I = profile.intensity[i];
+        if (!(I > 0) || !(q > 0)) return;
+        const sigmaY = profile.hasSigma && profile.sigma[i] > 0 ? profile.sigma[i] / I : 1;
+        x.push(q * q); y.push(Math.log(I)); w.push(1 / (sigmaY * sigmaY)); index.push(i);
+    });
+
+    let best = null;
+    for (let s = 0; s < Math.min(maxStart, x.length - minPoints); s++) {
+        let Sw = 0, Sx = 0, Sy = 0, Sxx = 0, Sxy = 0, Syy = 0;
+        for (let e = s; e < x.length; e++) {
+            Sw += w[e]; Sx += w[e] * x[e]; Sy += w[e] * y[e];
+            Sxx += w[e] * x[e] * x[e]; Sxy += w[e] * x[e] * y[e]; Syy += w[e] * y[e] * y[e];
+
+            const n = e - s + 1;
+            if (n < minPoints) continue;
+
+            const delta = Sw * Sxx - Sx * Sx;
+            const b = (Sw * Sxy - Sx * Sy) / delta;
+            const a = (Sxx * Sy - Sx * Sxy) / delta;
+            if (!(b < 0)) continue;
+
+            const rg = Math.sqrt(-3 * b);
+            if (Math.sqrt(x[e]) * rg > qRgLimit) {
+                // 更長的區間 R_g 通常不會縮到足以回到範圍內；連續超出即停止
+                if (Math.sqrt(x[e]) * rg > qRgLimit * 1.5) break;
+                continue;
+            }
+            if (Math.sqrt(x[s]) * rg > 0.65) continue;
+
+            const chi2 = Math.max(0, Syy - 2 * a * Sy - 2 * b * Sxy + a * a * Sw + 2 * a * b * Sx + b * b * Sxx) / (n - 2);
+            const rgError = 1.5 * Math.sqrt(Sw / delta * Math.max(1, chi2)) / rg;
+            const score = rgError / rg;
+
+            if (!best || score < best.score) {
+                best = { score, start: index[s], end: index[e] };
+            }
+        }
+    }
+
+    if (!best) {
+        return minPoints > 5 ? autoGuinier(profile, { ...options, minPoints: minPoints - 1 }) : null;
+    }
+
+    const fit = fitGuinier(profile, best.start, best.end);
+    return fit ? { ...fit, qRgLimit } : null;
+}
+
+// ========================
+// 間接傅立葉轉換 (IFT) — P(r)
+// ========================
+
+// P(r) 內部格點數 (不含 r = 0 與 r = Dmax 兩端的零點)
+const IFT_GRID_POINTS = 50;
+// 自動 α 掃描範圍 (log₁₀ 相對 α) 與步距
+const IFT_LOG_ALPHA_RANGE = { min: -4, max: 3, step: 0.25 };
+// 自動 Dmax 掃描範圍 (× R_g) 與點數
+const IFT_DMAX_RANGE = { min: 2.2, max: 4.5, steps: 24 };
+
+/**
+ * Cholesky 分解 A = L·Lᵀ (A 為對稱正定矩陣)
+ * @param {number[][]} A - 矩陣
+ * @returns {number[][]|null} 下三角矩陣 L；非正定時為 null
+ */
+function choleskyDecompose(A) {
+    const n = A.length;
+    const L = A.map(() => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = A[i][j];
+            for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+            if (i === j) {
+                if (!(sum > 0)) return null;
+                L[i][i] = Math.sqrt(sum);
+            } else {
+                L[i][j] = sum / L[j][j];
+            }
+        }
+    }
+    return L;
+}
+
+/**
+ * 以 Cholesky 因子解 L·Lᵀ x = b
+ * @param {number[][]} L - choleskyDecompose 結果
+ * @param {number[]} b - 右側向量
+ * @returns {number[]} x
+ */
+function choleskySolve(L, b) {
+    const n = L.length;
+    const y = new Array(n);
+    for (let i = 0; i < n; i++) {
+        let sum = b[i];
+        for (let k = 0; k < i; k++) sum -= L[i][k] * y[k];
+        y[i] = sum / L[i][i];
+    }
+    const x = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = y[i];
+        for (let k = i + 1; k < n; k++) sum -= L[k][i] * x[k];
+        x[i] = sum / L[i][i];
+    }
+    return x;
+}
+
+/**
+ * 建立 IFT 線性系統: I(q) = Σ P(r_j) Δr sin(q r_j)/(q r_j)
+ * 平滑度先驗以二階差分 (P(0) = P(Dmax) = 0) 表示: Ω = LᵀL
+ * @param {object} profile - parseDatFile 結果
+ * @param {number} dmax - 最大尺寸 (Å)
+ * @param {number} start - 起始索引 (含)
+ * @param {number} end - 結束索引 (含)
+ * @returns {object} { r, dr, q, intensity, weights, K, B (KᵀWK), b (KᵀWI), omega, logDetOmega }
+ */
+function buildIFTSystem(profile, dmax, start, end) {
+    const N = IFT_GRID_POINTS;
+    const dr = dmax / (N + 1);
+    const r = Array.from({ length: N }, (_, j) => (j + 1) * dr);
+
+    const q = [], intensity = [], weights = [];
+    for (let i = start; i <= end; i++) {
+        const I = profile.intensity[i];
+        // 無 σ 時以 |I| 作為誤差 (等相對權重，與 Guinier 一致)
+        const sigma = profile.hasSigma ? profile.sigma[i] : Math.abs(I);
+        if (!(profile.q[i] > 0) || !(sigma > 0) || !isFinite(I)) continue;
+        q.push(profile.q[i]);
+        intensity.push(I);
+        weights.push(1 / (sigma * sigma));
+    }
+
+    const K = q.map(qi => r.map(rj => dr * Math.sin(qi * rj) / (qi * rj)));
+    const B = r.map(() => new Array(N).fill(0));
+    const b = new Array(N).fill(0);
+    K.forEach((row, i) => {
+        for (let a = 0; a < N; a++) {
+            const wk = weights[i] * row[a];
+            b[a] += wk * intensity[i];
+            for (let c = a; c < N; c++) B[a][c] += wk * row[c];
+        }
+    });
+    for (let a = 0; a < N; a++) {
+        for (let c = 0; c < a; c++) B[a][c] = B[c][a];
+    }
+
+    // 二階差分 LᵀL (五對角)
+    const omega = r.map(() => new Array(N).fill(0));
+    for (let j = 0; j < N; j++) {
+        omega[j][j] = (j === 0 || j === N - 1) ? 5 : 6;
+        if (j > 0) omega[j][j - 1] = omega[j - 1][j] = -4;
+        if (j > 1) omega[j][j - 2] = omega[j - 2][j] = 1;
+    }
+
+    // log det Ω (證據計算用，與 α 無關)
+    const logDetOmega = choleskyDecompose(omega).reduce((sum, row, j) => sum + 2 * Math.log(row[j]), 0);
+
+    return { r, dr, q, intensity, weights, K, B, b, omega, logDetOmega };
+}
+
+/**
+ * 在給定 α 下求解正則化 IFT，並計算貝氏證據 (Bayesian evidence)
+ * α 為相對值: α_eff = α · tr(KᵀWK) / tr(Ω)，使其與數據強度及 Dmax 無關
+ * log 證據 = −½(χ² + α_eff·PᵀΩP) + ½ log det(α_eff·Ω) − ½ log det(KᵀWK + α_eff·Ω) (省略常數)
+ * @param {object} system - buildIFTSystem 結果
+ * @param {number} alpha - 相對正則化參數
+ * @returns {object|null} { alpha, p, chi2, logEvidence, factor }；矩陣非正定時為 null
+ */
+function solveIFT(system, alpha) {
+    const { B, b, omega, logDetOmega, K, intensity, weights } = system;
+    const N = B.length;
+
+    let traceB = 0, traceOmega = 0;
+    for (let j = 0; j < N; j++) { traceB += B[j][j]; traceOmega += omega[j][j]; }
+    const alphaEff = alpha * traceB / traceOmega;
+
+    const A = B.map((row, a) => row.map((value, c) => value + alphaEff * omega[a][c]));
+    const factor = choleskyDecompose(A);
+    if (!factor) return null;
+    const p = choleskySolve(factor, b);
+
+    let chi2 = 0;
+    K.forEach((row, i) => {
+        const fitted = row.reduce((sum, k, j) => sum + k * p[j], 0);
+        chi2 += weights[i] * (intensity[i] - fitted) ** 2;
+    });
+
+    let smoothness = 0;
+    for (let a = 0; a < N; a++) {
+        for (let c = 0; c < N; c++) smoothness += p[a] * omega[a][c] * p[c];
+    }
+    const logDetA = factor.reduce((sum, row, j) => sum + 2 * Math.log(row[j]), 0);
+    const logEvidence = -0.5 * (chi2 + alphaEff * smoothness) +
+        0.5 * (N * Math.log(alphaEff) + logDetOmega) - 0.5 * logDetA;
+
+    return { alpha, p, chi2, logEvidence, factor };
+}
+
+/**
+ * 指定 α 時直接求解，否則在 IFT_LOG_ALPHA_RANGE 內取貝氏證據最大者
+ * @param {object} system - buildIFTSystem 結果
+ * @param {number} alpha - 相對正則化參數；null 表示自動
+ * @returns {object|null} solveIFT 結果
+ */
+function optimizeIFTAlpha(system, alpha) {
+    if (alpha > 0) return solveIFT(system, alpha);
+
+    let best = null;
+    for (let logAlpha = IFT_LOG_ALPHA_RANGE.min; logAlpha <= IFT_LOG_ALPHA_RANGE.max; logAlpha += IFT_LOG_ALPHA_RANGE.step) {
+        const solution = solveIFT(system, 10 ** logAlpha);
+        if (solution && (!best || solution.logEvidence > best.logEvidence)) best = solution;
+    }
+    return best;
+}
+
+/**
+ * 正則化 IFT 求 P(r) (固定 Dmax)
+ * 誤差來自後驗協方差 A⁻¹·KᵀWK·A⁻¹ 並乘上 reduced χ² (χ² < 1 時不縮小)
+ * @param {object} profile - parseDatFile 結果
+ * @param {number} dmax - 最大尺寸 (Å)
+ * @param {object} options - 選項
+ * @param {number} options.alpha - 相對正則化參數；null 表示自動
+ * @param {number} options.start - 起始索引 (例如 Guinier 擬合起點，略過聚集區)，預設 0
+ * @param {number} options.end - 結束索引，預設最後一點
+ * @returns {object|null} { dmax, alpha, alphaAuto, r, p, pError, i0, i0Error, rg, rgError, chi2, goodParameters, logEvidence, qmin, qmax, start, end, fit }
+ */
+function fitIFT(profile, dmax, options = {}) {
+    const start = options.start ?? 0;
+    const end = options.end ?? profile.q.length - 1;
+    if (!(dmax > 0)) return null;
+
+    const system = buildIFTSystem(profile, dmax, start, end);
+    const n = system.q.length;
+    if (n < 10) return null;
+
+    const best = optimizeIFTAlpha(system, options.alpha);
+    if (!best) return null;
+
+    const { r, dr, K, B } = system;
+    const p = best.p;
+
+    // A⁻¹ 與有效參數數 tr(A⁻¹·KᵀWK)
+    const Ainv = r.map((_, j) => choleskySolve(best.factor, r.map((__, k) => (k === j ? 1 : 0))));
+    const AinvB = Ainv.map(row => B[0].map((_, c) => row.reduce((sum, value, k) => sum + value * B[k][c], 0)));
+    const goodParameters = AinvB.reduce((sum, row, j) => sum + row[j], 0);
+    const chi2 = best.chi2 / Math.max(1, n - goodParameters);
+    const covariance = AinvB.map(row => Ainv[0].map((_, c) =>
+        row.reduce((sum, value, k) => sum + value * Ainv[k][c], 0) * Math.max(1, chi2)
+    ));
+
+    // I(0) = ∫P dr；R_g² = ∫r²P dr / (2∫P dr)，誤差以一階傳遞
+    const i0 = p.reduce((sum, value) => sum + value * dr, 0);
+    const m2 = p.reduce((sum, value, j) => sum + value * r[j] * r[j] * dr, 0);
+    const rg2 = m2 / (2 * i0);
+    const rg = Math.sqrt(Math.max(rg2, 0));
+    const gradI0 = r.map(() => dr);
+    const gradRg = r.map(rj => dr * (rj * rj - 2 * rg2) / (2 * i0) / (2 * rg));
+    const propagate = grad => Math.sqrt(Math.max(0,
+        grad.reduce((sum, ga, a) => sum + ga * grad.reduce((inner, gc, c) => inner + covariance[a][c] * gc, 0), 0)
+    ));
+
+    const fitted = K.map(row => row.reduce((sum, k, j) => sum + k * p[j], 0));
+
+    return {
+        dmax: dmax,
+        alpha: best.alpha,
+        alphaAuto: !(options.alpha > 0),
+        r: [0, ...r, dmax],
+        p: [0, ...p, 0],
+        pError: [0, ...r.map((_, j) => Math.sqrt(Math.max(covariance[j][j], 0))), 0],
+        i0: i0,
+        i0Error: propagate(gradI0),
+        rg: rg,
+        rgError: propagate(gradRg),
+        chi2: chi2,
+        goodParameters: goodParameters,
+        logEvidence: best.logEvidence,
+        qmin: system.q[0],
+        qmax: system.q[n - 1],
+        start: start,
+        end: end,
+        fit: {
+            q: system.q,
+            intensity: system.intensity,
+            fitted: fitted,
+            residuals: fitted.map((value, i) => (system.intensity[i] - value) * Math.sqrt(system.weights[i]))
+        }
+    };
+}
+
+/**
+ * 自動 IFT: 在 Dmax = 2.2–4.5 × R_g 間掃描，取貝氏證據最大者 (α 同時最佳化)
+ * @param {object} profile - parseDatFile 結果
+ * @param {object} options - 選項
+ * @param {number} options.rg - 掃描用的 R_g (Å)；未提供時以 autoGuinier 估計
+ * @param {number} options.dmax - 指定 Dmax (Å)；提供時不掃描
+ * @param {number} options.alpha - 指定相對 α；null 表示自動
+ * @param {number} options.start - 起始索引
+ * @param {number} options.end - 結束索引
+ * @returns {object|null} fitIFT 結果另附 dmaxAuto 與 scan [{ dmax, alpha, logEvidence }]
+ */
+function autoIFT(profile, options = {}) {
+    if (options.dmax > 0) {
+        const fit = fitIFT(profile, options.dmax, options);
+        return fit ? { ...fit, dmaxAuto: false, scan: [] } : null;
+    }
+
+    const rg = options.rg > 0 ? options.rg : autoGuinier(profile)?.rg;
+    if (!rg) return null;
+
+    const start = options.start ?? 0;
+    const end = options.end ?? profile.q.length - 1;
+    const scan = [];
+    let best = null;
+    for (let k = 0; k < IFT_DMAX_RANGE.steps; k++) {
+        const dmax = rg * (IFT_DMAX_RANGE.min + (IFT_DMAX_RANGE.max - IFT_DMAX_RANGE.min) * k / (IFT_DMAX_RANGE.steps - 1));
+        const system = buildIFTSystem(profile, dmax, start, end);
+        if (system.q.length < 10) return null;
+
+        const solution = optimizeIFTAlpha(system, options.alpha);
+        if (!solution) continue;
+
+        const entry = { dmax, alpha: solution.alpha, logEvidence: solution.logEvidence };
+        scan.push(entry);
+        if (!best || entry.logEvidence > best.logEvidence) best = entry;
+    }
+    if (!best) return null;
+
+    const fit = fitIFT(profile, best.dmax, { ...options, alpha: best.alpha });
+    return fit ? { ...fit, alphaAuto: !(options.alpha > 0), dmaxAuto: true, scan } : null;
+}
+
+// ========================
+// Porod 不變量
+// ========================
+
+// q⁻⁴ 漸近 (Porod 區) 的起點 q·R_g；以下為 Guinier 至 Porod 過渡區，I(q) 尚未依 q⁻⁴ 衰減
+const POROD_PLATEAU_MIN_QRG = 4;
+
+/**
+ * q ≤ qmax 的最後一點索引
+ * @param {object} profile - parseDatFile 結果
+ * @param {number} start - 起始索引
+ * @param {number} qmax - 上限 (Å⁻¹)
+ * @returns {number} 結束索引
+ */
+function findProfileEnd(profile, start, qmax) {
+    let end = start;
+    while (end + 1 < profile.q.length && profile.q[end + 1] <= qmax) end++;
+    return end;
+}
+
+/**
+ * 積分 ∫ qⁿ (I(q) − B) dq (梯形積分)
+ * 0 至起始點以 Guinier 曲線 I(0)·exp(−q²R_g²/3) 補足，避開低 q 聚集或 beamstop 區
+ * @param {object} profile - parseDatFile 結果
+ * @param {object} options - 選項
+ * @param {number} options.i0 - Guinier I(0)
+ * @param {number} options.rg - Guinier R_g (Å)
+ * @param {number} options.start - 起始索引
+ * @param {number} options.end - 結束索引 (含)
+ * @param {number} options.power - q 的次方 n (Porod 不變量 2，相關體積 1)
+ * @param {number} options.constant - 扣除常數 B，預設 0
+ * @returns {object} { guinier, data }: 兩段積分值
+ */
+function integrateProfileMoment(profile, options) {
+    const { i0, rg, start, end, power } = options;
+    const constant = options.constant ?? 0;
+
+    const guinierSteps = 50;
+    const qStart = profile.q[start];
+    const guinierIntegrand = q => q ** power * i0 * Math.exp(-q * q * rg * rg / 3);
+    let guinier = 0;
+    for (let k = 0; k < guinierSteps; k++) {
+        const qa = qStart * k / guinierSteps;
+        const qb = qStart * (k + 1) / guinierSteps;
+        guinier += (guinierIntegrand(qa) + guinierIntegrand(qb)) / 2 * (qb - qa);
+    }
+
+    let data = 0;
+    for (let i = start; i < end; i++) {
+        const fa = profile.q[i] ** power * (profile.intensity[i] - constant);
+        const fb = profile.q[i + 1] ** power * (profile.intensity[i + 1] - constant);
+        data += (fa + fb) / 2 * (profile.q[i + 1] - profile.q[i]);
+    }
+
+    return { guinier, data };
+}
+
+/**
+ * 由散射曲線積分 Porod 不變量 Q = ∫ q² I(q) dq
+ * 高 q 以 I(q) = K/q⁴ + B 取得 Porod 常數 K 與平台常數 B：擬合範圍為 q·R_g ≥ 4 至數據末端 (不扣除常數時至 q_max)，
+ * 對累積積分 ∫ q² I dq = c − K/q + B·q³/3 線性回歸 (形狀因子的振盪在積分中平均，逐點擬合 q⁴I 會被振盪帶偏)；
+ * 扣除 B 後積分至 q_max，低 q 段 (0 至 Guinier 起點) 以 Guinier 曲線補足，q_max 以上以 K/q_max 補足
+ * @param {object} profile - parseDatFile 結果
+ * @param {object} options - 選項
+ * @param {number} options.i0 - Guinier I(0)
+ * @param {number} options.rg - Guinier R_g (Å)
+ * @param {number} options.start - 數據起始索引 (Guinier 擬合起點)，預設 0
+ * @param {number} options.qmaxRg - 積分上限 q_max·R_g，預設 8
+ * @param {boolean} options.subtractConstant - 是否扣除平台常數 B，預設 true
+ * @returns {object|null} { invariant, constant, porodConstant, qmax, qmaxRg, integrationRange, plateauRange, contributions, end }
+ */
+function calculatePorodInvariant(profile, options = {}) {
+    const { i0, rg } = options;
+    if (!(i0 > 0) || !(rg > 0)) return null;
+
+    const start = options.start ?? 0;
+    const qmaxRg = options.qmaxRg ?? 8;
+    const subtractConstant = options.subtractConstant ?? true;
+    const qmax = Math.min(qmaxRg / rg, profile.q[profile.q.length - 1]);
+
+    const end = findProfileEnd(profile, start, qmax);
+    if (end - start < 10) return null;
+
+    // Porod 平台: q·R_g ≥ 4 起；扣除常數時延伸至數據末端 (涵蓋較多振盪週期以分離 K 與 B)，
+    // 不扣除時止於 q_max (未扣除的背景在更高 q 會被當成 K)
+    let plateauStart = start;
+    while (plateauStart < profile.q.length && profile.q[plateauStart] * rg < POROD_PLATEAU_MIN_QRG) plateauStart++;
+    const plateauEnd = subtractConstant ? profile.q.length - 1 : end;
+    if (plateauEnd - plateauStart < 10) return null;
+
+    // 累積積分 C(q) = c − K/q + B·q³/3 的最小平方 (正規方程；不扣除常數時 B = 0)
+    const basis = q => subtractConstant ? [1, -1 / q, q ** 3 / 3] : [1, -1 / q];
+    const n = subtractConstant ? 3 : 2;
+    const normal = Array.from({ length: n }, () => new Array(n).fill(0));
+    const rhs = new Array(n).fill(0);
+    let cumulative = 0;
+    for (let i = plateauStart; i <= plateauEnd; i++) {
+        if (i > plateauStart) {
+            const fa = profile.q[i - 1] ** 2 * profile.intensity[i - 1];
+            const fb = profile.q[i] ** 2 * profile.intensity[i];
+            cumulative += (fa + fb) / 2 * (profile.q[i] - profile.q[i - 1]);
+        }
+        const row = basis(profile.q[i]);
+        for (let a = 0; a < n; a++) {
+            rhs[a] += row[a] * cumulative;
+            for (let b = 0; b < n; b++) normal[a][b] += row[a] * row[b];
+        }
+    }
+    const solution = LeastSquares.solveLinearSystem(normal, rhs);
+    if (!solution || !solution.every(Number.isFinite)) return null;
+    const porodConstant = solution[1];
+    const constant = subtractConstant ? solution[2] : 0;
+
+    const { guinier: guinierPart, data: dataPart } = integrateProfileMoment(profile, { i0, rg, start, end, power: 2, constant });
+
+    const tailPart = Math.max(porodConstant, 0) / profile.q[end];
+    const invariant = guinierPart + dataPart + tailPart;
+    if (!(invariant > 0)) return null;
+
+    return {
+        invariant: invariant,
+        constant: constant,
+        porodConstant: porodConstant,
+        qmax: profile.q[end],
+        qmaxRg: profile.q[end] * rg,
+        integrationRange: { qmin: profile.q[start], qmax: profile.q[end] },
+        plateauRange: { qmin: profile.q[plateauStart], qmax: profile.q[plateauEnd] },
+        contributions: { guinier: guinierPart, data: dataPart, tail: tailPart },
+        start: start,
+        end: end
+    };
+}
+
+// ========================
+// 濃度無關分子量: Vc (Rambo–Tainer) 與 Qp (Fischer)
+// ========================
+
+// Rambo & Tainer (2013) Nature 496:477 — MW = (Q_R / c)^k，Q_R = V_c² / R_g
+const VC_MW_COEFFICIENTS = {
+    protein: { c: 0.1231, k: 1.0 },
+    rna: { c: 0.00934, k: 0.808 }
+};
+// Fischer et al. (2010) J Appl Cryst 43:101 — 蛋白質質量密度 0.83 × 10⁻³ kDa/Å³
+const QP_MASS_DENSITY = 0.83;   // Da/Å³
+const QP_QMAX_RANGE = { min: 0.15, max: 0.45 };   // 校正係數有效範圍 (Å⁻¹)
+// 方法本身的相對誤差 (文獻基準測試約 10%)，與 I(0)/R_g 誤差合成可信區間
+const MW_METHOD_UNCERTAINTY = { vc: 0.1, qp: 0.1 };
+
+/**
+ * 以相對誤差建立可信區間 (約 68%)
+ * @param {number} mw - 分子量 (Da)
+ * @param {number} methodError - 方法相對誤差
+ * @param {number} dataError - 數據傳遞的相對誤差
+ * @returns {object} { lower, upper, relativeError }
+ */
+function buildMwInterval(mw, methodError, dataError) {
+    const relativeError = Math.sqrt(methodError ** 2 + dataError ** 2);
+    return { lower: mw * (1 - relativeError), upper: mw * (1 + relativeError), relativeError };
+}
+
+/**
+ * 相關體積 V_c = I(0) / ∫ q I(q) dq 與 Q_R 分子量 (Rambo–Tainer)
+ * @param {object} profile - parseDatFile 結果
+ * @param {object} options - 選項
+ * @param {number} options.i0 - Guinier I(0)
+ * @param {number} options.i0Error - I(0) 誤差
+ * @param {number} options.rg - Guinier R_g (Å)
+ * @param {number} options.rgError - R_g 誤差
+ * @param {number} options.start - 數據起始索引 (Guinier 擬合起點)
+ * @param {number} options.qmax - 積分上限 (Å⁻¹)，預設 0.3
+ * @param {string} options.moleculeType - 'protein' | 'rna'
+ * @returns {object|null} { vc, qr, mw, interval, qmax, moleculeType }
+ */
+function estimateMwFromVc(profile, options = {}) {
+    const { i0, rg } = options;
+    if (!(i0 > 0) || !(rg > 0)) return null;
+
+    const start = options.start ?? 0;
+    const end = findProfileEnd(profile, start, options.qmax ?? 0.3);
+    if (end - start < 10) return null;
+
+    const { guinier, data } = integrateProfileMoment(profile, { i0, rg, start, end, power: 1 });
+    const vc = i0 / (guinier + data);
+    if (!(vc > 0)) return null;
+
+    const moleculeType = options.moleculeType === 'rna' ? 'rna' : 'protein';
+    const { c, k } = VC_MW_COEFFICIENTS[moleculeType];
+    const qr = vc * vc / rg;
+    const mw = (qr / c) ** k;
+
+    // MW ∝ (I(0)² / R_g)^k
+    const dataError = k * Math.sqrt((2 * (options.i0Error || 0) / i0) ** 2 + ((options.rgError || 0) / rg) ** 2);
+
+    return {
+        vc: vc,
+        qr: qr,
+        mw: mw,
+        interval: buildMwInterval(mw, MW_METHOD_UNCERTAINTY.vc, dataError),
+        qmax: profile.q[end],
+        moleculeType: moleculeType
+    };
+}
+
+/**
+ * Fischer Qp 法: 截斷不變量 Q' = ∫₀^qmax q² I dq 求表觀體積 V' = 2π² I(0)/Q'，
+ * 再以 q_max 相依係數校正 V = A(q_max) + B(q_max)·V'，MW = 0.83 Da/Å³ × V
+ * @param {object} profile - parseDatFile 結果
+ * @param {object} options - 選項 (同 estimateMwFromVc)
+ * @returns {object|null} { apparentVolume, volume, mw, interval, qmax, correction: { A, B }, inValidRange }
+ */
+function estimateMwFromQp(profile, options = {}) {
+    const { i0, rg } = options;
+    if (!(i0 > 0) || !(rg > 0)) return null;
+
+    const start = options.start ?? 0;
+    const end = findProfileEnd(profile, start, options.qmax ?? 0.3);
+    if (end - start < 10) return null;
+
+    const { guinier, data } = integrateProfileMoment(profile, { i0, rg, start, end, power: 2 });
+    const apparentVolume = 2 * Math.PI * Math.PI * i0 / (guinier + data);
+
+    const qmax = profile.q[end];
+    const A = -2.114e6 * qmax ** 4 + 2.920e6 * qmax ** 3 - 1.472e6 * qmax ** 2 + 3.349e5 * qmax - 3.577e4;
+    const B = 12.09 * qmax ** 3 - 9.39 * qmax ** 2 + 3.03 * qmax + 0.29;
+    const volume = A + B * apparentVolume;
+    if (!(apparentVolume > 0) || !(volume > 0)) return null;
+
+    const mw = QP_MASS_DENSITY * volume;
+    // V' ∝ I(0)，經校正後相對誤差按 B·V'/V 縮放
+    const dataError = (options.i0Error || 0) / i0 * B * apparentVolume / volume;
+
+    return {
+        apparentVolume: apparentVolume,
+        volume: volume,
+        mw: mw,
+        interval: buildMwInterval(mw, MW_METHOD_UNCERTAINTY.qp, dataError),
+        qmax: qmax,
+        correction: { A, B },
+        inValidRange: qmax >= QP_QMAX_RANGE.min && qmax <= QP_QMAX_RANGE.max
+    };
+}
+
+// ========================
+// Kratky 與柔性分析
+// ========================
+
+// 球狀蛋白無因次 Kratky 峰位置 (qR_g, (qR_g)²I/I(0)) = (√3, 3/e)
+const KRATKY_GLOBULAR_PEAK = { x: Math.sqrt(3), y: 1.104 };
+// 柔性分類門檻 (Receveur-Bréchot & Durand 2012)
+const FLEXIBILITY_THRESHOLDS = {
+    peakShift: 0.3,         // 峰位置 |qR_g − √3| 容許偏差
+    peakHeight: 1.3,        // 峰高上限
+    compactTail: 0.8,       // qR_g 4–6 平均值 < 0.8: 高 q 回落 (緊密)
+    unfoldedTail: 1.5,      // 無峰且平均值 ≥ 1.5: 平台或持續上升 (高斯鏈平台為 2)
+    peakSearchMax: 4,       // 峰值搜尋上限 (qR_g)
+    returnFraction: 0.5,    // 最大值後最低點 / 最大值 > 0.5: 高 qR_g 未回落 (無序證據)
+    porodRise: 1.5,         // qR_g 4–8 後半 / 前半 q⁴I 上包絡 > 1.5: Porod–Debye 無平台 (無序證據)
+    porodRange: [4, 8]      // Porod–Debye 平台檢查範圍 (qR_g)
+};
+
+/**
+ * Kratky、無因次 Kratky 與 Porod–Debye 分析，並判斷柔性
+ * 分類對應 calculateTheoreticalRg 的 proteinType: 緊密 → 'globular'、部分柔性 → 'idp'、展開 → 'unfolded'；
+ * 僅在有無序證據 (高 qR_g 未回落或 Porod–Debye 無平台) 時判為柔性 / 展開，
+ * 否則峰位移歸因於剛性延長 / 非等向形狀 ('elongated'，proteinType 為 null，不建議更改)
+ * @param {object} profile - parseDatFile 結果
+ * @param {object} options - 選項
+ * @param {number} options.i0 - Guinier I(0)
+ * @param {number} options.rg - Guinier R_g (Å)
+ * @param {number} options.start - 數據起始索引 (Guinier 擬合起點)
+ * @returns {object|null} { kratky, dimensionless, porodDebye, peak (無峰時為 null), peakShift, tailMean,
+ *   returnRatio, porodRise (資料不足時為 null), disordered, classification, proteinType, reference }
+ */
+function analyzeFlexibility(profile, options = {}) {
+    const { i0, rg } = options;
+    if (!(i0 > 0) || !(rg > 0)) return null;
+
+    const start = options.start ?? 0;
+    const end = findProfileEnd(profile, start, 8 / rg);
+    if (end - start < 10) return null;
+
+    const kratky = [], dimensionless = [], porodDebye = [];
+    for (let i = start; i < profile.q.length; i++) {
+        const q = profile.q[i];
+        const I = profile.intensity[i];
+        kratky.push({ x: q, y: q * q * I });
+        dimensionless.push({ x: q * rg, y: (q * rg) ** 2 * I / i0 });
+        if (i <= end) porodDebye.push({ x: q ** 4, y: q ** 4 * I });
+    }
+
+    // 峰值: 5 點移動平均，搜尋 qR_g ≤ 4；峰落在搜尋上限表示曲線未回落 (無峰)
+    const t = FLEXIBILITY_THRESHOLDS;
+    const smoothed = dimensionless.map((point, k) => {
+        const window = dimensionless.slice(Math.max(0, k - 2), k + 3);
+        return { x: point.x, y: window.reduce((sum, p) => sum + p.y, 0) / window.length };
+    });
+    const searched = smoothed.filter(point => point.x <= t.peakSearchMax);
+    const maximum = searched.reduce((best, point) => (!best || point.y > best.y ? point : best), null);
+    const peak = maximum && maximum !== searched[searched.length - 1] ? maximum : null;
+
+    const tail = smoothed.filter(point => point.x >= 4 && point.x <= 6);
+    const tailMean = tail.length ? tail.reduce((sum, p) => sum + p.y, 0) / tail.length : null;
+
+    // 無序證據一: 全域最大值後的最低點仍高 (剛性粒子於高 qR_g 回落趨近 0)
+    const globalMax = smoothed.reduce((best, point, k) => (point.y > smoothed[best].y ? k : best), 0);
+    const returnRatio = globalMax < smoothed.length - 1 && smoothed[globalMax].y > 0
+        ? Math.min(...smoothed.slice(globalMax + 1).map(point => point.y)) / smoothed[globalMax].y
+        : 1;
+
+    // 無序證據二: Porod–Debye (q⁴I) 於 qR_g 4–8 無平台 (後半段上包絡明顯高於前半段)
+    const [porodMin, porodMax] = t.porodRange;
+    const porodWindow = [];
+    for (let i = start; i <= end; i++) {
+        const x = profile.q[i] * rg;
+        if (x >= porodMin && x <= porodMax) porodWindow.push(i);
+    }
+    const porodSmoothed = porodWindow.map((index, k) => {
+        const neighbours = porodWindow.slice(Math.max(0, k - 2), k + 3);
+        return neighbours.reduce((sum, i) => sum + profile.q[i] ** 4 * profile.intensity[i], 0) / neighbours.length;
+    });
+    const half = Math.floor(porodSmoothed.length / 2);
+    const lowerEnvelope = half >= 5 ? Math.max(...porodSmoothed.slice(0, half)) : 0;
+    const porodRise = lowerEnvelope > 0 ? Math.max(...porodSmoothed.slice(half)) / lowerEnvelope : null;
+
+    const disordered = returnRatio > t.returnFraction || (porodRise !== null && porodRise > t.porodRise);
+
+    let classification = 'elongated';
+    if (peak && Math.abs(peak.x - KRATKY_GLOBULAR_PEAK.x) <= t.peakShift && peak.y <= t.peakHeight &&
+        tailMean !== null && tailMean < t.compactTail) {
+        classification = 'compact';
+    } else if (disordered) {
+        classification = !peak && tailMean !== null && tailMean >= t.unfoldedTail ? 'unfolded' : 'flexible';
+    }
+    const proteinType = { compact: 'globular', flexible: 'idp', unfolded: 'unfolded', elongated: null }[classification];
+
+    return {
+        kratky: kratky,
+        dimensionless: dimensionless,
+        porodDebye: porodDebye,
+        peak: peak,
+        peakShift: peak ? { x: peak.x - KRATKY_GLOBULAR_PEAK.x, y: peak.y - KRATKY_GLOBULAR_PEAK.y } : null,
+        tailMean: tailMean,
+        returnRatio: returnRatio,
+        porodRise: porodRise,
+        disordered: disordered,
+        classification: classification,
+        proteinType: proteinType,
+        reference: KRATKY_GLOBULAR_PEAK
+    };
+}
+
+// ========================
+// 濃度系列與零濃度外推
+// ========================
+
+// 最高濃度下 I(0)/c 相對無限稀釋值變化超過此比例時標示結構因子
+const STRUCTURE_FACTOR_THRESHOLD = 0.05;
+// 預設外推上限 (Å⁻¹): 高於此 q 改用最高濃度曲線 (粒子間干涉僅影響低 q，且統計最佳)
+const SERIES_MERGE_Q = 0.1;
+
+/**
+ * 輸出 .dat 文字 (q 單位 Å⁻¹，註解行以 # 開頭)
+ * @param {object} profile - { q, intensity, sigma }
+ * @param {Array<string>} comments - 標頭註解
+ * @returns {string} 檔案內容
+ */
+function formatDatFile(profile, comments = []) {
+    const lines = comments.map(comment => `# ${comment}`);
+    lines.push('# q (A^-1)    I(q)    sigma');
+    profile.q.forEach((q, i) => {
+        lines.push([q, profile.intensity[i], profile.sigma[i] || 0].map(value => value.toExponential(6)).join('  '));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * 加權直線擬合 y = a + b·x，權重 1/σ² (σ 缺少時等權重)
+ * 有 σ 時誤差乘上 reduced χ² (χ² < 1 時不縮小)；無 σ 時由殘差估計 (需 ≥ 3 點)
+ * @param {Array<number>} x - 自變數
+ * @param {Array<number>} y - 應變數
+ * @param {Array<number>} sigma - y 的誤差
+ * @returns {object|null} { intercept, slope, interceptError, slopeError, chi2 }；x 全相同時為 null
+ */
+function fitWeightedLine(x, y, sigma) {
+    const weighted = sigma.every(value => value > 0);
+    const w = sigma.map(value => (weighted ? 1 / (value * value) : 1));
+
+    let Sw = 0, Sx = 0, Sy = 0, Sxx = 0, Sxy = 0;
+    x.forEach((xi, i) => {
+        Sw += w[i]; Sx += w[i] * xi; Sy += w[i] * y[i];
+        Sxx += w[i] * xi * xi; Sxy += w[i] * xi * y[i];
+    });
+    const delta = Sw * Sxx - Sx * Sx;
+    if (!(delta > 0)) return null;
+
+    const slope = (Sw * Sxy - Sx * Sy) / delta;
+    const intercept = (Sxx * Sy - Sx * Sxy) / delta;
+    const chi2 = x.length > 2
+        ? x.reduce((sum, xi, i) => sum + w[i] * (y[i] - intercept - slope * xi) ** 2, 0) / (x.length - 2)
+        : null;
+    const scale = weighted ? Math.max(1, chi2 ?? 1) : (chi2 ?? NaN);
+
+    return {
+        intercept: intercept,
+        slope: slope,
+        interceptError: Math.sqrt(Sxx / delta * scale),
+        slopeError: Math.sqrt(Sw / delta * scale),
+        chi2: chi2
+    };
+}
+
+/**
+ * 線性內插至指定 q (超出數據範圍時為 null)
+ * @param {object} profile - parseDatFile 結果 (q 遞增)
+ * @param {number} q - 目標 q (Å⁻¹)
+ * @returns {object|null} { intensity, sigma }
+ */
+function interpolateProfile(profile, q) {
+    const k = profile.q.findIndex(value => value >= q);
+    if (k < 0 || (k === 0 && profile.q[0] > q)) return null;
+    if (profile.q[k] === q) return { intensity: profile.intensity[k], sigma: profile.sigma[k] };
+
+    const t = (q - profile.q[k - 1]) / (profile.q[k] - profile.q[k - 1]);
+    return {
+        intensity: profile.intensity[k - 1] + t * (profile.intensity[k] - profile.intensity[k - 1]),
+        sigma: profile.sigma[k - 1] + t * (profile.sigma[k] - profile.sigma[k - 1])
+    };
+}
+
+/**
+ * 濃度系列分析: 各曲線除以濃度後，低 q 逐點對 c 線性外推至 c → 0，高 q 接上最高濃度曲線
+ * Guinier I(0)/c 與 R_g 對 c 作圖；I(0)/c = I(0)/c|₀ · (1 − 2A₂Mc) 求第二維里係數
+ * @param {Array<object>} series - [{ label, concentration (mg/mL), profile (parseDatFile 結果) }]
+ * @param {object} options - 選項
+ * @param {number} options.mergeQ - 外推上限 q (Å⁻¹)，預設 SERIES_MERGE_Q
+ * @param {number} options.mw - 分子量 (Da)；提供時計算 A₂
+ * @param {number} options.qRgLimit - autoGuinier 的 q_max·R_g 上限
+ * @returns {object} { error, points, i0Trend, rgTrend, relativeSlope, relativeSlopeError, a2, a2Error, i0Change, rgChange,
+ *   structureFactor ('repulsive' | 'attractive' | 'none'), significant, scaled, extrapolated, extrapolatedGuinier, mergeQ } 或 { error: true, message }
+ */
+function analyzeConcentrationSeries(series, options = {}) {
+    const sorted = series.filter(entry => entry.concentration > 0).sort((a, b) => a.concentration - b.concentration);
+    if (sorted.length < 2 || sorted[0].concentration === sorted[sorted.length - 1].concentration) {
+        return { error: true, message: '需要至少兩個不同濃度 (> 0) 的曲線' };
+    }
+    const mergeQ = options.mergeQ > 0 ? options.mergeQ : SERIES_MERGE_Q;
+
+    // 各濃度 Guinier 與 S(0) 估計
+    const points = sorted.map(entry => {
+        const guinier = autoGuinier(entry.profile, { qRgLimit: options.qRgLimit });
+        return {
+            label: entry.label,
+            concentration: entry.concentration,
+            guinier: guinier,
+            i0PerC: guinier ? guinier.i0 / entry.concentration : null,
+            i0PerCError: guinier ? guinier.i0Error / entry.concentration : null,
+            rg: guinier?.rg ?? null,
+            rgError: guinier?.rgError ?? null
+        };
+    });
+    const fitted = points.filter(point => point.guinier);
+    const c = fitted.map(point => point.concentration);
+    const i0Trend = fitted.length >= 2
+        ? fitWeightedLine(c, fitted.map(point => point.i0PerC), fitted.map(point => point.i0PerCError))
+        : null;
+    const rgTrend = fitted.length >= 2
+        ? fitWeightedLine(c, fitted.map(point => point.rg), fitted.map(point => point.rgError))
+        : null;
+
+    // 相對斜率 k = b/a (mL/mg)；A₂ = −k / (2M)，c 由 mg/mL 換為 g/mL
+    const cMax = sorted[sorted.length - 1].concentration;
+    let relativeSlope = null, relativeSlopeError = null, a2 = null, a2Error = null;
+    let i0Change = null, rgChange = null, structureFactor = 'none', significant = false;
+    if (i0Trend && i0Trend.intercept > 0) {
+        const { intercept: a, slope: b, interceptError: aErr, slopeError: bErr } = i0Trend;
+        relativeSlope = b / a;
+        relativeSlopeError = Math.sqrt((bErr / a) ** 2 + (b * aErr / (a * a)) ** 2);
+        if (options.mw > 0) {
+            a2 = -relativeSlope * 1000 / (2 * options.mw);
+            a2Error = relativeSlopeError * 1000 / (2 * options.mw);
+        }
+
+        i0Change = relativeSlope * cMax;
+        significant = !isFinite(relativeSlopeError) || Math.abs(relativeSlope) > 2 * relativeSlopeError;
+        if (significant && i0Change < -STRUCTURE_FACTOR_THRESHOLD) structureFactor = 'repulsive';
+        if (significant && i0Change > STRUCTURE_FACTOR_THRESHOLD) structureFactor = 'attractive';
+        points.forEach(point => {
+            point.s0 = point.i0PerC !== null ? point.i0PerC / a : null;
+        });
+    }
+    if (rgTrend && rgTrend.intercept > 0) {
+        rgChange = rgTrend.slope * cMax / rgTrend.intercept;
+    }
+
+    // 外推曲線: 以最高濃度曲線的 q 為格點，限於所有曲線共同範圍
+    const reference = sorted[sorted.length - 1].profile;
+    const qMin = Math.max(...sorted.map(entry => entry.profile.q[0]));
+    const qMax = Math.min(...sorted.map(entry => entry.profile.q[entry.profile.q.length - 1]));
+    const extrapolated = { q: [], intensity: [], sigma: [] };
+
+    reference.q.forEach((q, j) => {
+        if (q < qMin || q > qMax) return;
+
+        if (q > mergeQ) {
+            extrapolated.q.push(q);
+            extrapolated.intensity.push(reference.intensity[j] / cMax);
+            extrapolated.sigma.push(reference.sigma[j] / cMax);
+            return;
+        }
+
+        const values = sorted.map(entry => interpolateProfile(entry.profile, q));
+        const line = fitWeightedLine(
+            sorted.map(entry => entry.concentration),
+            values.map((value, k) => value.intensity / sorted[k].concentration),
+            values.map((value, k) => value.sigma / sorted[k].concentration)
+        );
+        if (!line || !isFinite(line.intercept)) return;
+        extrapolated.q.push(q);
+        extrapolated.intensity.push(line.intercept);
+        extrapolated.sigma.push(isFinite(line.interceptError) ? line.interceptError : 0);
+    });
+
+    const profile = {
+        error: false,
+        q: extrapolated.q,
+        intensity: extrapolated.intensity,
+        sigma: extrapolated.sigma,
+        hasSigma: extrapolated.sigma.some(value => value > 0),
+        qUnit: 'A',
+        header: []
+    };
+
+    return {
+        error: false,
+        points: points,
+        i0Trend: i0Trend,
+        rgTrend: rgTrend,
+        relativeSlope: relativeSlope,
+        relativeSlopeError: relativeSlopeError,
+        a2: a2,
+        a2Error: a2Error,
+        i0Change: i0Change,
+        rgChange: rgChange,
+        structureFactor: structureFactor,
+        significant: significant,
+        threshold: STRUCTURE_FACTOR_THRESHOLD,
+        scaled: sorted.map(entry => ({
+            label: entry.label,
+            concentration: entry.concentration,
+            q: entry.profile.q,
+            intensity: entry.profile.intensity.map(value => value / entry.concentration)
+        })),
+        extrapolated: profile,
+        extrapolatedGuinier: profile.q.length >= 10 ? autoGuinier(profile, { qRgLimit: options.qRgLimit }) : null,
+        mergeQ: mergeQ
+    };
+}
+
+// 導出函數
+window.SAXSProfile = {
+    parseDatFile,
+    fitGuinier,
+    autoGuinier,
+    fitIFT,
+    autoIFT,
+    calculatePorodInvariant,
+    estimateMwFromVc,
+    estimateMwFromQp,
+    analyzeFlexibility,
+    analyzeConcentrationSeries,
+    interpolateProfile,
+    formatDatFile
+};
@@ -0,0 +1,334 @@
+/**
+ * TPS13A SAXS Calculator - SEC Deconvolution Module
+ * SEC-SAXS 重疊峰解析: 奇異值分解 (SVD) 估計成分數、演進因子分析 (EFA) 與濃度旋轉
+ */
+
+// ========================
+// 常數
+// ========================
+
+// 以 σ 正規化後純雜訊矩陣 (n_q × n_f) 最大奇異值約為 √n_q + √n_f (Marchenko–Pastur 上緣)；
+// 超過此值 × 1.1 視為訊號成分
+const SVD_NOISE_MARGIN = 1.1;
+const SVD_AUTOCORRELATION_LIMIT = 0.6;  // 訊號成分的奇異向量 lag-1 自相關下限
+const EFA_MAX_COMPONENTS = 5;
+const EFA_SUBSPACE_RANK = 15;           // 演進分析在前 15 個奇異向量張成的子空間中計算
+
+// 濃度旋轉 (Maeder 迭代法) 設定
+const EFA_ROTATION_SETTINGS = { maxIterations: 1000, tolerance: 1e-10 };
+
+// ========================
+// 線性代數
+// ========================
+
+/**
+ * 實對稱矩陣特徵分解 (循環 Jacobi 旋轉)
+ * @param {Array<Array<number>>} matrix - 對稱矩陣 (n×n)
+ * @returns {object} { values, vectors }：特徵值由大到小，vectors[k] 為對應的單位特徵向量
+ */
+function symmetricEigen(matrix) {
+    const n = matrix.length;
+    const A = matrix.map(row => row.slice());
+    const V = A.map((_, i) => A.map((__, j) => (i === j ? 1 : 0)));
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let offDiagonal = 0, diagonal = 0;
+        for (let i = 0; i < n; i++) {
+            diagonal += A[i][i] * A[i][i];
+            for (let j = i + 1; j < n; j++) offDiagonal += A[i][j] * A[i][j];
+        }
+        if (offDiagonal <= 1e-24 * diagonal || offDiagonal === 0) break;
+
+        for (let p = 0; p < n - 1; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (A[p][q] === 0) continue;
+                const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = A[k][p], akq = A[k][q];
+                    A[k][p] = c * akp - s * akq;
+                    A[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = A[p][k], aqk = A[q][k];
+                    A[p][k] = c * apk - s * aqk;
+                    A[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = V[k][p], vkq = V[k][q];
+                    V[k][p] = c * vkp - s * vkq;
+                    V[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    const order = A.map((row, i) => i).sort((a, b) => A[b][b] - A[a][a]);
+    return {
+        values: order.map(i => A[i][i]),
+        vectors: order.map(i => V.map(row => row[i]))
+    };
+}
+
+/**
+ * 向量 lag-1 自相關 Σx_i·x_{i+1} / Σx_i²
+ * @param {Array<number>} x - 向量
+ * @returns {number} 自相關係數 (平滑訊號接近 1，雜訊接近 0)
+ */
+function lagAutocorrelation(x) {
+    let product = 0, norm = 0;
+    x.forEach((value, i) => {
+        norm += value * value;
+        if (i > 0) product += value * x[i - 1];
+    });
+    return norm > 0 ? product / norm : 0;
+}
+
+// ========================
+// 數據矩陣
+// ========================
+
+/**
+ * 由幀序列建立扣除緩衝液後的數據矩陣與逐 q 雜訊尺度
+ * 雜訊取各幀 σ 的均方根；檔案無 σ 時以相鄰幀差估計 (σ² ≈ ⟨(I_{f+1} − I_f)²⟩ / 2)
+ * @param {Array<object>} profiles - 各幀 parseDatFile 結果 (需相同 q 格點)
+ * @param {object} buffer - 緩衝液平均曲線
+ * @param {Array<number>} range - 分析的幀區段 [start, end] (0 起算、含端點)
+ * @returns {object} { error, q, data, sigma, noise, frames } 或 { error: true, message }
+ *   data[f][i] 為第 f 幀 (區段內) 第 i 個 q 的強度
+ */
+function buildFrameMatrix(profiles, buffer, range) {
+    const [start, end] = range;
+    if (!(Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end >= start && end < profiles.length)) {
+        return { error: true, message: '分析區段無效或超出幀範圍' };
+    }
+    if (end - start + 1 < 5) {
+        return { error: true, message: '分析區段至少需要 5 幀' };
+    }
+
+    const selected = profiles.slice(start, end + 1);
+    if (selected.some(profile => !DataReduction.sameQGrid(profile, buffer))) {
+        return { error: true, message: '各幀的 q 格點不一致' };
+    }
+
+    const data = selected.map(profile => profile.intensity.map((I, i) => I - buffer.intensity[i]));
+    const sigma = selected.map(profile => profile.sigma.map((s, i) => Math.sqrt(s * s + buffer.sigma[i] ** 2)));
+    const hasSigma = selected.every(profile => profile.hasSigma);
+
+    const noise = buffer.q.map((_, i) => {
+        if (hasSigma) {
+            return Math.sqrt(sigma.reduce((sum, row) => sum + row[i] * row[i], 0) / sigma.length);
+        }
+        let sum = 0;
+        for (let f = 1; f < data.length; f++) sum += (data[f][i] - data[f - 1][i]) ** 2;
+        return Math.sqrt(sum / (2 * (data.length - 1)));
+    });
+    if (noise.some(value => !(value > 0))) {
+        return { error: true, message: '無法估計雜訊 (σ 為 0)' };
+    }
+
+    return {
+        error: false,
+        q: buffer.q.slice(),
+        data,
+        sigma: hasSigma ? sigma : data.map(() => noise.slice()),
+        noise,
+        frames: range.slice(),
+        qUnit: buffer.qUnit
+    };
+}
+
+// ========================
+// SVD 與演進因子分析
+// ========================
+
+/**
+ * 以 σ 正規化數據的 Gram 矩陣 AᵀA (n_f × n_f)
+ * @param {object} matrix - buildFrameMatrix 結果
+ * @returns {Array<Array<number>>}
+ */
+function buildGramMatrix(matrix) {
+    const weighted = matrix.data.map(row => row.map((value, i) => value / matrix.noise[i]));
+    return weighted.map(a => weighted.map(b => a.reduce((sum, value, i) => sum + value * b[i], 0)));
+}
+
+/**
+ * 奇異值分解並估計成分數
+ * 成分數為連續超過雜訊上緣 (√n_q + √n_f)·1.1 且左右奇異向量自相關皆 > 0.6 的奇異值個數
+ * @param {object} matrix - buildFrameMatrix 結果
+ * @returns {object} { singularValues, threshold, autocorrelation: [{ left, right }], components, rightVectors }
+ */
+function analyzeSVD(matrix) {
+    const nq = matrix.q.length;
+    const nf = matrix.data.length;
+    const { values, vectors } = symmetricEigen(buildGramMatrix(matrix));
+    const singularValues = values.map(value => Math.sqrt(Math.max(0, value)));
+    const threshold = (Math.sqrt(nq) + Math.sqrt(nf)) * SVD_NOISE_MARGIN;
+
+    // 左奇異向量 u = A·v / s (僅計算前幾個供自相關判定)
+    const shown = Math.min(nf, EFA_SUBSPACE_RANK);
+    const autocorrelation = vectors.slice(0, shown).map((v, k) => {
+        const u = matrix.q.map((_, i) => matrix.data.reduce((sum, row, f) => sum + row[i] / matrix.noise[i] * v[f], 0));
+        return {
+            left: singularValues[k] > 0 ? lagAutocorrelation(u) : 0,
+            right: lagAutocorrelation(v)
+        };
+    });
+
+    let components = 0;
+    while (components < Math.min(EFA_MAX_COMPONENTS, shown) &&
+        singularValues[components] > threshold &&
+        autocorrelation[components].left > SVD_AUTOCORRELATION_LIMIT &&
+        autocorrelation[components].right > SVD_AUTOCORRELATION_LIMIT) {
+        components++;
+    }
+
+    return { singularValues, threshold, autocorrelation, components, rightVectors: vectors };
+}
+
+/**
+ * 演進因子分析: 正向 (逐幀加入) 與反向 (由末幀往前) 視窗的奇異值
+ * 在前 EFA_SUBSPACE_RANK 個右奇異向量的子空間中計算 (視窗 Gram = S·V_wᵀV_w·S)，
+ * 並依雜訊上緣 (√n_q + √k)·1.1 判定各成分出現與消失的幀
+ * @param {object} matrix - buildFrameMatrix 結果
+ * @param {object} svd - analyzeSVD 結果
+ * @param {number} components - 成分數
+ * @returns {object} { forward, backward, thresholds, ranges: [[start, end], ...] } (幀索引為區段內 0 起算)
+ */
+function evolvingFactorAnalysis(matrix, svd, components) {
+    const nq = matrix.q.length;
+    const nf = matrix.data.length;
+    const rank = Math.min(EFA_SUBSPACE_RANK, nf);
+    const shown = Math.min(components + 1, rank);
+    const s = svd.singularValues.slice(0, rank);
+    const V = svd.rightVectors.slice(0, rank);
+    const thresholds = Array.from({ length: nf }, (_, k) => (Math.sqrt(nq) + Math.sqrt(k + 1)) * SVD_NOISE_MARGIN);
+
+    const scan = (order) => {
+        const gram = Array.from({ length: rank }, () => new Array(rank).fill(0));
+        return order.map(f => {
+            for (let a = 0; a < rank; a++) {
+                for (let b = 0; b < rank; b++) gram[a][b] += s[a] * V[a][f] * V[b][f] * s[b];
+            }
+            return symmetricEigen(gram).values.slice(0, shown).map(value => Math.sqrt(Math.max(0, value)));
+        });
+    };
+    const frames = Array.from({ length: nf }, (_, f) => f);
+    const forward = scan(frames);
+    const backward = scan(frames.slice().reverse()).reverse();
+
+    // 第 k 個成分: 正向第 k 個奇異值首次超過門檻處出現；先出現者先消失 (反向第 n−1−k 個奇異值)
+    const ranges = Array.from({ length: components }, (_, k) => {
+        let start = forward.findIndex((values, f) => values[k] > thresholds[f]);
+        let end = -1;
+        const j = components - 1 - k;
+        for (let f = nf - 1; f >= 0; f--) {
+            if (backward[f][j] > thresholds[nf - 1 - f]) { end = f; break; }
+        }
+        if (start < 0) start = 0;
+        if (end < start) end = nf - 1;
+        return [start, end];
+    });
+
+    return { forward, backward, thresholds, ranges };
+}
+
+// ========================
+// 濃度旋轉與各成分曲線
+// ========================
+
+/**
+ * 依成分範圍旋轉得到各成分濃度與散射曲線 (Maeder 迭代法)
+ * 濃度 C 反覆投影至前 n 個右奇異向量子空間，範圍外與負值設為 0；
+ * 收斂後曲線 P = D·C·(CᵀC)⁻¹，σ_P 由各幀 σ 傳遞；濃度以各成分峰頂 = 1 正規化
+ * @param {object} matrix - buildFrameMatrix 結果
+ * @param {object} svd - analyzeSVD 結果
+ * @param {Array<Array<number>>} ranges - 各成分範圍 [start, end] (區段內 0 起算)
+ * @returns {object} { error, converged, iterations, chi2, species: [{ range, concentration, profile }] } 或 { error: true, message }
+ */
+function rotateEFA(matrix, svd, ranges) {
+    const n = ranges.length;
+    const nf = matrix.data.length;
+    if (n < 1 || n > EFA_MAX_COMPONENTS) {
+        return { error: true, message: `成分數需介於 1–${EFA_MAX_COMPONENTS}` };
+    }
+    if (ranges.some(([start, end]) => !(start >= 0 && end > start && end < nf))) {
+        return { error: true, message: '成分範圍無效 (需在分析區段內且至少 2 幀)' };
+    }
+
+    const V = svd.rightVectors.slice(0, n);
+    const inside = (k, f) => f >= ranges[k][0] && f <= ranges[k][1];
+    let C = Array.from({ length: nf }, (_, f) => ranges.map((_, k) => (inside(k, f) ? 1 : 0)));
+
+    let converged = false, iterations = 0;
+    for (; iterations < EFA_ROTATION_SETTINGS.maxIterations && !converged; iterations++) {
+        // 投影: C ← V_nᵀ (V_n C)
+        const T = V.map(v => ranges.map((_, k) => v.reduce((sum, value, f) => sum + value * C[f][k], 0)));
+        const next = C.map((_, f) => ranges.map((__, k) => {
+            if (!inside(k, f)) return 0;
+            const value = V.reduce((sum, v, m) => sum + v[f] * T[m][k], 0);
+            return Math.max(0, value);
+        }));
+        ranges.forEach((_, k) => {
+            const peak = Math.max(...next.map(row => row[k]));
+            if (peak > 0) next.forEach(row => { row[k] /= peak; });
+        });
+
+        let change = 0;
+        next.forEach((row, f) => row.forEach((value, k) => { change += (value - C[f][k]) ** 2; }));
+        C = next;
+        converged = change < EFA_ROTATION_SETTINGS.tolerance;
+    }
+
+    if (ranges.some((_, k) => C.every(row => row[k] === 0))) {
+        return { error: true, message: '旋轉失敗: 有成分的濃度全為 0，請調整範圍或成分數' };
+    }
+
+    // M = C·(CᵀC)⁻¹ (n_f × n)
+    const CtC = ranges.map((_, a) => ranges.map((__, b) => C.reduce((sum, row) => sum + row[a] * row[b], 0)));
+    const inverseColumns = ranges.map((_, k) => LeastSquares.solveLinearSystem(CtC, ranges.map((__, m) => (m === k ? 1 : 0))));
+    if (inverseColumns.some(column => !column)) {
+        return { error: true, message: '成分濃度線性相依，請調整範圍' };
+    }
+    const M = C.map(row => ranges.map((_, k) => row.reduce((sum, value, m) => sum + value * inverseColumns[k][m], 0)));
+
+    const species = ranges.map((range, k) => {
+        const intensity = matrix.q.map((_, i) => matrix.data.reduce((sum, row, f) => sum + row[i] * M[f][k], 0));
+        const sigma = matrix.q.map((_, i) => Math.sqrt(matrix.sigma.reduce((sum, row, f) => sum + (row[i] * M[f][k]) ** 2, 0)));
+        return {
+            range: range.slice(),
+            concentration: C.map(row => row[k]),
+            profile: {
+                error: false,
+                q: matrix.q.slice(),
+                intensity,
+                sigma,
+                hasSigma: true,
+                qUnit: matrix.qUnit,
+                header: []
+            }
+        };
+    });
+
+    // 重建殘差 χ² = Σ((D − P·Cᵀ)/σ)² / (n_q·n_f)
+    let chi2 = 0;
+    matrix.data.forEach((row, f) => row.forEach((value, i) => {
+        const model = species.reduce((sum, sp, k) => sum + sp.profile.intensity[i] * C[f][k], 0);
+        chi2 += ((value - model) / matrix.sigma[f][i]) ** 2;
+    }));
+    chi2 /= matrix.q.length * nf;
+
+    return { error: false, converged, iterations, chi2, species };
+}
+
+// 導出函數
+window.SECDeconvolution = {
+    EFA_MAX_COMPONENTS,
+    buildFrameMatrix,
+    analyzeSVD,
+    evolvingFactorAnalysis,
+    rotateEFA
+};
@@ -0,0 +1,480 @@
+/**
+ * TPS13A SAXS Calculator - Shape Models Module
+ * 解析形狀模型 (form factor) 模擬與擬合，含 Schulz 多分散性
+ */
+
+// ========================
+// 常數
+// ========================
+
+const ORIENTATION_INTERVALS = 40;   // 取向平均的 Simpson 區間數 (μ = cos θ ∈ [0, 1])
+const POLYDISPERSITY_POINTS = 11;   // Schulz 分布取樣點數
+const POLYDISPERSITY_MAX = 0.5;     // 相對標準差上限
+
+// Levenberg–Marquardt 設定
+const SHAPE_FIT_SETTINGS = { maxIterations: 40, tolerance: 1e-6, lambda: 1e-3, step: 1e-4 };
+
+// 多起點初值網格 (fitAllShapeModels)
+// LM 的收斂範圍約為 L ± 2π/q_max，故長度方向需要細網格
+const SHAPE_ASPECT_RATIOS = Array.from({ length: 29 }, (_, i) => 2 ** (i / 4 - 2));   // 長寬比 0.25–32 (保持 R_g)
+const SHAPE_SIZE_SCALES = Array.from({ length: 15 }, (_, i) => 1.05 ** (i - 7));      // 尺寸倍率 0.71–1.41 (R_g 估計誤差)
+const SHAPE_SCREEN_POINTS = 100;    // 網格粗篩取樣的數據點上限
+const SHAPE_MULTISTART_FITS = 5;    // 由網格 χ² 最低的數個起點執行 LM
+
+// ========================
+// 基本函數
+// ========================
+
+/**
+ * 一階 Bessel 函數 J₁(x) (有理函數近似，Numerical Recipes)
+ * @param {number} x - 自變數
+ * @returns {number} J₁(x)
+ */
+function besselJ1(x) {
+    const ax = Math.abs(x);
+    if (ax < 8) {
+        const y = x * x;
+        const numerator = x * (72362614232.0 + y * (-7895059235.0 + y * (242396853.1 +
+            y * (-2972611.439 + y * (15704.48260 + y * (-30.16036606))))));
+        const denominator = 144725228442.0 + y * (2300535178.0 + y * (18583304.74 +
+            y * (99447.43394 + y * (376.9991397 + y))));
+        return numerator / denominator;
+    }
+    const z = 8 / ax;
+    const y = z * z;
+    const xx = ax - 2.356194491;
+    const p = 1 + y * (0.183105e-2 + y * (-0.3516396496e-4 + y * (0.2457520174e-5 + y * (-0.240337019e-6))));
+    const q = 0.04687499995 + y * (-0.2002690873e-3 + y * (0.8449199096e-5 + y * (-0.88228987e-6 + y * 0.105787412e-6)));
+    const value = Math.sqrt(0.636619772 / ax) * (Math.cos(xx) * p - z * Math.sin(xx) * q);
+    return x < 0 ? -value : value;
+}
+
+/**
+ * 均勻球散射振幅 Φ(x) = 3(sin x − x cos x)/x³ (Φ(0) = 1)
+ * @param {number} x - q·R
+ * @returns {number} Φ(x)
+ */
+function sphereAmplitude(x) {
+    if (Math.abs(x) < 1e-3) return 1 - x * x / 10;
+    return 3 * (Math.sin(x) - x * Math.cos(x)) / (x * x * x);
+}
+
+/**
+ * 圓盤截面振幅 2J₁(x)/x (x → 0 時為 1)
+ * @param {number} x - q·R·sin θ
+ * @returns {number} 振幅
+ */
+function discAmplitude(x) {
+    return Math.abs(x) < 1e-6 ? 1 : 2 * besselJ1(x) / x;
+}
+
+/**
+ * sin(x)/x (x → 0 時為 1)
+ * @param {number} x - 自變數
+ * @returns {number} sinc(x)
+ */
+function sincFunction(x) {
+    return Math.abs(x) < 1e-6 ? 1 : Math.sin(x) / x;
+}
+
+/**
+ * 對 μ ∈ [0, 1] 做 Simpson 積分 (取向平均)
+ * @param {function(number): number} integrand - 被積函數
+ * @returns {number} 積分值
+ */
+function orientationAverage(integrand) {
+    const h = 1 / ORIENTATION_INTERVALS;
+    let sum = integrand(0) + integrand(1);
+    for (let k = 1; k < ORIENTATION_INTERVALS; k++) {
+        sum += (k % 2 === 1 ? 4 : 2) * integrand(k * h);
+    }
+    return sum * h / 3;
+}
+
+// ========================
+// 形狀模型
+// ========================
+
+/**
+ * 形狀模型定義
+ * formFactor(q, p): 歸一化形狀因子 P(q) (P(0) = 1)
+ * forwardAmplitude(p): 前向振幅 (∝ 體積或質量，多分散性以其平方加權)
+ * rg(p) / dmax(p): 迴轉半徑與最大尺寸 (Å)；Gaussian chain 無明確 Dmax
+ * constrain(p): (選用) 擬合時的參數限制
+ * initial(rg): 由 R_g 推估的初始參數
+ * starts(rg): (選用) 多起點擬合的初值網格 (R_g 相同、長寬比不同)；未提供時僅用 initial(rg)
+ */
+const SHAPE_MODELS = {
+    sphere: {
+        label: '球體',
+        parameters: [
+            { key: 'radius', label: '半徑 <i>R</i>', unit: 'Å', positive: true }
+        ],
+        formFactor: (q, p) => sphereAmplitude(q * p.radius) ** 2,
+        forwardAmplitude: p => 4 / 3 * Math.PI * p.radius ** 3,
+        rg: p => Math.sqrt(3 / 5) * p.radius,
+        dmax: p => 2 * p.radius,
+        initial: rg => ({ radius: rg * Math.sqrt(5 / 3) })
+    },
+    ellipsoid: {
+        label: '旋轉橢球',
+        parameters: [
+            { key: 'polar', label: '旋轉軸半軸 <i>a</i>', unit: 'Å', positive: true },
+            { key: 'equatorial', label: '赤道半軸 <i>b</i>', unit: 'Å', positive: true }
+        ],
+        formFactor: (q, p) => orientationAverage(mu =>
+            sphereAmplitude(q * Math.sqrt(p.equatorial ** 2 * (1 - mu * mu) + p.polar ** 2 * mu * mu)) ** 2),
+        forwardAmplitude: p => 4 / 3 * Math.PI * p.polar * p.equatorial ** 2,
+        rg: p => Math.sqrt((p.polar ** 2 + 2 * p.equatorial ** 2) / 5),
+        dmax: p => 2 * Math.max(p.polar, p.equatorial),
+        // 長橢球 a = 2b: R_g² = 6b²/5
+        initial: rg => ({ polar: 2 * rg * Math.sqrt(5 / 6), equatorial: rg * Math.sqrt(5 / 6) }),
+        // a/b = ν: R_g² = (ν² + 2) b²/5
+        starts: rg => SHAPE_ASPECT_RATIOS.map(ratio => {
+            const equatorial = rg * Math.sqrt(5 / (ratio ** 2 + 2));
+            return { polar: ratio * equatorial, equatorial };
+        })
+    },
+    cylinder: {
+        label: '圓柱',
+        parameters: [
+            { key: 'radius', label: '半徑 <i>R</i>', unit: 'Å', positive: true },
+            { key: 'length', label: '長度 <i>L</i>', unit: 'Å', positive: true }
+        ],
+        formFactor: (q, p) => orientationAverage(mu =>
+            (discAmplitude(q * p.radius * Math.sqrt(1 - mu * mu)) * sincFunction(q * p.length * mu / 2)) ** 2),
+        forwardAmplitude: p => Math.PI * p.radius ** 2 * p.length,
+        rg: p => Math.sqrt(p.radius ** 2 / 2 + p.length ** 2 / 12),
+        dmax: p => Math.sqrt(4 * p.radius ** 2 + p.length ** 2),
+        // L = 4R: R_g² = (1/2 + 4/3) R²
+        initial: rg => {
+            const radius = rg / Math.sqrt(1 / 2 + 4 / 3);
+            return { radius, length: 4 * radius };
+        },
+        // L/R = κ: R_g² = (1/2 + κ²/12) R²
+        starts: rg => SHAPE_ASPECT_RATIOS.map(ratio => {
+            const radius = rg / Math.sqrt(1 / 2 + ratio ** 2 / 12);
+            return { radius, length: ratio * radius };
+        })
+    },
+    hollowCylinder: {
+        label: '中空圓柱',
+        parameters: [
+            { key: 'radius', label: '外半徑 <i>R</i>', unit: 'Å', positive: true },
+            { key: 'thickness', label: '壁厚 <i>t</i>', unit: 'Å', positive: true },
+            { key: 'length', label: '長度 <i>L</i>', unit: 'Å', positive: true }
+        ],
+        formFactor: (q, p) => {
+            const inner = Math.max(p.radius - p.thickness, 0);
+            const area = p.radius ** 2 - inner ** 2;
+            return orientationAverage(mu => {
+                const s = Math.sqrt(1 - mu * mu);
+                const radial = (p.radius ** 2 * discAmplitude(q * p.radius * s) - inner ** 2 * discAmplitude(q * inner * s)) / area;
+                return (radial * sincFunction(q * p.length * mu / 2)) ** 2;
+            });
+        },
+        forwardAmplitude: p => Math.PI * (p.radius ** 2 - Math.max(p.radius - p.thickness, 0) ** 2) * p.length,
+        rg: p => Math.sqrt((p.radius ** 2 + Math.max(p.radius - p.thickness, 0) ** 2) / 2 + p.length ** 2 / 12),
+        dmax: p => Math.sqrt(4 * p.radius ** 2 + p.length ** 2),
+        // 壁厚不超過外半徑 (t = R 為實心圓柱)
+        constrain: p => ({ ...p, thickness: Math.min(p.thickness, p.radius) }),
+        // t = R/2、L = 4R: R_g² = (5/8 + 4/3) R²
+        initial: rg => {
+            const radius = rg / Math.sqrt(5 / 8 + 4 / 3);
+            return { radius, thickness: radius / 2, length: 4 * radius };
+        },
+        // L/R = κ、t/R = τ: R_g² = ((1 + (1 − τ)²)/2 + κ²/12) R²
+        starts: rg => SHAPE_ASPECT_RATIOS.flatMap(ratio => [0.25, 0.5, 1].map(wall => {
+            const radius = rg / Math.sqrt((1 + (1 - wall) ** 2) / 2 + ratio ** 2 / 12);
+            return { radius, thickness: wall * radius, length: ratio * radius };
+        }))
+    },
+    coreShell: {
+        label: '核–殼球',
+        parameters: [
+            { key: 'core', label: '核半徑 <i>R</i><sub>c</sub>', unit: 'Å', positive: true },
+            { key: 'shell', label: '殼厚 <i>t</i>', unit: 'Å', positive: true },
+            { key: 'contrastRatio', label: '對比比 Δρ<sub>核</sub>/Δρ<sub>殼</sub>', unit: '', min: -5, max: 5, fixed: true }
+        ],
+        formFactor: (q, p) => {
+            const outer = p.core + p.shell;
+            const coreTerm = (p.contrastRatio - 1) * p.core ** 3;
+            const amplitude = coreTerm * sphereAmplitude(q * p.core) + outer ** 3 * sphereAmplitude(q * outer);
+            const forward = coreTerm + outer ** 3;
+            return Math.abs(forward) > 1e-12 ? (amplitude / forward) ** 2 : 0;
+        },
+        forwardAmplitude: p => 4 / 3 * Math.PI * ((p.contrastRatio - 1) * p.core ** 3 + (p.core + p.shell) ** 3),
+        rg: p => {
+            const outer = p.core + p.shell;
+            const coreTerm = p.contrastRatio - 1;
+            const rg2 = 3 / 5 * (coreTerm * p.core ** 5 + outer ** 5) / (coreTerm * p.core ** 3 + outer ** 3);
+            return Math.sqrt(Math.max(rg2, 0));
+        },
+        dmax: p => 2 * (p.core + p.shell),
+        initial: rg => {
+            const outer = rg * Math.sqrt(5 / 3);
+            return { core: 0.8 * outer, shell: 0.2 * outer, contrastRatio: 0.5 };
+        },
+        // 外半徑近似為等 R_g 均勻球，核佔比不同
+        starts: rg => [0.3, 0.5, 0.7, 0.8, 0.9].map(fraction => {
+            const outer = rg * Math.sqrt(5 / 3);
+            return { core: fraction * outer, shell: (1 - fraction) * outer, contrastRatio: 0.5 };
+        })
+    },
+    gaussianChain: {
+        label: 'Gaussian 鏈',
+        parameters: [
+            { key: 'rg', label: '<i>R</i><sub>g</sub>', unit: 'Å', positive: true }
+        ],
+        // Debye 函數: P = 2(e⁻ˣ + x − 1)/x²，x = (qR_g)²
+        formFactor: (q, p) => {
+            const x = (q * p.rg) ** 2;
+            return x < 1e-4 ? 1 - x / 3 : 2 * (Math.exp(-x) + x - 1) / (x * x);
+        },
+        forwardAmplitude: p => p.rg ** 2,
+        rg: p => p.rg,
+        dmax: () => null,
+        initial: rg => ({ rg })
+    }
+};
+
+// ========================
+// 多分散性
+// ========================
+
+/**
+ * Schulz 分布取樣 (尺寸縮放因子 s，平均 1，相對標準差 σ)
+ * n(s) ∝ s^z·exp(−(z+1)s)，z = 1/σ² − 1
+ * @param {number} polydispersity - 相對標準差 σ
+ * @returns {Array<{scale: number, weight: number}>} 取樣點與數量權重
+ */
+function schulzDistribution(polydispersity) {
+    if (!(polydispersity > 1e-3)) return [{ scale: 1, weight: 1 }];
+
+    const sigma = Math.min(polydispersity, POLYDISPERSITY_MAX);
+    const z = 1 / (sigma * sigma) - 1;
+    const low = Math.max(1e-3, 1 - 4 * sigma);
+    const high = 1 + 4 * sigma;
+    const points = Array.from({ length: POLYDISPERSITY_POINTS }, (_, k) => {
+        const scale = low + (high - low) * k / (POLYDISPERSITY_POINTS - 1);
+        return { scale, logWeight: z * Math.log(scale) - (z + 1) * scale };
+    });
+    const maxLog = Math.max(...points.map(point => point.logWeight));
+    const weights = points.map(point => Math.exp(point.logWeight - maxLog));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return points.map((point, k) => ({ scale: point.scale, weight: weights[k] / total }));
+}
+
+/**
+ * 將長度參數乘上縮放因子 (無因次參數不變)
+ * @param {object} model - SHAPE_MODELS 項目
+ * @param {object} parameters - 參數
+ * @param {number} scale - 縮放因子
+ * @returns {object} 縮放後參數
+ */
+function scaleShapeParameters(model, parameters, scale) {
+    const scaled = { ...parameters };
+    model.parameters.forEach(def => {
+        if (def.unit === 'Å') scaled[def.key] = parameters[def.key] * scale;
+    });
+    return scaled;
+}
+
+/**
+ * 多分散形狀模型的歸一化強度 I(q)/I(0) 與 z 平均 R_g
+ * 所有長度以相同 Schulz 因子縮放 (形狀不變)，以 n(s)·A₀(s)² 加權
+ * @param {string} shape - SHAPE_MODELS 鍵值
+ * @param {object} parameters - 模型參數
+ * @param {Array<number>} q - 散射向量 (Å⁻¹)
+ * @param {number} polydispersity - 相對標準差 σ (0 為單分散)
+ * @returns {object} { intensity, rg, dmax }
+ */
+function calculateShapeIntensity(shape, parameters, q, polydispersity = 0) {
+    const model = SHAPE_MODELS[shape];
+    const members = schulzDistribution(polydispersity).map(({ scale, weight }) => {
+        const scaled = scaleShapeParameters(model, parameters, scale);
+        return { parameters: scaled, weight: weight * model.forwardAmplitude(scaled) ** 2 };
+    });
+    const total = members.reduce((sum, member) => sum + member.weight, 0);
+
+    const intensity = q.map(value => members.reduce((sum, member) =>
+        sum + member.weight * model.formFactor(value, member.parameters), 0) / total);
+    const rg2 = members.reduce((sum, member) => sum + member.weight * model.rg(member.parameters) ** 2, 0) / total;
+
+    return { intensity, rg: Math.sqrt(rg2), dmax: model.dmax(parameters) };
+}
+
+// ========================
+// 擬合
+// ========================
+
+/**
+ * 擬合形狀模型至實驗曲線: 尺度與背景為線性參數 (每次評估直接求解)，
+ * 其餘勾選參數以 Levenberg–Marquardt 最小化加權 χ² (長度參數取對數以維持正值)
+ * @param {object} profile - SAXSProfile.parseDatFile 結果
+ * @param {string} shape - SHAPE_MODELS 鍵值
+ * @param {object} parameters - 初始參數
+ * @param {object} options - 選項
+ * @param {Array<string>} options.fit - 要擬合的參數鍵值 (可含 'polydispersity')；未提供時僅計算尺度與背景
+ * @param {number} options.polydispersity - 初始相對標準差 σ
+ * @param {boolean} options.fitBackground - 是否擬合常數背景 (預設 true)
+ * @param {number} options.start - 起始索引
+ * @param {number} options.end - 結束索引
+ * @returns {object|null} { shape, parameters, errors, polydispersity, polydispersityError, scale, background, chi2, rg, dmax, iterations, fit }
+ */
+function fitShapeModel(profile, shape, parameters, options = {}) {
+    const model = SHAPE_MODELS[shape];
+    if (!model) return null;
+    const start = options.start ?? 0;
+    const end = options.end ?? profile.q.length - 1;
+    const fitBackground = options.fitBackground ?? true;
+
+    const q = [], intensity = [], weights = [];
+    for (let i = start; i <= end; i++) {
+        const I = profile.intensity[i];
+        const sigma = profile.hasSigma ? profile.sigma[i] : Math.abs(I);
+        if (!(profile.q[i] > 0) || !(sigma > 0) || !isFinite(I)) continue;
+        q.push(profile.q[i]);
+        intensity.push(I);
+        weights.push(1 / (sigma * sigma));
+    }
+
+    // 擬合變數: 長度參數 → ln，其餘線性並限制在 [min, max]
+    const keys = (options.fit || []).filter(key => key === 'polydispersity' || model.parameters.some(def => def.key === key));
+    const bounds = key => key === 'polydispersity' ? { min: 0, max: POLYDISPERSITY_MAX } :
+        model.parameters.find(def => def.key === key);
+    const isLog = key => key !== 'polydispersity' && bounds(key).positive;
+    const clamp = (key, value) => {
+        const { min, max } = bounds(key);
+        return Math.min(Math.max(value, min ?? -Infinity), max ?? Infinity);
+    };
+    const toVariables = (p, sigma) => keys.map(key => {
+        const value = key === 'polydispersity' ? sigma : p[key];
+        return isLog(key) ? Math.log(value) : value;
+    });
+    const fromVariables = x => {
+        const p = { ...parameters };
+        let sigma = options.polydispersity || 0;
+        keys.forEach((key, k) => {
+            const value = isLog(key) ? Math.exp(x[k]) : clamp(key, x[k]);
+            if (key === 'polydispersity') sigma = value;
+            else p[key] = value;
+        });
+        return { p: model.constrain ? model.constrain(p) : p, sigma };
+    };
+
+    const parameterCount = keys.length + (fitBackground ? 2 : 1);
+    if (q.length <= parameterCount + 2) return null;
+
+    // 給定形狀參數時的線性尺度 / 背景解與加權殘差
+    const evaluate = x => {
+        const { p, sigma } = fromVariables(x);
+        const shapeCurve = calculateShapeIntensity(shape, p, q, sigma).intensity;
+        let Sw = 0, Sm = 0, Smm = 0, Sy = 0, Smy = 0;
+        shapeCurve.forEach((m, i) => {
+            const w = weights[i];
+            Sw += w; Sm += w * m; Smm += w * m * m; Sy += w * intensity[i]; Smy += w * m * intensity[i];
+        });
+        let scale, background = 0;
+        if (fitBackground) {
+            const delta = Sw * Smm - Sm * Sm;
+            scale = (Sw * Smy - Sm * Sy) / delta;
+            background = (Smm * Sy - Sm * Smy) / delta;
+        } else {
+            scale = Smy / Smm;
+        }
+        const fitted = shapeCurve.map(m => scale * m + background);
+        const residuals = fitted.map((value, i) => (intensity[i] - value) * Math.sqrt(weights[i]));
+        return { p, sigma, scale, background, fitted, residuals, chi2: residuals.reduce((sum, r) => sum + r * r, 0) };
+    };
+
+    const { x, current, iterations } = LeastSquares.levenbergMarquardt(
+        evaluate, toVariables(parameters, options.polydispersity || 0), SHAPE_FIT_SETTINGS
+    );
+
+    // 參數誤差: (JᵀJ)⁻¹ × reduced χ² (對數變數以一階轉回)；停在邊界 (導數為 0) 的參數無誤差
+    const chi2 = current.chi2 / (q.length - parameterCount);
+    const errors = {};
+    let polydispersityError = null;
+    if (keys.length > 0) {
+        const J = LeastSquares.numericalJacobian(evaluate, x, current, SHAPE_FIT_SETTINGS.step);
+        const active = keys.map((_, k) => k).filter(k => J[k].some(value => value !== 0));
+        const JtJ = active.map(a => active.map(b => J[a].reduce((sum, value, i) => sum + value * J[b][i], 0)));
+        keys.forEach((key, k) => {
+            const index = active.indexOf(k);
+            const column = index >= 0 ? LeastSquares.solveLinearSystem(JtJ, active.map((_, j) => (j === index ? 1 : 0))) : null;
+            const value = key === 'polydispersity' ? current.sigma : current.p[key];
+            const error = column ? Math.sqrt(Math.max(column[index] * Math.max(1, chi2), 0)) * (isLog(key) ? value : 1) : null;
+            if (key === 'polydispersity') polydispersityError = error;
+            else errors[key] = error;
+        });
+    }
+
+    const summary = calculateShapeIntensity(shape, current.p, [0], current.sigma);
+    return {
+        shape,
+        parameters: current.p,
+        errors,
+        polydispersity: current.sigma,
+        polydispersityError,
+        scale: current.scale,
+        background: current.background,
+        chi2,
+        rg: summary.rg,
+        dmax: summary.dmax,
+        iterations,
+        fittedParameters: keys,
+        fit: {
+            q,
+            intensity,
+            fitted: current.fitted,
+            residuals: current.residuals
+        }
+    };
+}
+
+/**
+ * 以所有形狀模型擬合 (擬合全部非固定參數)，依 χ² 排序
+ * 單一初值常使 LM 停在錯誤的局部解 (如長圓柱收斂成短圓柱)，故各模型以 starts(rg) × 尺寸倍率網格
+ * 僅解尺度與背景做粗篩，再由 χ² 最低的數個起點執行 LM，取最佳結果參與排序
+ * 為控制計算量以單分散比較；多分散性請以 fitShapeModel 對個別模型擬合
+ * @param {object} profile - SAXSProfile.parseDatFile 結果
+ * @param {number} rg - 初值用的 R_g (Å)
+ * @param {object} options - fitShapeModel 的 start / end / fitBackground
+ * @returns {Array<object>} fitShapeModel 結果 (χ² 由小到大)
+ */
+function fitAllShapeModels(profile, rg, options = {}) {
+    // 粗篩僅以等索引間隔取樣的數據點計算 χ²
+    const start = options.start ?? 0;
+    const end = options.end ?? profile.q.length - 1;
+    const stride = Math.max(1, Math.ceil((end - start + 1) / SHAPE_SCREEN_POINTS));
+    const sample = values => values && values.filter((_, i) => i >= start && i <= end && (i - start) % stride === 0);
+    const screenProfile = { ...profile, q: sample(profile.q), intensity: sample(profile.intensity), sigma: sample(profile.sigma) };
+    const screenOptions = { ...options, polydispersity: 0, start: 0, end: screenProfile.q.length - 1 };
+
+    return Object.entries(SHAPE_MODELS)
+        .map(([shape, model]) => {
+            const fit = model.parameters.filter(def => !def.fixed).map(def => def.key);
+            const settings = { ...options, polydispersity: 0 };
+            const screened = (model.starts ? model.starts(rg) : [model.initial(rg)])
+                .flatMap(parameters => SHAPE_SIZE_SCALES.map(scale => scaleShapeParameters(model, parameters, scale)))
+                .map(parameters => fitShapeModel(screenProfile, shape, parameters, screenOptions))
+                .filter(Boolean)
+                .sort((a, b) => a.chi2 - b.chi2)
+                .slice(0, SHAPE_MULTISTART_FITS);
+            return screened
+                .map(result => fitShapeModel(profile, shape, result.parameters, { ...settings, fit }))
+                .reduce((best, result) => (!best || result.chi2 < best.chi2 ? result : best), null);
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.chi2 - b.chi2);
+}
+
+// 導出函數
+window.ShapeModels = {
+    SHAPE_MODELS,
+    POLYDISPERSITY_MAX,
+    calculateShapeIntensity,
+    fitShapeModel,
+    fitAllShapeModels
+};
@@ -0,0 +1,66 @@
+/**
+ * TPS13A SAXS Calculator - Chromatogram Fit Tests
+ * 主峰 10.90 min (FWHM 0.99) 帶聚集體肩峰的多峰擬合回歸測試
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { fitChromatogram } = loadScripts('least-squares.js', 'chromatogram-fit.js').ChromatogramFit;
+
+/**
+ * 合成層析圖: 主峰 + 肩峰 (Gaussian) + 線性基線 + 固定種子雜訊
+ * @param {object} shoulder - { center, sigma, height }
+ * @returns {object} { time, signal }
+ */
+function syntheticChromatogram(shoulder) {
+    let seed = 3;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const gaussian = (t, center, sigma) => Math.exp(-0.5 * ((t - center) / sigma) ** 2);
+    const time = [], signal = [];
+    for (let i = 0; i <= 1200; i++) {
+        const t = 6 + i * 0.01;
+        time.push(t);
+        signal.push(100 * gaussian(t, 10.9, 0.99 / 2.3548) + shoulder.height * gaussian(t, shoulder.center, shoulder.sigma) +
+            2 + 0.1 * (t - 6) + (random() - 0.5) * 0.6);
+    }
+    return { time, signal };
+}
+
+function assertNear(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} (預期 ${expected} ± ${tolerance})`);
+}
+
+const SHOULDERS = {
+    leading: { center: 9.8, sigma: 0.3, height: 22 },
+    trailing: { center: 11.8, sigma: 0.35, height: 25 }
+};
+
+for (const [side, shoulder] of Object.entries(SHOULDERS)) {
+    for (const model of ['gaussian', 'emg']) {
+        test(`${side} shoulder at ${shoulder.center} min, ${model}: resolves both peaks`, () => {
+            const { time, signal } = syntheticChromatogram(shoulder);
+            const result = fitChromatogram(time, signal, { model, peaks: 2 });
+
+            assert.equal(result.error, false, result.message);
+            assert.ok(result.converged, `未收斂 (${result.iterations} 次迭代)`);
+            assert.ok(result.peaks.every(peak => peak.supported && peak.area > 0), '有峰面積為 0');
+
+            const main = result.peaks[result.target];
+            assertNear(main.apex, 10.9, 0.01, '主峰峰頂');
+            assertNear(main.fwhm, 0.99, 0.02, '主峰 FWHM');
+            const other = result.peaks.find((_, k) => k !== result.target);
+            assertNear(other.apex, shoulder.center, 0.02, '肩峰峰頂');
+        });
+    }
+}
+
+test('more peaks than the data support: extra peak is flagged unsupported', () => {
+    const { time, signal } = syntheticChromatogram(SHOULDERS.leading);
+    const result = fitChromatogram(time, signal, { model: 'gaussian', peaks: 3 });
+
+    assert.equal(result.error, false, result.message);
+    assert.ok(result.peaks.some(peak => !peak.supported), '未標示多餘的峰');
+    assertNear(result.peaks[result.target].apex, 10.9, 0.01, '主峰峰頂');
+});
@@ -0,0 +1,25 @@
+/**
+ * TPS13A SAXS Calculator - dn/dc Correction Tests
+ * 序列 dn/dc 與 dn/dc 面板的波長/溫度校正須使用同一色散模型
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { ProteinAnalysis, DndcCalculations } = loadScripts('protein.js', 'dndc-calculations.js');
+
+test('Cauchy dispersion: 589 → 658 nm lowers dn/dc by about 2.3%', () => {
+    const ratio = DndcCalculations.wavelengthCorrection(1, 589, 658);
+    assert.ok(Math.abs(ratio - 0.977) < 0.002, `ratio ${ratio}`);
+    assert.equal(DndcCalculations.wavelengthCorrection(0.185, 633, 633), 0.185);
+});
+
+test('sequence dn/dc matches comprehensiveCorrection of its 589 nm reference', () => {
+    const composition = { A: 10, W: 4, Y: 6, G: 12, K: 8, E: 8 };
+    for (const [wavelength, temperature] of [[589, 25], [633, 20], [658, 4]]) {
+        const result = ProteinAnalysis.calculateDnDc(composition, wavelength, temperature);
+        const expected = DndcCalculations.comprehensiveCorrection(result.reference, 25, 589, temperature, wavelength).finalDndc;
+        assert.equal(result.dndc, expected);
+    }
+});
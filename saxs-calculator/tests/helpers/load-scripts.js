@@ -0,0 +1,28 @@
+/**
+ * TPS13A SAXS Calculator - Test Script Loader
+ * 以瀏覽器 <script> 方式載入 js/ 下的模組 (共用全域範圍，匯出至 window)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * 依序載入模組並回傳其全域範圍
+ * 各檔串接於同一函數範圍執行 (頂層宣告如瀏覽器般互相可見)；Math 以參數傳入，
+ * 避免數值迴圈中每次經 vm 全域攔截查找 (否則慢約 7 倍)
+ * @param {...string} files - js/ 下的檔名 (依 index.html 的載入順序)
+ * @returns {object} 全域範圍 (即 window)
+ */
+function loadScripts(...files) {
+    const context = { console };
+    context.window = context;
+    vm.createContext(context);
+    const source = files
+        .map(file => fs.readFileSync(path.join(__dirname, '..', '..', 'js', file), 'utf8'))
+        .join('\n');
+    vm.runInContext(`(function (Math) {\n${source}\n})(Math);`, context, { filename: files.join(', ') });
+    return context;
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,52 @@
+/**
+ * TPS13A SAXS Calculator - Porod Invariant Tests
+ * 已知常數背景的球體合成曲線：平台擬合須還原背景，Porod 體積須接近球體體積
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { SAXSCalculations, SAXSProfile } = loadScripts('calculations.js', 'saxs-profile.js', 'least-squares.js');
+
+/**
+ * 球體散射曲線 I(q) = I0·[3(sin qR − qR cos qR)/(qR)³]² + B，σ 為 1% 加背景的 2%
+ */
+function sphereProfile(radius, i0, background) {
+    const q = [], intensity = [], sigma = [];
+    for (let k = 0; k <= 495; k++) {
+        const value = 0.005 + k * 0.001;
+        const x = value * radius;
+        const amplitude = 3 * (Math.sin(x) - x * Math.cos(x)) / x ** 3;
+        const clean = i0 * amplitude ** 2 + background;
+        q.push(value);
+        intensity.push(clean);
+        sigma.push(0.01 * clean + 0.02 * background);
+    }
+    return { q, intensity, sigma, hasSigma: true };
+}
+
+const radius = 30.26;
+const volume = 4 / 3 * Math.PI * radius ** 3;
+const rg = Math.sqrt(3 / 5) * radius;
+
+test('plateau fit recovers a +0.05 background and the sphere Porod volume', () => {
+    const profile = sphereProfile(radius, 100, 0.05);
+    const start = profile.q.findIndex(q => q * rg > 0.3);
+    for (const qmaxRg of [6, 8, 10]) {
+        const porod = SAXSProfile.calculatePorodInvariant(profile, { i0: 100.05, rg, start, qmaxRg });
+        const vp = SAXSCalculations.calculatePorodVolume(100.05, porod.invariant);
+        assert.ok(Math.abs(porod.constant - 0.05) < 0.01, `qmax·Rg ${qmaxRg}: B ${porod.constant}`);
+        assert.ok(Math.abs(vp / volume - 1) < 0.05, `qmax·Rg ${qmaxRg}: Vp ${vp.toFixed(0)} vs ${volume.toFixed(0)}`);
+        assert.ok(porod.plateauRange.qmin * rg >= 4);
+    }
+});
+
+test('without constant subtraction a background-free sphere keeps its Porod volume', () => {
+    const profile = sphereProfile(radius, 100, 0);
+    const start = profile.q.findIndex(q => q * rg > 0.3);
+    const porod = SAXSProfile.calculatePorodInvariant(profile, { i0: 100, rg, start, subtractConstant: false });
+    const vp = SAXSCalculations.calculatePorodVolume(100, porod.invariant);
+    assert.equal(porod.constant, 0);
+    assert.ok(Math.abs(vp / volume - 1) < 0.05, `Vp ${vp.toFixed(0)} vs ${volume.toFixed(0)}`);
+});
@@ -0,0 +1,43 @@
+/**
+ * TPS13A SAXS Calculator - Shape Model Tests
+ * 理想圓柱曲線的形狀比較須由真實模型勝出 (多起點擬合避免局部解)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { calculateShapeIntensity, fitAllShapeModels } = loadScripts('least-squares.js', 'shape-models.js').ShapeModels;
+
+/**
+ * 合成單分散形狀曲線: 1% 相對誤差 + 固定種子雜訊
+ * @param {string} shape - SHAPE_MODELS 鍵值
+ * @param {object} parameters - 模型參數
+ * @returns {object} parseDatFile 格式的曲線
+ */
+function syntheticProfile(shape, parameters) {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const q = Array.from({ length: 300 }, (_, i) => 0.005 + i * 0.001);
+    const ideal = calculateShapeIntensity(shape, parameters, q).intensity.map(value => 1000 * value);
+    return {
+        q,
+        intensity: ideal.map(value => value * (1 + 0.02 * (random() + random() + random() - 1.5))),
+        sigma: ideal.map(value => 0.01 * value),
+        hasSigma: true
+    };
+}
+
+test('pure cylinder profile: cylinder fit reaches the true parameters and outranks ellipsoid and sphere', () => {
+    const truth = { radius: 15, length: 150 };
+    const rg = calculateShapeIntensity('cylinder', truth, [0]).rg;
+    const ranking = fitAllShapeModels(syntheticProfile('cylinder', truth), rg);
+    const rank = shape => ranking.findIndex(result => result.shape === shape);
+    const cylinder = ranking[rank('cylinder')];
+
+    assert.ok(cylinder.chi2 < 2, `圓柱 χ² ${cylinder.chi2}`);
+    assert.ok(Math.abs(cylinder.parameters.length - 150) < 3, `L = ${cylinder.parameters.length}`);
+    assert.ok(Math.abs(cylinder.parameters.radius - 15) < 0.5, `R = ${cylinder.parameters.radius}`);
+    assert.ok(rank('cylinder') < rank('ellipsoid') && rank('cylinder') < rank('sphere'));
+    assert.ok(ranking[0].chi2 >= cylinder.chi2 * 0.99);
+});